@@ -1,3 +1,34 @@
+import {
+    ScaleConnection,
+    LayoutStore,
+    createPortProvider,
+    assignPorts,
+    getPortIdentity,
+    formatPortIdentity,
+    DEFAULT_SERIAL_OPTIONS,
+    normalizeSerialOptions,
+    describePortSettings,
+    describeFilters,
+    PROTOCOL_PROFILES,
+    DEFAULT_PROTOCOL,
+    FRAMERS,
+    CHECKSUMS,
+    normalizeFrameFormat,
+    formatFrameFormat,
+    formatByteRate
+} from '../shared/serial-core.js';
+import { TestRun, describeScale, exportRun } from '../shared/test-run.js';
+import { RunHistory, createHistoryRecord } from '../shared/run-history.js';
+import { WeightChart, CHART_COLORS } from '../shared/weight-chart.js';
+import { RenderLoop, LogBuffer, formatTiming } from '../shared/render-loop.js';
+import { WorkerScaleConnection } from '../shared/worker-connection.js';
+import { FilterEditor } from '../shared/filter-editor.js';
+import { SerialConsole } from '../shared/serial-console.js';
+
+// Where a channel reads its port: 'main' runs ScaleConnection on the page,
+// 'worker' runs it in a dedicated Web Worker (see worker-connection.js)
+const INGESTION_MODES = ['main', 'worker'];
+
 class MultiChannelSerialTest {
     constructor() {
         // Channel management
@@ -8,14 +39,39 @@ class MultiChannelSerialTest {
         // Global state
         this.isGlobalTestRunning = false;
         this.globalTestTimeout = null;
+        this.globalTestStartTime = null;
+        
+        // Every reading of the current/last global test, kept for export
+        this.currentRun = null;
+        this.history = new RunHistory();
+        this.runChannels = []; // Channels in TestRun channel-index order
         
         // Configuration
         this.config = {
             defaultBaudRate: 9600,
             testDuration: 60,
-            autoConnect: true
+            autoConnect: true,
+            expectedRate: 0, // Device output rate in Hz for streaming latency (0 = auto)
+            portBackend: navigator.serial ? 'webserial' : 'simulated'
         };
         
+        // Simulated scale settings (used when portBackend is 'simulated')
+        this.simulatorConfig = {
+            waveform: 'constant',
+            lineRate: 100,
+            noise: 0,
+            fault: 'none',
+            faultRate: 5,
+            baudRate: null, // Device's own rate and framing (null = answers at any setting)
+            framing: null,
+            protocol: 'scale', // Command set the simulated device speaks
+            frameFormat: null  // How it frames its output (null = text lines)
+        };
+        this.portProvider = createPortProvider(this.config.portBackend, this.simulatorConfig);
+        
+        // Channel names, baud rates, filter settings and ports survive a reload
+        this.layoutStore = new LayoutStore('multichannel-test.layout');
+        
         // Performance tracking
         this.globalMetrics = {
             totalReadings: 0,
@@ -24,9 +80,15 @@ class MultiChannelSerialTest {
             readingsInLastSecond: []
         };
         
+        // Channels only buffer their readings; render() updates every card at a fixed frame rate
+        this.renderLoop = new RenderLoop({ fps: 30 });
+        this.renderLoop.addView(() => this.render());
+        this.lastLoadUpdate = 0;
+        
         this.initializeUI();
         this.bindEvents();
         this.updateGlobalMetrics();
+        this.restoreLayout();
     }
 
     initializeUI() {
@@ -40,6 +102,8 @@ class MultiChannelSerialTest {
             startGlobalTestBtn: document.getElementById('startGlobalTestBtn'),
             stopGlobalTestBtn: document.getElementById('stopGlobalTestBtn'),
             clearAllDataBtn: document.getElementById('clearAllDataBtn'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
+            exportJsonBtn: document.getElementById('exportJsonBtn'),
             
             // Channel management
             addChannelBtn: document.getElementById('addChannelBtn'),
@@ -57,22 +121,53 @@ class MultiChannelSerialTest {
             totalReadings: document.getElementById('totalReadings'),
             avgReadingsPerSecond: document.getElementById('avgReadingsPerSecond'),
             totalLatency: document.getElementById('totalLatency'),
+            totalRxByteRate: document.getElementById('totalRxByteRate'),
+            mainThreadLoad: document.getElementById('mainThreadLoad'),
+            ingestionComparison: document.getElementById('ingestionComparison'),
             
             // Settings
             defaultBaudRate: document.getElementById('defaultBaudRate'),
             testDuration: document.getElementById('testDuration'),
             maxChannels: document.getElementById('maxChannels'),
             autoConnect: document.getElementById('autoConnect'),
+            expectedRate: document.getElementById('expectedRate'),
+            portBackend: document.getElementById('portBackend'),
+            simWaveform: document.getElementById('simWaveform'),
+            simLineRate: document.getElementById('simLineRate'),
+            simNoise: document.getElementById('simNoise'),
+            simFault: document.getElementById('simFault'),
+            simFaultRate: document.getElementById('simFaultRate'),
+            simBaudRate: document.getElementById('simBaudRate'),
+            simFraming: document.getElementById('simFraming'),
+            simProtocol: document.getElementById('simProtocol'),
+            simFramer: document.getElementById('simFramer'),
+            simChecksum: document.getElementById('simChecksum'),
+            
+            // Weight chart
+            weightChart: document.getElementById('weightChart'),
+            chartShowRaw: document.getElementById('chartShowRaw'),
+            chartShowFiltered: document.getElementById('chartShowFiltered'),
+            chartTimeWindow: document.getElementById('chartTimeWindow'),
+            pauseChartBtn: document.getElementById('pauseChartBtn'),
+            resetChartBtn: document.getElementById('resetChartBtn'),
             
             // Channel list
             channelList: document.getElementById('channelList')
         };
         
+        // One chart overlays every channel, each in its own colour
+        this.weightChart = new WeightChart(this.elements.weightChart, {
+            timeWindow: parseInt(this.elements.chartTimeWindow.value),
+            renderLoop: this.renderLoop
+        });
+        
         // Set initial values
         this.elements.defaultBaudRate.value = this.config.defaultBaudRate;
         this.elements.testDuration.value = this.config.testDuration;
         this.elements.maxChannels.value = this.maxChannels;
         this.elements.autoConnect.value = this.config.autoConnect;
+        this.elements.expectedRate.value = this.config.expectedRate;
+        this.elements.portBackend.value = this.config.portBackend;
     }
 
     bindEvents() {
@@ -84,6 +179,8 @@ class MultiChannelSerialTest {
         this.elements.startGlobalTestBtn.addEventListener('click', () => this.startGlobalTest());
         this.elements.stopGlobalTestBtn.addEventListener('click', () => this.stopGlobalTest());
         this.elements.clearAllDataBtn.addEventListener('click', () => this.clearAllData());
+        this.elements.exportCsvBtn.addEventListener('click', () => this.exportRun('csv'));
+        this.elements.exportJsonBtn.addEventListener('click', () => this.exportRun('json'));
         
         // Channel management events
         this.elements.addChannelBtn.addEventListener('click', () => this.addChannel());
@@ -103,6 +200,87 @@ class MultiChannelSerialTest {
         this.elements.autoConnect.addEventListener('change', (e) => {
             this.config.autoConnect = e.target.value === 'true';
         });
+        this.elements.expectedRate.addEventListener('change', (e) => {
+            this.config.expectedRate = parseFloat(e.target.value) || 0;
+            this.channels.forEach(channel => channel.scale.setExpectedRate(this.config.expectedRate));
+        });
+        this.elements.portBackend.addEventListener('change', (e) => {
+            this.config.portBackend = e.target.value;
+            this.portProvider = createPortProvider(this.config.portBackend, this.simulatorConfig);
+            console.log(`Port backend set to ${this.config.portBackend}`);
+            
+            // Ports from the previous backend can't be opened any more
+            this.channels.forEach(channel => {
+                if (!channel.isConnected && !channel.isLost) {
+                    channel.setAssignedPort(null);
+                }
+            });
+            this.assignGrantedPorts();
+        });
+        
+        // Simulator settings apply live to every connected simulated scale
+        this.elements.simWaveform.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ waveform: e.target.value });
+        });
+        this.elements.simLineRate.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ lineRate: parseInt(e.target.value) });
+        });
+        this.elements.simNoise.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ noise: parseFloat(e.target.value) });
+        });
+        this.elements.simFault.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ fault: e.target.value });
+        });
+        this.elements.simFaultRate.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ faultRate: parseFloat(e.target.value) });
+        });
+        this.elements.simBaudRate.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ baudRate: parseInt(e.target.value) || null });
+        });
+        this.elements.simFraming.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ framing: e.target.value || null });
+        });
+        this.elements.simProtocol.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ protocol: e.target.value });
+        });
+        [this.elements.simFramer, this.elements.simChecksum].forEach(select => {
+            select.addEventListener('change', () => {
+                const frameFormat = { framer: this.elements.simFramer.value, checksum: this.elements.simChecksum.value };
+                try {
+                    normalizeFrameFormat(frameFormat);
+                } catch (error) {
+                    console.warn(`Simulator framing: ${error.message}`);
+                    return;
+                }
+                this.updateSimulatorConfig({ frameFormat });
+            });
+        });
+        
+        // Weight chart controls
+        this.elements.chartShowRaw.addEventListener('change', (e) => {
+            this.weightChart.setVisible({ showRaw: e.target.checked });
+        });
+        this.elements.chartShowFiltered.addEventListener('change', (e) => {
+            this.weightChart.setVisible({ showFiltered: e.target.checked });
+        });
+        this.elements.chartTimeWindow.addEventListener('change', (e) => {
+            this.weightChart.setTimeWindow(parseInt(e.target.value));
+        });
+        this.elements.pauseChartBtn.addEventListener('click', () => this.weightChart.togglePause());
+        this.elements.resetChartBtn.addEventListener('click', () => this.weightChart.resetView());
+        this.weightChart.addEventListener('view', (e) => {
+            this.elements.pauseChartBtn.textContent = e.detail.paused ? 'Resume' : 'Pause';
+        });
+    }
+
+    updateSimulatorConfig(changes) {
+        Object.assign(this.simulatorConfig, changes);
+        if (this.portProvider.configure) {
+            this.portProvider.configure(changes);
+        }
+        
+        // Worker channels read their own copies of the simulated scales
+        this.channels.forEach(channel => channel.configureSimulator(changes));
     }
 
     addChannel() {
@@ -111,24 +289,100 @@ class MultiChannelSerialTest {
             return;
         }
 
+        const channel = this.createChannel();
+        this.saveLayout();
+        
+        if (this.config.autoConnect) {
+            channel.connect();
+        }
+    }
+
+    // settings: saved channel layout entry ({ name, baudRate, serialOptions, protocol, frameFormat, filters, stability, ingestion, port, deviceId })
+    createChannel(settings = {}) {
         const channelId = `channel_${this.nextChannelId++}`;
-        const channel = new SerialChannel(channelId, this.config.defaultBaudRate, this);
+        const channel = new SerialChannel(channelId, settings.baudRate || this.config.defaultBaudRate, this);
+        channel.applySettings(settings);
+        
+        // Colour follows the channel number so a channel keeps it while others come and go
+        const number = parseInt(channelId.split('_')[1]);
+        this.weightChart.addSeries(channelId, {
+            name: channel.name,
+            color: CHART_COLORS[(number - 1) % CHART_COLORS.length]
+        });
         
         this.channels.set(channelId, channel);
         this.renderChannel(channel);
         this.updateGlobalMetrics();
-        
-        if (this.config.autoConnect) {
-            channel.connect();
-        }
+        return channel;
     }
 
     removeAllChannels() {
         if (confirm('Are you sure you want to remove all channels? This will disconnect all devices.')) {
-            this.channels.forEach(channel => channel.disconnect());
+            this.channels.forEach(channel => {
+                channel.dispose();
+                this.weightChart.removeSeries(channel.id);
+            });
             this.channels.clear();
             this.elements.channelList.innerHTML = '';
             this.updateGlobalMetrics();
+            this.saveLayout();
+        }
+    }
+
+    // Rebuild the saved channel set and hand each channel its already-granted port,
+    // so "Connect All Available" brings the rig back without the port chooser
+    async restoreLayout() {
+        const layout = this.layoutStore.load();
+        if (!layout || !Array.isArray(layout.channels) || layout.channels.length === 0) return;
+        
+        layout.channels.slice(0, this.maxChannels).forEach(settings => this.createChannel(settings));
+        const assigned = await this.assignGrantedPorts();
+        console.log(`Restored ${this.channels.size} channel(s) from the saved layout, ${assigned} with a granted port`);
+    }
+
+    saveLayout() {
+        this.layoutStore.save({
+            channels: Array.from(this.channels.values()).map(channel => channel.toLayout())
+        });
+    }
+
+    // Match channels that remember a port to the ports this origin may already open.
+    // Returns the number of channels that received a port.
+    async assignGrantedPorts() {
+        let ports;
+        try {
+            ports = await this.portProvider.getPorts();
+        } catch (error) {
+            console.error('Error listing granted ports:', error);
+            return 0;
+        }
+        
+        const waiting = Array.from(this.channels.values()).filter(ch => ch.savedPort && !ch.assignedPort);
+        const available = ports.filter(port => !this.isPortInUse(port));
+        const assigned = assignPorts(waiting.map(ch => ch.savedPort), available);
+        
+        let count = 0;
+        waiting.forEach((channel, index) => {
+            if (assigned[index]) {
+                channel.setAssignedPort(assigned[index]);
+                count++;
+            }
+        });
+        return count;
+    }
+
+    isPortInUse(port, exceptChannel = null) {
+        return Array.from(this.channels.values()).some(channel =>
+            channel !== exceptChannel && (channel.assignedPort === port || channel.scale.port === port));
+    }
+
+    // A granted port no channel is using, so adding a channel can skip the chooser
+    async findUnusedPort(channel) {
+        try {
+            const ports = await this.portProvider.getPorts();
+            return ports.find(port => !this.isPortInUse(port, channel)) || null;
+        } catch (error) {
+            return null;
         }
     }
 
@@ -185,11 +439,14 @@ class MultiChannelSerialTest {
     }
 
     async stopAllReading() {
+        const stopping = [];
         this.channels.forEach(channel => {
-            if (channel.isReading) {
-                channel.stopReading();
+            // Lost channels would otherwise resume reading once their port returns
+            if (channel.isReading || channel.isLost) {
+                stopping.push(channel.stopReading());
             }
         });
+        await Promise.all(stopping);
     }
 
     async startGlobalTest() {
@@ -201,6 +458,8 @@ class MultiChannelSerialTest {
         
         // Clear all data
         this.clearAllData();
+        this.globalTestStartTime = performance.now();
+        this.startRun();
         
         // Start reading on all connected channels
         await this.startAllReading();
@@ -225,14 +484,114 @@ class MultiChannelSerialTest {
             this.globalTestTimeout = null;
         }
         
-        // Stop reading on all channels
-        this.stopAllReading();
+        // Stop reading on all channels; worker channels deliver their last batch first
+        await this.stopAllReading();
+        
+        // Record connection outages in each affected channel's log
+        this.channels.forEach(channel => channel.logOutages());
+        
+        await this.finishRun();
         
         console.log('Global test completed');
     }
 
+    // Channels connected at the start of a global test are recorded
+    startRun() {
+        this.currentRun = new TestRun({
+            page: 'multichannel-test',
+            config: { ...this.config, maxChannels: this.maxChannels }
+        });
+        this.runChannels = Array.from(this.channels.values()).filter(ch => ch.isConnected);
+        this.runChannels.forEach(channel => {
+            this.currentRun.addChannel({
+                id: channel.id,
+                name: channel.name,
+                ...describeScale(channel.scale),
+                method: 'onread',
+                filters: describeFilters(channel.filters),
+                stability: channel.scale.stabilityOptions,
+                ingestion: channel.ingestion
+            });
+        });
+        this.elements.exportCsvBtn.disabled = true;
+        this.elements.exportJsonBtn.disabled = true;
+    }
+
+    async finishRun() {
+        if (!this.currentRun) return;
+        
+        const run = this.currentRun;
+        const channels = this.runChannels;
+        const duration = (performance.now() - this.globalTestStartTime) / 1000;
+        this.renderLoop.renderNow();
+        console.log(`Main thread: ${formatTiming(this.renderLoop.getTiming())}`);
+        
+        const stats = await Promise.all(channels.map(channel => channel.getFinalStats(duration)));
+        run.finish(stats);
+        this.showIngestionComparison(channels, stats);
+        if (this.runChannels === channels) {
+            this.runChannels = [];
+        }
+        this.elements.exportCsvBtn.disabled = false;
+        this.elements.exportJsonBtn.disabled = false;
+        this.saveToHistory(run);
+    }
+
+    // Per-channel readings/s and latency of main-thread vs. worker channels in the finished run
+    showIngestionComparison(channels, stats) {
+        const lines = INGESTION_MODES.map(mode => {
+            const group = stats.filter((channelStats, index) => channelStats && channels[index].ingestion === mode);
+            if (group.length === 0) {
+                return `${mode === 'main' ? 'Main thread' : 'Worker'}: no channels`;
+            }
+            const readings = group.reduce((sum, channelStats) => sum + channelStats.totalReadings, 0);
+            const rps = group.reduce((sum, channelStats) => sum + channelStats.avgReadingsPerSecond, 0) / group.length;
+            const latency = readings > 0
+                ? group.reduce((sum, channelStats) => sum + channelStats.avgLatency * channelStats.totalReadings, 0) / readings
+                : 0;
+            const utilization = group.reduce((sum, channelStats) => sum + channelStats.link.rxUtilization, 0) / group.length;
+            return `${mode === 'main' ? 'Main thread' : 'Worker'}: ${group.length} channel(s), ` +
+                `${rps.toFixed(1)} readings/s per channel, ${latency.toFixed(2)}ms avg latency, ${utilization.toFixed(1)}% link utilization`;
+        });
+        
+        this.elements.ingestionComparison.textContent = lines.join('\n');
+        console.log(`Ingestion comparison:\n${lines.join('\n')}`);
+    }
+
+    // Keep a summary of the run for later comparison on the history page
+    async saveToHistory(run) {
+        if (!this.history.isSupported() || run.readingCount === 0) return;
+
+        try {
+            await this.history.add(createHistoryRecord(run));
+            console.log('Run saved to test history');
+        } catch (error) {
+            console.error('Error saving run to history:', error);
+        }
+    }
+
+    // Called by channels for every reading. Readings that arrive while the
+    // test is stopping (e.g. a worker's last batch) still belong to the run.
+    recordReading(channel, reading) {
+        if (!this.currentRun || this.currentRun.isFinished) return;
+        
+        const index = this.runChannels.indexOf(channel);
+        if (index !== -1) {
+            this.currentRun.record(index, reading);
+        }
+    }
+
+    exportRun(format) {
+        if (!this.currentRun || !this.currentRun.isFinished) return;
+        
+        exportRun(this.currentRun, format);
+        console.log(`Exported ${this.currentRun.readingCount} readings from ${this.currentRun.channels.length} channel(s) as ${format.toUpperCase()}`);
+    }
+
     clearAllData() {
         this.channels.forEach(channel => channel.clearData());
+        this.weightChart.clear();
+        this.renderLoop.resetTiming();
         this.globalMetrics.totalReadings = 0;
         this.globalMetrics.avgReadingsPerSecond = 0;
         this.globalMetrics.totalLatency = 0;
@@ -245,11 +604,13 @@ class MultiChannelSerialTest {
         channelElement.className = 'channel-card';
         channelElement.id = `channel-${channel.id}`;
         
+        // The user-editable name is filled in by setUIElements(), not the template
         channelElement.innerHTML = `
             <div class="channel-header">
-                <div class="channel-title">${channel.name}</div>
+                <div class="channel-title"></div>
                 <div class="channel-controls">
                     <button class="btn connect-btn" onclick="window.multichannelTest.channels.get('${channel.id}').connect()">Connect</button>
+                    <button class="btn detect-btn" onclick="window.multichannelTest.channels.get('${channel.id}').connect({ autoDetect: true })" title="Find the baud rate and framing by probing the device">Auto-Detect</button>
                     <button class="btn disconnect-btn danger" onclick="window.multichannelTest.channels.get('${channel.id}').disconnect()" disabled>Disconnect</button>
                     <button class="btn start-reading-btn success" onclick="window.multichannelTest.channels.get('${channel.id}').startReading()" disabled>Start</button>
                     <button class="btn stop-reading-btn danger" onclick="window.multichannelTest.channels.get('${channel.id}').stopReading()" disabled>Stop</button>
@@ -257,6 +618,91 @@ class MultiChannelSerialTest {
                 </div>
             </div>
             
+            <div class="channel-settings">
+                <div class="wide">
+                    <label>Name</label>
+                    <input type="text" class="channel-name-input" maxlength="40">
+                </div>
+                <div>
+                    <label>Baud Rate</label>
+                    <input type="number" class="channel-baud-input" min="300" step="100" title="Applies on the next connect">
+                </div>
+                <div>
+                    <label>Ingestion</label>
+                    <select class="channel-ingestion-input" title="Where the port is read; change while disconnected">
+                        <option value="main">Main thread</option>
+                        <option value="worker">Web Worker</option>
+                    </select>
+                </div>
+                <div>
+                    <label>Protocol</label>
+                    <select class="channel-protocol-input" title="Command set the device speaks; applies on the next connect">
+                        ${Object.entries(PROTOCOL_PROFILES).map(([key, { label }]) => `<option value="${key}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label>Framing</label>
+                    <select class="channel-framer-input" title="Text lines or binary frames; applies on the next connect">
+                        ${Object.entries(FRAMERS).map(([key, { label }]) => `<option value="${key}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label>Frame Checksum</label>
+                    <select class="channel-checksum-input" title="Needs a framer other than text lines; applies on the next connect">
+                        ${Object.entries(CHECKSUMS).map(([key, { label }]) => `<option value="${key}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label>Data Bits</label>
+                    <select class="channel-databits-input" title="Applies on the next connect">
+                        <option value="8">8</option>
+                        <option value="7">7</option>
+                    </select>
+                </div>
+                <div>
+                    <label>Parity</label>
+                    <select class="channel-parity-input" title="Applies on the next connect">
+                        <option value="none">None</option>
+                        <option value="even">Even</option>
+                        <option value="odd">Odd</option>
+                    </select>
+                </div>
+                <div>
+                    <label>Stop Bits</label>
+                    <select class="channel-stopbits-input" title="Applies on the next connect">
+                        <option value="1">1</option>
+                        <option value="2">2</option>
+                    </select>
+                </div>
+                <div>
+                    <label>Flow Control</label>
+                    <select class="channel-flow-input" title="Applies on the next connect">
+                        <option value="none">None</option>
+                        <option value="hardware">RTS/CTS</option>
+                    </select>
+                </div>
+                <div>
+                    <label>Buffer (bytes)</label>
+                    <input type="number" class="channel-buffer-input" min="1" max="16777216" title="Applies on the next connect">
+                </div>
+                <div>
+                    <label>Stable Within</label>
+                    <input type="number" class="channel-stability-tolerance" min="0" step="0.1" title="Tolerance in weight units">
+                </div>
+                <div>
+                    <label>Hold (ms)</label>
+                    <input type="number" class="channel-stability-hold" min="0" step="50">
+                </div>
+                <div>
+                    <label>Motion Band</label>
+                    <input type="number" class="channel-stability-band" min="0" step="0.1" title="Drift allowed once stable (0 = tolerance)">
+                </div>
+                <div class="full">
+                    <label>Filters</label>
+                    <div class="channel-filter-editor filter-editor"></div>
+                </div>
+            </div>
+            
             <div class="channel-info">
                 <div class="info-item">
                     <div class="info-label">Status</div>
@@ -267,13 +713,41 @@ class MultiChannelSerialTest {
                     <div class="info-value device-id">-</div>
                 </div>
                 <div class="info-item">
-                    <div class="info-label">Baud Rate</div>
-                    <div class="info-value baud-rate">${channel.baudRate}</div>
+                    <div class="info-label">Port Settings</div>
+                    <div class="info-value port-settings">-</div>
                 </div>
                 <div class="info-item">
                     <div class="info-label">Current Weight</div>
                     <div class="info-value current-weight">0.000</div>
                 </div>
+                <div class="info-item">
+                    <div class="info-label">Raw Weight</div>
+                    <div class="info-value raw-weight">0.000</div>
+                </div>
+                <div class="info-item">
+                    <div class="info-label">Stability</div>
+                    <div class="info-value stability-value">-</div>
+                </div>
+                <div class="info-item">
+                    <div class="info-label">Time to Stable</div>
+                    <div class="info-value time-to-stable">-</div>
+                </div>
+                <div class="info-item">
+                    <div class="info-label">Unparseable Lines</div>
+                    <div class="info-value unparseable-lines">0</div>
+                </div>
+                <div class="info-item">
+                    <div class="info-label">Corrupted Frames</div>
+                    <div class="info-value corrupted-frames">0</div>
+                </div>
+                <div class="info-item">
+                    <div class="info-label">Link RX</div>
+                    <div class="info-value link-rx">-</div>
+                </div>
+                <div class="info-item">
+                    <div class="info-label">Port</div>
+                    <div class="info-value port-info">-</div>
+                </div>
             </div>
             
             <div class="channel-metrics">
@@ -292,6 +766,7 @@ class MultiChannelSerialTest {
             </div>
             
             <div class="channel-data" id="data-${channel.id}"></div>
+            <div class="channel-console"></div>
         `;
         
         this.elements.channelList.appendChild(channelElement);
@@ -301,13 +776,29 @@ class MultiChannelSerialTest {
     removeChannel(channelId) {
         const channel = this.channels.get(channelId);
         if (channel) {
-            channel.disconnect();
+            channel.dispose();
             this.channels.delete(channelId);
+            this.weightChart.removeSeries(channelId);
             const element = document.getElementById(`channel-${channelId}`);
             if (element) {
                 element.remove();
             }
             this.updateGlobalMetrics();
+            this.saveLayout();
+        }
+    }
+
+    // Runs from the render loop, never more than its frame rate
+    render() {
+        this.channels.forEach(channel => channel.render());
+        this.updateGlobalMetrics();
+        
+        // Main-thread load, refreshed once a second
+        const now = performance.now();
+        if (now - this.lastLoadUpdate >= 1000) {
+            const load = this.renderLoop.sampleLoad();
+            this.elements.mainThreadLoad.textContent = `${load.measure.toFixed(1)} / ${load.render.toFixed(1)}`;
+            this.lastLoadUpdate = now;
         }
     }
 
@@ -319,16 +810,17 @@ class MultiChannelSerialTest {
         // Calculate global metrics
         let totalReadings = 0;
         let totalLatency = 0;
-        let readingsInLastSecond = [];
+        let avgReadingsPerSecond = 0;
+        let rxBytesPerSecond = 0;
         
         this.channels.forEach(channel => {
             totalReadings += channel.metrics.totalReadings;
-            totalLatency += channel.metrics.avgLatency * channel.metrics.totalReadings;
-            readingsInLastSecond.push(...channel.metrics.readingsInLastSecond);
+            totalLatency += channel.metrics.getLatencyStats().avg * channel.metrics.totalReadings;
+            avgReadingsPerSecond += channel.metrics.readingsPerSecond;
+            rxBytesPerSecond += channel.scale.link.getCurrent().rxBytesPerSecond;
         });
         
         const avgLatency = totalReadings > 0 ? totalLatency / totalReadings : 0;
-        const avgReadingsPerSecond = readingsInLastSecond.length;
         
         // Update UI
         this.elements.totalChannels.textContent = totalChannels;
@@ -337,6 +829,7 @@ class MultiChannelSerialTest {
         this.elements.totalReadings.textContent = totalReadings;
         this.elements.avgReadingsPerSecond.textContent = avgReadingsPerSecond;
         this.elements.totalLatency.textContent = avgLatency.toFixed(1);
+        this.elements.totalRxByteRate.textContent = formatByteRate(rxBytesPerSecond);
         
         // Update global status
         this.updateGlobalStatus();
@@ -345,9 +838,16 @@ class MultiChannelSerialTest {
     updateGlobalStatus() {
         const connectedChannels = Array.from(this.channels.values()).filter(ch => ch.isConnected).length;
         const readingChannels = Array.from(this.channels.values()).filter(ch => ch.isReading).length;
+        const lostChannels = Array.from(this.channels.values()).filter(ch => ch.isLost).length;
         
         // Update global status
-        if (connectedChannels === 0) {
+        if (lostChannels > 0) {
+            this.elements.globalStatus.textContent = `${connectedChannels} Connected, ${lostChannels} Lost`;
+            this.elements.globalStatus.className = 'status lost';
+            this.elements.disconnectAllBtn.disabled = false;
+            this.elements.startAllReadingBtn.disabled = connectedChannels === 0;
+            this.elements.startGlobalTestBtn.disabled = connectedChannels === 0;
+        } else if (connectedChannels === 0) {
             this.elements.globalStatus.textContent = 'No Channels Connected';
             this.elements.globalStatus.className = 'status disconnected';
             this.elements.disconnectAllBtn.disabled = true;
@@ -384,121 +884,442 @@ class SerialChannel {
         this.id = id;
         this.name = `Channel ${id.split('_')[1]}`;
         this.baudRate = baudRate;
+        this.serialOptions = { ...DEFAULT_SERIAL_OPTIONS };
+        this.protocol = DEFAULT_PROTOCOL;
+        this.frameFormat = normalizeFrameFormat();
         this.parent = parent;
         
-        // Connection state
-        this.isConnected = false;
-        this.isReading = false;
-        
-        // Serial objects
-        this.port = null;
-        this.lineReader = null;
-        this.writer = null;
-        this.textDecoder = new TextDecoderStream();
-        this.textEncoder = new TextEncoderStream();
-        this.lineStream = null;
-        
-        // Device info
-        this.deviceId = null;
-        this.deviceCapacity = null;
-        this.deviceUnits = null;
-        
-        // Performance metrics
-        this.metrics = {
-            readings: [],
-            latencies: [],
-            readingsInLastSecond: [],
-            readingsPerSecond: 0,
-            totalReadings: 0,
-            avgLatency: 0,
-            minLatency: 0,
-            maxLatency: 0
-        };
+        // Connection, protocol, filtering and metrics live in the shared core,
+        // on the page or in a worker depending on the ingestion mode
+        this.ingestion = 'main';
+        this.createScale();
         
-        // Weight filtering
-        this.windowSize = 5;
-        this.weightWindow = [];
+        // Port memory: the identity saved with the layout, and the granted port
+        // matched to it (reused on every connect instead of the chooser)
+        this.savedPort = null;
+        this.savedDeviceId = null;
+        this.assignedPort = null;
+        
+        // Data display contents: readings and log messages, shown by render()
+        this.dataLog = new LogBuffer(50, (entry) => typeof entry === 'string' ? entry :
+            `[${new Date(entry.timestamp).toLocaleTimeString()}] Weight: ${entry.weight.toFixed(3)}${entry.unit ? ` ${entry.unit}` : ''}, RPS: ${entry.readingsPerSecond}`
+        );
+        this.latestReading = null;
+        this.lastSettle = null;
         
         // UI elements (set by parent)
         this.uiElements = null;
+        this.console = null;
+    }
+
+    get isConnected() {
+        return this.scale.isConnected;
+    }
+
+    get isReading() {
+        return this.scale.isReading;
+    }
+
+    get isLost() {
+        return this.scale.isLost;
+    }
+
+    get metrics() {
+        return this.scale.metrics;
+    }
+
+    get deviceId() {
+        return this.scale.deviceInfo.id;
+    }
+
+    get filters() {
+        return this.scale.filters;
+    }
+
+    // Replaces this.scale; settings ({ filters, stability }) carry over from the previous one
+    createScale(settings = {}) {
+        const options = {
+            portProvider: this.parent.portProvider,
+            baudRate: this.baudRate,
+            protocol: this.protocol,
+            frameFormat: this.frameFormat,
+            expectedRate: this.parent.config.expectedRate,
+            filters: settings.filters,
+            stability: settings.stability
+        };
+        const scale = this.ingestion === 'worker' ? new WorkerScaleConnection(options) : new ScaleConnection(options);
+        this.scale = scale;
+        this.bindScaleEvents();
+        if (this.console) {
+            this.console.setConnection(scale);
+        }
+        return scale;
+    }
+
+    // Only while disconnected: the connection is replaced by one of the other kind
+    setIngestion(ingestion) {
+        if (ingestion === this.ingestion || !INGESTION_MODES.includes(ingestion)) return true;
+        if (this.scale.state !== 'disconnected') {
+            this.log('Disconnect before changing where the port is read', 'warning');
+            return false;
+        }
+        
+        const previous = this.scale;
+        this.ingestion = ingestion;
+        this.createScale({ filters: previous.filters, stability: previous.stabilityOptions });
+        if (previous.terminate) {
+            previous.terminate();
+        }
+        this.log(`Ingestion: ${ingestion === 'worker' ? 'Web Worker' : 'main thread'}`);
+        return true;
+    }
+
+    configureSimulator(changes) {
+        if (this.scale.configureSimulator) {
+            this.scale.configureSimulator(changes).catch(error => this.log(`Simulator settings not applied: ${error.message}`, 'error'));
+        }
+    }
+
+    applySettings(settings) {
+        if (settings.ingestion) this.setIngestion(settings.ingestion);
+        if (settings.name) this.name = settings.name;
+        if (settings.baudRate) this.baudRate = settings.baudRate;
+        if (settings.serialOptions) this.setSerialOptions(settings.serialOptions);
+        if (settings.protocol) this.setProtocol(settings.protocol);
+        if (settings.frameFormat) this.setFrameFormat(settings.frameFormat);
+        if (settings.filters) {
+            this.setFilters(settings.filters);
+        } else if (settings.filterWindow) {
+            // Layouts saved before filter chains had a median window only
+            this.setFilters([{ type: 'median', windowSize: settings.filterWindow }]);
+        }
+        if (settings.stability) this.setStability(settings.stability);
+        if (settings.port) this.savedPort = settings.port;
+        if (settings.deviceId) this.savedDeviceId = settings.deviceId;
+    }
+
+    toLayout() {
+        return {
+            name: this.name,
+            baudRate: this.baudRate,
+            serialOptions: this.serialOptions,
+            protocol: this.protocol,
+            frameFormat: this.frameFormat,
+            filters: this.filters,
+            stability: this.scale.stabilityOptions,
+            ingestion: this.ingestion,
+            port: this.savedPort,
+            deviceId: this.savedDeviceId
+        };
+    }
+
+    // Invalid values (e.g. from an old or hand-edited layout) keep the current options
+    setSerialOptions(options) {
+        try {
+            this.serialOptions = normalizeSerialOptions({ ...this.serialOptions, ...options });
+            return true;
+        } catch (error) {
+            this.log(`Ignoring port settings: ${error.message}`, 'warning');
+            return false;
+        }
+    }
+
+    // Applies on the next connect; unknown protocols (e.g. from a hand-edited layout) are ignored
+    setProtocol(protocol) {
+        if (!PROTOCOL_PROFILES[protocol]) {
+            this.log(`Ignoring unknown protocol '${protocol}'`, 'warning');
+            return false;
+        }
+        this.protocol = protocol;
+        return true;
+    }
+
+    // Applies on the next connect; invalid combinations keep the current format
+    setFrameFormat(changes) {
+        try {
+            this.frameFormat = normalizeFrameFormat({ ...this.frameFormat, ...changes });
+            return true;
+        } catch (error) {
+            this.log(`Ignoring framing: ${error.message}`, 'warning');
+            return false;
+        }
+    }
+
+    // What the port was opened with, or what the next connect will use
+    get portSettings() {
+        if ((this.isConnected || this.isLost) && this.scale.openOptions) {
+            return this.scale.openOptions;
+        }
+        return { baudRate: this.baudRate, ...this.serialOptions };
+    }
+
+    // Invalid chains (e.g. from an old or hand-edited layout) keep the current filters
+    setFilters(filters) {
+        try {
+            this.scale.setFilters(filters);
+            return true;
+        } catch (error) {
+            this.log(`Ignoring filter settings: ${error.message}`, 'warning');
+            return false;
+        }
+    }
+
+    setStability(options) {
+        try {
+            this.scale.setStability(options);
+            return true;
+        } catch (error) {
+            this.log(`Ignoring stability settings: ${error.message}`, 'warning');
+            return false;
+        }
+    }
+
+    setAssignedPort(port) {
+        this.assignedPort = port;
+        this.updateUI();
+    }
+
+    bindScaleEvents() {
+        this.scale.addEventListener('state', (e) => {
+            if (e.detail.state === 'lost') {
+                this.log('Connection lost - waiting for the device to reappear', 'warning');
+            }
+            this.updateUI();
+            
+            // Notify parent of state change
+            this.parent.onChannelStateChange();
+        });
+        this.scale.addEventListener('detect', (e) => {
+            const { attempt, index, total } = e.detail;
+            this.log(`Auto-detect ${index + 1}/${total}: ${describePortSettings(attempt.settings)} - ${attempt.ok ? `reply '${attempt.reply}'` : attempt.reason}`);
+        });
+        this.scale.addEventListener('reading', (e) => this.parent.renderLoop.measure(() => this.onReading(e.detail)));
+        this.scale.addEventListener('stability', () => this.parent.renderLoop.invalidate());
+        this.scale.addEventListener('settled', (e) => {
+            const { weight, change, timeToStable } = e.detail;
+            this.lastSettle = e.detail;
+            if (timeToStable !== null) {
+                this.log(`Settled at ${weight.toFixed(3)} (${change >= 0 ? '+' : ''}${change.toFixed(3)}) after ${timeToStable}ms`);
+            }
+        });
+        this.scale.addEventListener('weightStatus', (e) => {
+            const { status, error, line } = e.detail;
+            if (status === 'ok') {
+                this.log('Weight back in range');
+            } else {
+                this.log(`Scale reports ${status}${error ? ` (code ${error})` : ''}: '${line}'`, 'warning');
+            }
+            this.parent.renderLoop.invalidate();
+        });
+        this.scale.addEventListener('outage', (e) => {
+            const outage = e.detail;
+            if (outage.reconnected) {
+                this.log(`Reconnected after ${(outage.duration / 1000).toFixed(1)}s outage`);
+            }
+        });
+        this.scale.addEventListener('deviceInfo', (e) => {
+            const info = e.detail;
+            if (info.id) {
+                this.log(`Device ID: ${info.id}`);
+            }
+            this.updateUI();
+        });
+        this.scale.addEventListener('error', (e) => {
+            const { error, context } = e.detail;
+            if (context === 'stream') {
+                this.log(`Serial stream ended: ${error.message}`, 'warning');
+            } else {
+                this.log(`Error (${context}): ${error.message}`, 'error');
+                if (context === 'deviceInfo' && error.name === 'CommandTimeoutError') {
+                    this.log('The device did not answer - check the baud rate and framing, or use Auto-Detect', 'warning');
+                }
+            }
+        });
     }
 
     setUIElements(element) {
         this.uiElements = {
             card: element,
             connectBtn: element.querySelector('.connect-btn'),
+            detectBtn: element.querySelector('.detect-btn'),
             disconnectBtn: element.querySelector('.disconnect-btn'),
             startReadingBtn: element.querySelector('.start-reading-btn'),
             stopReadingBtn: element.querySelector('.stop-reading-btn'),
             statusValue: element.querySelector('.status-value'),
             deviceId: element.querySelector('.device-id'),
             currentWeight: element.querySelector('.current-weight'),
+            rawWeight: element.querySelector('.raw-weight'),
+            stabilityValue: element.querySelector('.stability-value'),
+            timeToStable: element.querySelector('.time-to-stable'),
+            unparseableLines: element.querySelector('.unparseable-lines'),
+            corruptedFrames: element.querySelector('.corrupted-frames'),
+            linkRx: element.querySelector('.link-rx'),
+            stabilityTolerance: element.querySelector('.channel-stability-tolerance'),
+            stabilityHold: element.querySelector('.channel-stability-hold'),
+            stabilityBand: element.querySelector('.channel-stability-band'),
             readingsPerSecond: element.querySelector('.readings-per-second'),
             totalReadings: element.querySelector('.total-readings'),
             avgLatency: element.querySelector('.avg-latency'),
+            title: element.querySelector('.channel-title'),
+            nameInput: element.querySelector('.channel-name-input'),
+            baudInput: element.querySelector('.channel-baud-input'),
+            ingestionInput: element.querySelector('.channel-ingestion-input'),
+            protocolInput: element.querySelector('.channel-protocol-input'),
+            framerInput: element.querySelector('.channel-framer-input'),
+            checksumInput: element.querySelector('.channel-checksum-input'),
+            dataBitsInput: element.querySelector('.channel-databits-input'),
+            parityInput: element.querySelector('.channel-parity-input'),
+            stopBitsInput: element.querySelector('.channel-stopbits-input'),
+            flowInput: element.querySelector('.channel-flow-input'),
+            bufferInput: element.querySelector('.channel-buffer-input'),
+            portSettings: element.querySelector('.port-settings'),
+            portInfo: element.querySelector('.port-info'),
             dataDisplay: element.querySelector(`#data-${this.id}`)
         };
-    }
-
-    createLineTransformStream() {
-        let buffer = '';
-        
-        return new TransformStream({
-            transform(chunk, controller) {
-                buffer += chunk;
-                const lines = buffer.split(/\r?\n/);
-                
-                // Keep the last line in buffer (it might be incomplete)
-                buffer = lines.pop() || '';
-                
-                // Enqueue complete lines
-                for (const line of lines) {
-                    if (line.trim()) {
-                        controller.enqueue(line);
-                    }
+        
+        this.uiElements.nameInput.value = this.name;
+        this.uiElements.baudInput.value = this.baudRate;
+        this.uiElements.ingestionInput.value = this.ingestion;
+        this.uiElements.protocolInput.value = this.protocol;
+        this.uiElements.framerInput.value = this.frameFormat.framer;
+        this.uiElements.checksumInput.value = this.frameFormat.checksum;
+        this.showStabilityOptions();
+        this.filterEditor = new FilterEditor(element.querySelector('.channel-filter-editor'), this.filters);
+        this.console = new SerialConsole(element.querySelector('.channel-console'), this.scale, {
+            renderLoop: this.parent.renderLoop,
+            storageKey: 'multichannel-test.console'
+        });
+        this.showSerialOptions();
+        
+        // Every settings change is persisted with the layout
+        this.uiElements.nameInput.addEventListener('change', (e) => {
+            this.name = e.target.value.trim() || `Channel ${this.id.split('_')[1]}`;
+            e.target.value = this.name;
+            this.parent.weightChart.renameSeries(this.id, this.name);
+            this.updateUI();
+            this.parent.saveLayout();
+        });
+        this.uiElements.baudInput.addEventListener('change', (e) => {
+            this.baudRate = parseInt(e.target.value) || this.baudRate;
+            e.target.value = this.baudRate;
+            this.updateUI();
+            this.parent.saveLayout();
+        });
+        this.filterEditor.addEventListener('change', (e) => {
+            if (this.setFilters(e.detail.filters)) {
+                this.log(`Filters: ${describeFilters(this.filters)}`);
+                this.parent.saveLayout();
+            }
+        });
+        this.uiElements.ingestionInput.addEventListener('change', (e) => {
+            if (this.setIngestion(e.target.value)) {
+                this.parent.saveLayout();
+            }
+            e.target.value = this.ingestion;
+            this.updateUI();
+        });
+        this.uiElements.protocolInput.addEventListener('change', (e) => {
+            if (this.setProtocol(e.target.value)) {
+                this.log(`Protocol: ${PROTOCOL_PROFILES[this.protocol].label}${this.isConnected ? ' (applies on the next connect)' : ''}`);
+                this.parent.saveLayout();
+            }
+            e.target.value = this.protocol;
+        });
+        const frameInputs = { framer: this.uiElements.framerInput, checksum: this.uiElements.checksumInput };
+        Object.entries(frameInputs).forEach(([key, input]) => {
+            input.addEventListener('change', (e) => {
+                if (this.setFrameFormat({ [key]: e.target.value })) {
+                    this.log(`Framing: ${formatFrameFormat(this.frameFormat)}${this.isConnected ? ' (applies on the next connect)' : ''}`);
+                    this.parent.saveLayout();
                 }
-            },
-            
-            flush(controller) {
-                // Enqueue any remaining data in buffer
-                if (buffer.trim()) {
-                    controller.enqueue(buffer);
+                e.target.value = this.frameFormat[key];
+            });
+        });
+        
+        const stabilityInputs = {
+            tolerance: this.uiElements.stabilityTolerance,
+            holdTime: this.uiElements.stabilityHold,
+            motionBand: this.uiElements.stabilityBand
+        };
+        Object.entries(stabilityInputs).forEach(([key, input]) => {
+            input.addEventListener('change', (e) => {
+                if (this.setStability({ [key]: e.target.value })) {
+                    this.parent.saveLayout();
                 }
-            }
+                this.showStabilityOptions();
+            });
+        });
+        
+        const serialInputs = {
+            dataBits: this.uiElements.dataBitsInput,
+            parity: this.uiElements.parityInput,
+            stopBits: this.uiElements.stopBitsInput,
+            flowControl: this.uiElements.flowInput,
+            bufferSize: this.uiElements.bufferInput
+        };
+        Object.entries(serialInputs).forEach(([key, input]) => {
+            input.addEventListener('change', (e) => {
+                this.setSerialOptions({ [key]: e.target.value });
+                this.showSerialOptions();
+                this.updateUI();
+                this.parent.saveLayout();
+            });
         });
+        
+        this.updateUI();
     }
 
-    async connect() {
+    showStabilityOptions() {
+        const options = this.scale.stabilityOptions;
+        this.uiElements.stabilityTolerance.value = options.tolerance;
+        this.uiElements.stabilityHold.value = options.holdTime;
+        this.uiElements.stabilityBand.value = options.motionBand;
+    }
+
+    showSerialOptions() {
+        this.uiElements.dataBitsInput.value = this.serialOptions.dataBits;
+        this.uiElements.parityInput.value = this.serialOptions.parity;
+        this.uiElements.stopBitsInput.value = this.serialOptions.stopBits;
+        this.uiElements.flowInput.value = this.serialOptions.flowControl;
+        this.uiElements.bufferInput.value = this.serialOptions.bufferSize;
+    }
+
+    // options.autoDetect: probe for the baud rate and framing instead of using this channel's settings
+    async connect(options = {}) {
         try {
-            console.log(`Attempting to connect ${this.name}...`);
-            
-            // Request port selection
-            this.port = await navigator.serial.requestPort();
-            
-            // Open port with configured baud rate
-            await this.port.open({ baudRate: this.baudRate });
+            console.log(`Attempting to ${options.autoDetect ? 'auto-detect and ' : ''}connect ${this.name}...`);
             
-            // Set up streams
-            const inputDone = this.port.readable.pipeTo(this.textDecoder.writable);
-            const outputDone = this.textEncoder.readable.pipeTo(this.port.writable);
+            // Use the parent's active backend and this channel's port settings
+            this.scale.portProvider = this.parent.portProvider;
+            this.scale.baudRate = this.baudRate;
+            this.scale.serialOptions = this.serialOptions;
+            this.scale.protocol = this.protocol;
+            this.scale.frameFormat = this.frameFormat;
             
-            // Create line processing stream
-            this.lineStream = this.createLineTransformStream();
-            this.textDecoder.readable.pipeTo(this.lineStream.writable);
-            
-            // Get line reader and writer
-            this.lineReader = this.lineStream.readable.getReader();
-            this.writer = this.textEncoder.writable.getWriter();
-            
-            this.isConnected = true;
-            this.updateUI();
+            // Prefer the remembered port, then any granted one nobody uses; the
+            // browser's port chooser is the last resort
+            const port = this.assignedPort || await this.parent.findUnusedPort(this);
+            await this.scale.connect(port || undefined, options);
             this.log('Successfully connected to serial device');
             
-            // Get device info
-            await this.getDeviceInfo();
+            if (this.scale.detection) {
+                // Keep the detected settings for the next connect and the saved layout
+                const { baudRate, ...serialOptions } = this.scale.detection.settings;
+                this.baudRate = baudRate;
+                this.setSerialOptions(serialOptions);
+                this.uiElements.baudInput.value = this.baudRate;
+                this.showSerialOptions();
+                this.log(`Detected ${describePortSettings(this.scale.detection.settings)} after ${this.scale.detection.attempts.length} attempt(s)`);
+            }
             
-            // Notify parent of state change
-            this.parent.onChannelStateChange();
+            if (this.savedDeviceId && this.deviceId && this.savedDeviceId !== this.deviceId) {
+                this.log(`Expected device ${this.savedDeviceId} but found ${this.deviceId}`, 'warning');
+            }
+            this.assignedPort = this.scale.port;
+            this.savedPort = getPortIdentity(this.scale.port);
+            this.savedDeviceId = this.deviceId || this.savedDeviceId;
+            this.parent.saveLayout();
+            this.updateUI();
             
         } catch (error) {
             if (error.name === 'NotFoundError') {
@@ -511,250 +1332,97 @@ class SerialChannel {
 
     async disconnect() {
         try {
-            if (this.isReading) {
-                await this.stopReading();
-            }
-            
-            if (this.lineReader) {
-                await this.lineReader.cancel();
-                await this.lineReader.releaseLock();
-                this.lineReader = null;
-            }
-            
-            if (this.writer) {
-                await this.writer.releaseLock();
-                this.writer = null;
-            }
-            
-            if (this.port) {
-                await this.port.close();
-                this.port = null;
-            }
-            
-            this.isConnected = false;
-            this.deviceId = null;
-            this.deviceCapacity = null;
-            this.deviceUnits = null;
-            this.updateUI();
-            
+            await this.scale.disconnect();
             this.log('Disconnected from serial device');
             
-            // Notify parent of state change
-            this.parent.onChannelStateChange();
-            
         } catch (error) {
             this.log(`Disconnect error: ${error.message}`, 'error');
         }
     }
 
-    async getDeviceInfo() {
-        try {
-            // Get device ID
-            const deviceId = await this.sendCommand('id');
-            this.deviceId = deviceId;
-            this.updateUI();
-            this.log(`Device ID: ${deviceId}`);
-            
-            // Get capacity
-            const capacity = await this.sendCommand('slc');
-            this.deviceCapacity = capacity;
-            
-            // Get units
-            const units = await this.sendCommand('units');
-            this.deviceUnits = units;
-            
-        } catch (error) {
-            this.log(`Error getting device info: ${error.message}`, 'error');
-            this.deviceId = 'Error';
-            this.updateUI();
-        }
-    }
-
-    async sendCommand(command) {
-        if (!this.writer) {
-            throw new Error('Writer not available');
-        }
-        
-        try {
-            await this.writer.write(command + '\r');
-            this.log(`Command sent: ${command}`, 'debug');
-            
-            // Read response
-            const response = await this.readResponse();
-            return response;
-            
-        } catch (error) {
-            this.log(`Error sending command ${command}: ${error.message}`, 'error');
-            throw error;
-        }
-    }
-
-    async readResponse() {
-        if (!this.lineReader) {
-            throw new Error('Line reader not available');
-        }
-        
-        try {
-            // Read one complete line for command response
-            const { value, done } = await this.lineReader.read();
-            if (done) {
-                console.warn("Stream closed unexpectedly.");
-                return null;
-            }
-            return value ? value.trim() : '';
-        } catch (error) {
-            this.log(`Error reading response: ${error.message}`, 'error');
-            throw error;
-        }
-    }
-
     async startReading() {
         if (!this.isConnected || this.isReading) return;
         
-        this.isReading = true;
-        this.updateUI();
         this.log('Starting continuous reading...');
-        
-        // Start continuous reading
-        await this.readWeightContinuous();
-    }
-
-    async stopReading() {
-        this.isReading = false;
-        this.updateUI();
-        
-        // Stop continuous reading by sending a command to stop
-        if (this.writer) {
-            try {
-                await this.sendCommand(''); // Send empty command or specific stop command
-                this.log('Stopped continuous weight reading');
-            } catch (error) {
-                this.log(`Error stopping continuous reading: ${error.message}`, 'error');
-            }
-        }
-        
-        this.log('Stopped reading');
-        
-        // Notify parent of state change
-        this.parent.onChannelStateChange();
-    }
-
-    async readWeightContinuous() {
         try {
-            // Send wc command to start continuous weight reading
-            await this.sendCommand('wc');
-            this.log('Started continuous weight reading with wc command');
-            
-            // Read complete lines using the line reader
-            while (this.isReading) {
-                const { value, done } = await this.lineReader.read();
-                
-                if (done) {
-                    this.log('Serial stream ended', 'warning');
-                    break;
-                }
-                
-                // Process complete line
-                if (value && value.trim()) {
-                    const weight = parseFloat(value.trim());
-                    if (!isNaN(weight)) {
-                        // Apply median filter to weight
-                        const filteredWeight = this.filterWithMedian(weight);
-                        
-                        // Process reading
-                        this.processReading(filteredWeight, 0); // Line processing latency is negligible
-                        
-                        // Update UI
-                        this.updateMetrics();
-                    }
-                }
-            }
-            
+            await this.scale.startReading('onread');
         } catch (error) {
-            this.log(`Error in readWeightContinuous: ${error.message}`, 'error');
-            
-            if (this.isReading) {
-                // Try to restart continuous reading
-                setTimeout(() => this.readWeightContinuous(), 100);
-            }
+            this.log(`Start reading error: ${error.message}`, 'error');
         }
     }
 
-    filterWithMedian(newWeight) {
-        this.weightWindow.push(newWeight);
-        if (this.weightWindow.length > this.windowSize) {
-            this.weightWindow.shift();
-        }
-        const sorted = [...this.weightWindow].sort((a, b) => a - b);
-        return sorted[Math.floor(sorted.length / 2)];
+    async stopReading() {
+        await this.scale.stopReading();
+        this.log('Stopped reading');
     }
 
-    processReading(weight, latency) {
-        const timestamp = Date.now();
-        
-        // Store reading data
-        this.metrics.readings.push({
-            weight,
-            latency,
-            timestamp
-        });
+    // Measurement side: record and buffer only, the card is updated by render()
+    onReading(reading) {
+        this.parent.recordReading(this, reading);
+        this.parent.weightChart.push(this.id, reading.timestamp, reading.rawWeight, reading.weight);
         
-        // Store latency for statistics
-        this.metrics.latencies.push(latency);
-        
-        // Track readings per second
-        this.metrics.readingsInLastSecond.push(timestamp);
+        this.latestReading = reading;
+        this.dataLog.push({ timestamp: reading.timestamp, weight: reading.weight, unit: reading.unit, readingsPerSecond: this.metrics.readingsPerSecond });
+        this.parent.renderLoop.invalidate();
+    }
+
+    render() {
+        if (!this.uiElements) return;
         
-        // Keep only last 1000 readings for performance
-        if (this.metrics.readings.length > 1000) {
-            this.metrics.readings.shift();
+        // Out of range, the last good weight is replaced by what the scale reports
+        const outOfRange = this.scale.weightStatus !== 'ok';
+        this.uiElements.currentWeight.className = outOfRange ? 'info-value current-weight out-of-range' : 'info-value current-weight';
+        if (outOfRange) {
+            this.uiElements.currentWeight.textContent = this.scale.weightStatus.toUpperCase();
+        } else if (this.latestReading) {
+            this.uiElements.currentWeight.textContent = this.latestReading.weight.toFixed(3);
         }
-        if (this.metrics.latencies.length > 1000) {
-            this.metrics.latencies.shift();
+        if (this.latestReading) {
+            this.uiElements.rawWeight.textContent = this.latestReading.rawWeight.toFixed(3);
         }
-        
-        // Update readings per second
-        this.updateReadingsPerSecond();
-        
-        // Update current weight display
-        if (this.uiElements) {
-            this.uiElements.currentWeight.textContent = weight.toFixed(3);
+        this.updateStability();
+        if (this.uiElements.dataDisplay) {
+            this.dataLog.flush(this.uiElements.dataDisplay);
         }
-        
-        // Log to data display
-        this.logData(`[${new Date(timestamp).toLocaleTimeString()}] Weight: ${weight.toFixed(3)}, RPS: ${this.metrics.readingsPerSecond}`);
+        this.console.render();
+        this.updateMetrics();
     }
 
-    updateReadingsPerSecond() {
-        const now = Date.now();
-        
-        // Remove readings older than 1 second
-        this.metrics.readingsInLastSecond = this.metrics.readingsInLastSecond.filter(
-            timestamp => now - timestamp < 1000
-        );
-        
-        // Update readings per second
-        this.metrics.readingsPerSecond = this.metrics.readingsInLastSecond.length;
+    updateStability() {
+        const value = this.uiElements.stabilityValue;
+        if (!this.isReading) {
+            value.textContent = '-';
+            value.className = 'info-value stability-value';
+        } else if (this.scale.isStable) {
+            value.textContent = 'Stable';
+            value.className = 'info-value stability-value stable';
+        } else {
+            value.textContent = 'In Motion';
+            value.className = 'info-value stability-value motion';
+        }
+        this.uiElements.timeToStable.textContent = this.lastSettle && this.lastSettle.timeToStable !== null
+            ? `${this.lastSettle.timeToStable} ms`
+            : '-';
     }
 
     updateMetrics() {
-        if (this.metrics.readings.length === 0) return;
-        
-        // Calculate latency statistics
-        const avgLatency = this.metrics.latencies.reduce((a, b) => a + b, 0) / this.metrics.latencies.length;
-        const minLatency = Math.min(...this.metrics.latencies);
-        const maxLatency = Math.max(...this.metrics.latencies);
-        
-        this.metrics.avgLatency = avgLatency;
-        this.metrics.minLatency = minLatency;
-        this.metrics.maxLatency = maxLatency;
-        this.metrics.totalReadings = this.metrics.readings.length;
-        
         // Update UI
         if (this.uiElements) {
             this.uiElements.readingsPerSecond.textContent = this.metrics.readingsPerSecond;
             this.uiElements.totalReadings.textContent = this.metrics.totalReadings;
-            this.uiElements.avgLatency.textContent = avgLatency.toFixed(1);
+            this.uiElements.avgLatency.textContent = this.metrics.getLatencyStats().avg.toFixed(1);
+            
+            const issues = this.metrics.lineIssues;
+            this.uiElements.unparseableLines.textContent = issues.unparseable;
+            this.uiElements.unparseableLines.title = `Overload ${issues.overload}, underload ${issues.underload}, device errors ${issues.error}`;
+            
+            const frames = this.metrics.frames;
+            this.uiElements.corruptedFrames.textContent = frames.corrupted;
+            this.uiElements.corruptedFrames.title = `${frames.received} frames: checksum ${frames.checksum}, encoding ${frames.encoding}, length ${frames.length}`;
+            
+            const link = this.scale.link.getCurrent();
+            this.uiElements.linkRx.textContent = `${formatByteRate(link.rxBytesPerSecond)} (${link.rxUtilization.toFixed(1)}%)`;
+            this.uiElements.linkRx.title = `TX ${formatByteRate(link.txBytesPerSecond)} (${link.txUtilization.toFixed(1)}%), avg read chunk ${link.avgChunkSize.toFixed(1)} bytes`;
         }
     }
 
@@ -762,13 +1430,19 @@ class SerialChannel {
         if (!this.uiElements) return;
         
         // Update button states
-        this.uiElements.connectBtn.disabled = this.isConnected;
-        this.uiElements.disconnectBtn.disabled = !this.isConnected;
+        this.uiElements.connectBtn.disabled = this.scale.state !== 'disconnected';
+        this.uiElements.detectBtn.disabled = this.scale.state !== 'disconnected';
+        this.uiElements.disconnectBtn.disabled = !this.isConnected && !this.isLost;
         this.uiElements.startReadingBtn.disabled = !this.isConnected || this.isReading;
-        this.uiElements.stopReadingBtn.disabled = !this.isReading;
+        this.uiElements.stopReadingBtn.disabled = !this.isReading && !(this.isLost && this.scale.resumeMethod);
+        this.uiElements.ingestionInput.disabled = this.scale.state !== 'disconnected';
         
         // Update status
-        if (this.isReading) {
+        if (this.isLost) {
+            this.uiElements.statusValue.textContent = 'Lost';
+            this.uiElements.statusValue.className = 'info-value status-value lost';
+            this.uiElements.card.className = 'channel-card lost';
+        } else if (this.isReading) {
             this.uiElements.statusValue.textContent = 'Reading';
             this.uiElements.statusValue.className = 'info-value status-value reading';
             this.uiElements.card.className = 'channel-card reading';
@@ -776,29 +1450,30 @@ class SerialChannel {
             this.uiElements.statusValue.textContent = 'Connected';
             this.uiElements.statusValue.className = 'info-value status-value connected';
             this.uiElements.card.className = 'channel-card connected';
+        } else if (this.scale.state === 'connecting') {
+            this.uiElements.statusValue.textContent = 'Connecting...';
+            this.uiElements.statusValue.className = 'info-value status-value connecting';
+            this.uiElements.card.className = 'channel-card';
         } else {
             this.uiElements.statusValue.textContent = 'Disconnected';
             this.uiElements.statusValue.className = 'info-value status-value disconnected';
             this.uiElements.card.className = 'channel-card';
         }
         
-        // Update device info
+        // Update device info and settings
         this.uiElements.deviceId.textContent = this.deviceId || '-';
+        this.uiElements.title.textContent = this.name;
+        this.uiElements.portSettings.textContent = describePortSettings(this.portSettings) +
+            (this.scale.detection && this.scale.isConnected ? ' (auto-detected)' : '');
+        this.uiElements.portInfo.textContent = this.savedPort
+            ? `${formatPortIdentity(this.savedPort)}${this.assignedPort ? '' : ' (not granted)'}`
+            : '-';
+        this.updateStability();
     }
 
     logData(message) {
-        if (this.uiElements && this.uiElements.dataDisplay) {
-            this.uiElements.dataDisplay.textContent += message + '\n';
-            
-            // Keep only last 50 lines
-            const lines = this.uiElements.dataDisplay.textContent.split('\n');
-            if (lines.length > 50) {
-                this.uiElements.dataDisplay.textContent = lines.slice(-50).join('\n');
-            }
-            
-            // Auto-scroll to bottom
-            this.uiElements.dataDisplay.scrollTop = this.uiElements.dataDisplay.scrollHeight;
-        }
+        this.dataLog.push(message);
+        this.parent.renderLoop.invalidate();
     }
 
     log(message, type = 'info') {
@@ -823,33 +1498,63 @@ class SerialChannel {
         this.logData(logMessage);
     }
 
-    clearData() {
-        this.metrics.readings = [];
-        this.metrics.latencies = [];
-        this.metrics.readingsInLastSecond = [];
-        this.metrics.readingsPerSecond = 0;
-        this.weightWindow = [];
-        
-        if (this.uiElements && this.uiElements.dataDisplay) {
-            this.uiElements.dataDisplay.textContent = '';
+    // A worker channel answers asynchronously
+    async getFinalStats(duration) {
+        try {
+            return await this.scale.getRunStats(duration);
+        } catch (error) {
+            this.log(`Error getting final statistics: ${error.message}`, 'error');
+            return null;
         }
+    }
+
+    logOutages() {
+        const outages = this.scale.outages;
+        if (outages.length === 0) return;
         
-        this.updateMetrics();
+        const now = Date.now();
+        const downtime = outages.reduce((sum, outage) => sum + ((outage.end || now) - outage.start), 0);
+        this.log(`Connection outages: ${outages.length}, total downtime ${(downtime / 1000).toFixed(1)}s`, 'warning');
+        
+        outages.forEach((outage, index) => {
+            const duration = ((outage.end || now) - outage.start) / 1000;
+            const result = outage.end === null ? 'still lost' : outage.reconnected ? 'reconnected' : 'abandoned';
+            this.log(`  #${index + 1} at ${new Date(outage.start).toLocaleTimeString()}: ${duration.toFixed(1)}s, ${result} (${outage.reason})`, 'warning');
+        });
+    }
+
+    clearData() {
+        this.scale.resetMetrics();
+        this.latestReading = null;
+        this.lastSettle = null;
+        this.dataLog.clear();
+        this.parent.renderLoop.invalidate();
+    }
+
+    // The channel is being removed: close the port and end its worker, if any
+    async dispose() {
+        await this.disconnect();
+        if (this.scale.terminate) {
+            this.scale.terminate();
+        }
     }
 
     async refreshDeviceInfo() {
-        if (this.isConnected) {
-            await this.getDeviceInfo();
+        if (!this.isConnected) return;
+        
+        try {
+            await this.scale.refreshDeviceInfo();
+        } catch (error) {
+            this.log(`Error getting device info: ${error.message}`, 'error');
         }
     }
 }
 
 // Initialize the application when the page loads
 document.addEventListener('DOMContentLoaded', () => {
-    // Check if Web Serial API is supported
+    // Without Web Serial the page still runs against simulated scales
     if (!navigator.serial) {
-        alert('Web Serial API is not supported in this browser. Please use Chrome or Edge.');
-        return;
+        console.warn('Web Serial API is not supported in this browser. Only simulated scales are available.');
     }
     
     // Create and initialize the multi-channel test application
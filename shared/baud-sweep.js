@@ -0,0 +1,187 @@
+// Automated baud-rate sweep: runs the performance test on one connected
+// ScaleConnection at each selected baud rate (and optionally each reading
+// method) and collects throughput and latency per step. Between rates the
+// device can be told to switch with a rate command such as 'baud {rate}';
+// without one the port is just reopened, which suits auto-bauding devices.
+//
+// Events:
+//   step     - detail: step result (see runStep), after every step
+//   progress - detail: { index, total, baudRate, method }, before every step
+
+import { describePortSettings } from './serial-options.js';
+
+export class BaudSweep extends EventTarget {
+    // options: { baudRates, methods, duration (s), maxReadings, rateCommand, settleTime (ms) }
+    constructor(scale, options = {}) {
+        super();
+        this.scale = scale;
+        this.baudRates = options.baudRates || [scale.baudRate];
+        this.methods = options.methods || [scale.method];
+        this.duration = options.duration || 10;
+        this.maxReadings = options.maxReadings || Infinity;
+        this.rateCommand = options.rateCommand || '';
+        this.settleTime = options.settleTime !== undefined ? options.settleTime : 100;
+
+        this.port = null;
+        this.steps = [];
+        this.isRunning = false;
+        this.stopRequested = false;
+        this.wakeStep = null;
+    }
+
+    get total() {
+        return this.baudRates.length * this.methods.length;
+    }
+
+    // Resolves with every step result; the connection is left at the original rate
+    async run() {
+        if (this.isRunning) return this.steps;
+        if (!this.scale.isConnected) {
+            throw new Error('Connect to the device before starting a sweep');
+        }
+
+        this.isRunning = true;
+        this.stopRequested = false;
+        this.steps = [];
+        this.port = this.scale.port; // Kept so a step that fails to reconnect doesn't end the sweep
+        const originalRate = this.scale.openOptions.baudRate;
+
+        try {
+            for (const baudRate of this.baudRates) {
+                for (const method of this.methods) {
+                    if (this.stopRequested) return this.steps;
+
+                    this.dispatchEvent(new CustomEvent('progress', {
+                        detail: { index: this.steps.length, total: this.total, baudRate, method }
+                    }));
+                    const step = await this.runStep(baudRate, method);
+                    this.steps.push(step);
+                    this.dispatchEvent(new CustomEvent('step', { detail: step }));
+                }
+            }
+            return this.steps;
+        } finally {
+            if (this.scale.isReading) {
+                await this.scale.stopReading();
+            }
+            try {
+                await this.switchRate(originalRate);
+            } catch (error) {
+                // The device stays at the last rate; the caller sees the connection state
+            }
+            this.isRunning = false;
+        }
+    }
+
+    stop() {
+        this.stopRequested = true;
+        if (this.wakeStep) {
+            this.wakeStep();
+        }
+    }
+
+    async runStep(baudRate, method) {
+        const step = {
+            baudRate,
+            method,
+            portSettings: null,
+            ok: false,
+            error: null,
+            duration: 0,
+            totalReadings: 0,
+            readingsPerSecond: 0,
+            linkUtilization: 0, // Percent of the baud rate used by received bytes
+            bytesPerReading: 0,
+            avgLatency: 0,
+            p50: 0,
+            p95: 0,
+            p99: 0,
+            maxLatency: 0
+        };
+
+        try {
+            await this.switchRate(baudRate);
+            step.portSettings = describePortSettings(this.scale.openOptions);
+
+            this.scale.resetMetrics();
+            const startTime = performance.now();
+            await this.scale.startReading(method);
+            await this.waitForStepEnd();
+            await this.scale.stopReading();
+
+            const duration = (performance.now() - startTime) / 1000;
+            const summary = this.scale.metrics.getSummary(duration);
+            const link = this.scale.link.getSummary(duration, summary.totalReadings);
+            Object.assign(step, {
+                ok: summary.totalReadings > 0,
+                error: summary.totalReadings > 0 ? null : 'no readings',
+                duration: summary.duration,
+                totalReadings: summary.totalReadings,
+                readingsPerSecond: summary.avgReadingsPerSecond,
+                linkUtilization: link.rxUtilization,
+                bytesPerReading: link.bytesPerReading,
+                avgLatency: summary.avgLatency,
+                p50: summary.p50,
+                p95: summary.p95,
+                p99: summary.p99,
+                maxLatency: summary.maxLatency
+            });
+        } catch (error) {
+            step.error = error.message;
+        }
+        return step;
+    }
+
+    // Ends after the step duration, at maxReadings, on stop() or when the connection drops
+    waitForStepEnd() {
+        return new Promise(resolve => {
+            const deadline = performance.now() + this.duration * 1000;
+            const check = () => {
+                if (this.stopRequested || !this.scale.isReading || performance.now() >= deadline ||
+                    this.scale.metrics.totalReadings >= this.maxReadings) {
+                    clearInterval(timer);
+                    this.wakeStep = null;
+                    resolve();
+                }
+            };
+            const timer = setInterval(check, 20);
+            this.wakeStep = check;
+        });
+    }
+
+    // Reopen the port at baudRate, first asking the device to follow if a rate command is set
+    async switchRate(baudRate) {
+        const scale = this.scale;
+        if (scale.isConnected && scale.openOptions.baudRate === baudRate) return;
+
+        if (this.rateCommand && scale.isConnected) {
+            await scale.sendCommand(this.rateCommand.replace('{rate}', baudRate));
+        }
+
+        await scale.disconnect();
+        scale.baudRate = baudRate;
+        await scale.connect(this.port);
+
+        if (this.settleTime > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.settleTime));
+        }
+        // A protocol without an id command can't be asked; the step's readings show whether the rate works
+        if (scale.profile.deviceInfo.id && !scale.deviceInfo.id) {
+            throw new Error(`No reply from the device at ${baudRate} baud`);
+        }
+    }
+}
+
+// Successful steps grouped by method, in baud-rate order, for plotting
+export function getSweepCurves(steps) {
+    const curves = {};
+    for (const step of steps) {
+        if (!step.ok) continue;
+        (curves[step.method] = curves[step.method] || []).push({
+            baudRate: step.baudRate,
+            readingsPerSecond: step.readingsPerSecond
+        });
+    }
+    Object.values(curves).forEach(points => points.sort((a, b) => a.baudRate - b.baudRate));
+    return curves;
+}
@@ -0,0 +1,284 @@
+// Command/response multiplexer for the scale's line protocol. A single pump
+// reads every line off the port: replies are matched to the in-flight command,
+// streamed weight lines go to onStreamLine, and anything else is reported as
+// unsolicited. Commands are queued and run one at a time with a timeout and
+// retries, so tare, info refresh and wc streaming can share one connection.
+
+export class SerialCommandError extends Error {
+    constructor(message, command) {
+        super(message);
+        this.name = 'SerialCommandError';
+        this.command = command;
+    }
+}
+
+export class CommandTimeoutError extends SerialCommandError {
+    constructor(command, timeout, attempts = 1) {
+        super(`No reply to '${command}' after ${attempts} attempt${attempts > 1 ? 's' : ''} (${timeout}ms each)`, command);
+        this.name = 'CommandTimeoutError';
+        this.timeout = timeout;
+        this.attempts = attempts;
+    }
+}
+
+export class CommandRejectedError extends SerialCommandError {
+    constructor(command, reply) {
+        super(`Device rejected '${command}': ${reply}`, command);
+        this.name = 'CommandRejectedError';
+        this.reply = reply;
+    }
+}
+
+export class ChannelClosedError extends SerialCommandError {
+    constructor(command, reason) {
+        super(`Channel closed${command !== null ? ` while sending '${command}'` : ''}: ${reason}`, command);
+        this.name = 'ChannelClosedError';
+    }
+}
+
+// Reply shape of each scale command:
+//   text   - a non-numeric line (IDs, units, OK acknowledgements)
+//   number - a weight line; indistinguishable from streamed weights
+//   none   - no reply is sent
+// A spec may also give match, a RegExp the reply line must match instead of
+// the text/number check (for protocols whose replies echo the command).
+// Other protocols' command sets are in protocol-profiles.js.
+export const SCALE_COMMANDS = {
+    id: { reply: 'text' },
+    slc: { reply: 'number' },
+    units: { reply: 'text' },
+    w: { reply: 'number' },
+    wc: { reply: 'none', startsStream: true },
+    ct0: { reply: 'text' },
+    '': { reply: 'text', stopsStream: true } // Empty command stops wc streaming
+};
+
+export function isNumericLine(line) {
+    return !isNaN(parseFloat(line));
+}
+
+export class CommandChannel {
+    constructor(options) {
+        // I/O: readLine() resolves the next line (null when the stream ends), write() sends text.
+        // rawWrite puts text on the port exactly as given, outside the queue; write() below
+        // is the one way to use it.
+        this.readLine = options.readLine;
+        this.rawWrite = options.write;
+        this.terminator = options.terminator !== undefined ? options.terminator : '\r'; // '' for framed commands
+        this.commands = options.commands || SCALE_COMMANDS;
+        this.isStreamLine = options.isStreamLine || isNumericLine;
+        this.isErrorLine = options.isErrorLine || (line => /^ERR/i.test(line));
+
+        // Defaults applied to every command unless overridden per send()
+        this.timeout = options.timeout || 1000;
+        this.retries = options.retries !== undefined ? options.retries : 1;
+
+        // Callbacks
+        this.onStreamLine = options.onStreamLine || (() => {});
+        this.onUnsolicitedLine = options.onUnsolicitedLine || (() => {});
+        this.onClose = options.onClose || (() => {});
+
+        this.streamStartCommand = Object.keys(this.commands).find(name => this.commands[name].startsStream);
+        this.streamStopCommand = Object.keys(this.commands).find(name => this.commands[name].stopsStream);
+
+        // State
+        this.queue = [];
+        this.active = null;
+        this.isProcessing = false;
+        this.isStreaming = false;
+        this.isClosed = false;
+        this.pumpDone = null;
+    }
+
+    start() {
+        this.pumpDone = this.pump();
+        return this.pumpDone;
+    }
+
+    async pump() {
+        try {
+            while (!this.isClosed) {
+                const line = await this.readLine();
+                if (line === null) {
+                    this.close(new Error('Serial stream ended'));
+                    break;
+                }
+                if (line) {
+                    this.dispatch(line);
+                }
+            }
+        } catch (error) {
+            this.close(error);
+        }
+    }
+
+    dispatch(line) {
+        const active = this.active;
+        if (active && this.isReplyLine(active.spec, line)) {
+            this.settle(active, line);
+        } else if (this.isStreaming && this.isStreamLine(line)) {
+            this.onStreamLine(line);
+        } else {
+            this.onUnsolicitedLine(line);
+        }
+    }
+
+    isReplyLine(spec, line) {
+        // A device error can be part of the stream too ('ERR' for the scale, 'S I' in MT-SICS)
+        const streamed = this.isStreaming && this.isStreamLine(line);
+        if (this.isErrorLine(line) && !streamed) return true;
+        if (spec.match) return spec.match.test(line);
+
+        switch (spec.reply) {
+            case 'number':
+                return this.isStreamLine(line);
+            case 'any':
+                return true;
+            default:
+                // A streamed status line ('OL', 'E12') is no number but no reply either
+                return !isNumericLine(line) && !streamed;
+        }
+    }
+
+    // Queue a command; resolves with its reply line (null for commands without a reply)
+    send(command, options = {}) {
+        if (this.isClosed) {
+            return Promise.reject(new ChannelClosedError(command, 'not connected'));
+        }
+
+        const spec = { reply: 'text', ...this.commands[command], ...options };
+        return new Promise((resolve, reject) => {
+            this.queue.push({ command, spec, resolve, reject });
+            this.processQueue();
+        });
+    }
+
+    async processQueue() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        while (this.queue.length > 0) {
+            const request = this.queue.shift();
+            try {
+                request.resolve(await this.run(request.command, request.spec));
+            } catch (error) {
+                request.reject(error);
+            }
+        }
+
+        this.isProcessing = false;
+    }
+
+    // Numeric replies can't be told apart from streamed weights, so pause the stream around them
+    async run(command, spec) {
+        const mustPause = this.isStreaming && spec.reply === 'number' &&
+            this.streamStopCommand !== undefined && this.streamStartCommand !== undefined;
+
+        if (!mustPause) {
+            return this.execute(command, spec);
+        }
+
+        await this.execute(this.streamStopCommand, this.commands[this.streamStopCommand]);
+        try {
+            return await this.execute(command, spec);
+        } finally {
+            await this.execute(this.streamStartCommand, this.commands[this.streamStartCommand]);
+        }
+    }
+
+    async execute(command, spec) {
+        if (this.isClosed) {
+            throw new ChannelClosedError(command, 'not connected');
+        }
+
+        if (spec.reply === 'none') {
+            await this.write(command);
+            this.applyStreamState(spec);
+            return null;
+        }
+
+        const timeout = spec.timeout || this.timeout;
+        const retries = spec.retries !== undefined ? spec.retries : this.retries;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const reply = await this.attempt(command, spec, timeout);
+                this.applyStreamState(spec);
+                return reply;
+            } catch (error) {
+                if (!(error instanceof CommandTimeoutError)) throw error;
+                if (attempt > retries) {
+                    throw new CommandTimeoutError(command, timeout, attempt);
+                }
+            }
+        }
+    }
+
+    attempt(command, spec, timeout) {
+        return new Promise((resolve, reject) => {
+            const active = { command, spec, resolve, reject, timer: null };
+
+            active.timer = setTimeout(() => {
+                if (this.active === active) {
+                    this.active = null;
+                }
+                reject(new CommandTimeoutError(command, timeout));
+            }, timeout);
+
+            this.active = active;
+            this.write(command).catch(error => {
+                clearTimeout(active.timer);
+                if (this.active === active) {
+                    this.active = null;
+                }
+                reject(error);
+            });
+        });
+    }
+
+    settle(active, line) {
+        clearTimeout(active.timer);
+        this.active = null;
+
+        if (this.isErrorLine(line)) {
+            active.reject(new CommandRejectedError(active.command, line));
+        } else {
+            active.resolve(line);
+        }
+    }
+
+    // For devices that stream without being asked: route their lines to onStreamLine or not
+    setStreaming(streaming) {
+        this.isStreaming = streaming && !this.isClosed;
+    }
+
+    applyStreamState(spec) {
+        if (spec.startsStream) this.isStreaming = true;
+        if (spec.stopsStream) this.isStreaming = false;
+    }
+
+    // Sends a line outside the queue, ended by the protocol's terminator unless another is given
+    write(command, terminator = this.terminator) {
+        return this.rawWrite(command + terminator);
+    }
+
+    // Reject everything pending. reason is the error that ended the stream, or
+    // undefined when the page closes the channel itself.
+    close(reason) {
+        if (this.isClosed) return;
+        this.isClosed = true;
+        this.isStreaming = false;
+
+        const message = reason ? reason.message : 'disconnected';
+        if (this.active) {
+            clearTimeout(this.active.timer);
+            this.active.reject(new ChannelClosedError(this.active.command, message));
+            this.active = null;
+        }
+        this.queue.splice(0).forEach(request => {
+            request.reject(new ChannelClosedError(request.command, message));
+        });
+
+        this.onClose(reason);
+    }
+}
@@ -0,0 +1,222 @@
+// Round-trip echo benchmark: sends timestamped probe lines to a device or
+// loopback adapter that echoes them back and measures how long each takes to
+// return. Reading latency can't show this: streamed weights have no request
+// to time against, and polls include the command queue. Probes bypass the
+// queue (ScaleConnection.writeLine), but not each other, so a rate beyond
+// what the link carries shows up as growing round-trip times. Each payload
+// size is one step, giving the latency/throughput tradeoff of larger records.
+//
+// Events:
+//   step     - detail: step result (see runStep), after every payload size
+//   progress - detail: { index, total, payloadSize }, before every payload size
+
+import { ReadingMetrics } from './metrics.js';
+
+// 'P<id>,<sent ms>,' followed by padding up to the payload size. The header
+// grows with the id and the page's uptime; 24 bytes hold it for a billion
+// probes within a day of the page loading.
+export const MIN_PROBE_SIZE = 24;
+
+// Throws RangeError when the header alone is longer than payloadSize
+export function formatProbe(id, sentAt, payloadSize) {
+    const header = `P${id},${sentAt.toFixed(3)},`;
+    if (header.length > payloadSize) {
+        throw new RangeError(`Probe header '${header}' does not fit in ${payloadSize} bytes`);
+    }
+    let padding = '';
+    for (let i = header.length; i < payloadSize; i++) {
+        padding += String.fromCharCode(97 + (id + i) % 26);
+    }
+    return header + padding;
+}
+
+// { id, sentAt } of a probe line, or null for anything else
+export function parseProbe(line) {
+    const match = /^P(\d+),(\d+\.\d{3}),/.exec(line);
+    if (!match) return null;
+    return { id: parseInt(match[1], 10), sentAt: parseFloat(match[2]) };
+}
+
+// Distribution of round-trip times in ms; jitter is the mean difference
+// between consecutive round trips
+export function summarizeRoundTrips(rtts) {
+    const sorted = [...rtts].sort((a, b) => a - b);
+    let jitter = 0;
+    for (let i = 1; i < rtts.length; i++) {
+        jitter += Math.abs(rtts[i] - rtts[i - 1]);
+    }
+    return {
+        min: sorted.length > 0 ? sorted[0] : 0,
+        avg: rtts.length > 0 ? rtts.reduce((sum, rtt) => sum + rtt, 0) / rtts.length : 0,
+        p50: ReadingMetrics.percentile(sorted, 0.5),
+        p95: ReadingMetrics.percentile(sorted, 0.95),
+        p99: ReadingMetrics.percentile(sorted, 0.99),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+        jitter: rtts.length > 1 ? jitter / (rtts.length - 1) : 0
+    };
+}
+
+export class EchoTest extends EventTarget {
+    // options: { payloadSizes (bytes per probe, without line ending), rate (probes/s),
+    // count (probes per size), timeout (ms a probe may take) }; throws RangeError when invalid
+    constructor(scale, options = {}) {
+        super();
+        this.scale = scale;
+        this.payloadSizes = options.payloadSizes || [32];
+        this.rate = options.rate || 50;
+        this.count = options.count || 100;
+        this.timeout = options.timeout || 1000;
+
+        if (this.payloadSizes.length === 0 || this.payloadSizes.some(size => !Number.isInteger(size) || size < MIN_PROBE_SIZE)) {
+            throw new RangeError(`Payload sizes must be whole numbers of at least ${MIN_PROBE_SIZE} bytes (got ${this.payloadSizes.join(', ')})`);
+        }
+        if (!(this.rate > 0) || !(this.count > 0) || !(this.timeout > 0)) {
+            throw new RangeError('Probe rate, count and timeout must be positive');
+        }
+
+        this.steps = [];
+        this.isRunning = false;
+        this.stopRequested = false;
+        this.nextId = 0;
+        this.current = null; // The step being measured: { step, pending, rtts, wake }
+    }
+
+    get total() {
+        return this.payloadSizes.length;
+    }
+
+    // Resolves with every step result. The device must only echo, so reading has to be stopped.
+    async run() {
+        if (this.isRunning) return this.steps;
+        if (!this.scale.isConnected) {
+            throw new Error('Connect to the device before starting an echo test');
+        }
+        if (this.scale.isReading) {
+            throw new Error('Stop reading before an echo test');
+        }
+
+        this.isRunning = true;
+        this.stopRequested = false;
+        this.steps = [];
+        this.scale.setLineListener((line, receivedAt) => this.handleLine(line, receivedAt));
+
+        try {
+            for (const payloadSize of this.payloadSizes) {
+                if (this.stopRequested) break;
+
+                this.dispatchEvent(new CustomEvent('progress', {
+                    detail: { index: this.steps.length, total: this.total, payloadSize }
+                }));
+                const step = await this.runStep(payloadSize);
+                this.steps.push(step);
+                this.dispatchEvent(new CustomEvent('step', { detail: step }));
+            }
+            return this.steps;
+        } finally {
+            this.scale.setLineListener(null);
+            this.isRunning = false;
+        }
+    }
+
+    // Ends after the current step's outstanding probes have returned or timed out
+    stop() {
+        this.stopRequested = true;
+    }
+
+    async runStep(payloadSize) {
+        const step = {
+            payloadSize,
+            sent: 0,
+            received: 0,
+            timeouts: 0,
+            corrupted: 0,  // Came back with the right id but different content
+            duration: 0,
+            throughput: 0, // Payload bytes echoed per second
+            min: 0,
+            avg: 0,
+            p50: 0,
+            p95: 0,
+            p99: 0,
+            max: 0,
+            jitter: 0,
+            error: null
+        };
+        const current = { step, pending: new Map(), rtts: [], wake: null };
+        this.current = current;
+
+        const startTime = performance.now();
+        await new Promise(resolve => {
+            current.wake = () => {
+                const sendingDone = step.sent >= this.count || this.stopRequested || step.error !== null;
+                if (sendingDone && current.pending.size === 0) {
+                    clearInterval(sender);
+                    resolve();
+                }
+            };
+            const sender = setInterval(() => {
+                const due = Math.min(this.count, Math.floor((performance.now() - startTime) / 1000 * this.rate));
+                while (step.sent < due && !this.stopRequested && step.error === null) {
+                    this.sendProbe(current, payloadSize);
+                }
+                current.wake();
+            }, 5);
+        });
+        this.current = null;
+
+        step.duration = (performance.now() - startTime) / 1000;
+        step.throughput = step.duration > 0 ? step.received * payloadSize / step.duration : 0;
+        return Object.assign(step, summarizeRoundTrips(current.rtts));
+    }
+
+    sendProbe(current, payloadSize) {
+        const id = this.nextId++;
+        const sentAt = performance.now();
+        let text;
+        try {
+            text = formatProbe(id, sentAt, payloadSize);
+        } catch (error) {
+            // Ends the step like a failed write would
+            current.step.error = error.message;
+            current.wake();
+            return;
+        }
+        const probe = {
+            text,
+            sentAt,
+            timer: setTimeout(() => {
+                current.pending.delete(id);
+                current.step.timeouts++;
+                current.wake();
+            }, this.timeout)
+        };
+        current.pending.set(id, probe);
+        current.step.sent++;
+
+        this.scale.writeLine(text).catch(error => {
+            clearTimeout(probe.timer);
+            current.pending.delete(id);
+            if (current.step.error === null) {
+                current.step.error = error.message;
+            }
+            current.wake();
+        });
+    }
+
+    // Echoes of probes that already timed out, and anything else, are ignored
+    handleLine(line, receivedAt) {
+        const current = this.current;
+        const echo = current ? parseProbe(line) : null;
+        const probe = echo ? current.pending.get(echo.id) : null;
+        if (!probe) return;
+
+        clearTimeout(probe.timer);
+        current.pending.delete(echo.id);
+        if (line === probe.text) {
+            current.step.received++;
+            current.rtts.push(receivedAt - probe.sentAt);
+        } else {
+            current.step.corrupted++;
+        }
+        current.wake();
+    }
+}
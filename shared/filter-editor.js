@@ -0,0 +1,146 @@
+// Form for a filter chain (see filters.js): one row per stage with its type,
+// parameters and move/remove buttons, plus the chain's step response so
+// smoothing can be traded against lag. Dispatches 'change' with
+// detail { filters } whenever the user edits a valid chain.
+
+import { FILTER_TYPES, DEFAULT_FILTERS, normalizeFilters, measureStepResponse } from './filters.js';
+
+export class FilterEditor extends EventTarget {
+    // container: element the editor is built in (its contents are replaced)
+    constructor(container, filters = DEFAULT_FILTERS) {
+        super();
+        this.container = container;
+        this.filters = normalizeFilters(filters);
+        this.disabled = false;
+        this.render();
+    }
+
+    getFilters() {
+        return this.filters.map(spec => ({ ...spec }));
+    }
+
+    // Show a chain set elsewhere (e.g. restored from a layout) without a 'change' event
+    setFilters(filters) {
+        this.filters = normalizeFilters(filters);
+        this.render();
+    }
+
+    setDisabled(disabled) {
+        this.disabled = disabled;
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        this.filters.forEach((spec, index) => this.container.appendChild(this.renderStage(spec, index)));
+
+        const footer = document.createElement('div');
+        footer.className = 'filter-footer';
+        const addSelect = document.createElement('select');
+        addSelect.className = 'filter-add';
+        addSelect.disabled = this.disabled;
+        addSelect.appendChild(this.createOption('', '+ Add filter'));
+        Object.entries(FILTER_TYPES).forEach(([type, { label }]) => addSelect.appendChild(this.createOption(type, label)));
+        addSelect.addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            this.update([...this.filters, { type: e.target.value }]);
+        });
+        footer.appendChild(addSelect);
+
+        this.response = document.createElement('span');
+        this.response.className = 'filter-response';
+        footer.appendChild(this.response);
+        this.container.appendChild(footer);
+
+        this.showResponse();
+    }
+
+    renderStage(spec, index) {
+        const row = document.createElement('div');
+        row.className = 'filter-stage';
+
+        const typeSelect = document.createElement('select');
+        typeSelect.disabled = this.disabled;
+        Object.entries(FILTER_TYPES).forEach(([type, { label }]) => typeSelect.appendChild(this.createOption(type, label)));
+        typeSelect.value = spec.type;
+        typeSelect.addEventListener('change', (e) => this.updateStage(index, { type: e.target.value }));
+        row.appendChild(typeSelect);
+
+        Object.entries(FILTER_TYPES[spec.type].params).forEach(([key, param]) => {
+            const label = document.createElement('label');
+            label.textContent = param.label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            input.value = spec[key];
+            input.disabled = this.disabled;
+            input.addEventListener('change', (e) => this.updateStage(index, { ...spec, [key]: e.target.value }));
+            label.appendChild(input);
+            row.appendChild(label);
+        });
+
+        [['↑', index - 1], ['↓', index + 1]].forEach(([text, target]) => {
+            const button = this.createButton(text, () => this.moveStage(index, target));
+            button.disabled = this.disabled || target < 0 || target >= this.filters.length;
+            row.appendChild(button);
+        });
+        row.appendChild(this.createButton('×', () => this.update(this.filters.filter((stage, i) => i !== index))));
+        return row;
+    }
+
+    createOption(value, text) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        return option;
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn filter-btn';
+        button.textContent = text;
+        button.disabled = this.disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    updateStage(index, spec) {
+        this.update(this.filters.map((stage, i) => i === index ? spec : stage));
+    }
+
+    moveStage(from, to) {
+        const filters = [...this.filters];
+        const [stage] = filters.splice(from, 1);
+        filters.splice(to, 0, stage);
+        this.update(filters);
+    }
+
+    // Invalid values (e.g. a window of 0) are reported and the chain is left as it was
+    update(filters) {
+        try {
+            this.filters = normalizeFilters(filters);
+        } catch (error) {
+            this.render();
+            this.response.textContent = error.message;
+            this.response.className = 'filter-response error';
+            return;
+        }
+        this.render();
+        this.dispatchEvent(new CustomEvent('change', { detail: { filters: this.getFilters() } }));
+    }
+
+    showResponse() {
+        if (this.filters.length === 0) {
+            this.response.textContent = 'Unfiltered';
+            return;
+        }
+        const samples = measureStepResponse(this.filters);
+        this.response.textContent = samples === null
+            ? 'Step response: does not settle within 1000 readings'
+            : `Step response: 90% after ${samples} reading${samples === 1 ? '' : 's'}`;
+    }
+}
@@ -0,0 +1,249 @@
+// Reading filters. A channel's filter is a chain of stages, each described by
+// a plain spec such as { type: 'median', windowSize: 5 }, so chains can be
+// saved with a layout, recorded with a test run and sent to a worker. Every
+// stage has push(value) -> filtered value and reset().
+
+export class MedianFilter {
+    constructor(windowSize = 5) {
+        this.windowSize = windowSize;
+        this.window = [];
+    }
+
+    push(value) {
+        this.window.push(value);
+        if (this.window.length > this.windowSize) {
+            this.window.shift();
+        }
+        const sorted = [...this.window].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    reset() {
+        this.window = [];
+    }
+}
+
+export class MovingAverageFilter {
+    constructor(windowSize = 5) {
+        this.windowSize = windowSize;
+        this.reset();
+    }
+
+    push(value) {
+        this.window.push(value);
+        this.sum += value;
+        if (this.window.length > this.windowSize) {
+            this.sum -= this.window.shift();
+        }
+        return this.sum / this.window.length;
+    }
+
+    reset() {
+        this.window = [];
+        this.sum = 0;
+    }
+}
+
+// First-order low-pass: alpha near 1 follows the input, near 0 smooths hard
+export class ExponentialFilter {
+    constructor(alpha = 0.3) {
+        this.alpha = alpha;
+        this.value = null;
+    }
+
+    push(value) {
+        this.value = this.value === null ? value : this.value + this.alpha * (value - this.value);
+        return this.value;
+    }
+
+    reset() {
+        this.value = null;
+    }
+}
+
+// One-dimensional Kalman filter for a weight that is constant apart from
+// processNoise per reading, measured with measurementNoise variance
+export class KalmanFilter {
+    constructor(processNoise = 0.01, measurementNoise = 1) {
+        this.processNoise = processNoise;
+        this.measurementNoise = measurementNoise;
+        this.reset();
+    }
+
+    push(value) {
+        if (this.estimate === null) {
+            this.estimate = value;
+            this.errorCovariance = this.measurementNoise;
+            return value;
+        }
+
+        const predicted = this.errorCovariance + this.processNoise;
+        const gain = predicted / (predicted + this.measurementNoise);
+        this.estimate += gain * (value - this.estimate);
+        this.errorCovariance = (1 - gain) * predicted;
+        return this.estimate;
+    }
+
+    reset() {
+        this.estimate = null;
+        this.errorCovariance = 0;
+    }
+}
+
+// Holds the last accepted value while a reading jumps by more than threshold.
+// After maxRejects jumps in a row the new level is taken as real (a load was
+// placed, not a spike) and accepted.
+export class SpikeRejector {
+    constructor(threshold = 10, maxRejects = 3) {
+        this.threshold = threshold;
+        this.maxRejects = maxRejects;
+        this.reset();
+    }
+
+    push(value) {
+        if (this.accepted === null || Math.abs(value - this.accepted) <= this.threshold ||
+            this.consecutive >= this.maxRejects) {
+            this.accepted = value;
+            this.consecutive = 0;
+            return value;
+        }
+        this.consecutive++;
+        this.rejected++;
+        return this.accepted;
+    }
+
+    reset() {
+        this.accepted = null;
+        this.consecutive = 0;
+        this.rejected = 0;
+    }
+}
+
+// Stage types with their parameters, in the order the UI offers them
+export const FILTER_TYPES = {
+    median: {
+        label: 'Median',
+        create: (spec) => new MedianFilter(spec.windowSize),
+        params: { windowSize: { label: 'Window', default: 5, min: 1, max: 51, step: 1, integer: true } }
+    },
+    movingAverage: {
+        label: 'Moving average',
+        create: (spec) => new MovingAverageFilter(spec.windowSize),
+        params: { windowSize: { label: 'Window', default: 5, min: 1, max: 500, step: 1, integer: true } }
+    },
+    exponential: {
+        label: 'Exponential',
+        create: (spec) => new ExponentialFilter(spec.alpha),
+        params: { alpha: { label: 'Alpha', default: 0.3, min: 0.001, max: 1, step: 0.01 } }
+    },
+    kalman: {
+        label: 'Kalman',
+        create: (spec) => new KalmanFilter(spec.processNoise, spec.measurementNoise),
+        params: {
+            processNoise: { label: 'Process noise', default: 0.01, min: 0, max: 1000, step: 0.01 },
+            measurementNoise: { label: 'Measurement noise', default: 1, min: 0.0001, max: 1000, step: 0.1 }
+        }
+    },
+    spike: {
+        label: 'Spike rejector',
+        create: (spec) => new SpikeRejector(spec.threshold, spec.maxRejects),
+        params: {
+            threshold: { label: 'Threshold', default: 10, min: 0, max: 1e6, step: 1 },
+            maxRejects: { label: 'Max rejects', default: 3, min: 1, max: 100, step: 1, integer: true }
+        }
+    }
+};
+
+// The filter both pages used before chains existed
+export const DEFAULT_FILTERS = [{ type: 'median', windowSize: 5 }];
+
+// Fills in default parameters and rejects unknown types and out-of-range
+// values. Numbers may be strings (straight from form inputs).
+export function normalizeFilter(spec = {}) {
+    const type = FILTER_TYPES[spec.type];
+    if (!type) {
+        throw new RangeError(`Unknown filter type '${spec.type}', expected one of ${Object.keys(FILTER_TYPES).join(', ')}`);
+    }
+
+    const normalized = { type: spec.type };
+    for (const [key, param] of Object.entries(type.params)) {
+        const raw = spec[key];
+        const value = raw === undefined || raw === null || raw === '' ? param.default : Number(raw);
+        if (!Number.isFinite(value) || value < param.min || value > param.max || (param.integer && !Number.isInteger(value))) {
+            throw new RangeError(`${type.label} ${param.label.toLowerCase()} must be ${param.integer ? 'a whole number ' : ''}between ${param.min} and ${param.max}, got ${raw}`);
+        }
+        normalized[key] = value;
+    }
+    return normalized;
+}
+
+export function normalizeFilters(specs = DEFAULT_FILTERS) {
+    if (!Array.isArray(specs)) {
+        throw new RangeError('Filters must be a list of filter settings');
+    }
+    return specs.map(spec => normalizeFilter(spec));
+}
+
+export function createFilter(spec) {
+    const normalized = normalizeFilter(spec);
+    return FILTER_TYPES[normalized.type].create(normalized);
+}
+
+// e.g. "Median(5) → Kalman(0.01, 1)", or "None" for an empty chain
+export function describeFilters(specs) {
+    if (specs.length === 0) return 'None';
+    return specs.map(spec => {
+        const type = FILTER_TYPES[spec.type];
+        const values = Object.keys(type.params).map(key => spec[key]);
+        return `${type.label}(${values.join(', ')})`;
+    }).join(' → ');
+}
+
+// Readings pass through every stage in order; an empty chain passes them unchanged
+export class FilterChain {
+    constructor(specs = DEFAULT_FILTERS) {
+        this.specs = normalizeFilters(specs);
+        this.stages = this.specs.map(spec => FILTER_TYPES[spec.type].create(spec));
+    }
+
+    push(value) {
+        for (const stage of this.stages) {
+            value = stage.push(value);
+        }
+        return value;
+    }
+
+    reset() {
+        this.stages.forEach(stage => stage.reset());
+    }
+
+    // Readings held back by spike rejectors since the last reset
+    get rejected() {
+        return this.stages.reduce((sum, stage) => sum + (stage.rejected || 0), 0);
+    }
+}
+
+// Step response of a chain, for tuning smoothing against lag: the number of
+// readings after a step from 0 until the output stays within (1 - fraction)
+// of the new level. null if it never settles within maxSamples. The default
+// step is large enough for spike rejectors to treat it as a load change.
+export function measureStepResponse(specs, options = {}) {
+    const fraction = options.fraction || 0.9;
+    const maxSamples = options.maxSamples || 1000;
+    const chain = new FilterChain(specs);
+    const step = options.step || Math.max(1, ...chain.specs.filter(spec => spec.type === 'spike').map(spec => spec.threshold * 2));
+
+    // Start settled at 0
+    for (let i = 0; i < 50; i++) chain.push(0);
+
+    let settledAt = null;
+    for (let i = 1; i <= maxSamples; i++) {
+        const output = chain.push(step);
+        if (Math.abs(step - output) <= step * (1 - fraction)) {
+            if (settledAt === null) settledAt = i;
+        } else {
+            settledAt = null;
+        }
+    }
+    return settledAt;
+}
@@ -0,0 +1,364 @@
+// Byte-level framing for devices that don't send plain text lines. The
+// default 'line' framer is the text pipeline (TextDecoderStream plus
+// createLineTransformStream() in serial-core.js); the others cut the byte
+// stream into frames, each optionally ending in a checksum:
+//
+//   raw          - fixed-size records of frameSize bytes (checksum included), no delimiter
+//   delimiter    - frames end with the delimiter byte; the checksum is sent as
+//                  hex digits so it can never contain the delimiter
+//   lengthPrefix - a lengthBytes (1 or 2, big-endian) count of the bytes that follow
+//   cobs         - Consistent Overhead Byte Stuffing, frames end with 0x00
+//   slip         - RFC 1055 SLIP, frames end with 0xC0
+//
+// A frame's payload carries the same text a line would (a weight, a command,
+// a reply), so protocol profiles and weight parsing work unchanged over any
+// framer; what differs is the bytes on the wire and how they are checked.
+// Frames that fail their checksum, can't be decoded or are implausibly long
+// are dropped and reported with one of FRAME_ERRORS.
+
+export const FRAMERS = {
+    line: { label: 'Text lines' },
+    raw: { label: 'Raw (fixed-size records)' },
+    delimiter: { label: 'Delimiter byte' },
+    lengthPrefix: { label: 'Length prefix' },
+    cobs: { label: 'COBS' },
+    slip: { label: 'SLIP' }
+};
+
+// Binary checksums are appended little-endian (the Modbus convention for CRC-16)
+export const CHECKSUMS = {
+    none: { label: 'None', size: 0, compute: () => 0 },
+    sum8: { label: 'Sum (8-bit)', size: 1, compute: bytes => bytes.reduce((sum, byte) => (sum + byte) & 0xff, 0) },
+    xor8: { label: 'XOR / LRC (8-bit)', size: 1, compute: bytes => bytes.reduce((xor, byte) => xor ^ byte, 0) },
+    crc16: { label: 'CRC-16/MODBUS', size: 2, compute: crc16Modbus },
+    crc32: { label: 'CRC-32', size: 4, compute: crc32 }
+};
+
+// Why a frame was dropped: bad checksum, invalid COBS/SLIP encoding, or a
+// frame (or length prefix) longer than maxFrameSize
+export const FRAME_ERRORS = ['checksum', 'encoding', 'length'];
+
+export const DEFAULT_FRAME_FORMAT = {
+    framer: 'line',
+    checksum: 'none',
+    delimiter: 0x0a,    // delimiter framer
+    frameSize: 32,      // raw framer
+    lengthBytes: 1,     // lengthPrefix framer
+    maxFrameSize: 1024
+};
+
+const COBS_DELIMITER = 0x00;
+const SLIP_END = 0xc0;
+const SLIP_ESC = 0xdb;
+const SLIP_ESC_END = 0xdc;
+const SLIP_ESC_ESC = 0xdd;
+const PADDING = 0x20; // Raw records carry text, so they are padded with spaces
+
+function crc16Modbus(bytes) {
+    let crc = 0xffff;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 1 ? (crc >>> 1) ^ 0xa001 : crc >>> 1;
+        }
+    }
+    return crc;
+}
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Picks the frame settings out of options, fills in defaults and rejects
+// combinations that can't work. Numbers may be strings (from form inputs).
+export function normalizeFrameFormat(options = {}) {
+    const format = { ...DEFAULT_FRAME_FORMAT };
+
+    for (const key of Object.keys(DEFAULT_FRAME_FORMAT)) {
+        const value = options[key];
+        if (value === undefined || value === null || value === '') continue;
+        format[key] = typeof DEFAULT_FRAME_FORMAT[key] === 'number' ? Number(value) : value;
+    }
+
+    if (!FRAMERS[format.framer]) {
+        throw new RangeError(`Framer must be one of ${Object.keys(FRAMERS).join(', ')}, got ${options.framer}`);
+    }
+    if (!CHECKSUMS[format.checksum]) {
+        throw new RangeError(`Checksum must be one of ${Object.keys(CHECKSUMS).join(', ')}, got ${options.checksum}`);
+    }
+    if (format.framer === 'line' && format.checksum !== 'none') {
+        throw new RangeError('Text lines carry no checksum; use the delimiter framer instead');
+    }
+    if (!Number.isInteger(format.maxFrameSize) || format.maxFrameSize < 1 || format.maxFrameSize > 65535) {
+        throw new RangeError(`Maximum frame size must be between 1 and 65535 bytes, got ${options.maxFrameSize}`);
+    }
+    if (!Number.isInteger(format.delimiter) || format.delimiter < 0 || format.delimiter > 255) {
+        throw new RangeError(`Delimiter must be a byte value (0-255), got ${options.delimiter}`);
+    }
+    if (format.framer === 'raw' && (!Number.isInteger(format.frameSize) ||
+        format.frameSize <= CHECKSUMS[format.checksum].size || format.frameSize > format.maxFrameSize)) {
+        throw new RangeError(`Frame size must leave room for the checksum and be at most ${format.maxFrameSize} bytes, got ${options.frameSize}`);
+    }
+    if (format.lengthBytes !== 1 && format.lengthBytes !== 2) {
+        throw new RangeError(`Length prefix must be 1 or 2 bytes, got ${options.lengthBytes}`);
+    }
+
+    return format;
+}
+
+// Short form for run records and logs: 'line', 'cobs+crc16', ...
+export function formatFrameFormat(format = {}) {
+    const { framer, checksum } = normalizeFrameFormat(format);
+    return checksum === 'none' ? framer : `${framer}+${checksum}`;
+}
+
+function hexDigits(value, size) {
+    return value.toString(16).toUpperCase().padStart(size * 2, '0');
+}
+
+// payload followed by its checksum: hex digits for the delimiter framer, bytes otherwise
+function appendChecksum(payload, format) {
+    const { size, compute } = CHECKSUMS[format.checksum];
+    if (size === 0) return payload;
+
+    const value = compute(payload);
+    if (format.framer === 'delimiter') {
+        return [...payload, ...Array.from(hexDigits(value, size), char => char.charCodeAt(0))];
+    }
+    const bytes = [...payload];
+    for (let i = 0; i < size; i++) {
+        bytes.push((value >>> (8 * i)) & 0xff);
+    }
+    return bytes;
+}
+
+function cobsEncode(bytes) {
+    const output = [0];
+    let codeIndex = 0;
+    for (const byte of bytes) {
+        if (byte !== 0) {
+            output.push(byte);
+        }
+        if (byte === 0 || output.length - codeIndex === 0xff) {
+            output[codeIndex] = output.length - codeIndex;
+            codeIndex = output.length;
+            output.push(0);
+        }
+    }
+    output[codeIndex] = output.length - codeIndex;
+    return output;
+}
+
+// null when the bytes are not valid COBS
+function cobsDecode(bytes) {
+    const output = [];
+    let index = 0;
+    while (index < bytes.length) {
+        const code = bytes[index];
+        if (code === 0 || index + code > bytes.length) return null;
+        output.push(...bytes.slice(index + 1, index + code));
+        index += code;
+        if (code !== 0xff && index < bytes.length) {
+            output.push(0);
+        }
+    }
+    return output;
+}
+
+// One frame on the wire for payload (a Uint8Array); format as returned by
+// normalizeFrameFormat(). Throws a RangeError when the payload doesn't fit.
+export function encodeFrame(payload, format) {
+    const { framer, frameSize, lengthBytes, maxFrameSize, delimiter } = format;
+    const checksumSize = CHECKSUMS[format.checksum].size;
+    let bytes;
+
+    switch (framer) {
+        case 'raw': {
+            const payloadSize = frameSize - checksumSize;
+            if (payload.length > payloadSize) {
+                throw new RangeError(`${payload.length} bytes don't fit a ${frameSize} byte record`);
+            }
+            const padded = [...payload, ...new Array(payloadSize - payload.length).fill(PADDING)];
+            bytes = appendChecksum(padded, format);
+            break;
+        }
+        case 'delimiter':
+            if (payload.includes(delimiter)) {
+                throw new RangeError('The payload contains the delimiter byte');
+            }
+            bytes = [...appendChecksum(payload, format), delimiter];
+            break;
+        case 'lengthPrefix': {
+            const body = appendChecksum(payload, format);
+            if (body.length > Math.min(maxFrameSize, lengthBytes === 1 ? 0xff : 0xffff)) {
+                throw new RangeError(`${body.length} bytes don't fit a ${lengthBytes} byte length prefix`);
+            }
+            bytes = lengthBytes === 1 ? [body.length, ...body] : [body.length >> 8, body.length & 0xff, ...body];
+            break;
+        }
+        case 'cobs':
+            bytes = [...cobsEncode(appendChecksum(payload, format)), COBS_DELIMITER];
+            break;
+        case 'slip': {
+            // Only a trailing END, so an empty payload (e.g. the scale's '' stop command) is still a frame
+            bytes = [];
+            for (const byte of appendChecksum(payload, format)) {
+                if (byte === SLIP_END) bytes.push(SLIP_ESC, SLIP_ESC_END);
+                else if (byte === SLIP_ESC) bytes.push(SLIP_ESC, SLIP_ESC_ESC);
+                else bytes.push(byte);
+            }
+            bytes.push(SLIP_END);
+            break;
+        }
+        default:
+            throw new RangeError(`The ${framer} framer has no frames`);
+    }
+
+    return Uint8Array.from(bytes);
+}
+
+// Incremental decoder: push() bytes as they arrive and get back the frames
+// they complete, each { payload } (a Uint8Array) or { error } (one of FRAME_ERRORS)
+export class FrameDecoder {
+    constructor(format) {
+        this.format = normalizeFrameFormat(format);
+        if (this.format.framer === 'line') {
+            throw new RangeError('Text lines are split by createLineTransformStream(), not a FrameDecoder');
+        }
+        this.reset();
+    }
+
+    reset() {
+        this.buffer = [];
+        this.discarding = false; // Skipping an oversized frame up to its delimiter
+        this.escaped = false;    // SLIP: the previous byte was ESC
+        this.invalid = false;    // SLIP: the current frame has a bad escape
+    }
+
+    push(bytes) {
+        const frames = [];
+        for (const byte of bytes) {
+            const frame = this.pushByte(byte);
+            if (frame) frames.push(frame);
+        }
+        return frames;
+    }
+
+    pushByte(byte) {
+        const { framer, frameSize, lengthBytes, maxFrameSize, delimiter } = this.format;
+
+        switch (framer) {
+            case 'raw':
+                this.buffer.push(byte);
+                return this.buffer.length === frameSize ? this.takeFrame(this.buffer) : null;
+
+            case 'lengthPrefix': {
+                this.buffer.push(byte);
+                if (this.buffer.length < lengthBytes) return null;
+                const length = lengthBytes === 1 ? this.buffer[0] : (this.buffer[0] << 8) | this.buffer[1];
+                if (length > maxFrameSize) {
+                    // A corrupted length; slide along one byte to find the next plausible prefix
+                    this.buffer.shift();
+                    return { error: 'length' };
+                }
+                return this.buffer.length === lengthBytes + length ? this.takeFrame(this.buffer.slice(lengthBytes)) : null;
+            }
+
+            case 'delimiter':
+                return this.pushDelimited(byte, delimiter, body => body);
+
+            case 'cobs':
+                return this.pushDelimited(byte, COBS_DELIMITER, cobsDecode);
+
+            case 'slip':
+                if (byte !== SLIP_END) {
+                    if (this.escaped) {
+                        this.escaped = false;
+                        if (byte === SLIP_ESC_END) byte = SLIP_END;
+                        else if (byte === SLIP_ESC_ESC) byte = SLIP_ESC;
+                        else this.invalid = true;
+                    } else if (byte === SLIP_ESC) {
+                        this.escaped = true;
+                        return null;
+                    }
+                } else if (this.escaped) {
+                    this.invalid = true;
+                }
+                return this.pushDelimited(byte, SLIP_END, body => this.invalid ? null : body);
+        }
+        return null;
+    }
+
+    // Frames ending in end; decode(body) returns the unframed bytes or null if they're invalid
+    pushDelimited(byte, end, decode) {
+        if (byte !== end) {
+            if (this.discarding) return null;
+            this.buffer.push(byte);
+            if (this.buffer.length <= this.format.maxFrameSize) return null;
+            this.buffer = [];
+            this.discarding = true;
+            return { error: 'length' };
+        }
+
+        const body = decode(this.buffer);
+        const discarded = this.discarding;
+        this.reset();
+        if (discarded) return null;
+        return body ? this.takeFrame(body) : { error: 'encoding' };
+    }
+
+    // Check and strip the checksum of a complete frame body
+    takeFrame(body) {
+        this.buffer = [];
+        const { size, compute } = CHECKSUMS[this.format.checksum];
+        if (size === 0) {
+            return { payload: Uint8Array.from(body) };
+        }
+
+        const isHex = this.format.framer === 'delimiter';
+        const checksumLength = isHex ? size * 2 : size;
+        if (body.length < checksumLength) {
+            return { error: 'checksum' };
+        }
+
+        const payload = body.slice(0, body.length - checksumLength);
+        const tail = body.slice(body.length - checksumLength);
+        let received;
+        if (isHex) {
+            const digits = String.fromCharCode(...tail);
+            received = /^[0-9A-Fa-f]+$/.test(digits) ? parseInt(digits, 16) : NaN;
+        } else {
+            received = tail.reduce((value, byte, i) => value + byte * 2 ** (8 * i), 0);
+        }
+
+        return compute(payload) === received ? { payload: Uint8Array.from(payload) } : { error: 'checksum' };
+    }
+}
+
+// Splits port bytes into frames and emits each valid one as { text, receivedAt }
+// like createLineTransformStream(), whose chunk types it takes too. onFrame(error)
+// is called for every frame, with null for a good one.
+export function createFrameTransformStream(format, onFrame = () => {}) {
+    const decoder = new FrameDecoder(format);
+    const textDecoder = new TextDecoder();
+
+    return new TransformStream({
+        transform(chunk, controller) {
+            const stamped = !(chunk instanceof Uint8Array);
+            const receivedAt = stamped ? chunk.receivedAt : performance.now();
+            for (const frame of decoder.push(stamped ? chunk.bytes : chunk)) {
+                onFrame(frame.error || null);
+                if (!frame.error) {
+                    controller.enqueue({ text: textDecoder.decode(frame.payload), receivedAt });
+                }
+            }
+        }
+    });
+}
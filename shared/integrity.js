@@ -0,0 +1,233 @@
+// Data-integrity checking. The line splitter drops blank lines and the
+// weight parser only counts what it can't read, so records lost or mangled
+// on the way go unnoticed at high rates. An integrity check numbers every
+// record and scores the numbers as they arrive:
+//   sequence - the device puts a record counter in front of each weight line
+//              ('42 100.000'); gaps, repeats and late counters are scored, and
+//              lines without a counter or weight count as corrupted
+//   loopback - TX is wired to RX and the host sends numbered records with a
+//              known pattern, so every returned byte can be verified
+// Bit errors are only exact in loopback mode; with device counters each
+// corrupted record counts as one bit error (a lower bound).
+
+export const INTEGRITY_MODES = {
+    sequence: { label: 'Sequence counters in device output' },
+    loopback: { label: 'Loopback (TX wired to RX)' }
+};
+
+export const DEFAULT_INTEGRITY_OPTIONS = {
+    mode: 'sequence',
+    sequenceModulo: 65536, // Device counters wrap to 0 here
+    rate: 100,             // Loopback records sent per second
+    recordLength: 32,      // Pattern characters per loopback record
+    settleTime: 500        // ms to wait for the last loopback records to return
+};
+
+// Loopback counters are the host's own and never wrap within a run
+const LOOPBACK_MODULO = 1e8;
+const LOOPBACK_DIGITS = 8;
+const LOOPBACK_COUNTER = new RegExp(`^\\d{${LOOPBACK_DIGITS}} `);
+
+// Throws RangeError for settings the check can't run with
+export function normalizeIntegrityOptions(options = {}) {
+    const settings = { ...DEFAULT_INTEGRITY_OPTIONS };
+    for (const key of Object.keys(settings)) {
+        if (options[key] !== undefined && options[key] !== null) {
+            settings[key] = key === 'mode' ? options[key] : Number(options[key]);
+        }
+    }
+
+    if (!INTEGRITY_MODES[settings.mode]) {
+        throw new RangeError(`Unknown integrity mode '${settings.mode}'`);
+    }
+    if (!Number.isInteger(settings.sequenceModulo) || settings.sequenceModulo < 2) {
+        throw new RangeError(`Sequence modulo must be an integer of at least 2 (got ${options.sequenceModulo})`);
+    }
+    if (!(settings.rate > 0 && settings.rate <= 10000)) {
+        throw new RangeError(`Loopback rate must be between 1 and 10000 records/sec (got ${options.rate})`);
+    }
+    if (!Number.isInteger(settings.recordLength) || settings.recordLength < 1 || settings.recordLength > 1000) {
+        throw new RangeError(`Record length must be between 1 and 1000 characters (got ${options.recordLength})`);
+    }
+    if (!(settings.settleTime >= 0)) {
+        throw new RangeError(`Settle time must not be negative (got ${options.settleTime})`);
+    }
+    return settings;
+}
+
+// A line's leading record counter and the rest of it, or null without one
+export function splitSequence(line) {
+    const match = /^(\d{1,9})[\s,:;]+(.*)$/.exec(line);
+    if (!match) return null;
+    return { sequence: parseInt(match[1], 10), rest: match[2] };
+}
+
+// Loopback record: fixed-width counter and printable characters that shift
+// with the counter, so stuck or swapped bits show up in every position
+export function formatLoopbackRecord(sequence, recordLength) {
+    let pattern = '';
+    for (let i = 0; i < recordLength; i++) {
+        pattern += String.fromCharCode(33 + (sequence + i * 31) % 94);
+    }
+    return `${String(sequence % LOOPBACK_MODULO).padStart(LOOPBACK_DIGITS, '0')} ${pattern}`;
+}
+
+// Differing bits between two strings; missing or extra characters count 8 bits each
+export function countBitErrors(actual, expected) {
+    const common = Math.min(actual.length, expected.length);
+    let errors = 8 * Math.abs(actual.length - expected.length);
+    for (let i = 0; i < common; i++) {
+        let diff = (actual.charCodeAt(i) ^ expected.charCodeAt(i)) & 0xff;
+        while (diff) {
+            errors += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return errors;
+}
+
+// Scores numbered records as they arrive. A record is ok when it is the next
+// expected one; a jump ahead counts the skipped numbers as lost until they
+// show up late (reordered); a number seen before, or lost too long ago to be
+// tracked, is a duplicate. A corrupted record most likely took the next number.
+export class SequenceChecker {
+    // options: { modulo, start (first expected number; null = the first one received), windowSize }
+    constructor(options = {}) {
+        this.modulo = options.modulo || LOOPBACK_MODULO;
+        this.start = options.start !== undefined ? options.start : null;
+        this.windowSize = options.windowSize || 1024; // Lost numbers kept for late arrivals
+        this.reset();
+    }
+
+    reset() {
+        this.next = this.start;
+        this.received = 0;
+        this.ok = 0;
+        this.lost = 0;
+        this.duplicated = 0;
+        this.reordered = 0;
+        this.corrupted = 0;
+        this.bitErrors = 0;
+        this.bitsReceived = 0;
+        this.bitErrorsEstimated = false;
+        this.missing = new Set();
+    }
+
+    // record: { sequence (null if unreadable), valid, bytes, bitErrors (null = unknown) };
+    // returns 'ok', 'duplicated', 'reordered' or 'corrupted'
+    check({ sequence, valid, bytes, bitErrors = null }) {
+        this.received++;
+        this.bitsReceived += bytes * 8;
+
+        if (!valid || sequence === null || sequence >= this.modulo) {
+            this.corrupted++;
+            if (bitErrors === null) {
+                this.bitErrorsEstimated = true;
+                this.bitErrors++;
+            } else {
+                this.bitErrors += bitErrors;
+            }
+            if (this.next !== null) {
+                this.missing.delete(this.next);
+                this.next = (this.next + 1) % this.modulo;
+            }
+            return 'corrupted';
+        }
+
+        if (this.next === null) {
+            this.next = sequence;
+        }
+
+        const ahead = (sequence - this.next + this.modulo) % this.modulo;
+        if (ahead < this.modulo / 2) {
+            for (let skipped = Math.max(0, ahead - this.windowSize); skipped < ahead; skipped++) {
+                this.addMissing((this.next + skipped) % this.modulo);
+            }
+            this.lost += ahead;
+            this.ok++;
+            this.next = (sequence + 1) % this.modulo;
+            return 'ok';
+        }
+
+        if (this.missing.delete(sequence)) {
+            this.lost--;
+            this.reordered++;
+            return 'reordered';
+        }
+        this.duplicated++;
+        return 'duplicated';
+    }
+
+    addMissing(sequence) {
+        this.missing.add(sequence);
+        if (this.missing.size > this.windowSize) {
+            // Sets iterate in insertion order: forget the oldest
+            this.missing.delete(this.missing.values().next().value);
+        }
+    }
+
+    // The sender's count at the end of a run: numbers never received are lost
+    expectUpTo(end) {
+        const next = this.next === null ? this.start || 0 : this.next;
+        const remaining = (end - next + this.modulo) % this.modulo;
+        if (remaining < this.modulo / 2) {
+            this.lost += remaining;
+            this.next = end % this.modulo;
+        }
+    }
+
+    getSummary() {
+        const expected = this.ok + this.reordered + this.corrupted + this.lost;
+        return {
+            received: this.received,
+            expected,
+            ok: this.ok,
+            lost: this.lost,
+            duplicated: this.duplicated,
+            reordered: this.reordered,
+            corrupted: this.corrupted,
+            lineErrorRate: expected > 0 ? (this.lost + this.corrupted) / expected : 0,
+            bitErrors: this.bitErrors,
+            bitsReceived: this.bitsReceived,
+            bitErrorRate: this.bitsReceived > 0 ? this.bitErrors / this.bitsReceived : 0,
+            bitErrorsEstimated: this.bitErrorsEstimated
+        };
+    }
+}
+
+// Checks loopback records against the pattern sent; a corrupted record is
+// compared with both the record its counter names and the one expected next,
+// whichever is closer. A line that can't be a record, neither the record's
+// length nor starting with its counter (e.g. the late echo of a connect-time
+// query), is no evidence of corruption: it is skipped and null returned.
+export function checkLoopbackRecord(checker, line, recordLength) {
+    if (line.length !== LOOPBACK_DIGITS + 1 + recordLength && !LOOPBACK_COUNTER.test(line)) {
+        return null;
+    }
+    const record = splitSequence(line);
+    const named = record ? formatLoopbackRecord(record.sequence, recordLength) : null;
+    if (line === named) {
+        return checker.check({ sequence: record.sequence, valid: true, bytes: line.length });
+    }
+
+    const expected = formatLoopbackRecord(checker.next || 0, recordLength);
+    const bitErrors = named === null
+        ? countBitErrors(line, expected)
+        : Math.min(countBitErrors(line, named), countBitErrors(line, expected));
+    return checker.check({ sequence: null, valid: false, bytes: line.length, bitErrors });
+}
+
+// e.g. '1.2e-5'; '0' when there were no errors
+export function formatErrorRate(rate) {
+    return rate === 0 ? '0' : rate.toExponential(1);
+}
+
+// Summary lines for a log, e.g. 'Integrity (sequence): 990 of 1000 records: 10 lost, ...'
+export function describeIntegrity(summary) {
+    const bitRate = `${summary.bitErrorsEstimated ? 'at least ' : ''}${formatErrorRate(summary.bitErrorRate)}`;
+    return [
+        `Integrity (${summary.mode}): ${summary.received} records received, ${summary.expected} expected: ` +
+            `${summary.lost} lost, ${summary.duplicated} duplicated, ${summary.reordered} reordered, ${summary.corrupted} corrupted`,
+        `Line Error Rate: ${formatErrorRate(summary.lineErrorRate)}, Bit Error Rate: ${bitRate} (${summary.bitErrors} of ${summary.bitsReceived} bits)`
+    ];
+}
@@ -0,0 +1,38 @@
+// Persists page layouts (channel names, baud rates, filter settings, ports)
+// as JSON in localStorage. Storage failures only cost the saved layout, so
+// they are logged rather than thrown.
+
+export class LayoutStore {
+    constructor(key, storage) {
+        this.key = key;
+        this.storage = storage !== undefined ? storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    }
+
+    load() {
+        if (!this.storage) return null;
+
+        try {
+            const raw = this.storage.getItem(this.key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn(`Ignoring unreadable saved layout '${this.key}': ${error.message}`);
+            return null;
+        }
+    }
+
+    save(layout) {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(layout));
+        } catch (error) {
+            console.warn(`Could not save layout '${this.key}': ${error.message}`);
+        }
+    }
+
+    clear() {
+        if (this.storage) {
+            this.storage.removeItem(this.key);
+        }
+    }
+}
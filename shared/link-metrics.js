@@ -0,0 +1,137 @@
+// Byte-level link statistics next to the reading metrics: bytes per second in
+// each direction, how much of the line's capacity that uses, bytes per
+// reading and the chunk sizes port.readable delivers. Readings/sec alone
+// can't tell the bottlenecks apart: a link near 100% utilization is limited
+// by the baud rate, low utilization with readings missing points at the
+// device, and many small chunks at the USB bridge's latency timer.
+
+import { bitsPerCharacter } from './serial-options.js';
+import { ReadingMetrics } from './metrics.js';
+
+// Wraps a stream of byte chunks; count(bytes, chunk) is called for each chunk passing through.
+// With options.timestamp each chunk comes out as { bytes, receivedAt }, stamped
+// as it goes in, so later stages can time from the bytes' arrival.
+export function createByteCounter(count, options = {}) {
+    return new TransformStream({
+        transform(chunk, controller) {
+            count(chunk.length, chunk);
+            controller.enqueue(options.timestamp ? { bytes: chunk, receivedAt: performance.now() } : chunk);
+        }
+    });
+}
+
+// e.g. '850 B/s', '11.2 KB/s'
+export function formatByteRate(bytesPerSecond) {
+    if (bytesPerSecond < 1000) {
+        return `${Math.round(bytesPerSecond)} B/s`;
+    }
+    return `${(bytesPerSecond / 1000).toFixed(1)} KB/s`;
+}
+
+export class LinkMetrics {
+    constructor(options = {}) {
+        // Chunk sizes kept for percentiles
+        this.historySize = options.historySize || 1000;
+        this.baudRate = 0;
+        this.bitsPerCharacter = 10;
+        this.reset();
+    }
+
+    // Utilization is relative to the settings the port was opened with
+    setLineSettings(openOptions) {
+        this.baudRate = openOptions.baudRate;
+        this.bitsPerCharacter = bitsPerCharacter(openOptions);
+    }
+
+    reset() {
+        this.bytesReceived = 0;
+        this.bytesSent = 0;
+        this.chunkCount = 0;
+        this.chunkSizes = [];
+        this.minChunk = 0;
+        this.maxChunk = 0;
+
+        // Sliding one-second windows of { time, bytes }
+        this.received = { entries: [], bytes: 0 };
+        this.sent = { entries: [], bytes: 0 };
+    }
+
+    // A chunk delivered by port.readable
+    addReceived(bytes, now = performance.now()) {
+        this.bytesReceived += bytes;
+        this.chunkCount++;
+        this.minChunk = this.chunkCount === 1 ? bytes : Math.min(this.minChunk, bytes);
+        this.maxChunk = Math.max(this.maxChunk, bytes);
+        this.chunkSizes.push(bytes);
+        if (this.chunkSizes.length > this.historySize) {
+            this.chunkSizes.shift();
+        }
+        LinkMetrics.addToWindow(this.received, bytes, now);
+    }
+
+    // Bytes written to port.writable (commands, after framing)
+    addSent(bytes, now = performance.now()) {
+        this.bytesSent += bytes;
+        LinkMetrics.addToWindow(this.sent, bytes, now);
+    }
+
+    static addToWindow(window, bytes, now) {
+        window.entries.push({ time: now, bytes });
+        window.bytes += bytes;
+        LinkMetrics.pruneWindow(window, now);
+    }
+
+    static pruneWindow(window, now) {
+        while (window.entries.length > 0 && now - window.entries[0].time >= 1000) {
+            window.bytes -= window.entries.shift().bytes;
+        }
+        return window.bytes;
+    }
+
+    // Percent of the baud rate used by bytesPerSecond; every byte also costs
+    // its start, parity and stop bits
+    utilization(bytesPerSecond) {
+        if (!this.baudRate) return 0;
+        return bytesPerSecond * this.bitsPerCharacter / this.baudRate * 100;
+    }
+
+    // Rates over the last second, for live display
+    getCurrent(now = performance.now()) {
+        const rxBytesPerSecond = LinkMetrics.pruneWindow(this.received, now);
+        const txBytesPerSecond = LinkMetrics.pruneWindow(this.sent, now);
+        return {
+            rxBytesPerSecond,
+            txBytesPerSecond,
+            rxUtilization: this.utilization(rxBytesPerSecond),
+            txUtilization: this.utilization(txBytesPerSecond),
+            avgChunkSize: this.chunkCount > 0 ? this.bytesReceived / this.chunkCount : 0
+        };
+    }
+
+    // Averages over a run lasting durationSeconds in which totalReadings readings were taken
+    getSummary(durationSeconds, totalReadings) {
+        const rxBytesPerSecond = durationSeconds > 0 ? this.bytesReceived / durationSeconds : 0;
+        const txBytesPerSecond = durationSeconds > 0 ? this.bytesSent / durationSeconds : 0;
+        const sorted = [...this.chunkSizes].sort((a, b) => a - b);
+
+        return {
+            baudRate: this.baudRate,
+            bitsPerCharacter: this.bitsPerCharacter,
+            bytesReceived: this.bytesReceived,
+            bytesSent: this.bytesSent,
+            rxBytesPerSecond,
+            txBytesPerSecond,
+            rxUtilization: this.utilization(rxBytesPerSecond),
+            txUtilization: this.utilization(txBytesPerSecond),
+            bytesPerReading: totalReadings > 0 ? this.bytesReceived / totalReadings : 0,
+            chunks: {
+                count: this.chunkCount,
+                avg: this.chunkCount > 0 ? this.bytesReceived / this.chunkCount : 0,
+                min: this.minChunk,
+                max: this.maxChunk,
+                p50: ReadingMetrics.percentile(sorted, 0.5),
+                p95: ReadingMetrics.percentile(sorted, 0.95)
+            }
+        };
+    }
+}
@@ -0,0 +1,136 @@
+// Reading metrics shared by the test pages: a bounded history of readings and
+// latencies, a sliding one-second window for readings/sec, counts of lines
+// that gave no reading or frames that were dropped, and the summary
+// statistics (percentiles etc.) reported at the end of a test.
+
+import { FRAME_ERRORS } from './framers.js';
+
+// Why a line gave no reading: a weight-parser.js status, or not a weight at all
+export const LINE_ISSUES = ['unparseable', 'overload', 'underload', 'error'];
+
+export class ReadingMetrics {
+    constructor(options = {}) {
+        // Only the most recent readings are kept for display and percentiles
+        this.historySize = options.historySize || 1000;
+        this.reset();
+    }
+
+    reset() {
+        this.readings = [];
+        this.latencies = [];
+        this.readingsInLastSecond = [];
+        this.readingsPerSecond = 0;
+        this.totalReadings = 0; // Counts every reading, not just the retained history
+        this.lineIssues = Object.fromEntries(LINE_ISSUES.map(issue => [issue, 0]));
+        this.lastUnparseable = null; // Most recent line that could not be parsed
+        // Frames from a binary framer (see framers.js); corrupted counts every FRAME_ERRORS entry
+        this.frames = { received: 0, corrupted: 0, ...Object.fromEntries(FRAME_ERRORS.map(error => [error, 0])) };
+
+        // Running sum and min/max candidates over the retained latencies, so
+        // getLatencyStats() costs the same however often it is called
+        this.latencySum = 0;
+        this.minCandidates = []; // { index, latency }, latencies ascending
+        this.maxCandidates = []; // { index, latency }, latencies descending
+    }
+
+    add(reading) {
+        this.readings.push(reading);
+        this.latencies.push(reading.latency);
+        this.readingsInLastSecond.push(reading.timestamp);
+        this.totalReadings++;
+
+        // Keep only the last historySize readings for performance
+        if (this.readings.length > this.historySize) {
+            this.readings.shift();
+        }
+        this.latencySum += reading.latency;
+        if (this.latencies.length > this.historySize) {
+            this.latencySum -= this.latencies.shift();
+        }
+        this.trackExtremes(reading.latency);
+
+        this.updateReadingsPerSecond(reading.timestamp);
+    }
+
+    // A line that gave no reading; issue is one of LINE_ISSUES
+    addLineIssue(issue, line) {
+        this.lineIssues[issue]++;
+        if (issue === 'unparseable') {
+            this.lastUnparseable = line;
+        }
+    }
+
+    // A frame from the framer; error is one of FRAME_ERRORS, or null for a good frame
+    addFrame(error) {
+        this.frames.received++;
+        if (error) {
+            this.frames.corrupted++;
+            this.frames[error]++;
+        }
+    }
+
+    // Monotonic queues: a latency can only become the window min (max) while
+    // no later latency is lower (higher), so the rest are dropped on arrival
+    trackExtremes(latency) {
+        const index = this.totalReadings;
+        const oldest = index - this.latencies.length;
+
+        const min = this.minCandidates;
+        while (min.length > 0 && min[min.length - 1].latency >= latency) min.pop();
+        min.push({ index, latency });
+        while (min[0].index <= oldest) min.shift();
+
+        const max = this.maxCandidates;
+        while (max.length > 0 && max[max.length - 1].latency <= latency) max.pop();
+        max.push({ index, latency });
+        while (max[0].index <= oldest) max.shift();
+    }
+
+    updateReadingsPerSecond(now = Date.now()) {
+        // Remove readings older than 1 second
+        while (this.readingsInLastSecond.length > 0 && now - this.readingsInLastSecond[0] >= 1000) {
+            this.readingsInLastSecond.shift();
+        }
+        this.readingsPerSecond = this.readingsInLastSecond.length;
+        return this.readingsPerSecond;
+    }
+
+    getLatencyStats() {
+        if (this.latencies.length === 0) {
+            return { avg: 0, min: 0, max: 0 };
+        }
+
+        return {
+            avg: this.latencySum / this.latencies.length,
+            min: this.minCandidates[0].latency,
+            max: this.maxCandidates[0].latency
+        };
+    }
+
+    // durationSeconds is the wall-clock length of the test
+    getSummary(durationSeconds) {
+        const latency = this.getLatencyStats();
+        const sorted = [...this.latencies].sort((a, b) => a - b);
+
+        return {
+            duration: durationSeconds,
+            totalReadings: this.totalReadings,
+            avgReadingsPerSecond: durationSeconds > 0 ? this.totalReadings / durationSeconds : 0,
+            avgLatency: latency.avg,
+            minLatency: latency.min,
+            maxLatency: latency.max,
+            p50: ReadingMetrics.percentile(sorted, 0.5),
+            p95: ReadingMetrics.percentile(sorted, 0.95),
+            p99: ReadingMetrics.percentile(sorted, 0.99),
+            lines: { ...this.lineIssues, lastUnparseable: this.lastUnparseable },
+            frames: { ...this.frames }
+        };
+    }
+
+    // sorted must be in ascending order; uses the nearest-rank index like the original page code
+    static percentile(sorted, fraction) {
+        if (sorted.length === 0) return 0;
+        const index = Math.min(sorted.length - 1, Math.floor(sorted.length * fraction));
+        return sorted[index];
+    }
+}
@@ -0,0 +1,688 @@
+// Simulated load-cell scale and port providers so the test pages can run
+// without hardware. MockSerialPort mirrors the parts of the Web Serial
+// SerialPort interface the pages use (open/close/readable/writable/getInfo).
+
+import { normalizeSerialOptions, bitsPerCharacter, formatFraming } from './serial-options.js';
+import { normalizeFrameFormat, encodeFrame, FrameDecoder } from './framers.js';
+
+export class SimulatedScale {
+    constructor(options = {}) {
+        // Device identity (answers id / slc / units)
+        this.deviceId = options.deviceId || 'SIM-0001';
+        this.capacity = options.capacity || '5000';
+        this.units = options.units || 'g';
+
+        // Streaming and waveform settings
+        this.options = {
+            waveform: 'constant',  // constant | step | sine | ramp | square | randomWalk
+            baseWeight: 100,
+            amplitude: 50,
+            period: 5,             // seconds per waveform cycle
+            lineRate: 100,         // lines per second while streaming (wc)
+            decimals: 3,
+            noise: 0,              // standard deviation added to every sample
+            responseDelay: 2,      // ms before a command reply is sent
+            fault: 'none',         // none | drop | corrupt | duplicate | reorder | fragment | noReply | unplug
+            faultRate: 5,          // percent of lines/commands affected
+            unplugAfter: 20,       // seconds of streaming before an 'unplug' fault
+            replugAfter: 3,        // seconds until an unplugged scale reappears (0 = never)
+            baudRate: null,        // rate the scale is set to (null = works at any rate)
+            framing: null,         // e.g. '7E1' (null = works with any framing)
+            protocol: 'scale',     // scale | rawLine | mtSics (see protocol-profiles.js)
+            frameFormat: null,     // framer and checksum (see framers.js; null = text lines)
+            sequenceModulo: 0,     // weight lines start with a record counter wrapping here (0 = none)
+            loopback: false        // a loopback plug instead of a scale: whatever is written comes back
+        };
+        this.configure(options);
+
+        // Runtime state
+        this.tareOffset = 0;
+        this.walkValue = 0;
+        this.startTime = performance.now();
+        this.isStreaming = false;
+        this.streamTimer = null;
+        this.streamStartTime = 0;
+        this.linesSent = 0;
+        this.sequence = 0;     // Next record counter (sequenceModulo)
+        this.heldLine = null;  // Line held back by a 'reorder' fault
+        this.wireFreeAt = 0;   // When the last echoed line has crossed the wire (loopback)
+        this.commandBuffer = '';
+        this.textDecoder = new TextDecoder();
+        this.textEncoder = new TextEncoder();
+        this.transport = null;
+    }
+
+    configure(options = {}) {
+        const protocol = this.options.protocol;
+        for (const key of Object.keys(this.options)) {
+            if (options[key] !== undefined) {
+                this.options[key] = options[key];
+            }
+        }
+        this.frameFormat = normalizeFrameFormat(this.options.frameFormat || {});
+        this.frameDecoder = this.frameFormat.framer === 'line' ? null : new FrameDecoder(this.frameFormat);
+        // Switching protocol while open is like swapping the device
+        if (this.transport && this.options.protocol !== protocol) {
+            this.stopStreaming();
+            this.startFreeRunning();
+        }
+    }
+
+    // Called by MockSerialPort when the port is opened/closed
+    attach(transport) {
+        this.transport = transport;
+        this.commandBuffer = '';
+        this.heldLine = null;
+        this.wireFreeAt = 0;
+        if (this.frameDecoder) {
+            this.frameDecoder.reset();
+        }
+        this.startFreeRunning();
+    }
+
+    // A raw-line indicator prints weights from power-up without being asked
+    startFreeRunning() {
+        if (this.options.protocol === 'rawLine' && !this.options.loopback) {
+            this.startStreaming();
+        }
+    }
+
+    // Whether the host opened the port with the settings the scale is set to
+    matchesPort() {
+        if (!this.transport) return false;
+        const { baudRate, framing } = this.options;
+        if (baudRate && this.transport.baudRate !== baudRate) return false;
+        if (framing && this.transport.framing && this.transport.framing !== framing) return false;
+        return true;
+    }
+
+    detach() {
+        this.stopStreaming();
+        this.transport = null;
+    }
+
+    // Bytes written by the host arrive here; with a framer each good frame is one command
+    receive(bytes) {
+        // A loopback plug has no settings to match
+        if (!this.options.loopback && !this.matchesPort()) {
+            // Commands arrive as line noise; the scale's error reply reaches the host as noise too
+            this.reply('ERR');
+            return;
+        }
+
+        const commands = [];
+        if (this.frameDecoder) {
+            for (const frame of this.frameDecoder.push(bytes)) {
+                if (frame.payload) {
+                    // A frame is the command as sent, with nothing to trim
+                    commands.push(this.textDecoder.decode(frame.payload));
+                }
+            }
+        } else {
+            this.commandBuffer += this.textDecoder.decode(bytes, { stream: true });
+            const parts = this.commandBuffer.split(/\r\n|\r|\n/);
+            this.commandBuffer = parts.pop();
+            commands.push(...parts.map(part => part.trim()));
+        }
+
+        if (this.options.loopback) {
+            // Line faults apply to what comes back
+            const lines = [];
+            commands.forEach(command => this.pushLine(lines, command));
+            if (lines.length > 0) {
+                this.echo(lines);
+            }
+            return;
+        }
+        commands.forEach(command => this.handleCommand(command));
+    }
+
+    // A loopback plug returns lines once they have crossed the wire at the
+    // port's baud rate; lines sent faster than that queue up behind each other
+    echo(lines) {
+        const bytes = lines.reduce((total, { text }) => total + this.encodedLength(text), 0);
+        const baudRate = this.transport.baudRate;
+        const wireTime = baudRate ? bytes * (this.transport.bitsPerCharacter || 10) / baudRate * 1000 : 0;
+        const now = performance.now();
+        this.wireFreeAt = Math.max(now, this.wireFreeAt) + wireTime;
+        setTimeout(() => this.sendLines(lines), this.wireFreeAt - now);
+    }
+
+    handleCommand(command) {
+        if (this.shouldFault('noReply')) return;
+
+        switch (this.options.protocol) {
+            case 'rawLine':
+                return; // Takes no commands
+            case 'mtSics':
+                return this.handleSicsCommand(command);
+        }
+
+        switch (command) {
+            case 'id':
+                this.reply(this.deviceId);
+                break;
+            case 'slc':
+                this.reply(this.capacity);
+                break;
+            case 'units':
+                this.reply(this.units);
+                break;
+            case 'w':
+                this.reply(this.nextWeightLine());
+                break;
+            case 'wc':
+                this.startStreaming();
+                break;
+            case 'ct0':
+                this.tareOffset += this.sampleWeight();
+                this.reply('OK');
+                break;
+            case '':
+                // Empty command stops streaming
+                this.stopStreaming();
+                this.reply('OK');
+                break;
+            default:
+                if (/^baud \d+$/.test(command)) {
+                    this.changeBaudRate(parseInt(command.slice(5)));
+                } else {
+                    this.reply('ERR');
+                }
+        }
+    }
+
+    handleSicsCommand(command) {
+        switch (command) {
+            case 'I2':
+                this.reply(`I2 A "SIM-SICS ${this.capacity} ${this.units}"`);
+                break;
+            case 'I4':
+                this.reply(`I4 A "${this.deviceId}"`);
+                break;
+            case 'S':
+            case 'SI':
+                this.reply(this.nextWeightLine());
+                break;
+            case 'SIR':
+                this.startStreaming();
+                break;
+            case '@':
+                this.stopStreaming();
+                this.reply(`I4 A "${this.deviceId}"`);
+                break;
+            case 'T': {
+                const weight = this.sampleWeight();
+                this.tareOffset += weight;
+                this.reply(`T S ${this.formatWeight(weight).padStart(10)} ${this.units}`);
+                break;
+            }
+            case 'Z':
+                this.tareOffset += this.sampleWeight();
+                this.reply('Z A');
+                break;
+            default:
+                this.reply('ES');
+        }
+    }
+
+    // 'baud <rate>': acknowledged at the old rate, then the scale only talks at the new one
+    changeBaudRate(baudRate) {
+        setTimeout(() => {
+            this.sendLines([{ text: 'OK' }]);
+            this.options.baudRate = baudRate;
+        }, this.options.responseDelay);
+    }
+
+    reply(text) {
+        setTimeout(() => this.sendLines([{ text }]), this.options.responseDelay);
+    }
+
+    // lines: [{ text, corrupt }], sent as text lines or one frame each. A
+    // corrupted line has a character replaced; a corrupted frame a byte, so
+    // its checksum (if any) catches it.
+    sendLines(lines) {
+        if (!this.frameDecoder) {
+            this.send(lines.map(({ text, corrupt }) => (corrupt ? this.corruptLine(text) : text) + '\r\n').join(''));
+            return;
+        }
+
+        const frames = lines.map(({ text, corrupt }) => {
+            const frame = encodeFrame(this.textEncoder.encode(text), this.frameFormat);
+            return corrupt ? this.corruptFrame(frame) : frame;
+        });
+        const bytes = new Uint8Array(frames.reduce((total, frame) => total + frame.length, 0));
+        let offset = 0;
+        for (const frame of frames) {
+            bytes.set(frame, offset);
+            offset += frame.length;
+        }
+        this.send(bytes);
+    }
+
+    // data: text or bytes
+    send(data) {
+        if (this.transport) {
+            this.transport.send(this.matchesPort() ? data : this.garble(data));
+        }
+    }
+
+    // What the host sees at the wrong baud rate or framing: no clean characters or line endings
+    garble(data) {
+        if (typeof data !== 'string') {
+            return data.map(byte => 0x80 | ((byte * 7 + 13) & 0x7f));
+        }
+        let output = '';
+        for (let i = 0; i < data.length; i++) {
+            output += String.fromCharCode(0x80 | ((data.charCodeAt(i) * 7 + 13) & 0x7f));
+        }
+        return output;
+    }
+
+    startStreaming() {
+        if (this.isStreaming) return;
+
+        this.isStreaming = true;
+        this.streamStartTime = performance.now();
+        this.linesSent = 0;
+
+        // Browsers clamp timers to ~4ms, so emit however many lines are due on each tick
+        this.streamTimer = setInterval(() => this.streamTick(), 10);
+    }
+
+    stopStreaming() {
+        this.isStreaming = false;
+        if (this.streamTimer) {
+            clearInterval(this.streamTimer);
+            this.streamTimer = null;
+        }
+    }
+
+    streamTick() {
+        const now = performance.now();
+        const elapsed = (now - this.streamStartTime) / 1000;
+
+        if (this.options.fault === 'unplug' && elapsed >= this.options.unplugAfter) {
+            this.stopStreaming();
+            if (this.transport) {
+                this.transport.unplug(this.options.replugAfter);
+            }
+            return;
+        }
+
+        const due = Math.floor(elapsed * this.effectiveLineRate()) - this.linesSent;
+        const lines = [];
+
+        for (let i = 0; i < due; i++) {
+            this.linesSent++;
+            this.pushLine(lines, this.nextWeightLine());
+        }
+
+        if (lines.length > 0) {
+            this.sendLines(lines);
+        }
+    }
+
+    // Adds a line to an outgoing batch with the configured line fault applied:
+    // dropped, corrupted, sent twice, or held back and sent after the next one
+    pushLine(lines, text) {
+        if (this.shouldFault('drop')) return;
+
+        const line = { text, corrupt: this.shouldFault('corrupt') };
+        if (this.heldLine) {
+            lines.push(line, this.heldLine);
+            this.heldLine = null;
+        } else if (this.shouldFault('reorder')) {
+            this.heldLine = line;
+        } else {
+            lines.push(line);
+            if (this.shouldFault('duplicate')) {
+                lines.push(line);
+            }
+        }
+    }
+
+    // The configured line rate cannot exceed what the baud rate can carry with the port's framing
+    effectiveLineRate() {
+        const baudRate = this.transport ? this.transport.baudRate : 0;
+        if (!baudRate) return this.options.lineRate;
+
+        const bytesPerLine = this.encodedLength(this.withSequence(this.formatStreamLine(this.options.baseWeight + this.options.amplitude)));
+        const maxLineRate = baudRate / (this.transport.bitsPerCharacter || 10) / bytesPerLine;
+        return Math.min(this.options.lineRate, maxLineRate);
+    }
+
+    // Bytes a line takes on the wire with the current framer
+    encodedLength(text) {
+        if (!this.frameDecoder) return text.length + 2;
+        return encodeFrame(this.textEncoder.encode(text), this.frameFormat).length;
+    }
+
+    sampleWeight() {
+        const { waveform, baseWeight, amplitude, period, noise } = this.options;
+        const t = (performance.now() - this.startTime) / 1000;
+        const phase = (t % period) / period;
+        let weight;
+
+        switch (waveform) {
+            case 'step':
+                weight = phase < 0.5 ? baseWeight : baseWeight + amplitude;
+                break;
+            case 'sine':
+                weight = baseWeight + amplitude * Math.sin(2 * Math.PI * phase);
+                break;
+            case 'ramp':
+                weight = baseWeight + amplitude * phase;
+                break;
+            case 'square':
+                weight = baseWeight + (phase < 0.5 ? amplitude : -amplitude);
+                break;
+            case 'randomWalk':
+                this.walkValue += (Math.random() - 0.5) * amplitude * 0.02;
+                this.walkValue = Math.max(-amplitude, Math.min(amplitude, this.walkValue));
+                weight = baseWeight + this.walkValue;
+                break;
+            default:
+                weight = baseWeight;
+        }
+
+        if (noise > 0) {
+            weight += this.gaussianNoise() * noise;
+        }
+
+        return weight - this.tareOffset;
+    }
+
+    // Box-Muller transform
+    gaussianNoise() {
+        const u = 1 - Math.random();
+        const v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    formatWeight(weight) {
+        return weight.toFixed(this.options.decimals);
+    }
+
+    // A streamed line (or polled weight) in the device's protocol; beyond
+    // capacity the scale sends its overload/underload marker instead
+    formatStreamLine(weight) {
+        const capacity = parseFloat(this.capacity);
+        if (Math.abs(weight) > capacity) {
+            const sign = weight > 0 ? '+' : '-';
+            switch (this.options.protocol) {
+                case 'rawLine':
+                    return `OL,GS,${sign}OL`;
+                case 'mtSics':
+                    return `S ${sign}`;
+                default:
+                    return weight > 0 ? 'OL' : '-OL';
+            }
+        }
+
+        switch (this.options.protocol) {
+            case 'rawLine':
+                return `ST,GS,${this.formatWeight(weight).padStart(10)} ${this.units}`;
+            case 'mtSics':
+                return `S S ${this.formatWeight(weight).padStart(10)} ${this.units}`;
+            default:
+                return this.formatWeight(weight);
+        }
+    }
+
+    // A weight line as sent, with the record counter in front when the scale numbers its lines
+    nextWeightLine() {
+        const line = this.withSequence(this.formatStreamLine(this.sampleWeight()));
+        if (this.options.sequenceModulo > 0) {
+            this.sequence = (this.sequence + 1) % this.options.sequenceModulo;
+        }
+        return line;
+    }
+
+    withSequence(line) {
+        return this.options.sequenceModulo > 0 ? `${this.sequence % this.options.sequenceModulo} ${line}` : line;
+    }
+
+    corruptLine(line) {
+        const chars = line.split('');
+        const index = Math.floor(Math.random() * chars.length);
+        chars[index] = String.fromCharCode(33 + Math.floor(Math.random() * 94));
+        return chars.join('');
+    }
+
+    corruptFrame(frame) {
+        const bytes = frame.slice();
+        const index = Math.floor(Math.random() * bytes.length);
+        bytes[index] ^= 1 << Math.floor(Math.random() * 8);
+        return bytes;
+    }
+
+    shouldFault(type) {
+        return this.options.fault === type && Math.random() * 100 < this.options.faultRate;
+    }
+}
+
+export class MockSerialPort extends EventTarget {
+    constructor(device, info = {}) {
+        super();
+        this.device = device;
+        this.info = {
+            usbVendorId: info.usbVendorId !== undefined ? info.usbVendorId : 0x2341,
+            usbProductId: info.usbProductId !== undefined ? info.usbProductId : 0x8036
+        };
+        if (info.serialNumber) {
+            this.info.serialNumber = info.serialNumber;
+        }
+
+        this.connected = true;
+        this.readable = null;
+        this.writable = null;
+        this.openOptions = null;
+        this.readController = null;
+        this.replugTimer = null;
+        this.textEncoder = new TextEncoder();
+    }
+
+    getInfo() {
+        return { ...this.info };
+    }
+
+    async open(options) {
+        if (this.readable || this.writable) {
+            throw new DOMException('The port is already open.', 'InvalidStateError');
+        }
+        if (!this.connected) {
+            throw new DOMException('Failed to open serial port.', 'NetworkError');
+        }
+        if (!options || !options.baudRate) {
+            throw new TypeError("Failed to execute 'open' on 'SerialPort': Required member is undefined.");
+        }
+        try {
+            normalizeSerialOptions(options);
+        } catch (error) {
+            throw new TypeError(`Failed to execute 'open' on 'SerialPort': ${error.message}`);
+        }
+
+        this.openOptions = { ...options };
+
+        this.readable = new ReadableStream({
+            start: (controller) => {
+                this.readController = controller;
+            },
+            cancel: () => {
+                this.readController = null;
+                this.device.detach();
+            }
+        });
+
+        this.writable = new WritableStream({
+            write: (chunk) => {
+                this.device.receive(chunk);
+            }
+        });
+
+        this.device.attach({
+            baudRate: options.baudRate,
+            bitsPerCharacter: bitsPerCharacter(options),
+            framing: formatFraming(normalizeSerialOptions(options)),
+            send: (text) => this.deliver(text),
+            unplug: (replugAfter) => this.unplug(replugAfter)
+        });
+    }
+
+    async close() {
+        if (!this.readable && !this.writable) {
+            throw new DOMException('The port is already closed.', 'InvalidStateError');
+        }
+
+        this.device.detach();
+        if (this.readController) {
+            try {
+                this.readController.close();
+            } catch (error) {
+                // Stream already cancelled by the reader
+            }
+            this.readController = null;
+        }
+
+        this.readable = null;
+        this.writable = null;
+        this.openOptions = null;
+    }
+
+    // Enqueue device output (text or bytes), optionally split into random chunk sizes
+    deliver(data) {
+        if (!this.readController) return;
+
+        const bytes = typeof data === 'string' ? this.textEncoder.encode(data) : data;
+        if (this.device.options.fault !== 'fragment') {
+            this.readController.enqueue(bytes);
+            return;
+        }
+
+        let offset = 0;
+        while (offset < bytes.length) {
+            const size = 1 + Math.floor(Math.random() * 8);
+            this.readController.enqueue(bytes.slice(offset, offset + size));
+            offset += size;
+        }
+    }
+
+    // Simulate the cable being pulled: the stream errors the way Chrome reports a lost device.
+    // With replugAfter (seconds) the same port reappears later, like a cable glitch.
+    unplug(replugAfter = 0) {
+        if (!this.connected) return;
+
+        this.connected = false;
+        if (this.readController) {
+            this.readController.error(new DOMException('The device has been lost.', 'NetworkError'));
+            this.readController = null;
+        }
+        this.device.detach();
+        this.dispatchEvent(new Event('disconnect'));
+
+        if (replugAfter > 0) {
+            this.replugTimer = setTimeout(() => this.replug(), replugAfter * 1000);
+        }
+    }
+
+    replug() {
+        clearTimeout(this.replugTimer);
+        this.replugTimer = null;
+        if (this.connected) return;
+
+        this.connected = true;
+        this.dispatchEvent(new Event('connect'));
+    }
+}
+
+// Port providers: the pages ask a provider for ports instead of calling navigator.serial directly.
+// Providers re-dispatch hot-plug events as 'connect'/'disconnect' with detail { port }.
+// The provider createPortProvider() hands out for Web Serial. navigator.serial
+// is one per page, so every connection can share a single set of listeners.
+let sharedWebSerialProvider = null;
+
+export class WebSerialPortProvider extends EventTarget {
+    constructor() {
+        super();
+        this.name = 'webserial';
+
+        if (this.isSupported()) {
+            // SerialPort connect/disconnect events bubble up to navigator.serial
+            navigator.serial.addEventListener('connect', (e) => this.forwardPortEvent(e));
+            navigator.serial.addEventListener('disconnect', (e) => this.forwardPortEvent(e));
+        }
+    }
+
+    isSupported() {
+        return typeof navigator !== 'undefined' && 'serial' in navigator;
+    }
+
+    forwardPortEvent(event) {
+        this.dispatchEvent(new CustomEvent(event.type, { detail: { port: event.target } }));
+    }
+
+    async requestPort(options) {
+        if (!this.isSupported()) {
+            throw new Error('Web Serial API is not supported in this browser');
+        }
+        return navigator.serial.requestPort(options);
+    }
+
+    async getPorts() {
+        return this.isSupported() ? navigator.serial.getPorts() : [];
+    }
+}
+
+export class SimulatedPortProvider extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.name = 'simulated';
+        this.options = { ...options };
+        this.ports = [];
+    }
+
+    isSupported() {
+        return true;
+    }
+
+    // Every request "plugs in" a new simulated scale with its own device ID
+    async requestPort() {
+        const index = this.ports.length + 1;
+        const deviceId = `SIM-${String(index).padStart(4, '0')}`;
+        const scale = new SimulatedScale({ ...this.options, deviceId });
+        return this.addPort(new MockSerialPort(scale, { usbProductId: 0x8036 + index, serialNumber: deviceId }));
+    }
+
+    // Adopt a port created elsewhere, e.g. a worker's copy of a page's simulated scale
+    addPort(port) {
+        port.addEventListener('connect', () => this.forwardPortEvent('connect', port));
+        port.addEventListener('disconnect', () => this.forwardPortEvent('disconnect', port));
+        this.ports.push(port);
+        return port;
+    }
+
+    async getPorts() {
+        return this.ports.filter(port => port.connected);
+    }
+
+    forwardPortEvent(type, port) {
+        this.dispatchEvent(new CustomEvent(type, { detail: { port } }));
+    }
+
+    // Apply new simulator settings to future and already-created scales
+    configure(options = {}) {
+        Object.assign(this.options, options);
+        this.ports.forEach(port => port.device.configure(options));
+    }
+}
+
+export function createPortProvider(backend, options) {
+    if (backend === 'simulated') {
+        return new SimulatedPortProvider(options);
+    }
+    if (!sharedWebSerialProvider) {
+        sharedWebSerialProvider = new WebSerialPortProvider();
+    }
+    return sharedWebSerialProvider;
+}
@@ -0,0 +1,165 @@
+// Finding a scale's baud rate and framing when nobody knows them. Each
+// candidate setting is tried by opening the port, sending a probe command
+// ('id' unless the protocol profile says otherwise) and checking that the
+// answer is printable text ending in a line terminator: at the wrong rate or
+// framing the scale either stays silent or the reply arrives as garbage. The
+// first candidate that gets a clean reply wins.
+
+import { DEFAULT_SERIAL_OPTIONS, describePortSettings } from './serial-options.js';
+
+// Most common settings first so the usual case is found quickly
+export const DETECT_BAUD_RATES = [9600, 115200, 19200, 38400, 57600, 230400, 4800, 2400, 1200];
+
+export const DETECT_FRAMINGS = [
+    { dataBits: 8, parity: 'none', stopBits: 1 },
+    { dataBits: 7, parity: 'even', stopBits: 1 },
+    { dataBits: 7, parity: 'odd', stopBits: 1 },
+    { dataBits: 8, parity: 'even', stopBits: 1 },
+    { dataBits: 8, parity: 'odd', stopBits: 1 },
+    { dataBits: 8, parity: 'none', stopBits: 2 }
+];
+
+export class DetectionError extends Error {
+    constructor(attempts) {
+        super(`No baud rate or framing gave a readable reply (${attempts.length} setting${attempts.length === 1 ? '' : 's'} tried)`);
+        this.name = 'DetectionError';
+        this.attempts = attempts;
+    }
+}
+
+// Checks the bytes received after the probe command. Returns { ok, reply, reason }.
+export function checkReply(bytes) {
+    if (bytes.length === 0) {
+        return { ok: false, reply: null, reason: 'no reply' };
+    }
+
+    // Only printable ASCII and line terminators come from a correctly framed scale
+    for (const byte of bytes) {
+        if (byte !== 0x0d && byte !== 0x0a && (byte < 0x20 || byte > 0x7e)) {
+            return { ok: false, reply: null, reason: 'unprintable bytes' };
+        }
+    }
+
+    const text = String.fromCharCode(...bytes);
+    const lines = text.split(/\r\n|\r|\n/);
+    if (lines.length < 2) {
+        return { ok: false, reply: null, reason: 'no line terminator' };
+    }
+
+    const reply = lines.slice(0, -1).map(line => line.trim()).find(line => line);
+    if (!reply) {
+        return { ok: false, reply: null, reason: 'empty reply' };
+    }
+    return { ok: true, reply, reason: null };
+}
+
+// Candidate settings in the order they are tried; preferred (e.g. the current
+// selection) goes first. Buffer size and flow control are kept as configured.
+export function detectionCandidates(preferred = {}, options = {}) {
+    const baudRates = options.baudRates || DETECT_BAUD_RATES;
+    const framings = options.framings || DETECT_FRAMINGS;
+    const base = { ...DEFAULT_SERIAL_OPTIONS, ...preferred };
+    const candidates = [];
+    const seen = new Set();
+
+    const add = (candidate) => {
+        const key = describePortSettings(candidate);
+        if (!seen.has(key)) {
+            seen.add(key);
+            candidates.push(candidate);
+        }
+    };
+
+    if (preferred.baudRate) {
+        add(base);
+    }
+    for (const framing of framings) {
+        for (const baudRate of baudRates) {
+            add({ ...base, ...framing, baudRate });
+        }
+    }
+    return candidates;
+}
+
+// Open the port with one candidate setting, send the probe command and check
+// what comes back within timeout ms. The port is closed again afterwards.
+// options.command null sends nothing, for devices that stream on their own.
+export async function probePort(port, candidate, options = {}) {
+    const command = options.command !== undefined ? options.command : 'id';
+    const terminator = options.terminator || '\r';
+    const timeout = options.timeout || 300;
+
+    await port.open(candidate);
+
+    const reader = port.readable.getReader();
+    const writer = port.writable.getWriter();
+    const bytes = [];
+    let result = null;
+
+    try {
+        if (command !== null) {
+            await writer.write(new TextEncoder().encode(command + terminator));
+        }
+
+        const deadline = performance.now() + timeout;
+        while (!result) {
+            const remaining = deadline - performance.now();
+            if (remaining <= 0) break;
+
+            let timer;
+            const timedOut = new Promise(resolve => {
+                timer = setTimeout(() => resolve({ timeout: true }), remaining);
+            });
+            const chunk = await Promise.race([reader.read(), timedOut]);
+            clearTimeout(timer);
+            if (chunk.timeout || chunk.done) break;
+
+            bytes.push(...chunk.value);
+
+            // Stop as soon as the answer is clearly good or clearly garbage
+            const check = checkReply(bytes);
+            if (check.ok || check.reason === 'unprintable bytes') {
+                result = check;
+            }
+        }
+    } finally {
+        await reader.cancel().catch(() => {});
+        reader.releaseLock();
+        await writer.close().catch(() => {});
+        writer.releaseLock();
+        await port.close().catch(() => {});
+    }
+
+    return { ...(result || checkReply(bytes)), settings: candidate, bytes: bytes.length };
+}
+
+// Try every candidate until one answers cleanly. options.onAttempt(attempt,
+// index, total) reports progress. Resolves with { settings, reply, attempts };
+// rejects with DetectionError when nothing worked.
+export async function detectPortSettings(port, options = {}) {
+    const candidates = detectionCandidates(options.preferred, options);
+    const attempts = [];
+
+    for (let i = 0; i < candidates.length; i++) {
+        let attempt;
+        try {
+            attempt = await probePort(port, candidates[i], options);
+        } catch (error) {
+            // A port that cannot be opened at all will not work at any setting
+            if (error.name === 'NetworkError' || error.name === 'InvalidStateError') {
+                throw error;
+            }
+            attempt = { ok: false, reply: null, reason: error.message, settings: candidates[i], bytes: 0 };
+        }
+
+        attempts.push(attempt);
+        if (options.onAttempt) {
+            options.onAttempt(attempt, i, candidates.length);
+        }
+        if (attempt.ok) {
+            return { settings: attempt.settings, reply: attempt.reply, attempts };
+        }
+    }
+
+    throw new DetectionError(attempts);
+}
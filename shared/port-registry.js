@@ -0,0 +1,56 @@
+// Recognising serial ports across page loads and replugs. Web Serial has no
+// stable port handle, only what getInfo() reports: the USB vendor/product IDs
+// and, on some platforms, a serial number. Saved channels are matched back to
+// granted ports using those.
+
+export function getPortIdentity(port) {
+    const info = port.getInfo();
+    const identity = {};
+    if (info.usbVendorId !== undefined) identity.usbVendorId = info.usbVendorId;
+    if (info.usbProductId !== undefined) identity.usbProductId = info.usbProductId;
+    if (info.serialNumber) identity.serialNumber = info.serialNumber;
+    return identity;
+}
+
+// 'serial' when the serial numbers agree, 'usb' when only the USB IDs can be
+// compared and agree, otherwise null (including ports with no USB IDs at all)
+export function matchIdentity(a, b) {
+    if (!a || !b || a.usbVendorId === undefined) return null;
+    if (a.usbVendorId !== b.usbVendorId || a.usbProductId !== b.usbProductId) return null;
+
+    if (a.serialNumber && b.serialNumber) {
+        return a.serialNumber === b.serialNumber ? 'serial' : null;
+    }
+    return 'usb';
+}
+
+// Assign each saved identity one of the granted ports (or null). Serial number
+// matches win; identical devices without one are handed out in saved order.
+export function assignPorts(identities, ports) {
+    const portIdentities = ports.map(getPortIdentity);
+    const assigned = identities.map(() => null);
+    const used = new Set();
+
+    for (const kind of ['serial', 'usb']) {
+        identities.forEach((identity, index) => {
+            if (assigned[index]) return;
+
+            const portIndex = portIdentities.findIndex((portIdentity, i) =>
+                !used.has(i) && matchIdentity(identity, portIdentity) === kind);
+            if (portIndex !== -1) {
+                assigned[index] = ports[portIndex];
+                used.add(portIndex);
+            }
+        });
+    }
+
+    return assigned;
+}
+
+export function formatPortIdentity(identity) {
+    if (!identity || identity.usbVendorId === undefined) return 'Unknown port';
+
+    const hex = (value) => value.toString(16).padStart(4, '0');
+    const ids = `${hex(identity.usbVendorId)}:${hex(identity.usbProductId)}`;
+    return identity.serialNumber ? `${ids} (${identity.serialNumber})` : ids;
+}
@@ -0,0 +1,126 @@
+// Device protocol profiles: which commands a scale understands, how its lines
+// end and how a weight is read from a reply or streamed line. ScaleConnection
+// only talks to the device through its profile, so other firmware families
+// just need another entry in PROTOCOL_PROFILES. Each profile has:
+//
+//   label        - shown in the protocol selects
+//   terminator   - appended to every command sent
+//   commands     - reply spec per command for the CommandChannel
+//   isErrorLine  - whether a line is the device rejecting a command
+//   isStreamLine - whether a line is a streamed weight
+//   parseLine    - structured reading from a reply or streamed line, or null
+//                  (see weight-parser.js)
+//   deviceInfo   - { id, capacity, units }: command and reply parser for each
+//                  field the device can report
+//   weigh        - command answered with one weight (interval/continuous polling)
+//   streamStart  - command that starts streaming (null: the device streams on its own)
+//   streamStop   - command that stops streaming (null: just stop listening)
+//   tare         - tare command
+//   probe        - command sent by auto-detect (null: listen for streamed lines)
+//
+// Commands a device does not have are null and fail with UnsupportedCommandError.
+
+import { SCALE_COMMANDS } from './command-channel.js';
+import { parseWeightLine, parseSicsLine } from './weight-parser.js';
+
+export class UnsupportedCommandError extends Error {
+    constructor(action, profile) {
+        super(`The ${profile.label} protocol has no ${action} command`);
+        this.name = 'UnsupportedCommandError';
+        this.action = action;
+    }
+}
+
+const identity = line => line;
+
+// MT-SICS replies start with the command, then a status letter:
+//   'S S     12.345 g' stable weight, 'S D ...' dynamic (still moving),
+//   'I4 A "B123456789"', 'T S    100.00 g', 'Z A'
+// ES/ET/EL are syntax, transmission and logical errors; '<cmd> I' means the
+// command cannot be executed right now and '<cmd> L' that it is not allowed.
+function sicsReply(command) {
+    return new RegExp(`^${command}\\s`);
+}
+
+// Text between the quotes of an 'I.. A "..."' reply
+function parseSicsText(line) {
+    const match = /"([^"]*)"/.exec(line);
+    return match ? match[1] : line;
+}
+
+export const PROTOCOL_PROFILES = {
+    scale: {
+        label: 'Load cell (id / w / wc)',
+        terminator: '\r',
+        commands: SCALE_COMMANDS,
+        isErrorLine: line => /^ERR/i.test(line),
+        // Weights, overload markers and errors in the stream all count
+        isStreamLine: line => parseWeightLine(line) !== null,
+        parseLine: parseWeightLine,
+        deviceInfo: {
+            id: { command: 'id', parse: identity },
+            capacity: { command: 'slc', parse: identity },
+            units: { command: 'units', parse: identity }
+        },
+        weigh: 'w',
+        streamStart: 'wc',
+        streamStop: '', // Empty command stops wc streaming
+        tare: 'ct0',
+        probe: 'id'
+    },
+
+    // Indicators that print a weight line continuously and take no commands
+    rawLine: {
+        label: 'Raw lines (listen only)',
+        terminator: '\r\n',
+        commands: {},
+        isErrorLine: () => false,
+        isStreamLine: () => true,
+        parseLine: parseWeightLine,
+        deviceInfo: {},
+        weigh: null,
+        streamStart: null,
+        streamStop: null,
+        tare: null,
+        probe: null
+    },
+
+    // Mettler-Toledo Standard Interface Command Set, level 0/1
+    mtSics: {
+        label: 'MT-SICS',
+        terminator: '\r\n',
+        commands: {
+            I2: { reply: 'text', match: sicsReply('I2') },     // Type and capacity
+            I4: { reply: 'text', match: sicsReply('I4') },     // Serial number
+            SI: { reply: 'number', match: sicsReply('S') },    // Weight now, stable or not
+            SIR: { reply: 'none', startsStream: true },        // Repeat SI until stopped
+            '@': { reply: 'text', match: sicsReply('I4'), stopsStream: true }, // Reset; answers like I4
+            T: { reply: 'text', match: sicsReply('T'), timeout: 5000 }, // Tare once stable
+            Z: { reply: 'text', match: sicsReply('Z'), timeout: 5000 }  // Zero once stable
+        },
+        isErrorLine: line => /^E[STL]$/.test(line) || /^\S+\s+[IL]$/.test(line),
+        isStreamLine: line => /^S\s/.test(line),
+        parseLine: parseSicsLine,
+        deviceInfo: {
+            id: { command: 'I4', parse: parseSicsText },
+            // 'I2 A "WMS404C 410.0000 g"': model, capacity, unit
+            capacity: { command: 'I2', parse: line => parseSicsText(line).split(/\s+/).slice(-2).join(' ') },
+            units: { command: 'SI', parse: line => (parseSicsLine(line) || {}).unit || null }
+        },
+        weigh: 'SI',
+        streamStart: 'SIR',
+        streamStop: '@',
+        tare: 'T',
+        probe: '@'
+    }
+};
+
+export const DEFAULT_PROTOCOL = 'scale';
+
+export function getProtocolProfile(name = DEFAULT_PROTOCOL) {
+    const profile = PROTOCOL_PROFILES[name];
+    if (!profile) {
+        throw new RangeError(`Unknown protocol '${name}'`);
+    }
+    return profile;
+}
@@ -0,0 +1,162 @@
+// Keeps page updates out of the reading path. Reading handlers only buffer
+// data and call invalidate(); the views registered with addView() run from
+// requestAnimationFrame at a fixed rate, and only when something changed.
+// Both sides are timed, so a test can tell how much main-thread time went to
+// taking measurements and how much to drawing them.
+
+export class RenderLoop {
+    // options: { fps } - upper bound on UI updates per second
+    constructor(options = {}) {
+        this.frameInterval = 1000 / (options.fps || 20);
+        this.views = [];
+        this.dirty = false;
+        this.frameRequested = false;
+        this.lastFrame = -Infinity;
+        this.resetTiming();
+    }
+
+    addView(view) {
+        this.views.push(view);
+    }
+
+    resetTiming() {
+        this.measureTime = 0;
+        this.measureCount = 0;
+        this.renderTime = 0;
+        this.frames = 0;
+        this.maxFrameTime = 0;
+        this.timingStart = performance.now();
+        this.lastSample = { time: this.timingStart, measureTime: 0, renderTime: 0 };
+    }
+
+    // Run one reading's bookkeeping and charge its time to measurement
+    measure(handler) {
+        const start = performance.now();
+        try {
+            return handler();
+        } finally {
+            this.measureTime += performance.now() - start;
+            this.measureCount++;
+        }
+    }
+
+    // Something changed; the views run on the next frame that is due
+    invalidate() {
+        this.dirty = true;
+        this.requestFrame();
+    }
+
+    requestFrame() {
+        if (this.frameRequested) return;
+        this.frameRequested = true;
+        const schedule = globalThis.requestAnimationFrame || ((callback) => setTimeout(() => callback(performance.now()), 16));
+        schedule((time) => this.onFrame(time));
+    }
+
+    onFrame(time) {
+        this.frameRequested = false;
+        if (!this.dirty) return;
+
+        // Too soon after the last update: wait for a later frame
+        if (time - this.lastFrame < this.frameInterval - 1) {
+            this.requestFrame();
+            return;
+        }
+        this.lastFrame = time;
+        this.renderNow();
+    }
+
+    // Run every view immediately, e.g. when a test ends
+    renderNow() {
+        this.dirty = false;
+        const start = performance.now();
+        for (const view of this.views) {
+            try {
+                view();
+            } catch (error) {
+                console.error('Error updating the page:', error);
+            }
+        }
+        const frameTime = performance.now() - start;
+        this.renderTime += frameTime;
+        this.frames++;
+        if (frameTime > this.maxFrameTime) this.maxFrameTime = frameTime;
+    }
+
+    // Main-thread time since resetTiming(), in ms and as a share of the elapsed time
+    getTiming() {
+        const elapsed = Math.max(1, performance.now() - this.timingStart);
+        return {
+            elapsed,
+            measureTime: this.measureTime,
+            renderTime: this.renderTime,
+            measureShare: this.measureTime / elapsed,
+            renderShare: this.renderTime / elapsed,
+            measureCount: this.measureCount,
+            avgMeasureTime: this.measureCount > 0 ? this.measureTime / this.measureCount : 0,
+            frames: this.frames,
+            avgFrameTime: this.frames > 0 ? this.renderTime / this.frames : 0,
+            maxFrameTime: this.maxFrameTime
+        };
+    }
+
+    // Measurement and render ms per second of wall-clock time since the
+    // previous call, for a live load display
+    sampleLoad() {
+        const now = performance.now();
+        const previous = this.lastSample;
+        const seconds = Math.max(0.001, (now - previous.time) / 1000);
+        this.lastSample = { time: now, measureTime: this.measureTime, renderTime: this.renderTime };
+        return {
+            measure: (this.measureTime - previous.measureTime) / seconds,
+            render: (this.renderTime - previous.renderTime) / seconds
+        };
+    }
+}
+
+// Timing as one line, e.g. for the performance log
+export function formatTiming(timing) {
+    return `measurement ${timing.measureTime.toFixed(1)}ms (${(timing.measureShare * 100).toFixed(1)}%, ` +
+        `${(timing.avgMeasureTime * 1000).toFixed(1)}µs/reading), rendering ${timing.renderTime.toFixed(1)}ms ` +
+        `(${(timing.renderShare * 100).toFixed(1)}%, ${timing.frames} frames, max ${timing.maxFrameTime.toFixed(1)}ms)`;
+}
+
+// Last maxLines entries of a text log. push() is cheap: entries are only
+// formatted into lines, and the element rewritten, by flush(), which keeps
+// the scroll position unless the view was already at the bottom.
+export class LogBuffer {
+    constructor(maxLines = 50, format = String) {
+        this.maxLines = maxLines;
+        this.format = format;
+        this.entries = [];
+        this.changed = false;
+    }
+
+    push(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.maxLines) {
+            this.entries.shift();
+        }
+        this.changed = true;
+    }
+
+    clear() {
+        this.entries = [];
+        this.changed = true;
+    }
+
+    get text() {
+        return this.entries.length ? this.entries.map(entry => this.format(entry)).join('\n') + '\n' : '';
+    }
+
+    flush(element) {
+        if (!this.changed) return;
+        this.changed = false;
+
+        const wasScrolledToBottom = element.scrollTop + element.clientHeight >= element.scrollHeight - 10;
+        element.textContent = this.text;
+        if (wasScrolledToBottom) {
+            element.scrollTop = element.scrollHeight;
+        }
+    }
+}
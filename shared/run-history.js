@@ -0,0 +1,162 @@
+// Completed test runs kept in IndexedDB so runs can be compared across days,
+// firmware versions and baud rates. A history record holds the run's metadata,
+// per-channel stats, an overall summary and a latency histogram on fixed bins
+// (so any two runs' histograms line up), but not the individual readings.
+
+import { ReadingMetrics } from './metrics.js';
+
+// Lower bin edges in ms; each bin doubles, the last one is open-ended
+export const LATENCY_BINS = [0, 0.25, 0.5, 1, 2, 4, 8, 16, 32, 64, 128, 256, 512, 1024];
+
+export const COMPARISON_METRICS = [
+    { key: 'readingsPerSecond', label: 'Readings/sec', higherIsBetter: true, unit: '' },
+    { key: 'avgLatency', label: 'Average Latency', higherIsBetter: false, unit: 'ms' },
+    { key: 'p50', label: '50th Percentile', higherIsBetter: false, unit: 'ms' },
+    { key: 'p95', label: '95th Percentile', higherIsBetter: false, unit: 'ms' },
+    { key: 'p99', label: '99th Percentile', higherIsBetter: false, unit: 'ms' },
+    { key: 'maxLatency', label: 'Max Latency', higherIsBetter: false, unit: 'ms' }
+];
+
+export function buildLatencyHistogram(latencies) {
+    const counts = new Array(LATENCY_BINS.length).fill(0);
+    for (const latency of latencies) {
+        let bin = LATENCY_BINS.length - 1;
+        while (bin > 0 && latency < LATENCY_BINS[bin]) bin--;
+        counts[bin]++;
+    }
+    return counts;
+}
+
+export function formatLatencyBin(index) {
+    const low = LATENCY_BINS[index];
+    const high = LATENCY_BINS[index + 1];
+    return high === undefined ? `≥${low}ms` : `${low}-${high}ms`;
+}
+
+// Exact summary over every reading of a run (all channels together)
+export function summarizeLatencies(latencies, duration) {
+    const sorted = Float64Array.from(latencies).sort();
+    const total = sorted.reduce((sum, latency) => sum + latency, 0);
+
+    return {
+        totalReadings: sorted.length,
+        readingsPerSecond: duration > 0 ? sorted.length / duration : 0,
+        avgLatency: sorted.length > 0 ? total / sorted.length : 0,
+        p50: ReadingMetrics.percentile(sorted, 0.5),
+        p95: ReadingMetrics.percentile(sorted, 0.95),
+        p99: ReadingMetrics.percentile(sorted, 0.99),
+        maxLatency: sorted.length > 0 ? sorted[sorted.length - 1] : 0
+    };
+}
+
+// run: a finished TestRun
+export function createHistoryRecord(run) {
+    const metadata = run.getMetadata();
+    return {
+        page: metadata.page,
+        startedAt: run.startedAt,
+        endedAt: run.endedAt,
+        duration: metadata.duration,
+        config: metadata.config,
+        channels: metadata.channels,
+        summary: summarizeLatencies(run.latencies, metadata.duration),
+        histogram: buildLatencyHistogram(run.latencies)
+    };
+}
+
+// Short description used to tell runs apart in lists and comparisons
+export function describeRecord(record) {
+    const channel = record.channels[0] || {};
+    const devices = record.channels.map(ch => ch.deviceId || '?').join(', ');
+    const method = channel.method || record.config.method || '';
+    const baudRate = channel.baudRate || record.config.baudRate || record.config.defaultBaudRate || '';
+    // Only mention framing when it differs from the usual 8N1
+    const framing = channel.framing && channel.framing !== '8N1' ? ` ${channel.framing}` : '';
+    // Likewise the frame format, so text and binary runs can be told apart
+    const frames = channel.frameFormat && channel.frameFormat !== 'line' ? ` ${channel.frameFormat}` : '';
+    return `${method} @ ${baudRate} baud${framing}${frames} - ${devices}`;
+}
+
+export function percentChange(base, value) {
+    if (!base) return null;
+    return (value - base) / base * 100;
+}
+
+// One row per metric; changes are relative to the first record (the baseline)
+export function compareRuns(records) {
+    return COMPARISON_METRICS.map(metric => {
+        const values = records.map(record => record.summary[metric.key]);
+        const changes = values.map((value, index) => index === 0 ? null : percentChange(values[0], value));
+        const improved = changes.map(change => {
+            if (change === null || change === 0) return null;
+            return metric.higherIsBetter ? change > 0 : change < 0;
+        });
+        return { metric, values, changes, improved };
+    });
+}
+
+export class RunHistory {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'serial-speed-test';
+        this.storeName = 'runs';
+        this.indexedDB = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+    }
+
+    isSupported() {
+        return this.indexedDB !== null;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.isSupported()) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('startedAt', 'startedAt');
+        };
+        this.db = await promisify(request);
+        return this.db;
+    }
+
+    async transaction(mode, action) {
+        const db = await this.open();
+        const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+        return promisify(action(store));
+    }
+
+    // Resolves with the new record's id
+    add(record) {
+        return this.transaction('readwrite', store => store.add(record));
+    }
+
+    get(id) {
+        return this.transaction('readonly', store => store.get(id));
+    }
+
+    // Newest first
+    async list() {
+        const records = await this.transaction('readonly', store => store.index('startedAt').getAll());
+        return records.reverse();
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
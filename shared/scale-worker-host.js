@@ -0,0 +1,238 @@
+// Runs a ScaleConnection inside a dedicated worker (see scale-worker.js), so
+// port reading, line parsing, filtering and statistics never wait for page
+// layout or rendering. WorkerScaleConnection on the page sends requests; the
+// host answers each one and forwards the connection's events. Readings are
+// collected and posted in batches, at most every batchInterval ms.
+//
+// Messages to the page:
+//   { type: 'reply', id, result | error, snapshot }
+//   { type: 'event', name, detail, snapshot }   (state, deviceInfo, outage, detect, stability, settled, weightStatus, error)
+//   { type: 'readings', packed, units, stats }  (packed and units: see worker-protocol.js)
+//   { type: 'traffic', entries }                (traffic event details, batched like readings)
+
+import { ScaleConnection, getPortIdentity, matchIdentity } from './serial-core.js';
+import { SimulatedScale, MockSerialPort, SimulatedPortProvider, createPortProvider } from './mock-serial.js';
+import { packReadings, serializeError } from './worker-protocol.js';
+
+// Find the worker's own SerialPort object for a port the page picked. Ports
+// can't be passed to a worker, but ports granted to the page are granted to
+// the worker too; a simulated scale is recreated from its settings.
+export async function resolveWorkerPort(descriptor, providers) {
+    if (descriptor.backend === 'simulated') {
+        const provider = providers.simulated;
+        const existing = provider.ports.find(port => port.device.deviceId === descriptor.device.deviceId);
+        if (existing) return existing;
+        return provider.addPort(new MockSerialPort(new SimulatedScale(descriptor.device), descriptor.identity));
+    }
+
+    const ports = await providers.webserial.getPorts();
+    const byIndex = ports[descriptor.index];
+    if (byIndex && (descriptor.identity.usbVendorId === undefined ||
+        matchIdentity(descriptor.identity, getPortIdentity(byIndex)))) {
+        return byIndex;
+    }
+    const match = ports.find(port => matchIdentity(descriptor.identity, getPortIdentity(port)));
+    if (!match) {
+        throw new Error('The selected port is not available to the worker');
+    }
+    return match;
+}
+
+export class ScaleWorkerHost {
+    // post(message, transfer) sends to the page; options: { batchInterval (ms), batchSize }
+    constructor(post, options = {}) {
+        this.post = post;
+        this.batchInterval = options.batchInterval || 50;
+        this.batchSize = options.batchSize || 500;
+        this.providers = { simulated: new SimulatedPortProvider(), webserial: null };
+
+        this.scale = null;
+        this.config = {}; // readInterval, expectedRate, filters, stability, captureTraffic
+        this.batch = [];
+        this.traffic = [];
+        this.batchTimer = null;
+        this.queue = Promise.resolve();
+    }
+
+    // Requests run one at a time in the order they were sent, so e.g. a
+    // stats request after stopReading sees the stopped connection
+    handleMessage(message) {
+        this.queue = this.queue.then(() => this.runRequest(message));
+        return this.queue;
+    }
+
+    async runRequest({ id, type, ...args }) {
+        let reply;
+        try {
+            reply = { type: 'reply', id, result: await this.execute(type, args) };
+        } catch (error) {
+            reply = { type: 'reply', id, error: serializeError(error) };
+        }
+
+        // Readings taken before the reply reach the page before it
+        this.flushReadings();
+        this.post({ ...reply, snapshot: this.snapshot() });
+    }
+
+    async execute(type, args) {
+        switch (type) {
+            case 'connect':
+                return this.connect(args);
+            case 'configure':
+                return this.configure(args.config);
+            case 'configureSimulator':
+                return this.providers.simulated.configure(args.options);
+        }
+        if (!this.scale) {
+            throw new Error('Not connected');
+        }
+
+        const scale = this.scale;
+        switch (type) {
+            case 'disconnect':
+                return scale.disconnect();
+            case 'startReading':
+                return scale.startReading(args.method);
+            case 'stopReading':
+                return scale.stopReading();
+            case 'sendCommand':
+                return scale.sendCommand(args.command);
+            case 'writeLine':
+                return scale.writeLine(args.text, { terminator: args.terminator });
+            case 'tare':
+                return scale.tare();
+            case 'refreshDeviceInfo':
+                return scale.refreshDeviceInfo();
+            case 'resetMetrics':
+                this.batch = []; // Readings from before the reset are dropped too
+                return scale.resetMetrics();
+            case 'getRunStats':
+                return scale.getRunStats(args.duration);
+            default:
+                throw new Error(`Unknown request '${type}'`);
+        }
+    }
+
+    // port: descriptor from describeWorkerPort(); settings as for ScaleConnection
+    async connect({ port, baudRate, serialOptions, protocol, frameFormat, config, options }) {
+        if (!this.scale) {
+            this.scale = new ScaleConnection({ ...this.config, ...config, baudRate, ...serialOptions, protocol, frameFormat });
+            this.bindScaleEvents();
+        }
+        this.configure(config);
+
+        const scale = this.scale;
+        scale.baudRate = baudRate;
+        scale.serialOptions = serialOptions;
+        scale.protocol = protocol;
+        scale.frameFormat = frameFormat;
+        if (port.backend === 'simulated') {
+            scale.portProvider = this.providers.simulated;
+        } else {
+            this.providers.webserial = this.providers.webserial || createPortProvider('webserial');
+            scale.portProvider = this.providers.webserial;
+        }
+
+        await scale.connect(await resolveWorkerPort(port, this.providers), options);
+    }
+
+    // Settings that apply without reconnecting; kept for a connection not made yet
+    configure(config = {}) {
+        Object.assign(this.config, config);
+        if (!this.scale) return;
+        if (config.filters) this.scale.setFilters(config.filters);
+        if (config.stability) this.scale.setStability(config.stability);
+        if (config.expectedRate !== undefined) this.scale.setExpectedRate(config.expectedRate);
+        if (config.readInterval) this.scale.readInterval = config.readInterval;
+        if (config.captureTraffic !== undefined) this.scale.setTrafficCapture(config.captureTraffic);
+    }
+
+    bindScaleEvents() {
+        this.scale.addEventListener('reading', (e) => this.queueReading(e.detail));
+        this.scale.addEventListener('traffic', (e) => this.queueTraffic(e.detail));
+        ['state', 'deviceInfo', 'outage', 'detect', 'stability', 'settled', 'weightStatus'].forEach(name => {
+            this.scale.addEventListener(name, (e) => this.postEvent(name, e.detail));
+        });
+        this.scale.addEventListener('error', (e) => {
+            this.postEvent('error', { error: serializeError(e.detail.error), context: e.detail.context });
+        });
+    }
+
+    queueReading(reading) {
+        this.batch.push(reading);
+        if (this.batch.length >= this.batchSize) {
+            this.flushReadings();
+        } else if (!this.batchTimer) {
+            this.batchTimer = setTimeout(() => this.flushReadings(), this.batchInterval);
+        }
+    }
+
+    // Traffic only goes out with the readings' timer, not per chunk
+    queueTraffic(entry) {
+        this.traffic.push(entry);
+        if (!this.batchTimer) {
+            this.batchTimer = setTimeout(() => this.flushReadings(), this.batchInterval);
+        }
+    }
+
+    flushReadings() {
+        if (this.batchTimer) {
+            clearTimeout(this.batchTimer);
+            this.batchTimer = null;
+        }
+        if (this.traffic.length > 0) {
+            const entries = this.traffic;
+            this.traffic = [];
+            this.post({ type: 'traffic', entries }, entries.map(entry => entry.bytes.buffer));
+        }
+        if (this.batch.length === 0) return;
+
+        const units = [];
+        const packed = packReadings(this.batch, units);
+        this.batch = [];
+        this.post({ type: 'readings', packed, units, stats: this.stats() }, [packed.buffer]);
+    }
+
+    postEvent(name, detail) {
+        // Keep readings and state changes in the order they happened
+        this.flushReadings();
+        this.post({ type: 'event', name, detail, snapshot: this.snapshot() });
+    }
+
+    stats() {
+        const metrics = this.scale.metrics;
+        return {
+            totalReadings: metrics.totalReadings,
+            readingsPerSecond: metrics.readingsPerSecond,
+            latency: metrics.getLatencyStats(),
+            lineIssues: { ...metrics.lineIssues },
+            lastUnparseable: metrics.lastUnparseable,
+            frames: { ...metrics.frames },
+            link: this.scale.link.getCurrent(),
+            skippedPolls: this.scale.skippedPolls
+        };
+    }
+
+    // Connection fields the page mirrors
+    snapshot() {
+        const scale = this.scale;
+        if (!scale) return null;
+        return {
+            baudRate: scale.baudRate,
+            serialOptions: { ...scale.serialOptions },
+            protocol: scale.protocol,
+            frameFormat: { ...scale.frameFormat },
+            openOptions: scale.openOptions ? { ...scale.openOptions } : null,
+            method: scale.method,
+            resumeMethod: scale.resumeMethod,
+            deviceInfo: { ...scale.deviceInfo },
+            detection: scale.detection,
+            outages: scale.outages.map(outage => ({ ...outage })),
+            stable: scale.isStable,
+            settledWeight: scale.settledWeight,
+            weightStatus: scale.weightStatus,
+            unitMismatch: scale.unitMismatch,
+            stats: this.stats()
+        };
+    }
+}
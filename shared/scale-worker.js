@@ -0,0 +1,7 @@
+// Dedicated module worker entry point for WorkerScaleConnection
+
+import { ScaleWorkerHost } from './scale-worker-host.js';
+
+const host = new ScaleWorkerHost((message, transfer) => self.postMessage(message, transfer || []));
+
+self.addEventListener('message', (e) => host.handleMessage(e.data));
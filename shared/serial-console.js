@@ -0,0 +1,404 @@
+// Raw serial console on an existing connection (ScaleConnection or
+// WorkerScaleConnection), for talking to a device the parsers don't
+// understand. Typed commands go out with the chosen line ending through
+// writeLine(); every chunk crossing the port, including the page's own
+// commands, is shown as text and/or hex with its time. Traffic is only
+// captured while the console is open, since it costs an event per chunk.
+//
+// Sent commands are kept in a history (up/down in the input); macro buttons
+// send the protocol's commands and any the user saved. Saved macros and the
+// line ending persist in localStorage.
+
+import { getProtocolProfile } from './protocol-profiles.js';
+import { LayoutStore } from './layout-store.js';
+import { LogBuffer } from './render-loop.js';
+
+export const LINE_ENDINGS = {
+    cr: { label: 'CR', text: '\r' },
+    lf: { label: 'LF', text: '\n' },
+    crlf: { label: 'CR+LF', text: '\r\n' },
+    none: { label: 'None', text: '' }
+};
+
+export const CONSOLE_VIEWS = {
+    text: { label: 'Text' },
+    hex: { label: 'Hex' },
+    both: { label: 'Text + Hex' }
+};
+
+const ESCAPES = { 9: '\\t', 10: '\\n', 13: '\\r', 92: '\\\\' };
+
+// e.g. '53 20 31 0D 0A'
+export function formatHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+}
+
+// Printable ASCII as is, everything else escaped: 'S 1.0\r\n', '\x02'
+export function formatText(bytes) {
+    let text = '';
+    for (const byte of bytes) {
+        if (ESCAPES[byte]) {
+            text += ESCAPES[byte];
+        } else if (byte >= 0x20 && byte < 0x7f) {
+            text += String.fromCharCode(byte);
+        } else {
+            text += `\\x${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+        }
+    }
+    return text;
+}
+
+// Wall-clock time with milliseconds, e.g. '14:03:07.251'
+export function formatConsoleTime(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+// Commands sent, newest last, browsed like a shell history. The text being
+// typed when browsing starts comes back after the newest entry.
+export class CommandHistory {
+    constructor(maxEntries = 50) {
+        this.maxEntries = maxEntries;
+        this.entries = [];
+        this.position = 0;
+        this.draft = '';
+    }
+
+    // Repeats of the previous command are only kept once
+    add(command) {
+        if (command !== '' && command !== this.entries[this.entries.length - 1]) {
+            this.entries.push(command);
+            if (this.entries.length > this.maxEntries) {
+                this.entries.shift();
+            }
+        }
+        this.position = this.entries.length;
+        this.draft = '';
+    }
+
+    // The entry before the one shown; current is the input's text
+    previous(current) {
+        if (this.position === this.entries.length) {
+            this.draft = current;
+        }
+        this.position = Math.max(0, this.position - 1);
+        return this.entries.length > 0 ? this.entries[this.position] : current;
+    }
+
+    next() {
+        this.position = Math.min(this.entries.length, this.position + 1);
+        return this.position === this.entries.length ? this.draft : this.entries[this.position];
+    }
+}
+
+// Chunks of one direction that follow each other within this many ms, with
+// no line ending in between, are shown as one entry
+const MERGE_TIME = 50;
+const MAX_ENTRY_BYTES = 256;
+
+// Whether next carries on the line previous ended in; a CR only ends it when
+// no LF follows
+function continuesLine(previous, next) {
+    const last = previous[previous.length - 1];
+    return last !== 0x0a && (last !== 0x0d || next[0] === 0x0a);
+}
+
+export class SerialConsole {
+    // container: element the console is built in (its contents are replaced);
+    // options: { renderLoop, maxEntries, storageKey, storage (for LayoutStore) }.
+    // With a render loop, new output is only invalidated and the page's view
+    // calls render(); without one it is shown right away.
+    constructor(container, connection, options = {}) {
+        this.container = container;
+        this.renderLoop = options.renderLoop || null;
+        this.store = new LayoutStore(options.storageKey || 'serial-console', options.storage);
+        const saved = this.store.load() || {};
+        this.lineEnding = LINE_ENDINGS[saved.lineEnding] ? saved.lineEnding : null; // null: the protocol's terminator
+        this.macros = Array.isArray(saved.macros) ? saved.macros.filter(macro => typeof macro === 'string') : [];
+
+        this.view = 'text';
+        this.showTimestamps = true;
+        this.isPaused = false;
+        this.history = new CommandHistory();
+        this.output = new LogBuffer(options.maxEntries || 500, entry => this.formatEntry(entry));
+
+        this.connection = null;
+        this.macroProtocol = null;
+        this.onTraffic = (e) => this.addTraffic(e.detail);
+        this.onState = () => this.updateControls();
+
+        this.build();
+        this.setConnection(connection);
+    }
+
+    get isOpen() {
+        return this.elements.details.open;
+    }
+
+    get profile() {
+        return getProtocolProfile(this.connection.protocol);
+    }
+
+    // e.g. after the page replaced the channel's connection
+    setConnection(connection) {
+        if (this.connection) {
+            this.connection.removeEventListener('traffic', this.onTraffic);
+            this.connection.removeEventListener('state', this.onState);
+            this.connection.setTrafficCapture(false);
+        }
+        this.connection = connection;
+        connection.addEventListener('traffic', this.onTraffic);
+        connection.addEventListener('state', this.onState);
+        connection.setTrafficCapture(this.isOpen);
+        this.updateControls();
+    }
+
+    build() {
+        this.container.innerHTML = '';
+        const details = document.createElement('details');
+        details.className = 'serial-console';
+        const summary = document.createElement('summary');
+        summary.textContent = 'Serial Console';
+        details.appendChild(summary);
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'console-toolbar';
+        const viewSelect = this.createSelect(CONSOLE_VIEWS, this.view, (value) => {
+            this.view = value;
+            this.refresh();
+        });
+        toolbar.appendChild(viewSelect);
+        const timestamps = document.createElement('label');
+        const timestampsInput = document.createElement('input');
+        timestampsInput.type = 'checkbox';
+        timestampsInput.checked = this.showTimestamps;
+        timestampsInput.addEventListener('change', (e) => {
+            this.showTimestamps = e.target.checked;
+            this.refresh();
+        });
+        timestamps.appendChild(timestampsInput);
+        timestamps.appendChild(document.createTextNode(' Timestamps'));
+        toolbar.appendChild(timestamps);
+        const pauseBtn = this.createButton('Pause', () => this.togglePause());
+        toolbar.appendChild(pauseBtn);
+        toolbar.appendChild(this.createButton('Clear', () => this.clear()));
+        details.appendChild(toolbar);
+
+        const output = document.createElement('pre');
+        output.className = 'console-output';
+        details.appendChild(output);
+
+        const inputRow = document.createElement('div');
+        inputRow.className = 'console-input-row';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'console-input';
+        input.placeholder = 'Command (Enter sends, ↑/↓ history)';
+        input.addEventListener('keydown', (e) => this.handleKey(e));
+        inputRow.appendChild(input);
+        const endingSelect = this.createSelect(LINE_ENDINGS, this.lineEnding || '', (value) => {
+            this.lineEnding = value;
+            this.save();
+        });
+        endingSelect.title = 'Line ending sent after the command';
+        inputRow.appendChild(endingSelect);
+        const sendBtn = this.createButton('Send', () => this.sendInput());
+        inputRow.appendChild(sendBtn);
+        inputRow.appendChild(this.createButton('Save as Macro', () => this.saveMacro(input.value)));
+        details.appendChild(inputRow);
+
+        const macros = document.createElement('div');
+        macros.className = 'console-macros';
+        details.appendChild(macros);
+
+        details.addEventListener('toggle', () => {
+            this.connection.setTrafficCapture(details.open);
+            this.invalidate();
+        });
+        this.container.appendChild(details);
+        this.elements = { details, output, input, endingSelect, sendBtn, pauseBtn, macros };
+    }
+
+    createSelect(choices, value, onChange) {
+        const select = document.createElement('select');
+        Object.entries(choices).forEach(([key, { label }]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = value;
+        select.addEventListener('change', (e) => onChange(e.target.value));
+        return select;
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn filter-btn';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // The protocol's commands, then the saved ones (with a remove button)
+    renderMacros() {
+        const container = this.elements.macros;
+        container.innerHTML = '';
+        this.macroProtocol = this.connection.protocol;
+        Object.keys(this.profile.commands).forEach(command => {
+            const button = this.createButton(command === '' ? '(empty)' : command, () => this.send(command));
+            button.title = `Send '${command}'`;
+            container.appendChild(button);
+        });
+        this.macros.forEach((command, index) => {
+            const group = document.createElement('span');
+            group.className = 'console-macro';
+            group.appendChild(this.createButton(command, () => this.send(command)));
+            const remove = this.createButton('×', () => {
+                this.macros.splice(index, 1);
+                this.save();
+                this.renderMacros();
+                this.updateControls();
+            });
+            remove.title = 'Remove macro';
+            remove.classList.add('console-macro-remove');
+            group.appendChild(remove);
+            container.appendChild(group);
+        });
+    }
+
+    updateControls() {
+        // The protocol applies from the next connect, so its macros change then
+        if (this.connection.protocol !== this.macroProtocol) {
+            this.renderMacros();
+        }
+        const disabled = !this.connection.isConnected;
+        this.elements.input.disabled = disabled;
+        this.elements.sendBtn.disabled = disabled;
+        this.elements.macros.querySelectorAll('button:not(.console-macro-remove)').forEach(button => {
+            button.disabled = disabled;
+        });
+        // The protocol's terminator unless another ending was picked
+        if (this.lineEnding === null) {
+            const match = Object.entries(LINE_ENDINGS).find(([, { text }]) => text === this.profile.terminator);
+            this.elements.endingSelect.value = match ? match[0] : 'cr';
+        }
+    }
+
+    handleKey(e) {
+        const input = this.elements.input;
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.sendInput();
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            input.value = this.history.previous(input.value);
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            input.value = this.history.next();
+        }
+    }
+
+    sendInput() {
+        const command = this.elements.input.value;
+        this.history.add(command);
+        this.elements.input.value = '';
+        return this.send(command);
+    }
+
+    // Failures are shown in the console rather than thrown
+    async send(command) {
+        const ending = LINE_ENDINGS[this.elements.endingSelect.value] || LINE_ENDINGS.cr;
+        try {
+            await this.connection.writeLine(command, { terminator: ending.text });
+        } catch (error) {
+            this.addNote(`Not sent: ${error.message}`);
+        }
+    }
+
+    saveMacro(command) {
+        command = command.trim();
+        if (!command || this.macros.includes(command)) return;
+        this.macros.push(command);
+        this.save();
+        this.renderMacros();
+        this.updateControls();
+    }
+
+    save() {
+        this.store.save({ lineEnding: this.lineEnding, macros: this.macros });
+    }
+
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        this.elements.pauseBtn.textContent = this.isPaused ? 'Resume' : 'Pause';
+        if (!this.isPaused) {
+            this.addNote('Resumed; traffic while paused is not shown');
+        }
+    }
+
+    clear() {
+        this.output.clear();
+        this.invalidate();
+    }
+
+    // entry: { direction ('rx' | 'tx'), bytes, timestamp } from a 'traffic' event
+    addTraffic(entry) {
+        if (this.isPaused) return;
+
+        const entries = this.output.entries;
+        const last = entries[entries.length - 1];
+        if (last && last.direction === entry.direction && entry.timestamp - last.lastTimestamp <= MERGE_TIME &&
+            last.bytes.length + entry.bytes.length <= MAX_ENTRY_BYTES && continuesLine(last.bytes, entry.bytes)) {
+            const bytes = new Uint8Array(last.bytes.length + entry.bytes.length);
+            bytes.set(last.bytes);
+            bytes.set(entry.bytes, last.bytes.length);
+            last.bytes = bytes;
+            last.lastTimestamp = entry.timestamp;
+            this.output.changed = true;
+        } else {
+            this.output.push({ ...entry, lastTimestamp: entry.timestamp });
+        }
+        this.invalidate();
+    }
+
+    addNote(text) {
+        this.output.push({ direction: 'note', text, timestamp: Date.now() });
+        this.invalidate();
+    }
+
+    formatEntry(entry) {
+        const time = this.showTimestamps ? `${formatConsoleTime(entry.timestamp)} ` : '';
+        if (entry.direction === 'note') {
+            return `${time}-- ${entry.text}`;
+        }
+        const prefix = `${time}${entry.direction.toUpperCase()} `;
+        if (this.view === 'hex') {
+            return prefix + formatHex(entry.bytes);
+        }
+        const text = prefix + formatText(entry.bytes);
+        return this.view === 'both' ? `${text}\n${' '.repeat(prefix.length)}${formatHex(entry.bytes)}` : text;
+    }
+
+    // View or timestamp change: every entry is formatted again
+    refresh() {
+        this.output.changed = true;
+        this.invalidate();
+    }
+
+    invalidate() {
+        if (this.renderLoop) {
+            this.renderLoop.invalidate();
+        } else {
+            this.render();
+        }
+    }
+
+    render() {
+        if (this.isOpen) {
+            this.output.flush(this.elements.output);
+        }
+    }
+}
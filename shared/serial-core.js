@@ -0,0 +1,997 @@
+// UI-free scale connection shared by the speed test and multichannel pages.
+// ScaleConnection owns the port, the line (or frame, see framers.js) pipeline,
+// the command channel, filtering and metrics, and reports back through
+// DOM-style events:
+//
+//   state      - detail: { state, previous }   ('disconnected' | 'connecting' | 'connected' | 'reading' | 'lost')
+//   reading    - detail: { weight, rawWeight, latency, timestamp, unit, mode, deviceStable }
+//   deviceInfo - detail: { id, capacity, units }
+//   outage     - detail: { start, end, duration, reason, reconnected }  (when an outage ends)
+//   detect     - detail: { attempt, index, total }  (each setting tried by an auto-detect connect)
+//   stability  - detail: { stable, weight, timestamp }  (load settled / in motion, see stability.js)
+//   settled    - detail: { weight, timestamp, change, timeToStable }
+//   weightStatus - detail: { status, previous, error, line }  (overload, underload, error and back to ok)
+//   traffic    - detail: { direction, bytes, timestamp }  (each chunk read or written, while captureTraffic is on)
+//   error      - detail: { error, context }    (failures the caller did not await)
+//
+// 'lost' means the port went away under us (cable pulled, stream ended). The
+// connection waits for the same port to reappear, reopens it with the same
+// settings and resumes reading with the method that was running. A port that
+// won't open is retried a few times with growing delays, then left until its
+// next connect event.
+//
+// Methods the caller awaits (connect, refreshDeviceInfo, sendCommand, ...)
+// reject instead of raising 'error'.
+
+import { CommandChannel, ChannelClosedError } from './command-channel.js';
+import { StreamLatencyTracker } from './stream-latency.js';
+import { ReadingMetrics } from './metrics.js';
+import { createPortProvider } from './mock-serial.js';
+import { getPortIdentity, matchIdentity } from './port-registry.js';
+import { normalizeSerialOptions } from './serial-options.js';
+import { detectPortSettings } from './port-detection.js';
+import { FilterChain } from './filters.js';
+import { StabilityDetector } from './stability.js';
+import { getProtocolProfile, UnsupportedCommandError, DEFAULT_PROTOCOL } from './protocol-profiles.js';
+import { UnitMismatchError, unitsMatch } from './weight-parser.js';
+import { normalizeFrameFormat, encodeFrame, createFrameTransformStream } from './framers.js';
+import { LinkMetrics, createByteCounter } from './link-metrics.js';
+import { normalizeIntegrityOptions, SequenceChecker, splitSequence, formatLoopbackRecord, checkLoopbackRecord } from './integrity.js';
+
+export * from './command-channel.js';
+export { StreamLatencyTracker } from './stream-latency.js';
+export { ReadingMetrics } from './metrics.js';
+export { SimulatedScale, MockSerialPort, WebSerialPortProvider, SimulatedPortProvider, createPortProvider } from './mock-serial.js';
+export * from './port-registry.js';
+export { LayoutStore } from './layout-store.js';
+export * from './serial-options.js';
+export * from './port-detection.js';
+export * from './filters.js';
+export * from './stability.js';
+export * from './protocol-profiles.js';
+export * from './weight-parser.js';
+export * from './framers.js';
+export * from './link-metrics.js';
+export * from './integrity.js';
+
+export const READING_METHODS = ['onread', 'interval', 'continuous'];
+
+// A replugged USB device may come back as a new SerialPort object, so fall back
+// to matching its USB IDs (and serial number where available)
+export function isSamePort(a, b) {
+    if (!a || !b) return false;
+    if (a === b) return true;
+    return matchIdentity(getPortIdentity(a), getPortIdentity(b)) !== null;
+}
+
+// Splits text into trimmed, non-empty lines. Each line is emitted as
+// { text, receivedAt } where receivedAt is when the chunk completing it arrived.
+// Chunks are text, or { bytes, receivedAt } from a timestamping byte counter
+// (decoded here, keeping the time the bytes came off the port).
+export function createLineTransformStream() {
+    const textDecoder = new TextDecoder();
+    let buffer = '';
+    let lastArrival = null;
+
+    return new TransformStream({
+        transform(chunk, controller) {
+            const stamped = typeof chunk !== 'string';
+            const receivedAt = stamped ? chunk.receivedAt : performance.now();
+            lastArrival = receivedAt;
+            buffer += stamped ? textDecoder.decode(chunk.bytes, { stream: true }) : chunk;
+            const lines = buffer.split(/\r\n|\r|\n/);
+
+            // Keep the last line in buffer (it might be incomplete)
+            buffer = lines.pop() || '';
+
+            // Enqueue complete lines
+            for (const line of lines) {
+                if (line.trim()) {
+                    controller.enqueue({ text: line, receivedAt });
+                }
+            }
+        },
+
+        flush(controller) {
+            // Enqueue any remaining data in buffer, with bytes still held by the decoder
+            buffer += textDecoder.decode();
+            if (buffer.trim()) {
+                controller.enqueue({ text: buffer, receivedAt: lastArrival !== null ? lastArrival : performance.now() });
+            }
+        }
+    });
+}
+
+export class ScaleConnection extends EventTarget {
+    constructor(options = {}) {
+        super();
+
+        // Configuration (plain fields; changes apply on the next connect/start)
+        this.portProvider = options.portProvider || createPortProvider('webserial');
+        this.baudRate = options.baudRate || 9600;
+        this.serialOptions = normalizeSerialOptions(options); // dataBits, parity, stopBits, flowControl, bufferSize
+        this.readInterval = options.readInterval || 100;
+        this.commandTimeout = options.commandTimeout || 1000;
+        this.commandRetries = options.commandRetries !== undefined ? options.commandRetries : 1;
+        this.autoReconnect = options.autoReconnect !== undefined ? options.autoReconnect : true;
+        // Reopens tried after a failed one, per outage or connect event (0 = just the one)
+        this.reconnectRetries = options.reconnectRetries !== undefined ? options.reconnectRetries : 2;
+        this.reconnectDelay = options.reconnectDelay || 1000; // ms before the first retry, doubling after
+        this.protocol = options.protocol || DEFAULT_PROTOCOL; // Key of PROTOCOL_PROFILES
+        this.profile = getProtocolProfile(this.protocol);     // Profile in use since the last connect
+        this.frameFormat = normalizeFrameFormat(options.frameFormat); // framer, checksum, ... (see framers.js)
+
+        // Serial connection objects
+        this.port = null;
+        this.lineReader = null;
+        this.writer = null;
+        this.readableClosed = null;
+        this.writableClosed = null;
+        this.commandChannel = null;
+        this.lastLineArrival = null;
+        this.openOptions = null;
+        this.detection = null; // Result of the last auto-detect: { settings, reply, attempts }
+
+        // State
+        this.state = 'disconnected';
+        this.method = 'onread';
+        this.deviceInfo = { id: null, capacity: null, units: null };
+        this.weightStatus = 'ok';  // Status of the latest weight line (see weight-parser.js)
+        this.unitMismatch = null;  // { expected, actual } once weights arrive in other units than deviceInfo.units
+        this.otherUnitLines = 0;   // Consecutive weight lines in another unit
+
+        // Processing and metrics
+        this.filter = new FilterChain(options.filters || [{ type: 'median', windowSize: options.windowSize || 5 }]);
+        this.metrics = new ReadingMetrics({ historySize: options.historySize });
+        this.link = new LinkMetrics({ historySize: options.historySize });
+
+        // Integrity check (see integrity.js): { mode, ...options, checker, running, sent, sender };
+        // kept after it stops for getRunStats()
+        this.integrity = null;
+
+        // Takes the lines that are neither replies nor weights, see setLineListener()
+        this.lineListener = null;
+
+        // Raw RX/TX chunks as 'traffic' events, e.g. for a serial console; off by default
+        // since it costs a copy and an event per chunk
+        this.captureTraffic = !!options.captureTraffic;
+        this.streamLatency = new StreamLatencyTracker({ expectedRate: options.expectedRate });
+        this.stability = new StabilityDetector(options.stability);
+        ['stability', 'settled'].forEach(type => {
+            this.stability.addEventListener(type, (e) => this.dispatchEvent(new CustomEvent(type, { detail: e.detail })));
+        });
+
+        // Polling state
+        this.intervalId = null;
+        this.pollLoop = null;
+        this.currentPoll = null;
+        this.skippedPolls = 0;
+
+        // Hot-plug handling
+        this.outages = [];
+        this.currentOutage = null;
+        this.lostPort = null;
+        this.resumeMethod = null; // Reading method to restart once the port is back
+        this.watchedProvider = null;
+        this.reconnecting = null;
+        this.reconnectWait = null; // { timer, resolve } while retryReconnect() waits
+        this.closing = null;
+        this.onPortConnect = (e) => this.handlePortConnect(e.detail.port);
+        this.onPortDisconnect = (e) => this.handlePortDisconnect(e.detail.port);
+    }
+
+    get isConnected() {
+        return this.state === 'connected' || this.state === 'reading';
+    }
+
+    get isReading() {
+        return this.state === 'reading';
+    }
+
+    get isLost() {
+        return this.state === 'lost';
+    }
+
+    // Weight lines carry record counters while a sequence check runs
+    get isCheckingSequence() {
+        return this.integrity !== null && this.integrity.running && this.integrity.mode === 'sequence';
+    }
+
+    // Filter chain as specs (see filters.js)
+    get filters() {
+        return this.filter.specs.map(spec => ({ ...spec }));
+    }
+
+    // Replaces the filter chain; it starts again from the next reading.
+    // Invalid specs throw and leave the current chain in place.
+    setFilters(specs) {
+        this.filter = new FilterChain(specs);
+    }
+
+    setExpectedRate(rate) {
+        this.streamLatency.setExpectedRate(rate);
+    }
+
+    get isStable() {
+        return this.stability.stable;
+    }
+
+    get settledWeight() {
+        return this.stability.settledWeight;
+    }
+
+    // tolerance, holdTime and motionBand as in stability.js; invalid values throw
+    get stabilityOptions() {
+        return { ...this.stability.options };
+    }
+
+    setStability(options) {
+        this.stability.configure(options);
+    }
+
+    // options.autoDetect probes the port for its baud rate and framing first
+    // (see port-detection.js) and connects with whatever answered; the result
+    // replaces baudRate/serialOptions. Other options go to detectPortSettings().
+    async connect(port, options = {}) {
+        if (this.state !== 'disconnected') return;
+        this.setState('connecting');
+        this.detection = null;
+
+        try {
+            // Invalid settings fail before the port chooser is shown
+            this.profile = getProtocolProfile(this.protocol);
+            this.frameFormat = normalizeFrameFormat(this.frameFormat);
+            if (options.autoDetect && this.frameFormat.framer !== 'line') {
+                throw new RangeError('Auto-detect probes with text lines; connect framed devices with known settings');
+            }
+            this.openOptions = { baudRate: this.baudRate, ...normalizeSerialOptions(this.serialOptions) };
+
+            // Use the given port, or ask the active backend for one
+            this.port = port || await this.portProvider.requestPort();
+
+            if (options.autoDetect) {
+                await this.detectSettings(options);
+            }
+            await this.port.open(this.openOptions);
+            this.openStreams();
+        } catch (error) {
+            await this.closeStreams();
+            this.setState('disconnected');
+            throw error;
+        }
+
+        this.watchProvider(this.portProvider);
+        this.setState('connected');
+
+        try {
+            await this.refreshDeviceInfo();
+        } catch (error) {
+            this.emitError(error, 'deviceInfo');
+        }
+    }
+
+    async detectSettings(options) {
+        const result = await detectPortSettings(this.port, {
+            command: this.profile.probe,
+            terminator: this.profile.terminator,
+            ...options,
+            preferred: this.openOptions,
+            onAttempt: (attempt, index, total) => {
+                this.dispatchEvent(new CustomEvent('detect', { detail: { attempt, index, total } }));
+            }
+        });
+
+        const { baudRate, ...serialOptions } = result.settings;
+        this.baudRate = baudRate;
+        this.serialOptions = serialOptions;
+        this.openOptions = { ...result.settings };
+        this.detection = result;
+    }
+
+    openStreams() {
+        const framed = this.frameFormat.framer !== 'line';
+        let write;
+
+        // Bytes are counted as they cross the port, before decoding and after encoding
+        this.link.setLineSettings(this.openOptions);
+        // RX chunks are stamped here, where stream latency is measured from
+        const readable = this.port.readable.pipeThrough(createByteCounter((bytes, chunk) => {
+            this.link.addReceived(bytes);
+            this.recordTraffic('rx', chunk);
+        }, { timestamp: true }));
+        const txCounter = createByteCounter((bytes, chunk) => {
+            this.link.addSent(bytes);
+            this.recordTraffic('tx', chunk);
+        });
+        this.writableClosed = txCounter.readable.pipeTo(this.port.writable).catch(() => {});
+
+        // Pipe errors surface through lineReader/writer; the promises only mark completion
+        if (framed) {
+            // Each command is one frame, so it needs no terminator
+            const frameStream = createFrameTransformStream(this.frameFormat, (error) => this.metrics.addFrame(error));
+            const textEncoder = new TextEncoder();
+            this.readableClosed = readable.pipeTo(frameStream.writable).catch(() => {});
+            this.lineReader = frameStream.readable.getReader();
+            this.writer = txCounter.writable.getWriter();
+            write = async (text) => this.writer.write(encodeFrame(textEncoder.encode(text), this.frameFormat));
+        } else {
+            const textEncoder = new TextEncoderStream();
+            const lineStream = createLineTransformStream();
+            this.readableClosed = readable.pipeTo(lineStream.writable).catch(() => {});
+            textEncoder.readable.pipeTo(txCounter.writable).catch(() => {});
+            this.lineReader = lineStream.readable.getReader();
+            this.writer = textEncoder.writable.getWriter();
+            write = (text) => this.writer.write(text);
+        }
+
+        // Every line goes through the command channel, which routes replies to
+        // pending commands and streamed weights to handleStreamLine()
+        this.commandChannel = new CommandChannel({
+            readLine: () => this.readLine(),
+            write,
+            terminator: framed ? '' : this.profile.terminator,
+            commands: this.profile.commands,
+            isErrorLine: this.profile.isErrorLine,
+            isStreamLine: (line) => this.isStreamLine(line),
+            timeout: this.commandTimeout,
+            retries: this.commandRetries,
+            onStreamLine: (line) => this.handleStreamLine(line),
+            onUnsolicitedLine: (line) => this.handleUnsolicitedLine(line),
+            onClose: (reason) => {
+                if (reason) {
+                    this.emitError(reason, 'stream');
+                    this.handleConnectionLost(reason);
+                }
+            }
+        });
+        this.commandChannel.start();
+    }
+
+    // Returns the next trimmed line, or null once the stream has closed
+    async readLine() {
+        if (!this.lineReader) return null;
+
+        const { value, done } = await this.lineReader.read();
+        if (done) {
+            return null;
+        }
+        this.lastLineArrival = value.receivedAt;
+        return value.text.trim();
+    }
+
+    async disconnect() {
+        if (this.state === 'disconnected') return;
+
+        if (this.isReading) {
+            await this.stopReading();
+        }
+
+        // Giving up on a lost port closes its outage without a reconnect
+        this.unwatchProvider();
+        this.cancelReconnectWait();
+        this.endOutage(false);
+        this.lostPort = null;
+        this.resumeMethod = null;
+
+        try {
+            await this.closeStreams();
+        } finally {
+            this.deviceInfo = { id: null, capacity: null, units: null };
+            this.setState('disconnected');
+            this.dispatchEvent(new CustomEvent('deviceInfo', { detail: { ...this.deviceInfo } }));
+        }
+    }
+
+    // Release the pipeline in order: cancel the reader (propagates to port.readable),
+    // close the writer (propagates to port.writable), then close the port.
+    // A loss and a user disconnect can overlap, so concurrent calls share one release.
+    closeStreams() {
+        if (!this.closing) {
+            this.closing = this.releaseStreams().finally(() => {
+                this.closing = null;
+            });
+        }
+        return this.closing;
+    }
+
+    async releaseStreams() {
+        this.stopLoopbackSender();
+
+        // Detach everything up front so a reconnect can't have its new streams released
+        const { commandChannel, lineReader, readableClosed, writer, writableClosed, port } = this;
+        this.commandChannel = null;
+        this.lineReader = null;
+        this.readableClosed = null;
+        this.writer = null;
+        this.writableClosed = null;
+        this.port = null;
+
+        if (commandChannel) {
+            commandChannel.close();
+        }
+
+        if (lineReader) {
+            await lineReader.cancel().catch(() => {});
+            lineReader.releaseLock();
+        }
+        if (readableClosed) {
+            await readableClosed;
+        }
+
+        if (writer) {
+            await writer.close().catch(() => {});
+            writer.releaseLock();
+        }
+        if (writableClosed) {
+            await writableClosed;
+        }
+
+        if (port) {
+            try {
+                await port.close();
+            } catch (error) {
+                // Never opened, or already closed after a fatal error
+                if (error.name !== 'InvalidStateError') throw error;
+            }
+        }
+    }
+
+    async refreshDeviceInfo() {
+        this.unitMismatch = null;
+        this.otherUnitLines = 0;
+        try {
+            // Fields the protocol cannot report stay null
+            for (const [field, { command, parse }] of Object.entries(this.profile.deviceInfo)) {
+                this.deviceInfo[field] = parse(await this.sendCommand(command));
+            }
+        } finally {
+            this.dispatchEvent(new CustomEvent('deviceInfo', { detail: { ...this.deviceInfo } }));
+        }
+        return { ...this.deviceInfo };
+    }
+
+    // Queue a command and resolve with its reply line. Rejects with a
+    // CommandTimeoutError, CommandRejectedError or ChannelClosedError.
+    sendCommand(command, options) {
+        if (!this.commandChannel) {
+            return Promise.reject(new ChannelClosedError(command, 'not connected'));
+        }
+        return this.commandChannel.send(command, options);
+    }
+
+    // Writes a line (one frame when framed) straight to the port, ahead of
+    // queued commands and without waiting for a reply, e.g. an echo probe.
+    // options: { terminator } - ends the line instead of the protocol's
+    // terminator; '' sends the text exactly as given. Replies arrive as
+    // unsolicited lines, or as the reply to a queued command that happens to be waiting.
+    writeLine(text, options = {}) {
+        if (!this.commandChannel) {
+            return Promise.reject(new ChannelClosedError(text, 'not connected'));
+        }
+        return this.commandChannel.write(text, options.terminator);
+    }
+
+    setTrafficCapture(enabled) {
+        this.captureTraffic = !!enabled;
+    }
+
+    recordTraffic(direction, chunk) {
+        if (!this.captureTraffic) return;
+        // Copied: the chunk is still on its way through the pipeline
+        this.dispatchEvent(new CustomEvent('traffic', {
+            detail: { direction, bytes: chunk.slice(), timestamp: Date.now() }
+        }));
+    }
+
+    // listener(line, receivedAt) gets the lines that are neither command replies
+    // nor weights being read, instead of them counting as unparseable; null to stop
+    setLineListener(listener) {
+        this.lineListener = listener;
+    }
+
+    tare() {
+        if (this.profile.tare === null) {
+            return Promise.reject(new UnsupportedCommandError('tare', this.profile));
+        }
+        return this.sendCommand(this.profile.tare);
+    }
+
+    // Rejects with UnsupportedCommandError when the protocol cannot poll
+    async startReading(method = this.method) {
+        if (!this.isConnected || this.isReading) return;
+        if (method !== 'onread' && this.profile.weigh === null) {
+            throw new UnsupportedCommandError('weigh', this.profile);
+        }
+
+        this.method = method;
+        this.skippedPolls = 0;
+        this.streamLatency.reset();
+        this.setState('reading');
+
+        switch (method) {
+            case 'interval':
+                this.startIntervalPolling();
+                break;
+            case 'continuous':
+                this.pollLoop = this.runContinuousPolling();
+                break;
+            default:
+                // onread (fastest): streaming; lines arrive through handleStreamLine()
+                try {
+                    if (this.profile.streamStart === null) {
+                        this.commandChannel.setStreaming(true);
+                    } else {
+                        await this.sendCommand(this.profile.streamStart);
+                    }
+                } catch (error) {
+                    // The port may have been lost meanwhile; don't mask that state
+                    if (this.isReading) {
+                        this.setState('connected');
+                    }
+                    this.emitError(error, 'startReading');
+                }
+        }
+    }
+
+    async stopReading() {
+        // While lost, stopping just cancels the resume
+        if (this.isLost) {
+            this.resumeMethod = null;
+            return;
+        }
+        if (!this.isReading) return;
+
+        // Leaving the reading state makes handleStreamLine() drop weights still in flight
+        this.setState('connected');
+
+        this.stopIntervalPolling();
+
+        // Stop streaming; resolves once the device acknowledges
+        if (this.method === 'onread' && this.commandChannel) {
+            try {
+                if (this.profile.streamStop === null) {
+                    this.commandChannel.setStreaming(false);
+                } else {
+                    await this.sendCommand(this.profile.streamStop);
+                }
+            } catch (error) {
+                this.emitError(error, 'stopReading');
+            }
+        }
+
+        // Let an in-flight poll finish (bounded by the command timeout)
+        await Promise.allSettled([this.pollLoop, this.currentPoll]);
+        this.pollLoop = null;
+    }
+
+    startIntervalPolling() {
+        this.intervalId = setInterval(async () => {
+            if (!this.isReading) return;
+
+            // Skip the tick if the previous request is still waiting for its reply,
+            // otherwise the queued request's latency would include the wait
+            if (this.currentPoll) {
+                this.skippedPolls++;
+                return;
+            }
+
+            this.currentPoll = this.pollWeight();
+            try {
+                await this.currentPoll;
+            } catch (error) {
+                this.emitError(error, 'poll');
+            } finally {
+                this.currentPoll = null;
+            }
+        }, this.readInterval);
+    }
+
+    stopIntervalPolling() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    async runContinuousPolling() {
+        while (this.isReading) {
+            try {
+                await this.pollWeight();
+
+                // Small delay to prevent overwhelming the device
+                await new Promise(resolve => setTimeout(resolve, 10));
+
+            } catch (error) {
+                this.emitError(error, 'poll');
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+        }
+    }
+
+    // Shared request/response path for the polling methods. Latency is measured
+    // from queueing the weigh request until its reply line has been dispatched.
+    // Weight lines as the protocol knows them; during a sequence check they
+    // come behind the device's counter, both streamed and as poll replies
+    isStreamLine(line) {
+        if (this.isCheckingSequence) {
+            const record = splitSequence(line);
+            return record !== null && this.profile.isStreamLine(record.rest);
+        }
+        return this.profile.isStreamLine(line);
+    }
+
+    async pollWeight() {
+        const startTime = performance.now();
+        const line = await this.sendCommand(this.profile.weigh);
+        const latency = performance.now() - startTime;
+
+        this.handleWeightLine(line, () => latency);
+    }
+
+    // Start scoring record numbers (options: see DEFAULT_INTEGRITY_OPTIONS).
+    // 'sequence' checks the counters of the weight lines read from now on;
+    // 'loopback' sends numbered records for a loopback plug to return, so
+    // nothing else may be reading the port. Throws RangeError for invalid options.
+    startIntegrityCheck(options = {}) {
+        const settings = normalizeIntegrityOptions(options);
+        if (!this.isConnected) {
+            throw new Error('Not connected');
+        }
+        if (settings.mode === 'loopback' && this.isReading) {
+            throw new Error('Stop reading before a loopback check');
+        }
+
+        this.stopLoopbackSender();
+        const loopback = settings.mode === 'loopback';
+        this.integrity = {
+            ...settings,
+            checker: loopback ? new SequenceChecker({ start: 0 }) : new SequenceChecker({ modulo: settings.sequenceModulo }),
+            running: true,
+            sent: 0,
+            inFlight: 0,
+            startTime: performance.now(),
+            sender: null
+        };
+        if (loopback) {
+            this.integrity.sender = setInterval(() => this.sendLoopbackRecords(), 10);
+        }
+    }
+
+    // Ends the check and returns { mode, ...SequenceChecker.getSummary() }
+    async stopIntegrityCheck() {
+        const integrity = this.integrity;
+        if (!integrity) return null;
+        if (integrity.running && integrity.mode === 'loopback') {
+            this.stopLoopbackSender();
+            // Records still on the wire count once they are back, or as lost after settleTime
+            await new Promise(resolve => setTimeout(resolve, integrity.settleTime));
+            integrity.checker.expectUpTo(integrity.sent);
+        }
+        integrity.running = false;
+        return this.getIntegritySummary();
+    }
+
+    getIntegritySummary() {
+        if (!this.integrity) return null;
+        return { mode: this.integrity.mode, ...this.integrity.checker.getSummary() };
+    }
+
+    // Sends the records due at the check's rate; at most 32 wait in the
+    // command queue, so a rate beyond what the baud rate carries isn't buffered without end
+    sendLoopbackRecords() {
+        const integrity = this.integrity;
+        if (!this.commandChannel || !integrity || !integrity.sender) return;
+
+        const elapsed = (performance.now() - integrity.startTime) / 1000;
+        const due = Math.min(Math.floor(elapsed * integrity.rate) - integrity.sent, 32 - integrity.inFlight);
+        for (let i = 0; i < due; i++) {
+            const record = formatLoopbackRecord(integrity.sent++, integrity.recordLength);
+            integrity.inFlight++;
+            this.commandChannel.send(record, { reply: 'none' })
+                .catch(error => {
+                    if (integrity.sender) {
+                        this.emitError(error, 'integrity');
+                        this.stopLoopbackSender();
+                    }
+                })
+                .finally(() => integrity.inFlight--);
+        }
+    }
+
+    stopLoopbackSender() {
+        if (this.integrity && this.integrity.sender) {
+            clearInterval(this.integrity.sender);
+            this.integrity.sender = null;
+        }
+    }
+
+    handleStreamLine(line) {
+        const readTime = performance.now();
+
+        // Lines still arriving after a stop are dropped
+        if (!this.isReading || this.method !== 'onread') return;
+
+        // No request to time against, so score the line against the stream itself
+        this.handleWeightLine(line, () => this.streamLatency.measure(this.lastLineArrival, readTime).latency);
+    }
+
+    // Lines that are neither a reply nor a streamed weight, e.g. corrupted ones
+    handleUnsolicitedLine(line) {
+        if (this.lineListener) {
+            this.lineListener(line, this.lastLineArrival);
+            return;
+        }
+        const integrity = this.integrity;
+        if (integrity && integrity.running && integrity.mode === 'loopback') {
+            checkLoopbackRecord(integrity.checker, line, integrity.recordLength);
+            return;
+        }
+        // Without a readable counter the line still counts, as a corrupted record
+        if (this.isCheckingSequence) {
+            this.handleStreamLine(line);
+            return;
+        }
+        if (this.isReading && this.method === 'onread') {
+            this.metrics.addLineIssue('unparseable', line);
+        }
+    }
+
+    // Parse a weight line with the protocol's parser; anything that is not a
+    // weight is counted instead. getLatency is only called for readings.
+    handleWeightLine(line, getLatency) {
+        let parsed;
+        if (this.isCheckingSequence) {
+            // The record counts as corrupted without a counter or a weight behind it
+            const record = splitSequence(line);
+            parsed = record ? this.profile.parseLine(record.rest) : null;
+            this.integrity.checker.check({ sequence: record ? record.sequence : null, valid: parsed !== null, bytes: line.length });
+        } else {
+            parsed = this.profile.parseLine(line);
+        }
+        if (!parsed) {
+            this.metrics.addLineIssue('unparseable', line);
+            return;
+        }
+
+        if (parsed.status !== this.weightStatus) {
+            const previous = this.weightStatus;
+            this.weightStatus = parsed.status;
+            this.dispatchEvent(new CustomEvent('weightStatus', { detail: { status: parsed.status, previous, error: parsed.error, line } }));
+        }
+        if (parsed.status !== 'ok') {
+            this.metrics.addLineIssue(parsed.status, line);
+            return;
+        }
+
+        this.checkUnit(parsed.unit);
+        this.processReading(parsed.value, getLatency(), parsed);
+    }
+
+    // Weights in other units than the device info claims are reported once per
+    // connection; a few lines in a row, so a corrupted character isn't taken for a unit
+    checkUnit(unit) {
+        const expected = this.deviceInfo.units;
+        if (!unit || !expected || this.unitMismatch) return;
+        if (unitsMatch(unit, expected)) {
+            this.otherUnitLines = 0;
+            return;
+        }
+        if (++this.otherUnitLines < 3) return;
+
+        this.unitMismatch = { expected, actual: unit };
+        this.emitError(new UnitMismatchError(expected, unit), 'units');
+    }
+
+    // parsed: the line's unit, mode and stability flag, where the protocol sends them
+    processReading(rawWeight, latency, parsed = {}) {
+        const reading = {
+            weight: this.filter.push(rawWeight),
+            rawWeight,
+            latency,
+            timestamp: Date.now(),
+            unit: parsed.unit || null,
+            mode: parsed.mode || null,
+            deviceStable: parsed.stable !== undefined ? parsed.stable : null
+        };
+
+        this.metrics.add(reading);
+        this.dispatchEvent(new CustomEvent('reading', { detail: reading }));
+        this.stability.push(reading);
+    }
+
+    // Final statistics for a run lasting durationSeconds, as kept with a TestRun channel
+    getRunStats(durationSeconds) {
+        return {
+            ...this.metrics.getSummary(durationSeconds),
+            link: this.link.getSummary(durationSeconds, this.metrics.totalReadings),
+            integrity: this.getIntegritySummary(),
+            stream: this.streamLatency.getSummary(),
+            stability: this.stability.getSummary(),
+            unitMismatch: this.unitMismatch ? { ...this.unitMismatch } : null,
+            outages: this.outages.map(outage => ({ ...outage }))
+        };
+    }
+
+    // Clear metrics and filter state, e.g. at the start of a test run.
+    // An outage still in progress carries over into the new run.
+    resetMetrics() {
+        this.metrics.reset();
+        this.link.reset();
+        // A check still running belongs to the new run
+        if (this.integrity && !this.integrity.running) {
+            this.integrity = null;
+        }
+        this.filter.reset();
+        this.streamLatency.reset();
+        this.stability.reset();
+        this.weightStatus = 'ok';
+        this.outages = this.currentOutage ? [this.currentOutage] : [];
+    }
+
+    watchProvider(provider) {
+        if (this.watchedProvider === provider) return;
+        this.unwatchProvider();
+        if (typeof provider.addEventListener !== 'function') return;
+
+        provider.addEventListener('connect', this.onPortConnect);
+        provider.addEventListener('disconnect', this.onPortDisconnect);
+        this.watchedProvider = provider;
+    }
+
+    unwatchProvider() {
+        if (!this.watchedProvider) return;
+        this.watchedProvider.removeEventListener('connect', this.onPortConnect);
+        this.watchedProvider.removeEventListener('disconnect', this.onPortDisconnect);
+        this.watchedProvider = null;
+    }
+
+    handlePortDisconnect(port) {
+        if (!this.isConnected || !isSamePort(port, this.port)) return;
+
+        // Whichever of this event and the stream error comes first ends the session
+        const reason = new DOMException('The device has been lost.', 'NetworkError');
+        if (this.commandChannel) {
+            this.commandChannel.close(reason);
+        } else {
+            this.handleConnectionLost(reason);
+        }
+    }
+
+    handlePortConnect(port) {
+        if (this.isLost && this.autoReconnect && isSamePort(port, this.lostPort)) {
+            this.retryReconnect(port);
+        }
+    }
+
+    // The port went away while open: release it, remember what was running and
+    // wait for the port to come back
+    async handleConnectionLost(reason) {
+        if (!this.isConnected) return;
+
+        this.resumeMethod = this.isReading ? this.method : null;
+        this.lostPort = this.port;
+        this.stopIntervalPolling();
+        this.currentOutage = {
+            start: Date.now(),
+            end: null,
+            duration: null,
+            reason: reason.message,
+            reconnected: false
+        };
+        this.outages.push(this.currentOutage);
+        this.setState('lost');
+
+        try {
+            await this.closeStreams();
+        } catch (error) {
+            // The port is gone; nothing left to release
+        }
+
+        // A stream that ended without the device being unplugged needs no connect event
+        if (this.autoReconnect && this.lostPort && this.lostPort.connected !== false) {
+            this.retryReconnect(this.lostPort);
+        }
+    }
+
+    // A reconnect and up to reconnectRetries more, the first at once unless the
+    // last outage only just ended: a device that keeps dropping the stream
+    // right after it is reopened is retried no faster than reconnectDelay
+    async retryReconnect(port) {
+        if (this.reconnecting || this.reconnectWait) return;
+
+        const previous = this.outages[this.outages.length - 2];
+        const flapping = previous && previous.end !== null && Date.now() - previous.end < this.reconnectDelay;
+        for (let attempt = 0; attempt <= this.reconnectRetries; attempt++) {
+            const wait = attempt > 0 ? this.reconnectDelay * 2 ** (attempt - 1) : flapping ? this.reconnectDelay : 0;
+            if (wait > 0) {
+                await new Promise(resolve => {
+                    this.reconnectWait = { timer: setTimeout(resolve, wait), resolve };
+                });
+                this.reconnectWait = null;
+            }
+            // Given up on (disconnect() drops lostPort before the state changes),
+            // or reopened through a connect event meanwhile
+            if (!this.isLost || this.lostPort === null) return;
+            if (await this.reconnect(port)) return;
+        }
+    }
+
+    // Ends a wait between retries early; retryReconnect() then sees whether it is still lost
+    cancelReconnectWait() {
+        const wait = this.reconnectWait;
+        if (!wait) return;
+        clearTimeout(wait.timer);
+        wait.resolve();
+    }
+
+    // Reopen a port that reappeared with the settings it was connected with
+    reconnect(port) {
+        if (this.reconnecting) return this.reconnecting;
+
+        this.reconnecting = (async () => {
+            // Let the lost session finish releasing the port first
+            if (this.closing) {
+                await this.closing.catch(() => {});
+            }
+
+            try {
+                this.port = port;
+                await port.open(this.openOptions);
+                this.openStreams();
+            } catch (error) {
+                // Still unavailable; retried by retryReconnect() or the next connect event
+                await this.closeStreams().catch(() => {});
+                this.emitError(error, 'reconnect');
+                return false;
+            }
+
+            // disconnect() may have been called while the port was opening
+            if (!this.isLost) {
+                await this.closeStreams().catch(() => {});
+                return false;
+            }
+
+            this.lostPort = null;
+            this.setState('connected');
+            try {
+                await this.refreshDeviceInfo();
+            } catch (error) {
+                this.emitError(error, 'deviceInfo');
+            }
+
+            const method = this.resumeMethod;
+            this.resumeMethod = null;
+            this.endOutage(true);
+            if (method) {
+                await this.startReading(method);
+            }
+            return true;
+        })().finally(() => {
+            this.reconnecting = null;
+        });
+
+        return this.reconnecting;
+    }
+
+    endOutage(reconnected) {
+        const outage = this.currentOutage;
+        if (!outage) return;
+
+        outage.end = Date.now();
+        outage.duration = outage.end - outage.start;
+        outage.reconnected = reconnected;
+        this.currentOutage = null;
+        this.dispatchEvent(new CustomEvent('outage', { detail: { ...outage } }));
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+        const previous = this.state;
+        this.state = state;
+        this.dispatchEvent(new CustomEvent('state', { detail: { state, previous } }));
+    }
+
+    emitError(error, context) {
+        this.dispatchEvent(new CustomEvent('error', { detail: { error, context } }));
+    }
+}
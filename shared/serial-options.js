@@ -0,0 +1,69 @@
+// Framing, flow control and buffer size passed to SerialPort.open() next to
+// the baud rate. Defaults are the Web Serial defaults (8N1, no flow control,
+// 255 byte buffer); some scale models ship configured for 7E1 or RTS/CTS.
+
+export const DATA_BITS = [7, 8];
+export const PARITIES = ['none', 'even', 'odd'];
+export const STOP_BITS = [1, 2];
+export const FLOW_CONTROLS = ['none', 'hardware'];
+export const MAX_BUFFER_SIZE = 16 * 1024 * 1024;
+
+export const DEFAULT_SERIAL_OPTIONS = {
+    dataBits: 8,
+    parity: 'none',
+    stopBits: 1,
+    flowControl: 'none',
+    bufferSize: 255
+};
+
+// Picks the serial options out of a larger settings object, fills in defaults
+// and rejects values SerialPort.open() would refuse. Numbers may be strings
+// (straight from form inputs).
+export function normalizeSerialOptions(options = {}) {
+    const normalized = { ...DEFAULT_SERIAL_OPTIONS };
+
+    for (const key of Object.keys(DEFAULT_SERIAL_OPTIONS)) {
+        const value = options[key];
+        if (value === undefined || value === null || value === '') continue;
+        normalized[key] = typeof DEFAULT_SERIAL_OPTIONS[key] === 'number' ? Number(value) : value;
+    }
+
+    if (!DATA_BITS.includes(normalized.dataBits)) {
+        throw new RangeError(`Data bits must be 7 or 8, got ${options.dataBits}`);
+    }
+    if (!PARITIES.includes(normalized.parity)) {
+        throw new RangeError(`Parity must be one of ${PARITIES.join(', ')}, got ${options.parity}`);
+    }
+    if (!STOP_BITS.includes(normalized.stopBits)) {
+        throw new RangeError(`Stop bits must be 1 or 2, got ${options.stopBits}`);
+    }
+    if (!FLOW_CONTROLS.includes(normalized.flowControl)) {
+        throw new RangeError(`Flow control must be one of ${FLOW_CONTROLS.join(', ')}, got ${options.flowControl}`);
+    }
+    if (!Number.isInteger(normalized.bufferSize) || normalized.bufferSize < 1 || normalized.bufferSize > MAX_BUFFER_SIZE) {
+        throw new RangeError(`Buffer size must be between 1 and ${MAX_BUFFER_SIZE} bytes, got ${options.bufferSize}`);
+    }
+
+    return normalized;
+}
+
+// Conventional short form: 8N1, 7E1, 8O2
+export function formatFraming(options) {
+    const parity = (options.parity || 'none')[0].toUpperCase();
+    return `${options.dataBits || 8}${parity}${options.stopBits || 1}`;
+}
+
+// e.g. "9600 7E1, RTS/CTS" for device info panels and logs
+export function describePortSettings(options) {
+    let text = `${options.baudRate} ${formatFraming(options)}`;
+    if (options.flowControl === 'hardware') {
+        text += ', RTS/CTS';
+    }
+    return text;
+}
+
+// Bits on the wire per character: start bit, data bits, parity bit, stop bits
+export function bitsPerCharacter(options = {}) {
+    const { dataBits, parity, stopBits } = normalizeSerialOptions(options);
+    return 1 + dataBits + (parity === 'none' ? 0 : 1) + stopBits;
+}
@@ -0,0 +1,128 @@
+// Decides when a load has settled. The weight is stable once the readings of
+// the last holdTime ms all lie within tolerance of each other; the settled
+// weight is their mean. While stable, readings may wander within motionBand
+// of the settled weight (0 = the tolerance) before the scale counts as in
+// motion again. Events:
+//
+//   stability - detail: { stable, weight, timestamp }   (on every change)
+//   settled   - detail: { weight, timestamp, change, timeToStable }
+//
+// change is the difference to the previous settled weight (null for the
+// first), timeToStable the ms from the start of motion until stable (null
+// when there was no motion yet, e.g. the first settle after a reset).
+
+export const DEFAULT_STABILITY = {
+    tolerance: 0.5,  // weight units
+    holdTime: 500,   // ms the weight must stay within tolerance
+    motionBand: 0    // weight units a stable weight may drift (0 = tolerance)
+};
+
+// Numbers may be strings (straight from form inputs)
+export function normalizeStabilityOptions(options = {}) {
+    const normalized = { ...DEFAULT_STABILITY };
+    for (const key of Object.keys(DEFAULT_STABILITY)) {
+        const value = options[key];
+        if (value === undefined || value === null || value === '') continue;
+        normalized[key] = Number(value);
+        if (!Number.isFinite(normalized[key]) || normalized[key] < 0) {
+            throw new RangeError(`Stability ${key} must be a number of at least 0, got ${value}`);
+        }
+    }
+    return normalized;
+}
+
+export class StabilityDetector extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.options = normalizeStabilityOptions(options);
+        this.reset();
+    }
+
+    // Takes effect from the next reading
+    configure(options) {
+        this.options = normalizeStabilityOptions({ ...this.options, ...options });
+    }
+
+    get motionBand() {
+        return this.options.motionBand || this.options.tolerance;
+    }
+
+    reset() {
+        this.stable = false;
+        this.window = [];
+        this.min = Infinity;
+        this.max = -Infinity;
+        this.settledWeight = null;
+        this.motionStart = null;
+        this.settleTimes = []; // time to stable after each load change, ms
+    }
+
+    // Returns whether the weight is stable after this reading
+    push({ weight, timestamp }) {
+        if (this.stable) {
+            if (Math.abs(weight - this.settledWeight) <= this.motionBand) return true;
+
+            this.stable = false;
+            this.motionStart = timestamp;
+            this.window = [];
+            this.min = Infinity;
+            this.max = -Infinity;
+            this.dispatchEvent(new CustomEvent('stability', { detail: { stable: false, weight, timestamp } }));
+        }
+
+        this.addToWindow(weight, timestamp);
+        if (timestamp - this.window[0].timestamp >= this.options.holdTime) {
+            this.settle(timestamp);
+        }
+        return this.stable;
+    }
+
+    // Keep the newest readings that fit within tolerance together
+    addToWindow(weight, timestamp) {
+        this.window.push({ weight, timestamp });
+        this.min = Math.min(this.min, weight);
+        this.max = Math.max(this.max, weight);
+        if (this.max - this.min <= this.options.tolerance) return;
+
+        let start = this.window.length - 1;
+        this.min = this.max = weight;
+        while (start > 0) {
+            const previous = this.window[start - 1].weight;
+            if (Math.max(this.max, previous) - Math.min(this.min, previous) > this.options.tolerance) break;
+            this.min = Math.min(this.min, previous);
+            this.max = Math.max(this.max, previous);
+            start--;
+        }
+        this.window = this.window.slice(start);
+    }
+
+    settle(timestamp) {
+        const weight = this.window.reduce((sum, reading) => sum + reading.weight, 0) / this.window.length;
+        const change = this.settledWeight === null ? null : weight - this.settledWeight;
+        const timeToStable = this.motionStart === null ? null : timestamp - this.motionStart;
+
+        // A bump that comes back to the same weight is not a load change
+        if (timeToStable !== null && Math.abs(change) > this.motionBand) {
+            this.settleTimes.push(timeToStable);
+        }
+
+        this.stable = true;
+        this.settledWeight = weight;
+        this.motionStart = null;
+        this.dispatchEvent(new CustomEvent('stability', { detail: { stable: true, weight, timestamp } }));
+        this.dispatchEvent(new CustomEvent('settled', { detail: { weight, timestamp, change, timeToStable } }));
+    }
+
+    getSummary() {
+        const times = this.settleTimes;
+        return {
+            stable: this.stable,
+            settledWeight: this.settledWeight,
+            loadChanges: times.length,
+            avgTimeToStable: times.length > 0 ? times.reduce((sum, time) => sum + time, 0) / times.length : 0,
+            minTimeToStable: times.length > 0 ? Math.min(...times) : 0,
+            maxTimeToStable: times.length > 0 ? Math.max(...times) : 0,
+            lastTimeToStable: times.length > 0 ? times[times.length - 1] : null
+        };
+    }
+}
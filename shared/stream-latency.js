@@ -0,0 +1,112 @@
+// Latency model for streamed (wc) readings. A streaming device has no
+// request to time against, so each line is scored on:
+//   - decode delay: bytes coming off the port -> line handed to the reader
+//   - period deviation: inter-arrival interval minus the device's expected output period
+//   - jitter: change in inter-arrival interval from the previous line
+// The per-reading latency is the decode delay plus any lateness against the
+// expected period, which is what the existing latency metrics and chart show.
+
+export class StreamLatencyTracker {
+    constructor(options = {}) {
+        // Expected device output rate in Hz; 0 estimates it from observed intervals
+        this.expectedRate = options.expectedRate || 0;
+        this.historySize = options.historySize || 1000;
+        this.reset();
+    }
+
+    reset() {
+        this.lastArrival = null;
+        this.lastInterval = null;
+        this.intervals = [];
+        this.jitters = [];
+        this.decodeDelays = [];
+        this.periodDeviations = [];
+        this.smoothedJitter = 0;
+    }
+
+    setExpectedRate(rate) {
+        this.expectedRate = rate || 0;
+    }
+
+    // arrivalTime: when the chunk completing the line was received
+    // readTime: when the reader took the line off the stream
+    measure(arrivalTime, readTime) {
+        const decodeDelay = Math.max(0, readTime - arrivalTime);
+        let interval = null;
+        let jitter = 0;
+        let periodDeviation = 0;
+
+        if (this.lastArrival !== null) {
+            interval = arrivalTime - this.lastArrival;
+            this.push(this.intervals, interval);
+
+            const expectedPeriod = this.getExpectedPeriod();
+            if (expectedPeriod > 0) {
+                periodDeviation = interval - expectedPeriod;
+                this.push(this.periodDeviations, periodDeviation);
+
+                // RFC 3550 style running jitter estimate
+                this.smoothedJitter += (Math.abs(periodDeviation) - this.smoothedJitter) / 16;
+            }
+
+            if (this.lastInterval !== null) {
+                jitter = Math.abs(interval - this.lastInterval);
+                this.push(this.jitters, jitter);
+            }
+            this.lastInterval = interval;
+        }
+
+        this.lastArrival = arrivalTime;
+        this.push(this.decodeDelays, decodeDelay);
+
+        return {
+            latency: decodeDelay + Math.max(0, periodDeviation),
+            decodeDelay,
+            interval,
+            jitter,
+            periodDeviation
+        };
+    }
+
+    getExpectedPeriod() {
+        if (this.expectedRate > 0) {
+            return 1000 / this.expectedRate;
+        }
+        // Estimate from the mean of recent intervals. USB bridges deliver lines in
+        // bursts, so most intervals are ~0 and the median would be meaningless.
+        if (this.intervals.length < 10) return 0;
+        const recent = this.intervals.slice(-100);
+        return recent.reduce((a, b) => a + b, 0) / recent.length;
+    }
+
+    push(list, value) {
+        list.push(value);
+        if (list.length > this.historySize) {
+            list.shift();
+        }
+    }
+
+    getSummary() {
+        const expectedPeriod = this.getExpectedPeriod();
+        return {
+            expectedPeriod,
+            deviceRate: expectedPeriod > 0 ? 1000 / expectedPeriod : 0,
+            jitter: StreamLatencyTracker.describe(this.jitters),
+            decodeDelay: StreamLatencyTracker.describe(this.decodeDelays),
+            periodDeviation: StreamLatencyTracker.describe(this.periodDeviations),
+            smoothedJitter: this.smoothedJitter
+        };
+    }
+
+    static describe(values) {
+        if (values.length === 0) {
+            return { avg: 0, p95: 0, max: 0 };
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        return {
+            avg: values.reduce((a, b) => a + b, 0) / values.length,
+            p95: sorted[Math.floor(sorted.length * 0.95)],
+            max: sorted[sorted.length - 1]
+        };
+    }
+}
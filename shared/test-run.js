@@ -0,0 +1,185 @@
+// Full record of a performance test for export. ReadingMetrics only keeps a
+// bounded history for display, so TestRun stores every reading separately in
+// compact columns, alongside the device/channel metadata, the test
+// configuration and each channel's final statistics.
+
+import { getPortIdentity } from './port-registry.js';
+import { DEFAULT_SERIAL_OPTIONS, formatFraming } from './serial-options.js';
+import { formatFrameFormat } from './framers.js';
+
+export const TEST_RUN_FORMAT = 'serial-speed-test-run';
+export const TEST_RUN_VERSION = 1;
+
+// Channel metadata from a connected ScaleConnection
+export function describeScale(scale) {
+    const openOptions = scale.openOptions || { baudRate: scale.baudRate, ...scale.serialOptions };
+    const { dataBits, parity, stopBits, flowControl, bufferSize } = { ...DEFAULT_SERIAL_OPTIONS, ...openOptions };
+    return {
+        deviceId: scale.deviceInfo.id,
+        capacity: scale.deviceInfo.capacity,
+        units: scale.deviceInfo.units,
+        baudRate: openOptions.baudRate,
+        framing: formatFraming({ dataBits, parity, stopBits }),
+        dataBits,
+        parity,
+        stopBits,
+        flowControl,
+        bufferSize,
+        method: scale.method,
+        protocol: scale.protocol,
+        frameFormat: formatFrameFormat(scale.frameFormat),
+        port: scale.port ? getPortIdentity(scale.port) : null
+    };
+}
+
+export class TestRun {
+    // options: { page, config } - config is the test configuration as shown on the page
+    constructor(options = {}) {
+        this.page = options.page || '';
+        this.config = { ...options.config };
+        this.startedAt = Date.now();
+        this.endedAt = null;
+        this.channels = [];
+
+        // One entry per reading, column-wise to keep long soak tests small
+        this.timestamps = [];
+        this.channelIndexes = [];
+        this.rawWeights = [];
+        this.weights = [];
+        this.latencies = [];
+    }
+
+    get readingCount() {
+        return this.timestamps.length;
+    }
+
+    get isFinished() {
+        return this.endedAt !== null;
+    }
+
+    // Returns the channel index to pass to record()
+    addChannel(channel) {
+        this.channels.push({ ...channel, stats: null });
+        return this.channels.length - 1;
+    }
+
+    record(channelIndex, reading) {
+        if (this.isFinished) return;
+
+        this.timestamps.push(reading.timestamp);
+        this.channelIndexes.push(channelIndex);
+        this.rawWeights.push(reading.rawWeight);
+        this.weights.push(reading.weight);
+        this.latencies.push(reading.latency);
+    }
+
+    // statsByChannel: final statistics for each channel, in addChannel() order
+    finish(statsByChannel = []) {
+        this.endedAt = Date.now();
+        statsByChannel.forEach((stats, index) => {
+            if (this.channels[index]) {
+                this.channels[index].stats = stats;
+            }
+        });
+    }
+
+    getReading(index) {
+        return {
+            timestamp: this.timestamps[index],
+            channel: this.channelIndexes[index],
+            rawWeight: this.rawWeights[index],
+            weight: this.weights[index],
+            latency: this.latencies[index]
+        };
+    }
+
+    getMetadata() {
+        const endedAt = this.endedAt || Date.now();
+        return {
+            format: TEST_RUN_FORMAT,
+            version: TEST_RUN_VERSION,
+            page: this.page,
+            startedAt: new Date(this.startedAt).toISOString(),
+            endedAt: new Date(endedAt).toISOString(),
+            duration: (endedAt - this.startedAt) / 1000,
+            totalReadings: this.readingCount,
+            config: this.config,
+            channels: this.channels
+        };
+    }
+
+    toJSON() {
+        const readings = new Array(this.readingCount);
+        for (let i = 0; i < this.readingCount; i++) {
+            readings[i] = this.getReading(i);
+        }
+        return { ...this.getMetadata(), readings };
+    }
+
+    // Metadata and statistics come first as '# key = value' comment lines,
+    // followed by one row per reading
+    toCSV() {
+        const lines = [];
+        flatten(this.getMetadata()).forEach(([key, value]) => {
+            lines.push(`# ${key} = ${value}`);
+        });
+
+        lines.push('timestamp,time,channel,channel_name,raw_weight,filtered_weight,latency_ms');
+        for (let i = 0; i < this.readingCount; i++) {
+            const reading = this.getReading(i);
+            const channel = this.channels[reading.channel];
+            lines.push([
+                reading.timestamp,
+                new Date(reading.timestamp).toISOString(),
+                reading.channel,
+                csvField(channel ? channel.name : ''),
+                reading.rawWeight,
+                reading.weight,
+                reading.latency.toFixed(3)
+            ].join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    getFilename(extension) {
+        const stamp = new Date(this.startedAt).toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        return `${this.page || 'test-run'}-${stamp}.${extension}`;
+    }
+}
+
+// Nested objects become dotted keys: channels.0.stats.p95
+function flatten(value, prefix = '', entries = []) {
+    if (value !== null && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            flatten(child, prefix ? `${prefix}.${key}` : key, entries);
+        }
+    } else {
+        entries.push([prefix, value === null || value === undefined ? '' : value]);
+    }
+    return entries;
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Save text through a temporary download link (browser only)
+export function downloadText(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function exportRun(run, format) {
+    if (format === 'csv') {
+        downloadText(run.getFilename('csv'), run.toCSV(), 'text/csv');
+    } else {
+        downloadText(run.getFilename('json'), JSON.stringify(run), 'application/json');
+    }
+}
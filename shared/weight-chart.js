@@ -0,0 +1,550 @@
+// Canvas weight-over-time plot. Readings go into fixed-size ring buffers, one
+// per series (a scale or channel, raw and filtered weight side by side), and
+// the canvas is redrawn at most once per animation frame no matter how fast
+// readings arrive (or, given a RenderLoop, as one of its views). When there
+// are more points in view than pixels, each pixel column is drawn as its
+// min/max so spikes stay visible.
+//
+// Mouse: wheel zooms the time axis, drag pans (and pauses), double-click
+// returns to the live view. Hovering shows a cursor readout of every series.
+//
+// Events:
+//   view - detail: { paused, timeWindow }, whenever pause or zoom changes
+
+export const CHART_COLORS = ['#667eea', '#e8590c', '#2f9e44', '#c2255c', '#1098ad', '#f59f00', '#7048e8', '#495057'];
+
+const TIME_STEPS = [10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 15000, 30000, 60000, 120000, 300000];
+const MIN_TIME_WINDOW = 50;
+const MAX_TIME_WINDOW = 600000;
+const PADDING = { top: 10, right: 12, bottom: 24, left: 64 };
+
+export class SeriesBuffer {
+    constructor(capacity = 30000) {
+        this.capacity = capacity;
+        this.times = new Float64Array(capacity);
+        this.raw = new Float64Array(capacity);
+        this.filtered = new Float64Array(capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    // Oldest points are overwritten once the buffer is full
+    push(time, raw, filtered) {
+        const index = (this.start + this.length) % this.capacity;
+        this.times[index] = time;
+        this.raw[index] = raw;
+        this.filtered[index] = filtered;
+
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    clear() {
+        this.start = 0;
+        this.length = 0;
+    }
+
+    // i counts from the oldest point
+    index(i) {
+        return (this.start + i) % this.capacity;
+    }
+
+    timeAt(i) {
+        return this.times[this.index(i)];
+    }
+
+    valueAt(field, i) {
+        return this[field][this.index(i)];
+    }
+
+    get firstTime() {
+        return this.length ? this.timeAt(0) : null;
+    }
+
+    get lastTime() {
+        return this.length ? this.timeAt(this.length - 1) : null;
+    }
+
+    // First point at or after time (length if there is none)
+    lowerBound(time) {
+        let low = 0;
+        let high = this.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.timeAt(mid) < time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    // Point closest in time, or -1 when empty
+    nearest(time) {
+        if (this.length === 0) return -1;
+        const i = this.lowerBound(time);
+        if (i === 0) return 0;
+        if (i === this.length) return this.length - 1;
+        return time - this.timeAt(i - 1) <= this.timeAt(i) - time ? i - 1 : i;
+    }
+}
+
+// Reduce the points of one field between startTime and endTime to columns
+// buckets, each { min, max, first, last } or null when no point falls in it.
+// Includes one point either side of the range so lines run off the edges.
+export function decimate(buffer, field, startTime, endTime, columns) {
+    const buckets = new Array(columns).fill(null);
+    if (buffer.length === 0 || endTime <= startTime) return buckets;
+
+    const from = Math.max(0, buffer.lowerBound(startTime) - 1);
+    const to = Math.min(buffer.length, buffer.lowerBound(endTime) + 1);
+    const scale = columns / (endTime - startTime);
+
+    for (let i = from; i < to; i++) {
+        const column = Math.max(0, Math.min(columns - 1, Math.floor((buffer.timeAt(i) - startTime) * scale)));
+        const value = buffer.valueAt(field, i);
+        const bucket = buckets[column];
+        if (bucket) {
+            if (value < bucket.min) bucket.min = value;
+            if (value > bucket.max) bucket.max = value;
+            bucket.last = value;
+        } else {
+            buckets[column] = { min: value, max: value, first: value, last: value };
+        }
+    }
+    return buckets;
+}
+
+// Round axis limits with a little headroom; a flat trace still gets a visible range
+export function niceRange(min, max) {
+    if (!isFinite(min) || !isFinite(max)) return { min: 0, max: 1 };
+    let span = max - min;
+    if (span < 1e-6) {
+        span = Math.max(Math.abs(max) * 0.01, 0.001);
+        min -= span / 2;
+        max += span / 2;
+    }
+    const pad = span * 0.05;
+    return { min: min - pad, max: max + pad };
+}
+
+export class WeightChart extends EventTarget {
+    // options: { timeWindow (ms), capacity (points per series), showRaw, showFiltered, renderLoop }
+    constructor(canvas, options = {}) {
+        super();
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.capacity = options.capacity || 30000;
+        this.defaultTimeWindow = options.timeWindow || 10000;
+        this.timeWindow = this.defaultTimeWindow;
+        this.showRaw = options.showRaw !== false;
+        this.showFiltered = options.showFiltered !== false;
+
+        this.series = new Map(); // id -> { name, color, buffer }
+        this.paused = false;
+        this.endTime = null; // Right edge while paused; follows the newest point otherwise
+        this.cursorX = null;
+        this.drag = null;
+        this.needsDraw = false;
+        this.frameRequested = false;
+
+        this.renderLoop = options.renderLoop || null;
+        if (this.renderLoop) {
+            this.renderLoop.addView(() => {
+                if (this.needsDraw) this.draw();
+            });
+        }
+
+        this.bindEvents();
+        this.requestDraw();
+    }
+
+    addSeries(id, options = {}) {
+        if (!this.series.has(id)) {
+            this.series.set(id, {
+                name: options.name || id,
+                color: options.color || CHART_COLORS[this.series.size % CHART_COLORS.length],
+                buffer: new SeriesBuffer(this.capacity)
+            });
+        }
+        this.requestDraw();
+        return this.series.get(id);
+    }
+
+    removeSeries(id) {
+        this.series.delete(id);
+        this.requestDraw();
+    }
+
+    renameSeries(id, name) {
+        const series = this.series.get(id);
+        if (series) {
+            series.name = name;
+            this.requestDraw();
+        }
+    }
+
+    // Cheap enough to call for every reading: nothing is drawn until the next frame.
+    // Readings for a series that was never added (or already removed) are dropped.
+    push(id, timestamp, raw, filtered) {
+        const series = this.series.get(id);
+        if (!series) return;
+        series.buffer.push(timestamp, raw, filtered);
+        if (!this.paused) {
+            this.requestDraw();
+        }
+    }
+
+    clear() {
+        this.series.forEach(series => series.buffer.clear());
+        this.resume();
+    }
+
+    setVisible(changes) {
+        if (changes.showRaw !== undefined) this.showRaw = changes.showRaw;
+        if (changes.showFiltered !== undefined) this.showFiltered = changes.showFiltered;
+        this.requestDraw();
+    }
+
+    // Also the window resetView() returns to
+    setTimeWindow(timeWindow) {
+        this.timeWindow = Math.max(MIN_TIME_WINDOW, Math.min(MAX_TIME_WINDOW, timeWindow));
+        this.defaultTimeWindow = this.timeWindow;
+        this.notifyView();
+    }
+
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        this.endTime = this.getLatestTime();
+        this.notifyView();
+    }
+
+    resume() {
+        this.paused = false;
+        this.endTime = null;
+        this.notifyView();
+    }
+
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    resetView() {
+        this.timeWindow = this.defaultTimeWindow;
+        this.resume();
+    }
+
+    // Zoom by factor (< 1 zooms in) keeping anchorTime at the same place on
+    // screen. The live view keeps its right edge on the newest point.
+    zoom(factor, anchorTime = null) {
+        const view = this.getTimeRange();
+        const timeWindow = Math.max(MIN_TIME_WINDOW, Math.min(MAX_TIME_WINDOW, this.timeWindow * factor));
+        if (this.paused && anchorTime !== null) {
+            this.endTime = anchorTime + (view.end - anchorTime) * (timeWindow / this.timeWindow);
+        }
+        this.timeWindow = timeWindow;
+        this.notifyView();
+    }
+
+    // Shift the view by deltaTime ms (negative = back in time); pauses the live view
+    pan(deltaTime) {
+        this.pause();
+        this.endTime += deltaTime;
+        this.requestDraw();
+    }
+
+    getLatestTime() {
+        let latest = null;
+        this.series.forEach(series => {
+            const time = series.buffer.lastTime;
+            if (time !== null && (latest === null || time > latest)) {
+                latest = time;
+            }
+        });
+        return latest === null ? Date.now() : latest;
+    }
+
+    getTimeRange() {
+        const end = this.paused ? this.endTime : this.getLatestTime();
+        return { start: end - this.timeWindow, end };
+    }
+
+    // Nearest point of every series to time, for the cursor readout
+    getValuesAt(time) {
+        const values = [];
+        this.series.forEach((series, id) => {
+            const i = series.buffer.nearest(time);
+            if (i === -1) return;
+            values.push({
+                id,
+                name: series.name,
+                color: series.color,
+                time: series.buffer.timeAt(i),
+                raw: series.buffer.valueAt('raw', i),
+                filtered: series.buffer.valueAt('filtered', i)
+            });
+        });
+        return values;
+    }
+
+    notifyView() {
+        this.requestDraw();
+        this.dispatchEvent(new CustomEvent('view', {
+            detail: { paused: this.paused, timeWindow: this.timeWindow }
+        }));
+    }
+
+    requestDraw() {
+        this.needsDraw = true;
+        if (this.renderLoop) {
+            this.renderLoop.invalidate();
+            return;
+        }
+
+        if (this.frameRequested) return;
+        this.frameRequested = true;
+        const schedule = globalThis.requestAnimationFrame || ((callback) => setTimeout(callback, 16));
+        schedule(() => {
+            this.frameRequested = false;
+            this.draw();
+        });
+    }
+
+    bindEvents() {
+        const canvas = this.canvas;
+        const timeAtX = (x) => {
+            const view = this.getTimeRange();
+            const plotWidth = Math.max(1, canvas.clientWidth - PADDING.left - PADDING.right);
+            return view.start + ((x - PADDING.left) / plotWidth) * this.timeWindow;
+        };
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoom(e.deltaY > 0 ? 1.25 : 0.8, timeAtX(e.offsetX));
+        }, { passive: false });
+
+        canvas.addEventListener('mousedown', (e) => {
+            this.drag = { x: e.offsetX };
+        });
+
+        canvas.addEventListener('mousemove', (e) => {
+            this.cursorX = e.offsetX;
+            if (this.drag) {
+                const plotWidth = Math.max(1, canvas.clientWidth - PADDING.left - PADDING.right);
+                this.pan(-((e.offsetX - this.drag.x) / plotWidth) * this.timeWindow);
+                this.drag.x = e.offsetX;
+            }
+            this.requestDraw();
+        });
+
+        const endDrag = () => {
+            this.drag = null;
+        };
+        canvas.addEventListener('mouseup', endDrag);
+        canvas.addEventListener('mouseleave', () => {
+            endDrag();
+            this.cursorX = null;
+            this.requestDraw();
+        });
+
+        canvas.addEventListener('dblclick', () => this.resetView());
+    }
+
+    // Size the backing store to the element so lines stay sharp on high-DPI screens
+    resizeCanvas() {
+        const ratio = globalThis.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth || this.canvas.width || 300;
+        const height = this.canvas.clientHeight || this.canvas.height || 150;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        return { width, height };
+    }
+
+    draw() {
+        this.needsDraw = false;
+        const ctx = this.context;
+        const { width, height } = this.resizeCanvas();
+        const plot = {
+            left: PADDING.left,
+            top: PADDING.top,
+            width: Math.max(1, width - PADDING.left - PADDING.right),
+            height: Math.max(1, height - PADDING.top - PADDING.bottom)
+        };
+        const view = this.getTimeRange();
+        const columns = Math.max(1, Math.floor(plot.width));
+        const fields = [];
+        if (this.showRaw) fields.push('raw');
+        if (this.showFiltered) fields.push('filtered');
+
+        // Bucket everything first; the value axis fits whatever is in view
+        const traces = [];
+        let min = Infinity;
+        let max = -Infinity;
+        this.series.forEach(series => {
+            fields.forEach(field => {
+                const buckets = decimate(series.buffer, field, view.start, view.end, columns);
+                buckets.forEach(bucket => {
+                    if (!bucket) return;
+                    if (bucket.min < min) min = bucket.min;
+                    if (bucket.max > max) max = bucket.max;
+                });
+                traces.push({ series, field, buckets });
+            });
+        });
+        const range = niceRange(min, max);
+
+        const x = (time) => plot.left + ((time - view.start) / this.timeWindow) * plot.width;
+        const y = (value) => plot.top + (1 - (value - range.min) / (range.max - range.min)) * plot.height;
+
+        ctx.clearRect(0, 0, width, height);
+        this.drawAxes(plot, view, range, x, y);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(plot.left, plot.top, plot.width, plot.height);
+        ctx.clip();
+        traces.forEach(trace => {
+            // Raw traces sit faintly behind the filtered ones
+            ctx.strokeStyle = trace.series.color;
+            ctx.globalAlpha = trace.field === 'raw' && this.showFiltered ? 0.35 : 1;
+            ctx.lineWidth = trace.field === 'raw' ? 1 : 1.5;
+            ctx.beginPath();
+            let started = false;
+            trace.buckets.forEach((bucket, column) => {
+                if (!bucket) return;
+                const px = plot.left + column + 0.5;
+                if (started) {
+                    ctx.lineTo(px, y(bucket.first));
+                } else {
+                    ctx.moveTo(px, y(bucket.first));
+                    started = true;
+                }
+                if (bucket.min !== bucket.max) {
+                    ctx.lineTo(px, y(bucket.min));
+                    ctx.lineTo(px, y(bucket.max));
+                }
+                ctx.lineTo(px, y(bucket.last));
+            });
+            ctx.stroke();
+        });
+        ctx.restore();
+        ctx.globalAlpha = 1;
+
+        this.drawLegend(plot);
+        if (this.cursorX !== null && this.cursorX >= plot.left && this.cursorX <= plot.left + plot.width) {
+            this.drawCursor(plot, view, x, y);
+        }
+    }
+
+    drawAxes(plot, view, range, x, y) {
+        const ctx = this.context;
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(plot.left, plot.top, plot.width, plot.height);
+        ctx.strokeStyle = '#dee2e6';
+        ctx.fillStyle = '#6c757d';
+        ctx.lineWidth = 1;
+        ctx.font = '11px sans-serif';
+
+        // Time ticks, labelled in seconds relative to the right edge
+        const step = TIME_STEPS.find(s => this.timeWindow / s <= 8) || TIME_STEPS[TIME_STEPS.length - 1];
+        const digits = step < 100 ? 2 : step < 1000 ? 1 : 0;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let t = view.end; t >= view.start; t -= step) {
+            const px = Math.round(x(t)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(px, plot.top);
+            ctx.lineTo(px, plot.top + plot.height);
+            ctx.stroke();
+            ctx.fillText(`${((t - view.end) / 1000).toFixed(digits)}s`, px, plot.top + plot.height + 6);
+        }
+
+        // Value ticks
+        const ticks = 5;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        const decimals = Math.max(0, Math.min(6, 2 - Math.floor(Math.log10(range.max - range.min))));
+        for (let i = 0; i <= ticks; i++) {
+            const value = range.min + ((range.max - range.min) * i) / ticks;
+            const py = Math.round(y(value)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(plot.left, py);
+            ctx.lineTo(plot.left + plot.width, py);
+            ctx.stroke();
+            ctx.fillText(value.toFixed(decimals), plot.left - 6, py);
+        }
+
+        if (this.paused) {
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'top';
+            ctx.fillStyle = '#856404';
+            ctx.fillText('PAUSED', plot.left + plot.width - 6, plot.top + 6);
+        }
+    }
+
+    drawLegend(plot) {
+        const ctx = this.context;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        let left = plot.left + 8;
+        this.series.forEach(series => {
+            ctx.fillStyle = series.color;
+            ctx.fillRect(left, plot.top + 8, 12, 3);
+            ctx.fillStyle = '#495057';
+            ctx.fillText(series.name, left + 16, plot.top + 10);
+            left += 28 + ctx.measureText(series.name).width;
+        });
+    }
+
+    drawCursor(plot, view, x, y) {
+        const ctx = this.context;
+        const time = view.start + ((this.cursorX - plot.left) / plot.width) * this.timeWindow;
+        const values = this.getValuesAt(time).filter(value => value.time >= view.start && value.time <= view.end);
+
+        ctx.strokeStyle = '#adb5bd';
+        ctx.beginPath();
+        ctx.moveTo(Math.round(this.cursorX) + 0.5, plot.top);
+        ctx.lineTo(Math.round(this.cursorX) + 0.5, plot.top + plot.height);
+        ctx.stroke();
+        if (values.length === 0) return;
+
+        const lines = [`${((time - view.end) / 1000).toFixed(3)}s`].concat(values.map(value =>
+            `${value.name}: ${value.filtered.toFixed(3)} (raw ${value.raw.toFixed(3)})`
+        ));
+        ctx.font = '11px monospace';
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+        const boxHeight = lines.length * 15 + 8;
+        const boxLeft = this.cursorX + boxWidth + 10 > plot.left + plot.width ? this.cursorX - boxWidth - 8 : this.cursorX + 8;
+
+        values.forEach(value => {
+            ctx.fillStyle = value.color;
+            ctx.beginPath();
+            ctx.arc(x(value.time), y(this.showFiltered ? value.filtered : value.raw), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+        ctx.fillRect(boxLeft, plot.top + 24, boxWidth, boxHeight);
+        ctx.strokeStyle = '#dee2e6';
+        ctx.strokeRect(boxLeft, plot.top + 24, boxWidth, boxHeight);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => {
+            ctx.fillStyle = i === 0 ? '#6c757d' : values[i - 1].color;
+            ctx.fillText(line, boxLeft + 6, plot.top + 28 + i * 15);
+        });
+    }
+}
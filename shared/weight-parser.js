@@ -0,0 +1,164 @@
+// Structured parsing of weight lines. Besides the number, scales send units
+// ('12.34 kg'), stability and gross/net headers ('ST,GS,+0012.34kg'),
+// overload/underload markers and error lines. A parsed line is
+//
+//   { value, unit, mode, stable, status, error }
+//
+//   value  - the weight; null unless status is 'ok'
+//   unit   - as sent ('kg', 'g', 'lb', ...), null if the line has none
+//   mode   - 'gross' | 'net' | 'tare' | null
+//   stable - the device's own stability flag, null if it sends none
+//   status - 'ok' | 'overload' | 'underload' | 'error'
+//   error  - device error code for status 'error' (null if it sent none)
+//
+// Lines that are not a weight at all parse to null.
+
+export const WEIGHT_MODES = ['gross', 'net', 'tare'];
+
+export class UnitMismatchError extends Error {
+    constructor(expected, actual) {
+        super(`Device reports units '${expected}' but sends weights in '${actual}'`);
+        this.name = 'UnitMismatchError';
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+// Two-letter header fields, e.g. the ST and GS of 'ST,GS,+0012.34kg'
+const HEADER_CODES = {
+    ST: { stable: true },
+    US: { stable: false },
+    OL: { status: 'overload' },
+    QT: {}, // Piece count; the value is still a number
+    GS: { mode: 'gross' },
+    NT: { mode: 'net' },
+    TR: { mode: 'tare' },
+    PT: { mode: 'tare' } // Preset tare
+};
+
+// Markers after the unit, e.g. '12.3 kg N' or '12.3 kg ?'
+const SUFFIX_CODES = {
+    G: { mode: 'gross' },
+    GS: { mode: 'gross' },
+    GROSS: { mode: 'gross' },
+    N: { mode: 'net' },
+    NT: { mode: 'net' },
+    NET: { mode: 'net' },
+    '?': { stable: false }
+};
+
+const OVERLOAD = /^\+?\s*(?:OL|OVER(?:LOAD)?|H{3,})$/i;
+const UNDERLOAD = /^(?:-\s*(?:OL|OVER(?:LOAD)?)|UL|UNDER(?:LOAD)?|L{3,})$/i;
+const ERROR = /^ERR(?:OR)?(?:\s*[:#-]?\s*(\w+))?$|^E(\d+)$/i;
+const NUMBER = /^([-+])?\s*(\d+(?:\.\d*)?|\.\d+)\s*(.*)$/;
+
+// Units a weight line may carry, as printed by indicators. Anything else after
+// the number, e.g. a corrupted digit, makes the line unparseable.
+const KNOWN_UNITS = [
+    'mg', 'g', 'kg', 't', 'lb', 'lbs', 'oz', 'ozt', 'dwt', 'gn', 'ct', 'tl', 'N', 'kN', 'pcs', '%',
+    'G', 'KG', 'LB', 'LBS', 'OZ', 'PCS'
+];
+
+function createResult() {
+    return { value: null, unit: null, mode: null, stable: null, status: 'ok', error: null };
+}
+
+// Generic parser for bare numbers and the common indicator formats
+export function parseWeightLine(line) {
+    const result = createResult();
+    let text = line.trim();
+
+    let header;
+    while ((header = /^([A-Z]{2})\s*,\s*/.exec(text)) && HEADER_CODES[header[1]]) {
+        Object.assign(result, HEADER_CODES[header[1]]);
+        text = text.slice(header[0].length);
+    }
+
+    const error = ERROR.exec(text);
+    if (error) {
+        return { ...result, status: 'error', error: error[1] || error[2] || null };
+    }
+    if (UNDERLOAD.test(text)) {
+        return { ...result, status: 'underload' };
+    }
+    if (OVERLOAD.test(text)) {
+        return { ...result, status: 'overload' };
+    }
+
+    const number = NUMBER.exec(text);
+    if (!number) return null;
+
+    const [unit, ...suffixes] = number[3].split(/\s+/).filter(Boolean);
+    if (unit !== undefined) {
+        if (!KNOWN_UNITS.includes(unit)) return null;
+        result.unit = unit;
+    }
+    for (const suffix of suffixes) {
+        const code = SUFFIX_CODES[suffix.toUpperCase()];
+        if (!code) return null;
+        Object.assign(result, code);
+    }
+
+    // An OL header with a number (e.g. '+99999') is still an overload
+    if (result.status !== 'ok') {
+        return { ...result, status: number[1] === '-' ? 'underload' : result.status };
+    }
+    result.value = parseFloat(number[2]) * (number[1] === '-' ? -1 : 1);
+    return result;
+}
+
+// MT-SICS weight replies: '<command> <status> <value> <unit>', where the
+// status is S (stable), D (dynamic), + (overload), - (underload) or
+// I (cannot execute now); ES/ET/EL are syntax, transmission and logic errors
+export function parseSicsLine(line) {
+    const text = line.trim();
+    if (/^E[STL]$/.test(text)) {
+        return { ...createResult(), status: 'error', error: text };
+    }
+
+    const match = /^(S|SI|T|TI)\s+([SD+\-I])(?:\s+([-+]?)\s*(\d*\.?\d+)\s*(\S*))?$/.exec(text);
+    if (!match) return null;
+
+    const [, command, status, sign, value, unit] = match;
+    const result = { ...createResult(), mode: command.startsWith('T') ? 'tare' : 'net' };
+    switch (status) {
+        case '+':
+            return { ...result, status: 'overload' };
+        case '-':
+            return { ...result, status: 'underload' };
+        case 'I':
+            return { ...result, status: 'error', error: 'I' };
+    }
+    if (value === undefined) return null;
+
+    return {
+        ...result,
+        value: parseFloat(value) * (sign === '-' ? -1 : 1),
+        unit: unit || null,
+        stable: status === 'S'
+    };
+}
+
+const UNIT_ALIASES = {
+    gram: 'g',
+    grams: 'g',
+    gr: 'g',
+    kgs: 'kg',
+    kilogram: 'kg',
+    kilograms: 'kg',
+    lbs: 'lb',
+    pound: 'lb',
+    pounds: 'lb',
+    ozs: 'oz',
+    ounce: 'oz',
+    ounces: 'oz'
+};
+
+export function normalizeUnit(unit) {
+    const lower = String(unit).trim().toLowerCase();
+    return UNIT_ALIASES[lower] || lower;
+}
+
+export function unitsMatch(a, b) {
+    return normalizeUnit(a) === normalizeUnit(b);
+}
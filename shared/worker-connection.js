@@ -0,0 +1,361 @@
+// Page-side stand-in for ScaleConnection whose port I/O, parsing, filtering
+// and statistics run in a dedicated worker (scale-worker.js). It has the same
+// events and the parts of the ScaleConnection API the test pages use, so a
+// channel can switch between main-thread and worker ingestion. Readings
+// arrive in batches and are dispatched as individual 'reading' events;
+// metrics holds the worker's statistics as of the latest batch.
+//
+// Requests that ScaleConnection answers synchronously (getRunStats,
+// resetMetrics, ...) return promises here.
+
+import { MockSerialPort } from './mock-serial.js';
+import { getPortIdentity } from './port-registry.js';
+import { normalizeSerialOptions } from './serial-options.js';
+import { normalizeFilters } from './filters.js';
+import { normalizeStabilityOptions } from './stability.js';
+import { getProtocolProfile, DEFAULT_PROTOCOL } from './protocol-profiles.js';
+import { normalizeFrameFormat, FRAME_ERRORS } from './framers.js';
+import { LINE_ISSUES } from './metrics.js';
+import { unpackReadings, deserializeError } from './worker-protocol.js';
+
+// What the worker needs to find its own handle on port (see resolveWorkerPort)
+export async function describeWorkerPort(port, provider) {
+    const identity = getPortIdentity(port);
+    if (port instanceof MockSerialPort) {
+        const device = port.device;
+        return {
+            backend: 'simulated',
+            identity,
+            device: { ...device.options, deviceId: device.deviceId, capacity: device.capacity, units: device.units }
+        };
+    }
+    const ports = await provider.getPorts();
+    return { backend: 'webserial', identity, index: ports.indexOf(port) };
+}
+
+// The worker's latest statistics, with the ReadingMetrics members the pages read
+class WorkerMetrics {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.totalReadings = 0;
+        this.readingsPerSecond = 0;
+        this.latency = { avg: 0, min: 0, max: 0 };
+        this.lineIssues = Object.fromEntries(LINE_ISSUES.map(issue => [issue, 0]));
+        this.lastUnparseable = null;
+        this.frames = { received: 0, corrupted: 0, ...Object.fromEntries(FRAME_ERRORS.map(error => [error, 0])) };
+    }
+
+    update(stats) {
+        this.totalReadings = stats.totalReadings;
+        this.readingsPerSecond = stats.readingsPerSecond;
+        this.latency = stats.latency;
+        this.lineIssues = stats.lineIssues;
+        this.lastUnparseable = stats.lastUnparseable;
+        this.frames = stats.frames;
+    }
+
+    getLatencyStats() {
+        return { ...this.latency };
+    }
+}
+
+// The worker's latest link rates, with the LinkMetrics method the pages read
+class WorkerLinkMetrics {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.current = { rxBytesPerSecond: 0, txBytesPerSecond: 0, rxUtilization: 0, txUtilization: 0, avgChunkSize: 0 };
+    }
+
+    update(current) {
+        this.current = current;
+    }
+
+    getCurrent() {
+        return { ...this.current };
+    }
+}
+
+export class WorkerScaleConnection extends EventTarget {
+    // options as for ScaleConnection, plus worker (an existing Worker, mainly for tests)
+    constructor(options = {}) {
+        super();
+
+        this.portProvider = options.portProvider;
+        this.baudRate = options.baudRate || 9600;
+        this.serialOptions = normalizeSerialOptions(options);
+        this.protocol = options.protocol || DEFAULT_PROTOCOL;
+        this.frameFormat = normalizeFrameFormat(options.frameFormat);
+        this.config = {
+            readInterval: options.readInterval || 100,
+            expectedRate: options.expectedRate || 0,
+            filters: normalizeFilters(options.filters || [{ type: 'median', windowSize: options.windowSize || 5 }]),
+            stability: normalizeStabilityOptions(options.stability),
+            captureTraffic: !!options.captureTraffic
+        };
+
+        // Mirrored from the worker
+        this.port = null; // The page's SerialPort; the worker has its own handle
+        this.openOptions = null;
+        this.detection = null;
+        this.state = 'disconnected';
+        this.method = 'onread';
+        this.resumeMethod = null;
+        this.deviceInfo = { id: null, capacity: null, units: null };
+        this.outages = [];
+        this.isStable = false;
+        this.settledWeight = null;
+        this.weightStatus = 'ok';
+        this.unitMismatch = null;
+        this.skippedPolls = 0;
+        this.metrics = new WorkerMetrics();
+        this.link = new WorkerLinkMetrics();
+
+        this.worker = options.worker || new Worker(new URL('./scale-worker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.worker.addEventListener('error', (e) => this.handleWorkerError(e));
+        this.pending = new Map();
+        this.nextRequestId = 1;
+        this.resetsPending = 0;
+    }
+
+    get isConnected() {
+        return this.state === 'connected' || this.state === 'reading';
+    }
+
+    get isReading() {
+        return this.state === 'reading';
+    }
+
+    get isLost() {
+        return this.state === 'lost';
+    }
+
+    get filters() {
+        return this.config.filters.map(spec => ({ ...spec }));
+    }
+
+    get stabilityOptions() {
+        return { ...this.config.stability };
+    }
+
+    get captureTraffic() {
+        return this.config.captureTraffic;
+    }
+
+    request(type, args = {}) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, ...args });
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'readings':
+                this.handleReadings(message);
+                break;
+            case 'traffic':
+                message.entries.forEach(entry => this.dispatchEvent(new CustomEvent('traffic', { detail: entry })));
+                break;
+            case 'event':
+                this.applySnapshot(message.snapshot);
+                this.handleEvent(message.name, message.detail);
+                break;
+            case 'reply': {
+                this.applySnapshot(message.snapshot);
+                const request = this.pending.get(message.id);
+                if (!request) return;
+                this.pending.delete(message.id);
+                if (message.error) {
+                    request.reject(deserializeError(message.error));
+                } else {
+                    request.resolve(message.result);
+                }
+                break;
+            }
+        }
+    }
+
+    handleReadings({ packed, units, stats }) {
+        // Sent before a reset the worker hasn't answered yet
+        if (this.resetsPending > 0) return;
+
+        this.metrics.update(stats);
+        this.link.update(stats.link);
+        this.skippedPolls = stats.skippedPolls;
+        for (const reading of unpackReadings(packed, units)) {
+            this.dispatchEvent(new CustomEvent('reading', { detail: reading }));
+        }
+    }
+
+    handleEvent(name, detail) {
+        if (name === 'state') {
+            this.setState(detail.state);
+        } else if (name === 'error') {
+            this.emitError(deserializeError(detail.error), detail.context);
+        } else {
+            this.dispatchEvent(new CustomEvent(name, { detail }));
+        }
+    }
+
+    applySnapshot(snapshot) {
+        if (!snapshot) return;
+        this.baudRate = snapshot.baudRate;
+        this.serialOptions = snapshot.serialOptions;
+        this.protocol = snapshot.protocol;
+        this.frameFormat = snapshot.frameFormat;
+        this.openOptions = snapshot.openOptions;
+        this.method = snapshot.method;
+        this.resumeMethod = snapshot.resumeMethod;
+        this.deviceInfo = snapshot.deviceInfo;
+        this.detection = snapshot.detection;
+        this.outages = snapshot.outages;
+        this.isStable = snapshot.stable;
+        this.settledWeight = snapshot.settledWeight;
+        this.weightStatus = snapshot.weightStatus;
+        this.unitMismatch = snapshot.unitMismatch;
+        if (this.resetsPending === 0) {
+            this.metrics.update(snapshot.stats);
+            this.link.update(snapshot.stats.link);
+        }
+    }
+
+    // The worker failed to load or crashed: nothing pending will be answered
+    handleWorkerError(event) {
+        const error = new Error(`Scale worker failed: ${event.message || 'unknown error'}`);
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+        this.setState('disconnected');
+        this.emitError(error, 'worker');
+    }
+
+    async connect(port, options = {}) {
+        if (this.state !== 'disconnected') return;
+        this.setState('connecting');
+        this.detection = null;
+
+        try {
+            // Invalid settings fail before the port chooser is shown
+            const serialOptions = normalizeSerialOptions(this.serialOptions);
+            getProtocolProfile(this.protocol);
+            const frameFormat = normalizeFrameFormat(this.frameFormat);
+            port = port || await this.portProvider.requestPort();
+
+            await this.request('connect', {
+                port: await describeWorkerPort(port, this.portProvider),
+                baudRate: this.baudRate,
+                serialOptions,
+                protocol: this.protocol,
+                frameFormat,
+                config: { ...this.config },
+                options
+            });
+        } catch (error) {
+            this.setState('disconnected');
+            throw error;
+        }
+        this.port = port;
+    }
+
+    async disconnect() {
+        if (this.state === 'disconnected') return;
+        await this.request('disconnect');
+    }
+
+    async startReading(method = this.method) {
+        if (!this.isConnected || this.isReading) return;
+        await this.request('startReading', { method });
+    }
+
+    async stopReading() {
+        if (!this.isReading && !this.isLost) return;
+        await this.request('stopReading');
+    }
+
+    sendCommand(command) {
+        return this.request('sendCommand', { command });
+    }
+
+    writeLine(text, options = {}) {
+        return this.request('writeLine', { text, terminator: options.terminator });
+    }
+
+    tare() {
+        return this.request('tare');
+    }
+
+    refreshDeviceInfo() {
+        return this.request('refreshDeviceInfo');
+    }
+
+    async resetMetrics() {
+        this.metrics.reset();
+        this.link.reset();
+        this.resetsPending++;
+        try {
+            await this.request('resetMetrics');
+        } finally {
+            this.resetsPending--;
+        }
+    }
+
+    getRunStats(durationSeconds) {
+        return this.request('getRunStats', { duration: durationSeconds });
+    }
+
+    // Invalid specs throw here, before anything is sent to the worker
+    setFilters(specs) {
+        this.configure({ filters: normalizeFilters(specs) });
+    }
+
+    setStability(options) {
+        this.configure({ stability: normalizeStabilityOptions({ ...this.config.stability, ...options }) });
+    }
+
+    setExpectedRate(rate) {
+        this.configure({ expectedRate: rate });
+    }
+
+    setTrafficCapture(enabled) {
+        this.configure({ captureTraffic: !!enabled });
+    }
+
+    configure(config) {
+        Object.assign(this.config, config);
+        this.request('configure', { config }).catch(error => this.emitError(error, 'configure'));
+    }
+
+    // Simulator settings for the worker's copies of simulated scales
+    configureSimulator(options) {
+        return this.request('configureSimulator', { options });
+    }
+
+    // The worker (and any port it has open) goes away; the connection can't be used afterwards
+    terminate() {
+        this.worker.terminate();
+        this.pending.forEach(request => request.reject(new Error('Scale worker terminated')));
+        this.pending.clear();
+        this.setState('disconnected');
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+        const previous = this.state;
+        this.state = state;
+        if (state === 'disconnected') {
+            this.port = null;
+        }
+        this.dispatchEvent(new CustomEvent('state', { detail: { state, previous } }));
+    }
+
+    emitError(error, context) {
+        this.dispatchEvent(new CustomEvent('error', { detail: { error, context } }));
+    }
+}
@@ -0,0 +1,70 @@
+// Message helpers shared by ScaleWorkerHost (inside the worker) and
+// WorkerScaleConnection (on the page). Readings cross in batches packed into
+// one Float64Array, which is transferred rather than copied.
+
+import { WEIGHT_MODES } from './weight-parser.js';
+
+export const READING_FIELDS = ['timestamp', 'rawWeight', 'weight', 'latency', 'deviceStable', 'mode', 'unit'];
+
+// Fields that are not numbers travel as codes (NaN for null): deviceStable as
+// 1/0, mode as an index into WEIGHT_MODES and unit as an index into a units
+// table sent along with the batch
+const FIELD_CODECS = {
+    deviceStable: {
+        encode: value => value === null ? NaN : Number(value),
+        decode: code => isNaN(code) ? null : code === 1
+    },
+    mode: {
+        encode: value => value === null ? NaN : WEIGHT_MODES.indexOf(value),
+        decode: code => isNaN(code) ? null : WEIGHT_MODES[code]
+    },
+    unit: {
+        encode: (value, units) => {
+            if (value === null) return NaN;
+            if (!units.includes(value)) units.push(value);
+            return units.indexOf(value);
+        },
+        decode: (code, units) => isNaN(code) ? null : units[code]
+    }
+};
+
+// units collects the unit table for unpackReadings()
+export function packReadings(readings, units = []) {
+    const packed = new Float64Array(readings.length * READING_FIELDS.length);
+    readings.forEach((reading, i) => {
+        READING_FIELDS.forEach((field, j) => {
+            const value = reading[field] !== undefined ? reading[field] : null;
+            packed[i * READING_FIELDS.length + j] = FIELD_CODECS[field] ? FIELD_CODECS[field].encode(value, units) : value;
+        });
+    });
+    return packed;
+}
+
+export function unpackReadings(packed, units = []) {
+    const readings = [];
+    for (let i = 0; i < packed.length; i += READING_FIELDS.length) {
+        const reading = {};
+        READING_FIELDS.forEach((field, j) => {
+            const code = packed[i + j];
+            reading[field] = FIELD_CODECS[field] ? FIELD_CODECS[field].decode(code, units) : code;
+        });
+        readings.push(reading);
+    }
+    return readings;
+}
+
+// Errors lose their class when cloned; keep the name (CommandTimeoutError,
+// NetworkError, ...) and any plain data such as DetectionError.attempts
+export function serializeError(error) {
+    if (!error) return null;
+    const data = { name: error.name || 'Error', message: error.message || String(error) };
+    if (error.attempts) data.attempts = error.attempts;
+    return data;
+}
+
+export function deserializeError(data) {
+    const error = new Error(data.message);
+    error.name = data.name;
+    if (data.attempts) error.attempts = data.attempts;
+    return error;
+}
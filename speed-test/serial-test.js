@@ -1,74 +1,124 @@
+import {
+    ScaleConnection,
+    READING_METHODS,
+    createPortProvider,
+    DEFAULT_SERIAL_OPTIONS,
+    DEFAULT_FILTERS,
+    DEFAULT_PROTOCOL,
+    PROTOCOL_PROFILES,
+    FRAMERS,
+    CHECKSUMS,
+    normalizeFrameFormat,
+    formatFrameFormat,
+    describePortSettings,
+    describeFilters,
+    formatByteRate,
+    INTEGRITY_MODES,
+    describeIntegrity
+} from '../shared/serial-core.js';
+import { TestRun, describeScale, exportRun } from '../shared/test-run.js';
+import { RunHistory, createHistoryRecord } from '../shared/run-history.js';
+import { BaudSweep, getSweepCurves } from '../shared/baud-sweep.js';
+import { EchoTest } from '../shared/echo-test.js';
+import { WeightChart } from '../shared/weight-chart.js';
+import { RenderLoop, LogBuffer, formatTiming } from '../shared/render-loop.js';
+import { FilterEditor } from '../shared/filter-editor.js';
+import { SerialConsole } from '../shared/serial-console.js';
+
+const SWEEP_COLORS = { onread: '#667eea', interval: '#40c057', continuous: '#ee5a24' };
+
 class SerialPerformanceTest {
     constructor() {
-        // Serial connection objects
-        this.port = null;
-        this.reader = null;
-        this.lineReader = null; // Reader for line-by-line processing
-        this.writer = null;
-        this.textDecoder = new TextDecoderStream();
-        this.textEncoder = new TextEncoderStream();
-        
-        // Reading mode management
-        this.isInCommandMode = false;
-        this.pendingCommands = [];
-        
-        // Line processing stream
-        this.lineStream = null;
-        
         // State management
-        this.isConnected = false;
-        this.isReading = false;
         this.isTestRunning = false;
         this.isRawDataPaused = false;
         
-                    // Performance metrics
-        this.readings = [];
-        this.latencies = [];
+        // Performance metrics
         this.startTime = null;
-        this.lastReadingTime = null;
-        this.readingCount = 0;
-        
-        // Readings per second tracking
-        this.readingsPerSecond = 0;
-        this.readingsInLastSecond = [];
-        this.lastSecondUpdate = Date.now();
         
-        // Device information
-        this.deviceId = null;
-        this.deviceCapacity = null;
-        this.deviceUnits = null;
-        
-        // Weight filtering
-        this.windowSize = 5;
-        this.weightWindow = [];
+        // Every reading of the current/last test, kept for export
+        this.currentRun = null;
+        this.history = new RunHistory();
         
         // Test configuration
         this.testConfig = {
             baudRate: 9600,
+            ...DEFAULT_SERIAL_OPTIONS, // dataBits, parity, stopBits, flowControl, bufferSize
+            protocol: DEFAULT_PROTOCOL,
+            frameFormat: normalizeFrameFormat(), // Text lines unless a binary framer is picked
             readInterval: 100,
             testDuration: 30,
-            maxReadings: 1000
+            maxReadings: 1000,
+            expectedRate: 0, // Device output rate in Hz for streaming latency (0 = auto)
+            portBackend: navigator.serial ? 'webserial' : 'simulated'
         };
         
-        // Reading methods
-        this.readingMethods = {
-            onread: this.readWeightOnce.bind(this),
-            interval: this.readWeightInterval.bind(this),
-            continuous: this.readWeightContinuous.bind(this)
+        // Simulated scale settings (used when portBackend is 'simulated')
+        this.simulatorConfig = {
+            waveform: 'constant',
+            lineRate: 100,
+            noise: 0,
+            fault: 'none',
+            faultRate: 5,
+            baudRate: null, // Device's own rate and framing (null = answers at any setting)
+            framing: null,
+            protocol: 'scale', // Command set the simulated device speaks
+            frameFormat: null, // How it frames its output (null = text lines)
+            sequenceModulo: 0, // Record counter in front of weight lines (0 = none)
+            loopback: false    // A loopback plug instead of a scale
         };
+        this.portProvider = createPortProvider(this.testConfig.portBackend, this.simulatorConfig);
+        
+        // Connection, protocol, filtering and metrics live in the shared core
+        this.scale = new ScaleConnection({
+            portProvider: this.portProvider,
+            baudRate: this.testConfig.baudRate,
+            dataBits: this.testConfig.dataBits,
+            parity: this.testConfig.parity,
+            stopBits: this.testConfig.stopBits,
+            flowControl: this.testConfig.flowControl,
+            bufferSize: this.testConfig.bufferSize,
+            protocol: this.testConfig.protocol,
+            frameFormat: this.testConfig.frameFormat,
+            readInterval: this.testConfig.readInterval,
+            expectedRate: this.testConfig.expectedRate,
+            filters: DEFAULT_FILTERS
+        });
         
+        // Reading method: onread (wc streaming), interval or continuous polling
         this.currentMethod = 'onread';
-        this.intervalId = null;
         this.testTimeout = null;
         
+        // Baud-rate sweep in progress (null when idle)
+        this.sweep = null;
+        
+        // Integrity check in progress (null when idle): { mode, startedReading, timeout, refresh }
+        this.integrityCheck = null;
+        
+        // Echo round-trip test in progress (null when idle)
+        this.echoTest = null;
+        
+        // Readings are only buffered as they arrive; render() shows them at a fixed frame rate
+        this.renderLoop = new RenderLoop({ fps: 30 });
+        this.renderLoop.addView(() => this.render());
+        this.latestReading = null;
+        this.lastSettle = null;
+        this.rawDataLog = new LogBuffer(50, ({ timestamp, rawWeight, weight, unit, latency, readingsPerSecond }) =>
+            `[${new Date(timestamp).toLocaleTimeString()}] Raw: ${rawWeight.toFixed(3)}${unit ? ` ${unit}` : ''}, Filtered: ${weight.toFixed(3)}, Latency: ${latency.toFixed(2)}ms, RPS: ${readingsPerSecond}`
+        );
+        this.latencyBars = null;
+        this.lastLoadUpdate = 0;
+        
         this.initializeUI();
         this.bindEvents();
+        this.bindScaleEvents();
     }
 
     initializeUI() {
         // Get DOM elements
         this.elements = {
             connectBtn: document.getElementById('connectBtn'),
+            autoDetectBtn: document.getElementById('autoDetectBtn'),
             disconnectBtn: document.getElementById('disconnectBtn'),
             startReadingBtn: document.getElementById('startReadingBtn'),
             stopReadingBtn: document.getElementById('stopReadingBtn'),
@@ -76,59 +126,120 @@ class SerialPerformanceTest {
             startTestBtn: document.getElementById('startTestBtn'),
             stopTestBtn: document.getElementById('stopTestBtn'),
             clearDataBtn: document.getElementById('clearDataBtn'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
+            exportJsonBtn: document.getElementById('exportJsonBtn'),
             pauseRawDataBtn: document.getElementById('pauseRawDataBtn'),
             clearRawDataBtn: document.getElementById('clearRawDataBtn'),
             connectionStatus: document.getElementById('connectionStatus'),
             readingStatus: document.getElementById('readingStatus'),
             readingsPerSecond: document.getElementById('readingsPerSecond'),
+            rxByteRate: document.getElementById('rxByteRate'),
+            linkUtilization: document.getElementById('linkUtilization'),
             avgLatency: document.getElementById('avgLatency'),
             minLatency: document.getElementById('minLatency'),
             maxLatency: document.getElementById('maxLatency'),
             totalReadings: document.getElementById('totalReadings'),
+            mainThreadLoad: document.getElementById('mainThreadLoad'),
             currentWeight: document.getElementById('currentWeight'),
+            rawWeight: document.getElementById('rawWeight'),
+            stabilityStatus: document.getElementById('stabilityStatus'),
+            timeToStable: document.getElementById('timeToStable'),
+            unparseableLines: document.getElementById('unparseableLines'),
+            corruptedFrames: document.getElementById('corruptedFrames'),
+            stabilityTolerance: document.getElementById('stabilityTolerance'),
+            stabilityHoldTime: document.getElementById('stabilityHoldTime'),
+            stabilityMotionBand: document.getElementById('stabilityMotionBand'),
             rawData: document.getElementById('rawData'),
             performanceLog: document.getElementById('performanceLog'),
             latencyChart: document.getElementById('latencyChart'),
             baudRate: document.getElementById('baudRate'),
+            dataBits: document.getElementById('dataBits'),
+            parity: document.getElementById('parity'),
+            stopBits: document.getElementById('stopBits'),
+            flowControl: document.getElementById('flowControl'),
+            bufferSize: document.getElementById('bufferSize'),
+            protocol: document.getElementById('protocol'),
+            framer: document.getElementById('framer'),
+            checksum: document.getElementById('checksum'),
+            readingMethod: document.getElementById('readingMethod'),
             readInterval: document.getElementById('readInterval'),
             testDuration: document.getElementById('testDuration'),
             maxReadings: document.getElementById('maxReadings'),
+            expectedRate: document.getElementById('expectedRate'),
+            portBackend: document.getElementById('portBackend'),
+            simWaveform: document.getElementById('simWaveform'),
+            simLineRate: document.getElementById('simLineRate'),
+            simNoise: document.getElementById('simNoise'),
+            simFault: document.getElementById('simFault'),
+            simFaultRate: document.getElementById('simFaultRate'),
+            simBaudRate: document.getElementById('simBaudRate'),
+            simFraming: document.getElementById('simFraming'),
+            simProtocol: document.getElementById('simProtocol'),
+            simFramer: document.getElementById('simFramer'),
+            simChecksum: document.getElementById('simChecksum'),
+            simSequence: document.getElementById('simSequence'),
+            simWiring: document.getElementById('simWiring'),
             deviceId: document.getElementById('deviceId'),
             deviceCapacity: document.getElementById('deviceCapacity'),
-            deviceUnits: document.getElementById('deviceUnits')
+            deviceUnits: document.getElementById('deviceUnits'),
+            portSettings: document.getElementById('portSettings'),
+            sweepRates: document.getElementById('sweepRates'),
+            sweepMethods: document.getElementById('sweepMethods'),
+            sweepRateCommand: document.getElementById('sweepRateCommand'),
+            startSweepBtn: document.getElementById('startSweepBtn'),
+            stopSweepBtn: document.getElementById('stopSweepBtn'),
+            sweepStatus: document.getElementById('sweepStatus'),
+            sweepResults: document.getElementById('sweepResults'),
+            sweepTable: document.getElementById('sweepTable'),
+            sweepCurve: document.getElementById('sweepCurve'),
+            integrityMode: document.getElementById('integrityMode'),
+            integritySequenceModulo: document.getElementById('integritySequenceModulo'),
+            integrityRate: document.getElementById('integrityRate'),
+            integrityRecordLength: document.getElementById('integrityRecordLength'),
+            startIntegrityBtn: document.getElementById('startIntegrityBtn'),
+            stopIntegrityBtn: document.getElementById('stopIntegrityBtn'),
+            integrityStatus: document.getElementById('integrityStatus'),
+            integrityResults: document.getElementById('integrityResults'),
+            echoSizes: document.getElementById('echoSizes'),
+            echoRate: document.getElementById('echoRate'),
+            echoCount: document.getElementById('echoCount'),
+            echoTimeout: document.getElementById('echoTimeout'),
+            startEchoBtn: document.getElementById('startEchoBtn'),
+            stopEchoBtn: document.getElementById('stopEchoBtn'),
+            echoStatus: document.getElementById('echoStatus'),
+            echoResults: document.getElementById('echoResults'),
+            echoTable: document.getElementById('echoTable'),
+            weightChart: document.getElementById('weightChart'),
+            chartShowRaw: document.getElementById('chartShowRaw'),
+            chartShowFiltered: document.getElementById('chartShowFiltered'),
+            chartTimeWindow: document.getElementById('chartTimeWindow'),
+            pauseChartBtn: document.getElementById('pauseChartBtn'),
+            resetChartBtn: document.getElementById('resetChartBtn')
         };
-    }
-
-    createLineTransformStream() {
-        let buffer = '';
-        
-        return new TransformStream({
-            transform(chunk, controller) {
-                buffer += chunk;
-                const lines = buffer.split(/\r?\n/);
-                
-                // Keep the last line in buffer (it might be incomplete)
-                buffer = lines.pop() || '';
-                
-                // Enqueue complete lines
-                for (const line of lines) {
-                    if (line.trim()) {
-                        controller.enqueue(line);
-                    }
-                }
-            },
-            
-            flush(controller) {
-                // Enqueue any remaining data in buffer
-                if (buffer.trim()) {
-                    controller.enqueue(buffer);
-                }
-            }
+        
+        this.elements.portBackend.value = this.testConfig.portBackend;
+        this.elements.readingMethod.value = this.currentMethod;
+        
+        // Raw and filtered weight over time, redrawn once per frame
+        this.weightChart = new WeightChart(this.elements.weightChart, {
+            timeWindow: parseInt(this.elements.chartTimeWindow.value),
+            renderLoop: this.renderLoop
+        });
+        this.weightChart.addSeries('scale', { name: 'Weight' });
+        
+        // Filter chain; changes apply from the next reading
+        this.filterEditor = new FilterEditor(document.getElementById('filterEditor'), this.scale.filters);
+        
+        // Raw RX/TX and typed commands on the same connection
+        this.serialConsole = new SerialConsole(document.getElementById('serialConsole'), this.scale, {
+            renderLoop: this.renderLoop,
+            storageKey: 'speed-test.console'
         });
     }
 
     bindEvents() {
         this.elements.connectBtn.addEventListener('click', () => this.connect());
+        this.elements.autoDetectBtn.addEventListener('click', () => this.connect({ autoDetect: true }));
         this.elements.disconnectBtn.addEventListener('click', () => this.disconnect());
         this.elements.startReadingBtn.addEventListener('click', () => this.startReading());
         this.elements.stopReadingBtn.addEventListener('click', () => this.stopReading());
@@ -136,15 +247,73 @@ class SerialPerformanceTest {
         this.elements.startTestBtn.addEventListener('click', () => this.startPerformanceTest());
         this.elements.stopTestBtn.addEventListener('click', () => this.stopPerformanceTest());
         this.elements.clearDataBtn.addEventListener('click', () => this.clearData());
+        this.elements.exportCsvBtn.addEventListener('click', () => this.exportRun('csv'));
+        this.elements.exportJsonBtn.addEventListener('click', () => this.exportRun('json'));
+        this.elements.startSweepBtn.addEventListener('click', () => this.startSweep());
+        this.elements.stopSweepBtn.addEventListener('click', () => this.stopSweep());
+        this.elements.startIntegrityBtn.addEventListener('click', () => this.startIntegrityCheck());
+        this.elements.stopIntegrityBtn.addEventListener('click', () => this.stopIntegrityCheck());
+        this.elements.startEchoBtn.addEventListener('click', () => this.startEchoTest());
+        this.elements.stopEchoBtn.addEventListener('click', () => this.stopEchoTest());
         this.elements.pauseRawDataBtn.addEventListener('click', () => this.toggleRawDataPause());
         this.elements.clearRawDataBtn.addEventListener('click', () => this.clearRawData());
         
+        // Weight chart controls
+        this.elements.chartShowRaw.addEventListener('change', (e) => {
+            this.weightChart.setVisible({ showRaw: e.target.checked });
+        });
+        this.elements.chartShowFiltered.addEventListener('change', (e) => {
+            this.weightChart.setVisible({ showFiltered: e.target.checked });
+        });
+        this.elements.chartTimeWindow.addEventListener('change', (e) => {
+            this.weightChart.setTimeWindow(parseInt(e.target.value));
+        });
+        this.elements.pauseChartBtn.addEventListener('click', () => this.weightChart.togglePause());
+        this.elements.resetChartBtn.addEventListener('click', () => this.weightChart.resetView());
+        this.weightChart.addEventListener('view', (e) => {
+            this.elements.pauseChartBtn.textContent = e.detail.paused ? 'Resume' : 'Pause';
+        });
+        
         // Settings change events
         this.elements.baudRate.addEventListener('change', (e) => {
             this.testConfig.baudRate = parseInt(e.target.value);
+            this.scale.baudRate = this.testConfig.baudRate;
+        });
+        
+        // Framing, flow control and buffer size apply on the next connect
+        this.elements.dataBits.addEventListener('change', (e) => {
+            this.updateSerialOptions({ dataBits: parseInt(e.target.value) });
+        });
+        this.elements.parity.addEventListener('change', (e) => {
+            this.updateSerialOptions({ parity: e.target.value });
+        });
+        this.elements.stopBits.addEventListener('change', (e) => {
+            this.updateSerialOptions({ stopBits: parseInt(e.target.value) });
+        });
+        this.elements.flowControl.addEventListener('change', (e) => {
+            this.updateSerialOptions({ flowControl: e.target.value });
+        });
+        this.elements.bufferSize.addEventListener('change', (e) => {
+            this.updateSerialOptions({ bufferSize: parseInt(e.target.value) });
+        });
+        this.elements.protocol.addEventListener('change', (e) => {
+            this.testConfig.protocol = e.target.value;
+            this.scale.protocol = this.testConfig.protocol;
+            this.log(`Protocol set to ${PROTOCOL_PROFILES[this.testConfig.protocol].label}${this.scale.isConnected ? ' (applies on the next connect)' : ''}`, 'info');
+        });
+        this.elements.framer.addEventListener('change', (e) => {
+            this.updateFrameFormat({ framer: e.target.value });
+        });
+        this.elements.checksum.addEventListener('change', (e) => {
+            this.updateFrameFormat({ checksum: e.target.value });
+        });
+        this.elements.readingMethod.addEventListener('change', (e) => {
+            this.currentMethod = e.target.value;
+            this.log(`Reading method set to ${this.currentMethod}`, 'info');
         });
         this.elements.readInterval.addEventListener('change', (e) => {
             this.testConfig.readInterval = parseInt(e.target.value);
+            this.scale.readInterval = this.testConfig.readInterval;
         });
         this.elements.testDuration.addEventListener('change', (e) => {
             this.testConfig.testDuration = parseInt(e.target.value);
@@ -152,40 +321,201 @@ class SerialPerformanceTest {
         this.elements.maxReadings.addEventListener('change', (e) => {
             this.testConfig.maxReadings = parseInt(e.target.value);
         });
+        this.elements.expectedRate.addEventListener('change', (e) => {
+            this.testConfig.expectedRate = parseFloat(e.target.value) || 0;
+            this.scale.setExpectedRate(this.testConfig.expectedRate);
+        });
+        const stabilityInputs = {
+            tolerance: this.elements.stabilityTolerance,
+            holdTime: this.elements.stabilityHoldTime,
+            motionBand: this.elements.stabilityMotionBand
+        };
+        Object.entries(stabilityInputs).forEach(([key, input]) => {
+            input.addEventListener('change', (e) => {
+                try {
+                    this.scale.setStability({ [key]: e.target.value });
+                } catch (error) {
+                    this.log(error.message, 'error');
+                }
+                e.target.value = this.scale.stabilityOptions[key];
+            });
+        });
+        this.filterEditor.addEventListener('change', (e) => {
+            this.scale.setFilters(e.detail.filters);
+            this.log(`Filters: ${describeFilters(this.scale.filters)}`, 'info');
+        });
+        this.elements.portBackend.addEventListener('change', (e) => {
+            this.testConfig.portBackend = e.target.value;
+            this.portProvider = createPortProvider(this.testConfig.portBackend, this.simulatorConfig);
+            this.scale.portProvider = this.portProvider;
+            this.log(`Port backend set to ${this.testConfig.portBackend}`, 'info');
+        });
+        
+        // Simulator settings apply live to an already connected simulated scale
+        this.elements.simWaveform.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ waveform: e.target.value });
+        });
+        this.elements.simLineRate.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ lineRate: parseInt(e.target.value) });
+        });
+        this.elements.simNoise.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ noise: parseFloat(e.target.value) });
+        });
+        this.elements.simFault.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ fault: e.target.value });
+        });
+        this.elements.simFaultRate.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ faultRate: parseFloat(e.target.value) });
+        });
+        this.elements.simBaudRate.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ baudRate: parseInt(e.target.value) || null });
+        });
+        this.elements.simFraming.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ framing: e.target.value || null });
+        });
+        this.elements.simProtocol.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ protocol: e.target.value });
+        });
+        this.elements.simSequence.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ sequenceModulo: parseInt(e.target.value) });
+        });
+        this.elements.simWiring.addEventListener('change', (e) => {
+            this.updateSimulatorConfig({ loopback: e.target.value === 'loopback' });
+        });
+        [this.elements.simFramer, this.elements.simChecksum].forEach(select => {
+            select.addEventListener('change', () => {
+                const frameFormat = { framer: this.elements.simFramer.value, checksum: this.elements.simChecksum.value };
+                try {
+                    normalizeFrameFormat(frameFormat);
+                } catch (error) {
+                    this.log(`Simulator framing: ${error.message}`, 'error');
+                    return;
+                }
+                this.updateSimulatorConfig({ frameFormat });
+            });
+        });
+    }
+
+    // Reflect detected settings in the settings panel so the next connect uses them too
+    showSerialSettings(settings) {
+        const { baudRate, dataBits, parity, stopBits } = settings;
+        Object.assign(this.testConfig, { baudRate, dataBits, parity, stopBits });
+        if (![...this.elements.baudRate.options].some(option => parseInt(option.value) === baudRate)) {
+            this.elements.baudRate.add(new Option(String(baudRate), String(baudRate)));
+        }
+        this.elements.baudRate.value = baudRate;
+        this.elements.dataBits.value = dataBits;
+        this.elements.parity.value = parity;
+        this.elements.stopBits.value = stopBits;
     }
 
-    async connect() {
+    updateSerialOptions(changes) {
+        Object.assign(this.testConfig, changes);
+        this.scale.serialOptions = { ...this.scale.serialOptions, ...changes };
+        if (this.scale.isConnected) {
+            this.log('Port settings apply on the next connect', 'info');
+        }
+    }
+
+    // Invalid combinations (e.g. a checksum on text lines) are refused and the selects reset
+    updateFrameFormat(changes) {
         try {
-            this.log('Attempting to connect to serial device...', 'info');
-            
-            // Request port selection
-            this.port = await navigator.serial.requestPort();
-            
-            // Open port with configured baud rate
-            await this.port.open({ baudRate: this.testConfig.baudRate });
-            
-            // Set up streams
-            const inputDone = this.port.readable.pipeTo(this.textDecoder.writable);
-            const outputDone = this.textEncoder.readable.pipeTo(this.port.writable);
-            
-            // Create line processing stream
-            this.lineStream = this.createLineTransformStream();
-            this.textDecoder.readable.pipeTo(this.lineStream.writable);
-            
-            // Get line reader and writer (use line reader for all operations)
-            this.lineReader = this.lineStream.readable.getReader();
-            this.writer = this.textEncoder.writable.getWriter();
-            
-            this.isConnected = true;
+            this.testConfig.frameFormat = normalizeFrameFormat({ ...this.testConfig.frameFormat, ...changes });
+        } catch (error) {
+            this.log(`Framing: ${error.message}`, 'error');
+            this.elements.framer.value = this.testConfig.frameFormat.framer;
+            this.elements.checksum.value = this.testConfig.frameFormat.checksum;
+            return;
+        }
+        this.scale.frameFormat = this.testConfig.frameFormat;
+        const { framer, checksum } = this.testConfig.frameFormat;
+        this.log(`Framing set to ${FRAMERS[framer].label}${checksum !== 'none' ? ` with ${CHECKSUMS[checksum].label}` : ''}${this.scale.isConnected ? ' (applies on the next connect)' : ''}`, 'info');
+    }
+
+    updateSimulatorConfig(changes) {
+        Object.assign(this.simulatorConfig, changes);
+        if (this.portProvider.configure) {
+            this.portProvider.configure(changes);
+        }
+    }
+
+    // Reflect core events in the page
+    bindScaleEvents() {
+        this.scale.addEventListener('state', (e) => {
             this.updateConnectionStatus();
+            this.updateReadingStatus();
+            this.renderLoop.invalidate();
+            if (e.detail.state === 'lost') {
+                this.log('Connection lost - waiting for the device to reappear', 'warning');
+            }
+        });
+        this.scale.addEventListener('outage', (e) => {
+            const outage = e.detail;
+            if (outage.reconnected) {
+                this.log(`Reconnected after ${(outage.duration / 1000).toFixed(1)}s outage`, 'success');
+            }
+        });
+        this.scale.addEventListener('detect', (e) => {
+            const { attempt, index, total } = e.detail;
+            this.elements.connectionStatus.textContent = `Detecting (${index + 1}/${total})`;
+            this.log(`Tried ${describePortSettings(attempt.settings)}: ${attempt.ok ? `reply '${attempt.reply}'` : attempt.reason}`, 'info');
+        });
+        this.scale.addEventListener('reading', (e) => this.renderLoop.measure(() => this.onReading(e.detail)));
+        this.scale.addEventListener('deviceInfo', (e) => this.updateDeviceInfo(e.detail));
+        this.scale.addEventListener('stability', () => this.renderLoop.invalidate());
+        this.scale.addEventListener('settled', (e) => {
+            const { weight, change, timeToStable } = e.detail;
+            this.lastSettle = e.detail;
+            if (timeToStable !== null) {
+                this.log(`Settled at ${weight.toFixed(3)} (${change >= 0 ? '+' : ''}${change.toFixed(3)}) after ${timeToStable}ms`, 'info');
+            }
+        });
+        this.scale.addEventListener('weightStatus', (e) => {
+            const { status, error, line } = e.detail;
+            if (status === 'ok') {
+                this.log('Weight back in range', 'info');
+            } else {
+                this.log(`Scale reports ${status}${error ? ` (code ${error})` : ''}: '${line}'`, 'warning');
+            }
+            this.renderLoop.invalidate();
+        });
+        this.scale.addEventListener('error', (e) => {
+            const { error, context } = e.detail;
+            if (context === 'stream') {
+                this.log(`Serial stream ended: ${error.message}`, 'warning');
+            } else {
+                this.log(`Error (${context}): ${error.message}`, 'error');
+                if (context === 'deviceInfo' && error.name === 'CommandTimeoutError') {
+                    this.log('The device did not answer - check the baud rate and framing, or use Auto-Detect', 'warning');
+                }
+            }
+        });
+    }
+
+    // options.autoDetect: probe for the baud rate and framing instead of using the selected ones
+    async connect(options = {}) {
+        try {
+            if (options.autoDetect) {
+                this.log('Auto-detecting baud rate and framing...', 'info');
+            } else {
+                this.log('Attempting to connect to serial device...', 'info');
+            }
+            
+            await this.scale.connect(undefined, options);
             this.log('Successfully connected to serial device', 'success');
             
-            // Get device info
-            await this.getDeviceInfo();
+            if (options.autoDetect) {
+                const { settings, attempts } = this.scale.detection;
+                this.log(`Detected ${describePortSettings(settings)} after ${attempts.length} attempt${attempts.length === 1 ? '' : 's'}`, 'success');
+                this.showSerialSettings(settings);
+            }
             
         } catch (error) {
             if (error.name === 'NotFoundError') {
                 this.log('User cancelled port selection', 'warning');
+            } else if (error.name === 'DetectionError') {
+                const probe = this.scale.profile.probe;
+                this.log(`${error.message} - check the cable and that the device ${probe === null ? 'is sending' : `answers '${probe}'`}`, 'error');
             } else {
                 this.log(`Connection error: ${error.message}`, 'error');
             }
@@ -194,37 +524,7 @@ class SerialPerformanceTest {
 
     async disconnect() {
         try {
-            if (this.isReading) {
-                await this.stopReading();
-            }
-            
-            if (this.lineReader) {
-                await this.lineReader.cancel();
-                await this.lineReader.releaseLock();
-                this.lineReader = null;
-            }
-            
-            if (this.writer) {
-                await this.writer.releaseLock();
-                this.writer = null;
-            }
-            
-            if (this.port) {
-                await this.port.close();
-                this.port = null;
-            }
-            
-            this.isConnected = false;
-            this.updateConnectionStatus();
-            
-            // Clear device information
-            this.deviceId = null;
-            this.deviceCapacity = null;
-            this.deviceUnits = null;
-            this.elements.deviceId.textContent = 'Not Connected';
-            this.elements.deviceCapacity.textContent = 'Not Connected';
-            this.elements.deviceUnits.textContent = 'Not Connected';
-            
+            await this.scale.disconnect();
             this.log('Disconnected from serial device', 'info');
             
         } catch (error) {
@@ -234,10 +534,25 @@ class SerialPerformanceTest {
 
     updateConnectionStatus() {
         const status = this.elements.connectionStatus;
-        if (this.isConnected) {
+        if (this.scale.isLost) {
+            // Keep a running test going; it resumes when the port comes back
+            status.textContent = 'Lost - Waiting for Device';
+            status.className = 'status lost';
+            this.elements.connectBtn.disabled = true;
+            this.elements.autoDetectBtn.disabled = true;
+            this.elements.disconnectBtn.disabled = false;
+            this.elements.startReadingBtn.disabled = true;
+            this.elements.tareBtn.disabled = true;
+        } else if (this.scale.state === 'connecting') {
+            status.textContent = 'Connecting...';
+            status.className = 'status connecting';
+            this.elements.connectBtn.disabled = true;
+            this.elements.autoDetectBtn.disabled = true;
+        } else if (this.scale.isConnected) {
             status.textContent = 'Connected';
             status.className = 'status connected';
             this.elements.connectBtn.disabled = true;
+            this.elements.autoDetectBtn.disabled = true;
             this.elements.disconnectBtn.disabled = false;
             this.elements.startReadingBtn.disabled = false;
             this.elements.startTestBtn.disabled = false;
@@ -245,6 +560,7 @@ class SerialPerformanceTest {
             status.textContent = 'Disconnected';
             status.className = 'status disconnected';
             this.elements.connectBtn.disabled = false;
+            this.elements.autoDetectBtn.disabled = false;
             this.elements.disconnectBtn.disabled = true;
             this.elements.startReadingBtn.disabled = true;
             this.elements.stopReadingBtn.disabled = true;
@@ -252,374 +568,272 @@ class SerialPerformanceTest {
             this.elements.startTestBtn.disabled = true;
             this.elements.stopTestBtn.disabled = true;
         }
+        this.updateSweepControls();
+        this.updateIntegrityControls();
+        this.updateEchoControls();
     }
 
     updateReadingStatus() {
         const status = this.elements.readingStatus;
-        if (this.isReading) {
+        if (this.scale.isReading) {
             status.textContent = 'Reading';
             status.className = 'status reading';
             this.elements.startReadingBtn.disabled = true;
             this.elements.stopReadingBtn.disabled = false;
             this.elements.tareBtn.disabled = false;
+            this.elements.readingMethod.disabled = true;
+        } else if (this.scale.isLost && this.scale.resumeMethod) {
+            status.textContent = 'Paused - Connection Lost';
+            status.className = 'status lost';
+            this.elements.startReadingBtn.disabled = true;
+            this.elements.stopReadingBtn.disabled = false;
+            this.elements.tareBtn.disabled = true;
+            this.elements.readingMethod.disabled = true;
         } else {
             status.textContent = 'Not Reading';
             status.className = 'status disconnected';
-            this.elements.startReadingBtn.disabled = !this.isConnected;
+            this.elements.startReadingBtn.disabled = !this.scale.isConnected;
             this.elements.stopReadingBtn.disabled = true;
-            this.elements.tareBtn.disabled = !this.isConnected;
+            this.elements.tareBtn.disabled = !this.scale.isConnected;
+            this.elements.readingMethod.disabled = false;
         }
+        this.updateSweepControls();
+        this.updateIntegrityControls();
+        this.updateEchoControls();
     }
 
-    async getDeviceInfo() {
-        try {
-            // Get device ID
-            const deviceId = await this.sendCommand('id');
-            this.deviceId = deviceId;
-            this.elements.deviceId.textContent = deviceId;
-            this.log(`Device ID: ${deviceId}`, 'info');
-            
-            // Get capacity
-            const capacity = await this.sendCommand('slc');
-            this.deviceCapacity = capacity;
-            this.elements.deviceCapacity.textContent = capacity;
-            this.log(`Device Capacity: ${capacity}`, 'info');
-            
-            // Get units
-            const units = await this.sendCommand('units');
-            this.deviceUnits = units;
-            this.elements.deviceUnits.textContent = units;
-            this.log(`Device Units: ${units}`, 'info');
-            
-        } catch (error) {
-            this.log(`Error getting device info: ${error.message}`, 'error');
-            // Set error state in UI
-            this.elements.deviceId.textContent = 'Error';
-            this.elements.deviceCapacity.textContent = 'Error';
-            this.elements.deviceUnits.textContent = 'Error';
-        }
-    }
+    // The sweep reconnects and starts/stops reading itself, so manual controls stay locked meanwhile
+    updateSweepControls() {
+        const isSweeping = this.sweep !== null;
+        this.elements.startSweepBtn.disabled = isSweeping || this.isTestRunning || this.integrityCheck !== null || this.echoTest !== null || !this.scale.isConnected;
+        this.elements.stopSweepBtn.disabled = !isSweeping;
+        if (!isSweeping) return;
 
-    async sendCommand(command) {
-        if (!this.writer) {
-            throw new Error('Writer not available');
-        }
-        
-        try {
-            // If we're in continuous reading mode, we need to handle this differently
-            if (this.isReading && this.currentMethod === 'onread') {
-                this.log(`Command sent during continuous reading: ${command}`, 'debug');
-                await this.writer.write(command + '\r');
-                // Don't try to read response during continuous reading
-                return 'sent';
-            }
-            
-            await this.writer.write(command + '\r');
-            this.log(`Command sent: ${command}`, 'debug');
-            
-            // Read response
-            const response = await this.readResponse();
-            return response;
-            
-        } catch (error) {
-            this.log(`Error sending command ${command}: ${error.message}`, 'error');
-            throw error;
-        }
+        ['connectBtn', 'autoDetectBtn', 'disconnectBtn', 'startReadingBtn', 'stopReadingBtn', 'tareBtn',
+            'startTestBtn', 'readingMethod'].forEach(name => {
+            this.elements[name].disabled = true;
+        });
     }
 
-    async readResponse() {
-        if (!this.lineReader) {
-            throw new Error('Line reader not available');
-        }
-        
-        try {
-            // Read one complete line for command response
-            const { value, done } = await this.lineReader.read();
-            if (done) {
-                console.warn("Stream closed unexpectedly.");
-                return null;
-            }
-            return value ? value.trim() : '';
-        } catch (error) {
-            this.log(`Error reading response: ${error.message}`, 'error');
-            throw error;
+    // A check owns the run metrics; a loopback check owns the port too
+    updateIntegrityControls() {
+        const check = this.integrityCheck;
+        this.elements.startIntegrityBtn.disabled = check !== null || this.sweep !== null || this.echoTest !== null || this.isTestRunning || !this.scale.isConnected;
+        this.elements.stopIntegrityBtn.disabled = check === null;
+        if (!check) return;
+
+        this.elements.startTestBtn.disabled = true;
+        this.elements.startSweepBtn.disabled = true;
+        if (check.mode === 'loopback' || check.startedReading) {
+            ['startReadingBtn', 'stopReadingBtn', 'readingMethod'].forEach(name => {
+                this.elements[name].disabled = true;
+            });
         }
     }
 
-    async startReading() {
-        if (!this.isConnected || this.isReading) return;
-        
-        this.isReading = true;
-        this.updateReadingStatus();
-        this.log('Starting continuous reading...', 'info');
-        
-        // Start the appropriate reading method
-        await this.readingMethods[this.currentMethod]();
+    // Probes and weight lines can't share the port, so reading stays off until the test ends
+    updateEchoControls() {
+        const isEchoing = this.echoTest !== null;
+        this.elements.startEchoBtn.disabled = isEchoing || this.sweep !== null || this.integrityCheck !== null || this.isTestRunning || !this.scale.isConnected;
+        this.elements.stopEchoBtn.disabled = !isEchoing;
+        if (!isEchoing) return;
+
+        ['connectBtn', 'autoDetectBtn', 'disconnectBtn', 'startReadingBtn', 'stopReadingBtn', 'tareBtn',
+            'startTestBtn', 'readingMethod', 'startSweepBtn', 'startIntegrityBtn'].forEach(name => {
+            this.elements[name].disabled = true;
+        });
     }
 
-    async stopReading() {
-        this.isReading = false;
-        this.updateReadingStatus();
-        
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
-        
-        // Stop continuous reading by sending a command to stop
-        if (this.writer && this.currentMethod === 'onread') {
-            try {
-                await this.sendCommand(''); // Send empty command or specific stop command
-                this.log('Stopped continuous weight reading', 'info');
-            } catch (error) {
-                this.log(`Error stopping continuous reading: ${error.message}`, 'error');
-            }
+    updateDeviceInfo(info) {
+        if (!this.scale.isConnected) {
+            this.elements.deviceId.textContent = 'Not Connected';
+            this.elements.deviceCapacity.textContent = 'Not Connected';
+            this.elements.deviceUnits.textContent = 'Not Connected';
+            this.elements.portSettings.textContent = 'Not Connected';
+            return;
         }
         
-        this.log('Stopped reading', 'info');
+        // Fields the device did not answer are shown as errors, ones its protocol can't report as N/A
+        const reported = this.scale.profile.deviceInfo;
+        this.elements.deviceId.textContent = info.id || (reported.id ? 'Error' : 'N/A');
+        this.elements.deviceCapacity.textContent = info.capacity || (reported.capacity ? 'Error' : 'N/A');
+        this.elements.deviceUnits.textContent = info.units || (reported.units ? 'Error' : 'N/A');
+        this.elements.portSettings.textContent = describePortSettings(this.scale.openOptions) +
+            (this.scale.detection ? ' (auto-detected)' : '');
+        this.log(`Device ID: ${info.id}, Capacity: ${info.capacity}, Units: ${info.units}, Port: ${describePortSettings(this.scale.openOptions)}`, 'info');
     }
 
-    // Method 1: onread (fastest) - Continuous reading with wc command
-    async readWeightOnce() {
+    async startReading() {
+        if (!this.scale.isConnected || this.scale.isReading) return;
+        
+        this.log(`Starting reading with ${this.currentMethod} method...`, 'info');
         try {
-            // Send wc command to start continuous weight reading
-            await this.sendCommand('wc');
-            this.log('Started continuous weight reading with wc command', 'info');
-            
-            // Read complete lines using the line reader
-            while (this.isReading) {
-                const { value, done } = await this.lineReader.read();
-                
-                if (done) {
-                    this.log('Serial stream ended', 'warning');
-                    break;
-                }
-                
-                // Process complete line
-                if (value && value.trim()) {
-                    const weight = parseFloat(value.trim());
-                    if (!isNaN(weight)) {
-                        // Use placeholder latency since we're reading complete lines
-                        const latency = 0; // Line processing latency is negligible
-                        this.processReading(weight, latency);
-                    }
-                }
-            }
-            
+            await this.scale.startReading(this.currentMethod);
         } catch (error) {
-            this.log(`Error in readWeightOnce: ${error.message}`, 'error');
-            
-            if (this.isReading) {
-                // Try to restart continuous reading
-                setTimeout(() => this.readWeightOnce(), 100);
-            }
+            // e.g. polling with a protocol that has no weigh command
+            this.log(`Start error: ${error.message}`, 'error');
         }
     }
 
-    // Method 2: Interval-based reading (kept for comparison)
-    async readWeightInterval() {
-        this.intervalId = setInterval(async () => {
-            if (!this.isReading) return;
-            
-            try {
-                const startTime = performance.now();
-                await this.sendCommand('w');
-                const { value } = await this.reader.read();
-                
-                const endTime = performance.now();
-                const latency = endTime - startTime;
-                
-                if (value && value.trim()) {
-                    const weight = parseFloat(value.trim());
-                    if (!isNaN(weight)) {
-                        this.processReading(weight, latency);
-                    }
-                }
-                
-            } catch (error) {
-                this.log(`Error in readWeightInterval: ${error.message}`, 'error');
-            }
-        }, this.testConfig.readInterval);
-    }
-
-    // Method 3: Continuous reading loop (kept for comparison)
-    async readWeightContinuous() {
-        while (this.isReading) {
-            try {
-                const startTime = performance.now();
-                await this.sendCommand('w');
-                const { value } = await this.reader.read();
-                
-                const endTime = performance.now();
-                const latency = endTime - startTime;
-                
-                if (value && value.trim()) {
-                    const weight = parseFloat(value.trim());
-                    if (!isNaN(weight)) {
-                        this.processReading(weight, latency);
-                    }
-                }
-                
-                // Small delay to prevent overwhelming the device
-                await new Promise(resolve => setTimeout(resolve, 10));
-                
-            } catch (error) {
-                this.log(`Error in readWeightContinuous: ${error.message}`, 'error');
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
-        }
+    async stopReading() {
+        await this.scale.stopReading();
+        this.log('Stopped reading', 'info');
     }
 
-    processReading(weight, latency) {
-        const timestamp = Date.now();
-        
-        // Apply median filter to weight
-        const filteredWeight = this.filterWithMedian(weight);
+    // Measurement side: record and buffer only, the page is updated by render()
+    onReading(reading) {
+        const metrics = this.scale.metrics;
         
-        // Store reading data with filtered weight
-        this.readings.push({
-            weight: filteredWeight,
-            rawWeight: weight,
-            latency,
-            timestamp
-        });
-        
-        // Store latency for statistics
-        this.latencies.push(latency);
-        
-        // Track readings per second
-        this.readingsInLastSecond.push(timestamp);
-        
-        // Keep only last 1000 readings for performance
-        if (this.readings.length > 1000) {
-            this.readings.shift();
-        }
-        if (this.latencies.length > 1000) {
-            this.latencies.shift();
+        if (this.isTestRunning && this.currentRun) {
+            this.currentRun.record(0, reading);
         }
         
-        // Update readings per second every second
-        this.updateReadingsPerSecond();
-        
-        // Update metrics
-        this.updateMetrics();
-        
-        // Update displays with filtered weight
-        this.updateDisplays(filteredWeight, latency);
+        this.latestReading = reading;
+        this.weightChart.push('scale', reading.timestamp, reading.rawWeight, reading.weight);
+        if (!this.isRawDataPaused) {
+            this.rawDataLog.push({ ...reading, readingsPerSecond: metrics.readingsPerSecond });
+        }
+        this.renderLoop.invalidate();
         
-        // Log to raw data (show both raw and filtered)
-        this.logRawData(`[${new Date(timestamp).toLocaleTimeString()}] Raw: ${weight.toFixed(3)}, Filtered: ${filteredWeight.toFixed(3)}, Latency: ${latency.toFixed(2)}ms, RPS: ${this.readingsPerSecond}`);
-    }
-
-    filterWithMedian(newWeight) {
-        this.weightWindow.push(newWeight);
-        if (this.weightWindow.length > this.windowSize) {
-            this.weightWindow.shift();
+        if (this.isTestRunning && metrics.totalReadings >= this.testConfig.maxReadings) {
+            this.stopPerformanceTest();
         }
-        const sorted = [...this.weightWindow].sort((a, b) => a - b);
-        return sorted[Math.floor(sorted.length / 2)];
     }
 
-    updateReadingsPerSecond() {
-        const now = Date.now();
-        
-        // Remove readings older than 1 second
-        this.readingsInLastSecond = this.readingsInLastSecond.filter(
-            timestamp => now - timestamp < 1000
-        );
+    // Render side: runs from the render loop, never more than its frame rate
+    render() {
+        this.elements.readingsPerSecond.textContent = this.scale.metrics.readingsPerSecond;
+        this.updateMetrics();
         
-        // Update readings per second
-        this.readingsPerSecond = this.readingsInLastSecond.length;
+        // Out of range, the last good weight is replaced by what the scale reports
+        const outOfRange = this.scale.weightStatus !== 'ok';
+        this.elements.currentWeight.className = outOfRange ? 'metric-value out-of-range' : 'metric-value';
+        if (outOfRange) {
+            this.elements.currentWeight.textContent = this.scale.weightStatus.toUpperCase();
+        } else if (this.latestReading) {
+            this.elements.currentWeight.textContent = this.latestReading.weight.toFixed(3);
+        }
+        if (this.latestReading) {
+            this.elements.rawWeight.textContent = this.latestReading.rawWeight.toFixed(3);
+        }
+        this.updateStability();
+        this.updateIntegrityResults();
+        this.updateLatencyChart();
+        this.rawDataLog.flush(this.elements.rawData);
+        this.serialConsole.render();
         
-        // Update UI immediately
-        this.elements.readingsPerSecond.textContent = this.readingsPerSecond;
+        // Main-thread load, refreshed once a second
+        const now = performance.now();
+        if (now - this.lastLoadUpdate >= 1000) {
+            const load = this.renderLoop.sampleLoad();
+            this.elements.mainThreadLoad.textContent = `${load.measure.toFixed(1)} / ${load.render.toFixed(1)}`;
+            this.lastLoadUpdate = now;
+        }
     }
 
     updateMetrics() {
-        if (this.readings.length === 0) return;
-        
-        // Calculate latency statistics
-        const avgLatency = this.latencies.reduce((a, b) => a + b, 0) / this.latencies.length;
-        const minLatency = Math.min(...this.latencies);
-        const maxLatency = Math.max(...this.latencies);
+        const metrics = this.scale.metrics;
+        const latency = metrics.getLatencyStats();
         
         // Update UI
-        this.elements.avgLatency.textContent = avgLatency.toFixed(1);
-        this.elements.minLatency.textContent = minLatency.toFixed(1);
-        this.elements.maxLatency.textContent = maxLatency.toFixed(1);
-        this.elements.totalReadings.textContent = this.readings.length;
-    }
+        this.elements.avgLatency.textContent = latency.avg.toFixed(1);
+        this.elements.minLatency.textContent = latency.min.toFixed(1);
+        this.elements.maxLatency.textContent = latency.max.toFixed(1);
+        this.elements.totalReadings.textContent = metrics.totalReadings;
+        
+        const issues = metrics.lineIssues;
+        this.elements.unparseableLines.textContent = issues.unparseable;
+        this.elements.unparseableLines.title = `Overload ${issues.overload}, underload ${issues.underload}, device errors ${issues.error}` +
+            (metrics.lastUnparseable ? `\nLast: '${metrics.lastUnparseable}'` : '');
 
-    updateDisplays(weight, latency) {
-        this.elements.currentWeight.textContent = weight.toFixed(3);
-        this.updateLatencyChart();
+        const frames = metrics.frames;
+        this.elements.corruptedFrames.textContent = frames.corrupted;
+        this.elements.corruptedFrames.title = `${frames.received} frames: checksum ${frames.checksum}, encoding ${frames.encoding}, length ${frames.length}`;
+
+        const link = this.scale.link.getCurrent();
+        this.elements.rxByteRate.textContent = formatByteRate(link.rxBytesPerSecond);
+        this.elements.rxByteRate.title = `TX ${formatByteRate(link.txBytesPerSecond)}, avg read chunk ${link.avgChunkSize.toFixed(1)} bytes`;
+        this.elements.linkUtilization.textContent = link.rxUtilization.toFixed(1);
+        this.elements.linkUtilization.title = `RX ${link.rxUtilization.toFixed(1)}%, TX ${link.txUtilization.toFixed(1)}% of ${this.scale.openOptions ? this.scale.openOptions.baudRate : this.scale.baudRate} baud`;
     }
 
+    // Histogram of the last 100 latencies; the bars are created once and only resized
     updateLatencyChart() {
-        const chart = this.elements.latencyChart;
-        chart.innerHTML = '';
-        
-        if (this.latencies.length === 0) return;
+        const buckets = 20;
+        if (!this.latencyBars) {
+            this.latencyBars = [];
+            for (let i = 0; i < buckets; i++) {
+                const bar = document.createElement('div');
+                bar.className = 'chart-bar';
+                this.elements.latencyChart.appendChild(bar);
+                this.latencyBars.push(bar);
+            }
+        }
         
-        // Get last 100 readings for chart
-        const recentLatencies = this.latencies.slice(-100);
-        const maxLatency = Math.max(...recentLatencies);
-        const minLatency = Math.min(...recentLatencies);
+        const latencies = this.scale.metrics.latencies;
+        const start = Math.max(0, latencies.length - 100);
+        let minLatency = Infinity;
+        let maxLatency = -Infinity;
+        for (let i = start; i < latencies.length; i++) {
+            if (latencies[i] < minLatency) minLatency = latencies[i];
+            if (latencies[i] > maxLatency) maxLatency = latencies[i];
+        }
         const range = maxLatency - minLatency;
         
-        // Create histogram
-        const buckets = 20;
         const histogram = new Array(buckets).fill(0);
+        for (let i = start; i < latencies.length; i++) {
+            const bucket = range > 0 ? Math.floor(((latencies[i] - minLatency) / range) * (buckets - 1)) : 0;
+            histogram[bucket]++;
+        }
         
-        recentLatencies.forEach(latency => {
-            const bucket = Math.floor(((latency - minLatency) / range) * (buckets - 1));
-            histogram[Math.max(0, Math.min(bucket, buckets - 1))]++;
-        });
-        
-        const maxCount = Math.max(...histogram);
-        
-        // Create chart bars
-        histogram.forEach(count => {
-            const bar = document.createElement('div');
-            bar.className = 'chart-bar';
-            bar.style.height = `${(count / maxCount) * 100}%`;
-            chart.appendChild(bar);
+        const maxCount = Math.max(1, ...histogram);
+        this.latencyBars.forEach((bar, i) => {
+            bar.style.height = `${(histogram[i] / maxCount) * 100}%`;
         });
     }
 
     async startPerformanceTest() {
-        if (this.isTestRunning) return;
+        if (this.isTestRunning || this.sweep || this.integrityCheck || this.echoTest) return;
         
         this.isTestRunning = true;
         this.elements.startTestBtn.disabled = true;
         this.elements.stopTestBtn.disabled = false;
         
         // Clear previous data
-        this.readings = [];
-        this.latencies = [];
-        this.readingCount = 0;
-        this.readingsInLastSecond = [];
-        this.readingsPerSecond = 0;
-        this.weightWindow = []; // Clear the weight filter
+        this.scale.resetMetrics();
+        this.renderLoop.resetTiming();
         this.startTime = performance.now();
         
+        this.currentRun = new TestRun({
+            page: 'speed-test',
+            config: { ...this.testConfig, method: this.currentMethod }
+        });
+        this.currentRun.addChannel({
+            id: 'scale',
+            name: 'Scale',
+            ...describeScale(this.scale),
+            method: this.currentMethod,
+            filters: describeFilters(this.scale.filters)
+        });
+        this.elements.exportCsvBtn.disabled = true;
+        this.elements.exportJsonBtn.disabled = true;
+        
         this.log('Starting performance test...', 'info');
         this.logPerformance('=== PERFORMANCE TEST STARTED ===');
+        this.logPerformance(`Method: ${this.currentMethod}, Port: ${describePortSettings(this.scale.openOptions)}`);
+        this.logPerformance(`Filters: ${describeFilters(this.scale.filters)}`);
         
         // Start reading
         await this.startReading();
+        if (!this.scale.isReading) {
+            await this.stopPerformanceTest();
+            return;
+        }
         
         // Set test duration timeout
         this.testTimeout = setTimeout(() => {
             this.stopPerformanceTest();
         }, this.testConfig.testDuration * 1000);
-        
-        // Set maximum readings timeout
-        setTimeout(() => {
-            if (this.readings.length >= this.testConfig.maxReadings) {
-                this.stopPerformanceTest();
-            }
-        }, 100);
     }
 
     async stopPerformanceTest() {
@@ -635,46 +849,496 @@ class SerialPerformanceTest {
         }
         
         await this.stopReading();
+        this.renderLoop.renderNow();
         
         // Calculate final statistics
-        this.calculateFinalStats();
+        const stats = this.calculateFinalStats();
+        this.currentRun.finish([stats]);
+        this.elements.exportCsvBtn.disabled = false;
+        this.elements.exportJsonBtn.disabled = false;
+        await this.saveToHistory();
         
         this.log('Performance test completed', 'info');
         this.logPerformance('=== PERFORMANCE TEST COMPLETED ===');
     }
 
+    async startSweep() {
+        if (this.sweep || this.isTestRunning || this.integrityCheck || this.echoTest || !this.scale.isConnected) return;
+        
+        const baudRates = [...this.elements.sweepRates.querySelectorAll('input:checked')]
+            .map(input => parseInt(input.value));
+        if (baudRates.length === 0) {
+            this.log('Select at least one baud rate to sweep', 'warning');
+            return;
+        }
+        
+        if (this.scale.isReading) {
+            await this.stopReading();
+        }
+        
+        const methods = this.elements.sweepMethods.value === 'all' ? READING_METHODS : [this.currentMethod];
+        this.sweep = new BaudSweep(this.scale, {
+            baudRates,
+            methods,
+            duration: this.testConfig.testDuration,
+            maxReadings: this.testConfig.maxReadings,
+            rateCommand: this.elements.sweepRateCommand.value.trim()
+        });
+        this.sweep.addEventListener('progress', (e) => {
+            const { index, total, baudRate, method } = e.detail;
+            this.elements.sweepStatus.textContent = `Step ${index + 1}/${total}: ${baudRate} baud, ${method}`;
+            this.log(`Sweep step ${index + 1}/${total}: ${baudRate} baud, ${method}`, 'info');
+        });
+        this.sweep.addEventListener('step', (e) => this.onSweepStep(e.detail));
+        
+        this.elements.sweepTable.innerHTML = '';
+        this.elements.sweepCurve.innerHTML = '';
+        this.elements.sweepResults.hidden = false;
+        this.elements.sweepStatus.className = 'status reading';
+        this.updateConnectionStatus();
+        this.updateReadingStatus();
+        
+        this.logPerformance('=== BAUD-RATE SWEEP STARTED ===');
+        this.logPerformance(`Rates: ${baudRates.join(', ')}; Methods: ${methods.join(', ')}; ${this.testConfig.testDuration}s per step`);
+        
+        const sweep = this.sweep;
+        try {
+            const steps = await sweep.run();
+            this.logSweepSummary(steps);
+            this.elements.sweepStatus.textContent = sweep.stopRequested ? 'Stopped' : 'Complete';
+            this.elements.sweepStatus.className = 'status connected';
+        } catch (error) {
+            this.log(`Sweep error: ${error.message}`, 'error');
+            this.elements.sweepStatus.textContent = 'Failed';
+            this.elements.sweepStatus.className = 'status disconnected';
+        } finally {
+            this.sweep = null;
+            this.updateConnectionStatus();
+            this.updateReadingStatus();
+        }
+    }
+
+    stopSweep() {
+        if (this.sweep) {
+            this.log('Stopping sweep after the current step...', 'info');
+            this.sweep.stop();
+        }
+    }
+
+    onSweepStep(step) {
+        const row = document.createElement('tr');
+        if (!step.ok) {
+            row.className = 'failed';
+        }
+        const cells = [
+            step.baudRate,
+            step.method,
+            step.readingsPerSecond.toFixed(1),
+            step.linkUtilization.toFixed(1),
+            step.avgLatency.toFixed(2),
+            step.p50.toFixed(2),
+            step.p95.toFixed(2),
+            step.p99.toFixed(2),
+            step.totalReadings,
+            step.ok ? 'OK' : step.error
+        ];
+        cells.forEach((value, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            if (index === 1 || index === cells.length - 1) {
+                cell.className = 'text';
+            }
+            row.appendChild(cell);
+        });
+        this.elements.sweepTable.appendChild(row);
+        
+        if (step.ok) {
+            this.logPerformance(`${step.baudRate} baud, ${step.method}: ${step.readingsPerSecond.toFixed(1)} readings/sec, link ${step.linkUtilization.toFixed(1)}% (${step.bytesPerReading.toFixed(1)} bytes/reading), p95 ${step.p95.toFixed(2)}ms`);
+        } else {
+            this.logPerformance(`${step.baudRate} baud, ${step.method}: failed (${step.error})`);
+        }
+        this.drawSweepCurve(this.sweep.steps);
+    }
+
+    logSweepSummary(steps) {
+        const successful = steps.filter(step => step.ok);
+        if (successful.length > 0) {
+            const best = successful.reduce((a, b) => (b.readingsPerSecond > a.readingsPerSecond ? b : a));
+            this.logPerformance(`Best: ${best.readingsPerSecond.toFixed(1)} readings/sec at ${best.baudRate} baud (${best.method})`);
+        }
+        this.logPerformance(`=== BAUD-RATE SWEEP COMPLETED (${successful.length}/${steps.length} steps OK) ===`);
+    }
+
+    // Readings/sec against baud rate on a log2 axis, one line per reading method
+    drawSweepCurve(steps) {
+        const svg = this.elements.sweepCurve;
+        const curves = getSweepCurves(steps);
+        const points = Object.values(curves).flat();
+        svg.innerHTML = '';
+        if (points.length === 0) return;
+        
+        const width = 800;
+        const height = 300;
+        const margin = { top: 20, right: 20, bottom: 40, left: 60 };
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        
+        const rates = [...new Set(steps.map(step => step.baudRate))].sort((a, b) => a - b);
+        const minLog = Math.log2(rates[0]);
+        const maxLog = Math.log2(rates[rates.length - 1]);
+        const maxRps = Math.max(...points.map(point => point.readingsPerSecond)) * 1.1 || 1;
+        const x = (rate) => margin.left + (maxLog > minLog
+            ? (Math.log2(rate) - minLog) / (maxLog - minLog) * (width - margin.left - margin.right)
+            : (width - margin.left - margin.right) / 2);
+        const y = (rps) => height - margin.bottom - rps / maxRps * (height - margin.top - margin.bottom);
+        
+        const add = (tag, attributes, text) => {
+            const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            if (text !== undefined) element.textContent = text;
+            svg.appendChild(element);
+            return element;
+        };
+        
+        // Axes with a label per swept rate and a few readings/sec gridlines
+        add('line', { x1: margin.left, y1: height - margin.bottom, x2: width - margin.right, y2: height - margin.bottom, stroke: '#adb5bd' });
+        add('line', { x1: margin.left, y1: margin.top, x2: margin.left, y2: height - margin.bottom, stroke: '#adb5bd' });
+        rates.forEach(rate => {
+            add('text', { x: x(rate), y: height - margin.bottom + 18, 'text-anchor': 'middle', 'font-size': 12, fill: '#495057' }, rate);
+        });
+        for (let i = 1; i <= 4; i++) {
+            const rps = maxRps * i / 4;
+            add('line', { x1: margin.left, y1: y(rps), x2: width - margin.right, y2: y(rps), stroke: '#e9ecef' });
+            add('text', { x: margin.left - 8, y: y(rps) + 4, 'text-anchor': 'end', 'font-size': 12, fill: '#495057' }, rps.toFixed(0));
+        }
+        add('text', { x: width / 2, y: height - 5, 'text-anchor': 'middle', 'font-size': 12, fill: '#6c757d' }, 'Baud rate');
+        
+        Object.entries(curves).forEach(([method, methodPoints], index) => {
+            const color = SWEEP_COLORS[method] || '#495057';
+            add('polyline', {
+                points: methodPoints.map(point => `${x(point.baudRate)},${y(point.readingsPerSecond)}`).join(' '),
+                fill: 'none',
+                stroke: color,
+                'stroke-width': 2
+            });
+            methodPoints.forEach(point => {
+                const dot = add('circle', { cx: x(point.baudRate), cy: y(point.readingsPerSecond), r: 4, fill: color });
+                dot.appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'title')).textContent =
+                    `${method} @ ${point.baudRate}: ${point.readingsPerSecond.toFixed(1)} readings/sec`;
+            });
+            add('text', { x: margin.left + 10, y: margin.top + 14 * (index + 1), 'font-size': 12, fill: color }, method);
+        });
+    }
+
+    async startEchoTest() {
+        if (this.echoTest || this.isTestRunning || this.sweep || this.integrityCheck || !this.scale.isConnected) return;
+        
+        const payloadSizes = [...this.elements.echoSizes.querySelectorAll('input:checked')]
+            .map(input => parseInt(input.value));
+        if (payloadSizes.length === 0) {
+            this.log('Select at least one payload size', 'warning');
+            return;
+        }
+        
+        let echoTest;
+        try {
+            echoTest = new EchoTest(this.scale, {
+                payloadSizes,
+                rate: parseFloat(this.elements.echoRate.value),
+                count: parseInt(this.elements.echoCount.value),
+                timeout: parseFloat(this.elements.echoTimeout.value)
+            });
+        } catch (error) {
+            this.log(`Echo test: ${error.message}`, 'error');
+            return;
+        }
+        
+        if (this.scale.isReading) {
+            await this.stopReading();
+        }
+        
+        this.echoTest = echoTest;
+        echoTest.addEventListener('progress', (e) => {
+            const { index, total, payloadSize } = e.detail;
+            this.elements.echoStatus.textContent = `Step ${index + 1}/${total}: ${payloadSize} bytes`;
+        });
+        echoTest.addEventListener('step', (e) => this.onEchoStep(e.detail));
+        
+        this.elements.echoTable.innerHTML = '';
+        this.elements.echoResults.hidden = false;
+        this.elements.echoStatus.className = 'status reading';
+        this.updateConnectionStatus();
+        this.updateReadingStatus();
+        
+        this.logPerformance('=== ECHO ROUND-TRIP TEST STARTED ===');
+        this.logPerformance(`Payloads: ${payloadSizes.join(', ')} bytes; ${echoTest.count} probes each at ${echoTest.rate}/sec, ${echoTest.timeout}ms timeout, Port: ${describePortSettings(this.scale.openOptions)}`);
+        
+        try {
+            const steps = await echoTest.run();
+            this.logEchoSummary(steps);
+            this.elements.echoStatus.textContent = echoTest.stopRequested ? 'Stopped' : 'Complete';
+            this.elements.echoStatus.className = 'status connected';
+        } catch (error) {
+            this.log(`Echo test error: ${error.message}`, 'error');
+            this.elements.echoStatus.textContent = 'Failed';
+            this.elements.echoStatus.className = 'status disconnected';
+        } finally {
+            this.echoTest = null;
+            this.updateConnectionStatus();
+            this.updateReadingStatus();
+        }
+    }
+
+    stopEchoTest() {
+        if (this.echoTest) {
+            this.log('Stopping echo test after the outstanding probes...', 'info');
+            this.echoTest.stop();
+        }
+    }
+
+    onEchoStep(step) {
+        const row = document.createElement('tr');
+        if (step.received === 0) {
+            row.className = 'failed';
+        }
+        const status = step.error || (step.received === 0 ? 'No echo' : 'OK');
+        const cells = [
+            step.payloadSize,
+            step.sent,
+            step.received,
+            step.timeouts,
+            step.corrupted,
+            step.min.toFixed(2),
+            step.p50.toFixed(2),
+            step.p95.toFixed(2),
+            step.p99.toFixed(2),
+            step.max.toFixed(2),
+            step.jitter.toFixed(2),
+            formatByteRate(step.throughput),
+            status
+        ];
+        cells.forEach((value, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            if (index === cells.length - 1) {
+                cell.className = 'text';
+            }
+            row.appendChild(cell);
+        });
+        this.elements.echoTable.appendChild(row);
+        
+        if (step.received > 0) {
+            this.logPerformance(`${step.payloadSize} bytes: RTT min ${step.min.toFixed(2)} / p50 ${step.p50.toFixed(2)} / p95 ${step.p95.toFixed(2)} / p99 ${step.p99.toFixed(2)} / max ${step.max.toFixed(2)}ms, jitter ${step.jitter.toFixed(2)}ms, ${formatByteRate(step.throughput)}`);
+        }
+        this.logPerformance(`${step.payloadSize} bytes: ${step.received}/${step.sent} echoed, ${step.timeouts} timed out, ${step.corrupted} corrupted${step.error ? ` (${step.error})` : ''}`);
+    }
+
+    logEchoSummary(steps) {
+        const answered = steps.filter(step => step.received > 0);
+        if (answered.length > 0) {
+            const fastest = answered.reduce((a, b) => (b.p50 < a.p50 ? b : a));
+            const busiest = answered.reduce((a, b) => (b.throughput > a.throughput ? b : a));
+            this.logPerformance(`Lowest p50: ${fastest.p50.toFixed(2)}ms at ${fastest.payloadSize} bytes; Highest throughput: ${formatByteRate(busiest.throughput)} at ${busiest.payloadSize} bytes`);
+        }
+        this.logPerformance(`=== ECHO ROUND-TRIP TEST COMPLETED (${answered.length}/${steps.length} sizes echoed) ===`);
+    }
+
+    updateStability() {
+        const status = this.elements.stabilityStatus;
+        if (!this.scale.isReading) {
+            status.textContent = '-';
+            status.className = 'metric-value stability-indicator';
+        } else if (this.scale.isStable) {
+            status.textContent = 'Stable';
+            status.className = 'metric-value stability-indicator stable';
+        } else {
+            status.textContent = 'In Motion';
+            status.className = 'metric-value stability-indicator motion';
+        }
+        this.elements.timeToStable.textContent = this.lastSettle && this.lastSettle.timeToStable !== null
+            ? this.lastSettle.timeToStable
+            : '-';
+    }
+
+    // Runs for the test duration: a sequence check alongside reading with the
+    // selected method, a loopback check on its own
+    async startIntegrityCheck() {
+        if (this.integrityCheck || this.isTestRunning || this.sweep || this.echoTest || !this.scale.isConnected) return;
+        
+        const mode = this.elements.integrityMode.value;
+        const options = {
+            mode,
+            sequenceModulo: parseInt(this.elements.integritySequenceModulo.value),
+            rate: parseFloat(this.elements.integrityRate.value),
+            recordLength: parseInt(this.elements.integrityRecordLength.value)
+        };
+        if (mode === 'loopback' && this.scale.isReading) {
+            await this.stopReading();
+        }
+        
+        this.scale.resetMetrics();
+        try {
+            this.scale.startIntegrityCheck(options);
+        } catch (error) {
+            this.log(`Integrity check: ${error.message}`, 'error');
+            return;
+        }
+        
+        const check = { mode, startedReading: false, timeout: null, refresh: null };
+        this.integrityCheck = check;
+        this.elements.integrityStatus.textContent = 'Checking';
+        this.elements.integrityStatus.className = 'status reading';
+        this.log(`Integrity check started: ${INTEGRITY_MODES[mode].label}`, 'info');
+        this.logPerformance('=== INTEGRITY CHECK STARTED ===');
+        this.logPerformance(mode === 'loopback'
+            ? `Mode: loopback, ${options.rate} records/sec of ${options.recordLength} chars, Port: ${describePortSettings(this.scale.openOptions)}`
+            : `Mode: sequence counters (wrap at ${options.sequenceModulo}), Method: ${this.currentMethod}, Port: ${describePortSettings(this.scale.openOptions)}`);
+        
+        if (mode === 'sequence' && !this.scale.isReading) {
+            check.startedReading = true;
+            await this.startReading();
+        }
+        this.updateReadingStatus();
+        
+        // Loopback records don't produce readings, so refresh the results on a timer
+        check.refresh = setInterval(() => this.renderLoop.invalidate(), 250);
+        check.timeout = setTimeout(() => this.stopIntegrityCheck(), this.testConfig.testDuration * 1000);
+    }
+
+    async stopIntegrityCheck() {
+        const check = this.integrityCheck;
+        if (!check) return;
+        clearTimeout(check.timeout);
+        clearInterval(check.refresh);
+        
+        // No more records once reading has stopped
+        if (check.startedReading && this.scale.isReading) {
+            await this.stopReading();
+        }
+        const summary = await this.scale.stopIntegrityCheck();
+        this.integrityCheck = null;
+        this.elements.integrityStatus.textContent = 'Complete';
+        this.elements.integrityStatus.className = 'status connected';
+        this.updateReadingStatus();
+        this.renderLoop.renderNow();
+        
+        if (summary) {
+            describeIntegrity(summary).forEach(line => this.logPerformance(line));
+        }
+        this.logPerformance('=== INTEGRITY CHECK COMPLETED ===');
+        this.log('Integrity check completed', 'info');
+    }
+
+    updateIntegrityResults() {
+        const summary = this.scale.getIntegritySummary();
+        this.elements.integrityResults.textContent = summary ? describeIntegrity(summary).join('\n') : '';
+    }
+
+    // Logs the summary and returns it (the connection's run stats plus polling
+    // and main thread details) for export
     calculateFinalStats() {
-        if (this.readings.length === 0) return;
-        
-        const endTime = performance.now();
-        const totalTime = (endTime - this.startTime) / 1000;
-        const totalReadings = this.readings.length;
-        const avgReadingsPerSecond = totalReadings / totalTime;
-        
-        const avgLatency = this.latencies.reduce((a, b) => a + b, 0) / this.latencies.length;
-        const minLatency = Math.min(...this.latencies);
-        const maxLatency = Math.max(...this.latencies);
-        
-        // Calculate percentiles
-        const sortedLatencies = [...this.latencies].sort((a, b) => a - b);
-        const p50 = sortedLatencies[Math.floor(sortedLatencies.length * 0.5)];
-        const p95 = sortedLatencies[Math.floor(sortedLatencies.length * 0.95)];
-        const p99 = sortedLatencies[Math.floor(sortedLatencies.length * 0.99)];
-        
-        this.logPerformance(`Test Duration: ${totalTime.toFixed(2)} seconds`);
-        this.logPerformance(`Total Readings: ${totalReadings}`);
-        this.logPerformance(`Average Readings/sec: ${avgReadingsPerSecond.toFixed(2)}`);
-        this.logPerformance(`Average Latency: ${avgLatency.toFixed(2)}ms`);
-        this.logPerformance(`Min Latency: ${minLatency.toFixed(2)}ms`);
-        this.logPerformance(`Max Latency: ${maxLatency.toFixed(2)}ms`);
-        this.logPerformance(`50th Percentile: ${p50.toFixed(2)}ms`);
-        this.logPerformance(`95th Percentile: ${p95.toFixed(2)}ms`);
-        this.logPerformance(`99th Percentile: ${p99.toFixed(2)}ms`);
+        const totalTime = (performance.now() - this.startTime) / 1000;
+        const stats = this.scale.getRunStats(totalTime);
+        // Stream timing only means something when the device streams
+        if (this.currentMethod !== 'onread') {
+            delete stats.stream;
+        }
+        if (this.currentMethod === 'interval') {
+            stats.skippedPolls = this.scale.skippedPolls;
+        }
+        stats.mainThread = this.renderLoop.getTiming();
+        
+        if (stats.totalReadings > 0) {
+            this.logSummary(stats);
+        }
+        this.logOutages();
+        return stats;
+    }
+
+    logSummary(stats) {
+        this.logPerformance(`Test Duration: ${stats.duration.toFixed(2)} seconds`);
+        this.logPerformance(`Total Readings: ${stats.totalReadings}`);
+        this.logPerformance(`Average Readings/sec: ${stats.avgReadingsPerSecond.toFixed(2)}`);
+        this.logPerformance(`Average Latency: ${stats.avgLatency.toFixed(2)}ms`);
+        this.logPerformance(`Min Latency: ${stats.minLatency.toFixed(2)}ms`);
+        this.logPerformance(`Max Latency: ${stats.maxLatency.toFixed(2)}ms`);
+        this.logPerformance(`50th Percentile: ${stats.p50.toFixed(2)}ms`);
+        this.logPerformance(`95th Percentile: ${stats.p95.toFixed(2)}ms`);
+        this.logPerformance(`99th Percentile: ${stats.p99.toFixed(2)}ms`);
+        
+        const link = stats.link;
+        this.logPerformance(`Link RX: ${formatByteRate(link.rxBytesPerSecond)} (${link.rxUtilization.toFixed(1)}% of ${link.baudRate} baud), TX: ${formatByteRate(link.txBytesPerSecond)} (${link.txUtilization.toFixed(1)}%)`);
+        this.logPerformance(`Bytes per Reading: ${link.bytesPerReading.toFixed(1)}`);
+        this.logPerformance(`Read Chunks: ${link.chunks.count}, avg ${link.chunks.avg.toFixed(1)} bytes, p50 ${link.chunks.p50}, p95 ${link.chunks.p95}, max ${link.chunks.max}`);
+        
+        if (stats.stream) {
+            const stream = stats.stream;
+            this.logPerformance(`Device Output Rate: ${stream.deviceRate.toFixed(1)} Hz (${this.testConfig.expectedRate > 0 ? 'configured' : 'estimated'})`);
+            this.logPerformance(`Inter-arrival Jitter: avg ${stream.jitter.avg.toFixed(2)}ms, p95 ${stream.jitter.p95.toFixed(2)}ms`);
+            this.logPerformance(`Decode Delay: avg ${stream.decodeDelay.avg.toFixed(2)}ms, p95 ${stream.decodeDelay.p95.toFixed(2)}ms`);
+            this.logPerformance(`Period Deviation: avg ${stream.periodDeviation.avg.toFixed(2)}ms, max ${stream.periodDeviation.max.toFixed(2)}ms`);
+        }
+        
+        if (stats.skippedPolls > 0) {
+            this.logPerformance(`Skipped Polls (reply slower than interval): ${stats.skippedPolls}`);
+        }
+        
+        if (stats.stability.loadChanges > 0) {
+            const stability = stats.stability;
+            this.logPerformance(`Load Changes: ${stability.loadChanges}, time to stable avg ${stability.avgTimeToStable.toFixed(0)}ms, min ${stability.minTimeToStable}ms, max ${stability.maxTimeToStable}ms`);
+        }
+        
+        const lines = stats.lines;
+        if (lines.unparseable + lines.overload + lines.underload + lines.error > 0) {
+            this.logPerformance(`Lines Without Reading: ${lines.unparseable} unparseable, ${lines.overload} overload, ${lines.underload} underload, ${lines.error} device error`);
+        }
+        if (stats.frames.received > 0) {
+            const frames = stats.frames;
+            this.logPerformance(`Frames (${formatFrameFormat(this.scale.frameFormat)}): ${frames.received} received, ${frames.corrupted} corrupted (checksum ${frames.checksum}, encoding ${frames.encoding}, length ${frames.length})`);
+        }
+        if (stats.unitMismatch) {
+            this.logPerformance(`Unit Mismatch: device reports '${stats.unitMismatch.expected}', weights arrive in '${stats.unitMismatch.actual}'`);
+        }
+        
+        this.logPerformance(`Main Thread: ${formatTiming(stats.mainThread)}`);
+    }
+
+    logOutages() {
+        const outages = this.scale.outages;
+        if (outages.length === 0) return;
+        
+        const now = Date.now();
+        const downtime = outages.reduce((sum, outage) => sum + ((outage.end || now) - outage.start), 0);
+        this.logPerformance(`Connection Outages: ${outages.length}, total downtime ${(downtime / 1000).toFixed(1)}s`);
+        
+        outages.forEach((outage, index) => {
+            const duration = ((outage.end || now) - outage.start) / 1000;
+            const result = outage.end === null ? 'still lost' : outage.reconnected ? 'reconnected' : 'abandoned';
+            this.logPerformance(`  #${index + 1} at ${new Date(outage.start).toLocaleTimeString()}: ${duration.toFixed(1)}s, ${result} (${outage.reason})`);
+        });
+    }
+
+    // Keep a summary of the run for later comparison on the history page
+    async saveToHistory() {
+        if (!this.history.isSupported() || this.currentRun.readingCount === 0) return;
+
+        try {
+            await this.history.add(createHistoryRecord(this.currentRun));
+            this.log('Run saved to test history', 'info');
+        } catch (error) {
+            this.log(`Error saving run to history: ${error.message}`, 'error');
+        }
+    }
+
+    exportRun(format) {
+        if (!this.currentRun || !this.currentRun.isFinished) return;
+        
+        exportRun(this.currentRun, format);
+        this.log(`Exported ${this.currentRun.readingCount} readings as ${format.toUpperCase()}`, 'info');
     }
 
     async tare() {
         try {
-            await this.sendCommand('ct0');
+            await this.scale.tare();
             this.log('Tare command sent', 'info');
         } catch (error) {
             this.log(`Tare error: ${error.message}`, 'error');
@@ -696,21 +1360,20 @@ class SerialPerformanceTest {
     }
 
     clearRawData() {
-        this.elements.rawData.textContent = '';
+        this.rawDataLog.clear();
+        this.renderLoop.invalidate();
         this.log('Raw data cleared', 'info');
     }
 
     clearData() {
-        this.readings = [];
-        this.latencies = [];
-        this.readingsInLastSecond = [];
-        this.readingsPerSecond = 0;
-        this.weightWindow = []; // Clear the weight filter
-        this.elements.rawData.textContent = '';
+        this.scale.resetMetrics();
+        this.renderLoop.resetTiming();
+        this.latestReading = null;
+        this.lastSettle = null;
+        this.rawDataLog.clear();
         this.elements.performanceLog.textContent = '';
-        this.updateLatencyChart();
-        this.updateMetrics();
-        this.elements.readingsPerSecond.textContent = '0';
+        this.weightChart.clear();
+        this.renderLoop.renderNow();
         this.log('Data cleared', 'info');
     }
 
@@ -733,27 +1396,6 @@ class SerialPerformanceTest {
         }
     }
 
-    logRawData(message) {
-        // Don't log if paused
-        if (this.isRawDataPaused) return;
-        
-        const rawData = this.elements.rawData;
-        const wasScrolledToBottom = rawData.scrollTop + rawData.clientHeight >= rawData.scrollHeight - 10;
-        
-        rawData.textContent += message + '\n';
-        
-        // Keep only last 50 lines for better performance
-        const lines = rawData.textContent.split('\n');
-        if (lines.length > 50) {
-            rawData.textContent = lines.slice(-50).join('\n');
-        }
-        
-        // Only auto-scroll if user was already at bottom
-        if (wasScrolledToBottom) {
-            rawData.scrollTop = rawData.scrollHeight;
-        }
-    }
-
     logPerformance(message) {
         const performanceLog = this.elements.performanceLog;
         const wasScrolledToBottom = performanceLog.scrollTop + performanceLog.clientHeight >= performanceLog.scrollHeight - 10;
@@ -775,10 +1417,9 @@ class SerialPerformanceTest {
 
 // Initialize the application when the page loads
 document.addEventListener('DOMContentLoaded', () => {
-    // Check if Web Serial API is supported
+    // Without Web Serial the page still runs against the simulated scale
     if (!navigator.serial) {
-        alert('Web Serial API is not supported in this browser. Please use Chrome or Edge.');
-        return;
+        console.warn('Web Serial API is not supported in this browser. Only the simulated scale is available.');
     }
     
     // Create and initialize the performance test application
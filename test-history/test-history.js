@@ -0,0 +1,264 @@
+import {
+    RunHistory,
+    compareRuns,
+    describeRecord,
+    formatLatencyBin
+} from '../shared/run-history.js';
+
+class TestHistoryView {
+    constructor() {
+        this.history = new RunHistory();
+        this.records = [];
+        this.selectedIds = new Set();
+
+        this.initializeUI();
+        this.bindEvents();
+        this.loadRuns();
+    }
+
+    initializeUI() {
+        this.elements = {
+            compareBtn: document.getElementById('compareBtn'),
+            deleteBtn: document.getElementById('deleteBtn'),
+            refreshBtn: document.getElementById('refreshBtn'),
+            historyList: document.getElementById('historyList'),
+            comparison: document.getElementById('comparison'),
+            comparisonHead: document.getElementById('comparisonHead'),
+            comparisonBody: document.getElementById('comparisonBody'),
+            histogramCard: document.getElementById('histogramCard'),
+            histograms: document.getElementById('histograms')
+        };
+    }
+
+    bindEvents() {
+        this.elements.compareBtn.addEventListener('click', () => this.compareSelected());
+        this.elements.deleteBtn.addEventListener('click', () => this.deleteSelected());
+        this.elements.refreshBtn.addEventListener('click', () => this.loadRuns());
+    }
+
+    async loadRuns() {
+        if (!this.history.isSupported()) {
+            this.showEmpty('IndexedDB is not available in this browser, so no runs can be stored.');
+            return;
+        }
+
+        try {
+            this.records = await this.history.list();
+        } catch (error) {
+            this.log(`Error loading test history: ${error.message}`, 'error');
+            this.records = [];
+        }
+
+        // Drop selections of runs that no longer exist
+        const ids = new Set(this.records.map(record => record.id));
+        this.selectedIds.forEach(id => {
+            if (!ids.has(id)) this.selectedIds.delete(id);
+        });
+
+        this.renderList();
+    }
+
+    showEmpty(message) {
+        this.elements.historyList.innerHTML = '';
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 8;
+        cell.className = 'empty';
+        cell.textContent = message;
+        row.appendChild(cell);
+        this.elements.historyList.appendChild(row);
+        this.updateButtons();
+    }
+
+    renderList() {
+        if (this.records.length === 0) {
+            this.showEmpty('No runs yet. Completed performance tests are saved here automatically.');
+            return;
+        }
+
+        this.elements.historyList.innerHTML = '';
+        this.records.forEach(record => {
+            const row = document.createElement('tr');
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.selectedIds.has(record.id);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.selectedIds.add(record.id);
+                } else {
+                    this.selectedIds.delete(record.id);
+                }
+                this.updateButtons();
+            });
+
+            const select = document.createElement('td');
+            select.appendChild(checkbox);
+            row.appendChild(select);
+
+            this.appendCell(row, new Date(record.startedAt).toLocaleString());
+            this.appendCell(row, record.page);
+            this.appendCell(row, describeRecord(record));
+            this.appendCell(row, `${record.duration.toFixed(1)}s`, true);
+            this.appendCell(row, record.summary.totalReadings, true);
+            this.appendCell(row, record.summary.readingsPerSecond.toFixed(1), true);
+            this.appendCell(row, `${record.summary.p95.toFixed(2)}ms`, true);
+
+            this.elements.historyList.appendChild(row);
+        });
+
+        this.updateButtons();
+    }
+
+    // Text content only: run descriptions include device-reported IDs
+    appendCell(row, text, isNumber = false) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (isNumber) {
+            cell.className = 'number';
+        }
+        row.appendChild(cell);
+        return cell;
+    }
+
+    updateButtons() {
+        this.elements.compareBtn.disabled = this.selectedIds.size < 2;
+        this.elements.deleteBtn.disabled = this.selectedIds.size === 0;
+    }
+
+    // Oldest selected run is the baseline
+    getSelectedRecords() {
+        return this.records
+            .filter(record => this.selectedIds.has(record.id))
+            .sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    compareSelected() {
+        const records = this.getSelectedRecords();
+        if (records.length < 2) return;
+
+        this.renderComparison(records);
+        this.renderHistograms(records);
+    }
+
+    renderComparison(records) {
+        const head = document.createElement('tr');
+        this.appendCell(head, 'Metric');
+        records.forEach(record => {
+            const cell = this.appendCell(head, new Date(record.startedAt).toLocaleString());
+            cell.title = describeRecord(record);
+        });
+
+        this.elements.comparisonHead.innerHTML = '';
+        this.elements.comparisonHead.appendChild(head);
+        this.elements.comparisonBody.innerHTML = '';
+
+        const runRow = document.createElement('tr');
+        this.appendCell(runRow, 'Run');
+        records.forEach(record => this.appendCell(runRow, describeRecord(record)));
+        this.elements.comparisonBody.appendChild(runRow);
+
+        compareRuns(records).forEach(({ metric, values, changes, improved }) => {
+            const row = document.createElement('tr');
+            this.appendCell(row, metric.label);
+
+            values.forEach((value, index) => {
+                const cell = this.appendCell(row, `${value.toFixed(2)}${metric.unit}`, true);
+                const change = changes[index];
+                if (change !== null) {
+                    const badge = document.createElement('span');
+                    badge.className = `change ${improved[index] === null ? '' : improved[index] ? 'better' : 'worse'}`;
+                    badge.textContent = `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+                    cell.appendChild(badge);
+                }
+            });
+
+            this.elements.comparisonBody.appendChild(row);
+        });
+
+        this.elements.comparison.hidden = false;
+    }
+
+    renderHistograms(records) {
+        this.elements.histograms.innerHTML = '';
+
+        // Common scale so bar heights compare across runs
+        const maxShare = Math.max(...records.map(record => {
+            const total = record.summary.totalReadings || 1;
+            return Math.max(...record.histogram) / total;
+        }));
+
+        records.forEach(record => {
+            const total = record.summary.totalReadings || 1;
+            const container = document.createElement('div');
+            container.className = 'histogram';
+
+            const title = document.createElement('h4');
+            title.textContent = `${new Date(record.startedAt).toLocaleString()} - ${describeRecord(record)}`;
+            container.appendChild(title);
+
+            const chart = document.createElement('div');
+            chart.className = 'chart';
+            const labels = document.createElement('div');
+            labels.className = 'chart-labels';
+
+            record.histogram.forEach((count, index) => {
+                const share = count / total;
+                const bar = document.createElement('div');
+                bar.className = 'chart-bar';
+                bar.style.height = `${maxShare > 0 ? (share / maxShare) * 100 : 0}%`;
+                bar.title = `${formatLatencyBin(index)}: ${count} readings (${(share * 100).toFixed(1)}%)`;
+                chart.appendChild(bar);
+
+                const label = document.createElement('span');
+                label.textContent = formatLatencyBin(index).replace('ms', '');
+                labels.appendChild(label);
+            });
+
+            container.appendChild(chart);
+            container.appendChild(labels);
+            this.elements.histograms.appendChild(container);
+        });
+
+        this.elements.histogramCard.hidden = false;
+    }
+
+    async deleteSelected() {
+        if (this.selectedIds.size === 0) return;
+        if (!confirm(`Delete ${this.selectedIds.size} selected run(s) from the history?`)) return;
+
+        try {
+            for (const id of this.selectedIds) {
+                await this.history.delete(id);
+            }
+        } catch (error) {
+            this.log(`Error deleting runs: ${error.message}`, 'error');
+        }
+
+        this.selectedIds.clear();
+        this.elements.comparison.hidden = true;
+        this.elements.histogramCard.hidden = true;
+        await this.loadRuns();
+    }
+
+    log(message, type = 'info') {
+        const timestamp = new Date().toLocaleTimeString();
+        const logMessage = `[${timestamp}] ${message}`;
+
+        switch (type) {
+            case 'error':
+                console.error(logMessage);
+                break;
+            case 'warning':
+                console.warn(logMessage);
+                break;
+            default:
+                console.log(logMessage);
+        }
+    }
+}
+
+// Initialize the application when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.testHistory = new TestHistoryView();
+});
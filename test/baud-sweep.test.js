@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BaudSweep, getSweepCurves } from '../shared/baud-sweep.js';
+import { ScaleConnection } from '../shared/serial-core.js';
+import { SimulatedPortProvider } from '../shared/mock-serial.js';
+import { ScriptedDevice, FakeSerialPort, FakePortProvider } from './helpers/fake-serial.js';
+
+// Scale that only talks at device.baudRate (null = any rate) and switches on 'baud <rate>'
+function createDevice(baudRate = null) {
+    const at = (reply) => (device) => {
+        if (device.baudRate === null || device.port.openOptions.baudRate === device.baudRate) {
+            device.sendLine(reply);
+        }
+    };
+    const device = new ScriptedDevice({ id: at('SCALE-1'), slc: at('5000'), units: at('g'), w: at('1.000') });
+    device.baudRate = baudRate;
+    device.script['baud 9600'] = device.script['baud 19200'] = device.script['baud 115200'] = (d, command) => {
+        at('OK')(d);
+        d.baudRate = parseInt(command.slice(5));
+    };
+    return device;
+}
+
+async function connectScale(device) {
+    const port = new FakeSerialPort(device);
+    const scale = new ScaleConnection({
+        portProvider: new FakePortProvider([port]),
+        baudRate: 115200,
+        readInterval: 10,
+        commandTimeout: 20,
+        commandRetries: 0
+    });
+    await scale.connect();
+    return { scale, port };
+}
+
+test('each rate and method is measured and the original rate restored', async () => {
+    const { scale, port } = await connectScale(createDevice());
+    const progress = [];
+    const sweep = new BaudSweep(scale, {
+        baudRates: [9600, 19200],
+        methods: ['continuous', 'interval'],
+        duration: 0.05,
+        settleTime: 0
+    });
+    sweep.addEventListener('progress', (e) => progress.push(e.detail));
+
+    const steps = await sweep.run();
+
+    assert.deepEqual(steps.map(step => [step.baudRate, step.method]),
+        [[9600, 'continuous'], [9600, 'interval'], [19200, 'continuous'], [19200, 'interval']]);
+    assert.ok(steps.every(step => step.ok && step.totalReadings > 0 && step.readingsPerSecond > 0));
+    assert.equal(steps[0].portSettings, '9600 8N1');
+    assert.deepEqual(progress.map(step => step.index), [0, 1, 2, 3]);
+    assert.ok(progress.every(step => step.total === 4));
+
+    assert.equal(scale.state, 'connected');
+    assert.equal(port.openOptions.baudRate, 115200);
+    assert.equal(sweep.isRunning, false);
+    await scale.disconnect();
+});
+
+test('the rate command moves the device along with the port', async () => {
+    const device = createDevice(115200);
+    const { scale } = await connectScale(device);
+    const sweep = new BaudSweep(scale, {
+        baudRates: [9600, 19200],
+        methods: ['continuous'],
+        duration: 0.05,
+        settleTime: 0,
+        rateCommand: 'baud {rate}'
+    });
+
+    const steps = await sweep.run();
+
+    assert.deepEqual(steps.map(step => step.ok), [true, true]);
+    assert.deepEqual(device.commands.filter(command => command.startsWith('baud')),
+        ['baud 9600', 'baud 19200', 'baud 115200']);
+    assert.equal(device.baudRate, 115200);
+    assert.equal(scale.deviceInfo.id, 'SCALE-1');
+    await scale.disconnect();
+});
+
+test('a rate the device does not answer at fails that step only', async () => {
+    const { scale } = await connectScale(createDevice(null));
+    scale.addEventListener('error', () => {});
+    const device = scale.port.device;
+    device.baudRate = 9600; // Fixed rate from here on, no rate command
+
+    const sweep = new BaudSweep(scale, { baudRates: [19200, 9600], methods: ['continuous'], duration: 0.05, settleTime: 0 });
+    const steps = await sweep.run();
+
+    assert.equal(steps[0].ok, false);
+    assert.match(steps[0].error, /No reply from the device at 19200 baud/);
+    assert.equal(steps[1].ok, true);
+    await scale.disconnect();
+});
+
+test('a listen-only device is judged by the readings at each rate', async () => {
+    const provider = new SimulatedPortProvider({ protocol: 'rawLine', baudRate: 9600, lineRate: 100 });
+    const scale = new ScaleConnection({ portProvider: provider, protocol: 'rawLine', baudRate: 9600 });
+    await scale.connect();
+
+    const sweep = new BaudSweep(scale, { baudRates: [9600, 19200], methods: ['onread'], duration: 0.2, settleTime: 0 });
+    const steps = await sweep.run();
+
+    assert.equal(steps[0].ok, true);
+    assert.ok(steps[0].totalReadings > 0);
+    // At the wrong rate the lines arrive as noise
+    assert.equal(steps[1].ok, false);
+    assert.equal(steps[1].error, 'no readings');
+    await scale.disconnect();
+});
+
+test('stop ends the sweep after the current step', async () => {
+    const { scale } = await connectScale(createDevice());
+    const sweep = new BaudSweep(scale, { baudRates: [9600, 19200, 38400], methods: ['continuous'], duration: 5, settleTime: 0 });
+    sweep.addEventListener('progress', () => setTimeout(() => sweep.stop(), 30));
+
+    const started = performance.now();
+    const steps = await sweep.run();
+
+    assert.equal(steps.length, 1);
+    assert.ok(performance.now() - started < 2000);
+    assert.equal(scale.isReading, false);
+    await scale.disconnect();
+});
+
+test('a sweep needs a connected device', async () => {
+    const scale = new ScaleConnection({ portProvider: new FakePortProvider([]) });
+    await assert.rejects(new BaudSweep(scale).run(), /Connect to the device/);
+});
+
+test('curves group successful steps by method in rate order', () => {
+    const curves = getSweepCurves([
+        { baudRate: 19200, method: 'onread', ok: true, readingsPerSecond: 80 },
+        { baudRate: 9600, method: 'onread', ok: true, readingsPerSecond: 40 },
+        { baudRate: 9600, method: 'interval', ok: false, readingsPerSecond: 0 }
+    ]);
+    assert.deepEqual(curves, {
+        onread: [{ baudRate: 9600, readingsPerSecond: 40 }, { baudRate: 19200, readingsPerSecond: 80 }]
+    });
+});
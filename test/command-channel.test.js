@@ -0,0 +1,225 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    CommandChannel,
+    CommandTimeoutError,
+    CommandRejectedError,
+    ChannelClosedError
+} from '../shared/command-channel.js';
+import { parseWeightLine } from '../shared/weight-parser.js';
+import { ScriptedDevice, delay, waitFor } from './helpers/fake-serial.js';
+
+// Wire a CommandChannel straight to a ScriptedDevice through an in-memory line
+// queue, bypassing the byte streams (those are covered by the connection tests)
+function createChannel(script, options = {}) {
+    const lines = [];
+    const waiting = [];
+    let ended = false;
+
+    const device = new ScriptedDevice(script);
+    device.attach({
+        push(text) {
+            text.split(/\r?\n/).filter(Boolean).forEach(line => {
+                if (waiting.length > 0) {
+                    waiting.shift()(line);
+                } else {
+                    lines.push(line);
+                }
+            });
+        }
+    });
+
+    const streamLines = [];
+    const unsolicited = [];
+    const closeReasons = [];
+
+    const channel = new CommandChannel({
+        readLine: () => {
+            if (lines.length > 0) return Promise.resolve(lines.shift());
+            if (ended) return Promise.resolve(null);
+            return new Promise(resolve => waiting.push(resolve));
+        },
+        write: async (text) => device.receive(text),
+        timeout: 50,
+        retries: 1,
+        onStreamLine: line => streamLines.push(line),
+        onUnsolicitedLine: line => unsolicited.push(line),
+        onClose: reason => closeReasons.push(reason),
+        ...options
+    });
+    channel.start();
+
+    return {
+        channel,
+        device,
+        streamLines,
+        unsolicited,
+        closeReasons,
+        end() {
+            ended = true;
+            waiting.splice(0).forEach(resolve => resolve(null));
+        }
+    };
+}
+
+test('replies resolve the matching command', async () => {
+    const { channel, device } = createChannel({ id: 'SCALE-42', slc: '5000', units: 'kg' });
+
+    assert.equal(await channel.send('id'), 'SCALE-42');
+    assert.equal(await channel.send('slc'), '5000');
+    assert.equal(await channel.send('units'), 'kg');
+    assert.deepEqual(device.commands, ['id', 'slc', 'units']);
+    channel.close();
+});
+
+test('queued commands run one at a time in order', async () => {
+    const { channel, device } = createChannel({ id: 'SCALE-42', units: 'g', ct0: 'OK' });
+
+    const replies = await Promise.all([channel.send('id'), channel.send('ct0'), channel.send('units')]);
+    assert.deepEqual(replies, ['SCALE-42', 'OK', 'g']);
+    assert.deepEqual(device.commands, ['id', 'ct0', 'units']);
+    channel.close();
+});
+
+test('ERR replies reject with CommandRejectedError', async () => {
+    const { channel } = createChannel({});
+
+    await assert.rejects(channel.send('bogus'), error => {
+        assert.ok(error instanceof CommandRejectedError);
+        assert.equal(error.command, 'bogus');
+        assert.equal(error.reply, 'ERR');
+        return true;
+    });
+    channel.close();
+});
+
+test('a missing reply is retried then rejects with CommandTimeoutError', async () => {
+    const { channel, device } = createChannel({ id: null });
+
+    await assert.rejects(channel.send('id'), error => {
+        assert.ok(error instanceof CommandTimeoutError);
+        assert.equal(error.attempts, 2);
+        assert.equal(error.timeout, 50);
+        return true;
+    });
+    assert.deepEqual(device.commands, ['id', 'id']);
+    channel.close();
+});
+
+test('a reply to a retried attempt still resolves', async () => {
+    let calls = 0;
+    const { channel } = createChannel({
+        id: (device) => {
+            if (++calls > 1) device.sendLine('SCALE-42');
+        }
+    });
+
+    assert.equal(await channel.send('id'), 'SCALE-42');
+    assert.equal(calls, 2);
+    channel.close();
+});
+
+test('streamed weights are routed away from text replies', async () => {
+    const { channel, device, streamLines } = createChannel({
+        // Real devices start streaming a moment after the command arrives
+        wc: (device) => setTimeout(() => ['1.000', '2.000'].forEach(line => device.sendLine(line)), 1),
+        ct0: ['3.000', 'OK'],
+        '': 'OK'
+    });
+
+    assert.equal(await channel.send('wc'), null);
+    assert.equal(channel.isStreaming, true);
+    await waitFor(() => streamLines.length === 2);
+    assert.equal(await channel.send('ct0'), 'OK');
+    await waitFor(() => streamLines.length === 3);
+    assert.deepEqual(streamLines, ['1.000', '2.000', '3.000']);
+
+    assert.equal(await channel.send(''), 'OK');
+    assert.equal(channel.isStreaming, false);
+    assert.deepEqual(device.commands, ['wc', 'ct0', '']);
+    channel.close();
+});
+
+test('streamed status lines are not taken as text replies', async () => {
+    const { channel, streamLines } = createChannel({
+        wc: null,
+        id: ['OL', '-OL', 'SIM-0001']
+    }, {
+        isStreamLine: line => parseWeightLine(line) !== null
+    });
+
+    await channel.send('wc');
+    assert.equal(await channel.send('id'), 'SIM-0001');
+    assert.deepEqual(streamLines, ['OL', '-OL']);
+    channel.close();
+});
+
+test('streamed device errors do not reject a text command', async () => {
+    const { channel, streamLines } = createChannel({
+        wc: null,
+        '': 'OK',
+        ct0: ['ERR 3', 'OK'],
+        id: ['E12', 'SIM-0001']
+    }, {
+        isStreamLine: line => parseWeightLine(line) !== null
+    });
+
+    await channel.send('wc');
+    assert.equal(await channel.send('ct0'), 'OK');
+    assert.equal(await channel.send('id'), 'SIM-0001');
+    assert.deepEqual(streamLines, ['ERR 3', 'E12']);
+
+    // Not streaming, an error line is the device rejecting the command
+    await channel.send('');
+    await assert.rejects(channel.send('units'), CommandRejectedError);
+    channel.close();
+});
+
+test('numeric commands pause and resume the stream', async () => {
+    const { channel, device } = createChannel({ wc: null, '': 'OK', w: '12.500' });
+
+    await channel.send('wc');
+    assert.equal(await channel.send('w'), '12.500');
+    assert.deepEqual(device.commands, ['wc', '', 'w', 'wc']);
+    assert.equal(channel.isStreaming, true);
+    channel.close();
+});
+
+test('lines outside any command are unsolicited', async () => {
+    const { channel, device, unsolicited, streamLines } = createChannel({});
+
+    device.sendLine('HELLO');
+    device.sendLine('1.000'); // Not streaming, so a weight is unsolicited too
+    await waitFor(() => unsolicited.length === 2);
+    assert.deepEqual(unsolicited, ['HELLO', '1.000']);
+    assert.deepEqual(streamLines, []);
+    channel.close();
+});
+
+test('stream closure mid-command rejects pending commands', async () => {
+    const { channel, closeReasons, end } = createChannel({ id: null, units: 'g' });
+
+    const pending = channel.send('id');
+    const queued = channel.send('units');
+    await delay(5);
+    end();
+
+    await assert.rejects(pending, ChannelClosedError);
+    await assert.rejects(queued, ChannelClosedError);
+    assert.equal(channel.isClosed, true);
+    assert.equal(closeReasons.length, 1);
+    assert.match(closeReasons[0].message, /ended/);
+
+    await assert.rejects(channel.send('units'), ChannelClosedError);
+});
+
+test('closing the channel normally reports no reason', async () => {
+    const { channel, closeReasons } = createChannel({ id: null });
+
+    const pending = channel.send('id');
+    channel.close();
+
+    await assert.rejects(pending, error => error instanceof ChannelClosedError && /disconnected/.test(error.message));
+    assert.deepEqual(closeReasons, [undefined]);
+});
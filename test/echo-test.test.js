@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EchoTest, formatProbe, parseProbe, summarizeRoundTrips, MIN_PROBE_SIZE } from '../shared/echo-test.js';
+import { ScaleConnection } from '../shared/serial-core.js';
+import { SimulatedPortProvider } from '../shared/mock-serial.js';
+
+test('probes are padded to the payload size and carry their id and send time', () => {
+    const probe = formatProbe(7, 1234.5678, 64);
+    assert.equal(probe.length, 64);
+    assert.deepEqual(parseProbe(probe), { id: 7, sentAt: 1234.568 });
+    for (const size of [MIN_PROBE_SIZE, 25, 64, 1000]) {
+        for (const [id, sentAt] of [[0, 0], [123456, 99999.999], [999999, 86400000]]) {
+            assert.equal(formatProbe(id, sentAt, size).length, size);
+        }
+    }
+    // A header longer than the payload isn't cut or let through at its own length
+    assert.throws(() => formatProbe(1e10, 86400000, MIN_PROBE_SIZE), RangeError);
+    assert.equal(parseProbe('S S 100.000 g'), null);
+});
+
+test('round trips are summarized with percentiles and jitter', () => {
+    const summary = summarizeRoundTrips([4, 2, 6, 2, 10]);
+    assert.deepEqual(summary, { min: 2, avg: 4.8, p50: 4, p95: 10, p99: 10, max: 10, jitter: 4.5 });
+    assert.deepEqual(summarizeRoundTrips([]), { min: 0, avg: 0, p50: 0, p95: 0, p99: 0, max: 0, jitter: 0 });
+});
+
+test('invalid echo settings are rejected', () => {
+    assert.throws(() => new EchoTest(null, { payloadSizes: [8] }), RangeError);
+    assert.throws(() => new EchoTest(null, { payloadSizes: [] }), RangeError);
+    assert.throws(() => new EchoTest(null, { rate: -1 }), RangeError);
+});
+
+test('a loopback echoes every probe, and larger payloads take longer', async () => {
+    const provider = new SimulatedPortProvider({ loopback: true });
+    const scale = new ScaleConnection({ portProvider: provider, baudRate: 9600 });
+    await scale.connect();
+
+    const echo = new EchoTest(scale, { payloadSizes: [32, 256], rate: 20, count: 5, timeout: 5000 });
+    const progress = [];
+    echo.addEventListener('progress', event => progress.push(event.detail.payloadSize));
+    const steps = await echo.run();
+
+    assert.deepEqual(progress, [32, 256]);
+    for (const step of steps) {
+        assert.equal(step.sent, 5);
+        assert.equal(step.received, 5);
+        assert.equal(step.timeouts + step.corrupted, 0);
+        assert.ok(step.min <= step.p50 && step.p50 <= step.p99 && step.p99 <= step.max);
+        assert.ok(step.throughput > 0);
+    }
+    // 256 bytes plus the line ending need about 270ms on the wire at 9600 baud
+    assert.ok(steps[1].min > 200);
+    assert.ok(steps[1].min > steps[0].max);
+    assert.equal(scale.lineListener, null);
+    await scale.disconnect();
+});
+
+test('probes that never come back time out', async () => {
+    const provider = new SimulatedPortProvider({ loopback: true, fault: 'drop', faultRate: 30 });
+    const scale = new ScaleConnection({ portProvider: provider, baudRate: 115200 });
+    await scale.connect();
+
+    const [step] = await new EchoTest(scale, { rate: 100, count: 50, timeout: 200 }).run();
+    assert.equal(step.sent, 50);
+    assert.ok(step.timeouts > 0);
+    assert.equal(step.received + step.timeouts + step.corrupted, 50);
+
+    // The device must only echo while probes are out
+    await scale.startReading('onread');
+    await assert.rejects(new EchoTest(scale).run(), /Stop reading/);
+    await scale.disconnect();
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    MovingAverageFilter,
+    ExponentialFilter,
+    KalmanFilter,
+    SpikeRejector,
+    FilterChain,
+    normalizeFilters,
+    describeFilters,
+    measureStepResponse
+} from '../shared/filters.js';
+import { ScaleConnection } from '../shared/serial-core.js';
+
+test('moving average covers the last window of readings', () => {
+    const filter = new MovingAverageFilter(3);
+    assert.deepEqual([3, 6, 9, 12].map(value => filter.push(value)), [3, 4.5, 6, 9]);
+    filter.reset();
+    assert.equal(filter.push(1), 1);
+});
+
+test('exponential smoothing starts at the first reading', () => {
+    const filter = new ExponentialFilter(0.5);
+    assert.deepEqual([10, 20, 20].map(value => filter.push(value)), [10, 15, 17.5]);
+});
+
+test('kalman filter converges on a constant weight through noise', () => {
+    const filter = new KalmanFilter(0.001, 4);
+    let output;
+    for (let i = 0; i < 200; i++) {
+        output = filter.push(100 + (i % 2 === 0 ? 2 : -2));
+    }
+    assert.ok(Math.abs(output - 100) < 0.5);
+});
+
+test('spike rejector holds through a spike and accepts a sustained change', () => {
+    const filter = new SpikeRejector(5, 2);
+    const spike = [10, 10, 90, 10].map(value => filter.push(value));
+    assert.deepEqual(spike, [10, 10, 10, 10]);
+    assert.equal(filter.rejected, 1);
+
+    const load = [50, 50, 50, 50].map(value => filter.push(value));
+    assert.deepEqual(load, [10, 10, 50, 50]);
+});
+
+test('a chain runs its stages in order and defaults to the old median filter', () => {
+    assert.deepEqual(new FilterChain().specs, [{ type: 'median', windowSize: 5 }]);
+
+    const chain = new FilterChain([{ type: 'spike', threshold: 5, maxRejects: 3 }, { type: 'movingAverage', windowSize: 2 }]);
+    assert.deepEqual([10, 10, 500, 12].map(value => chain.push(value)), [10, 10, 10, 11]);
+    assert.equal(chain.rejected, 1);
+
+    chain.reset();
+    assert.equal(chain.rejected, 0);
+    assert.equal(chain.push(7), 7);
+    assert.equal(new FilterChain([]).push(3.5), 3.5);
+});
+
+test('filter settings are completed with defaults and validated', () => {
+    assert.deepEqual(normalizeFilters([{ type: 'kalman', processNoise: '0.5' }, { type: 'exponential' }]), [
+        { type: 'kalman', processNoise: 0.5, measurementNoise: 1 },
+        { type: 'exponential', alpha: 0.3 }
+    ]);
+    assert.throws(() => normalizeFilters([{ type: 'lowpass' }]), /Unknown filter type 'lowpass'/);
+    assert.throws(() => normalizeFilters([{ type: 'median', windowSize: 0 }]), RangeError);
+    assert.throws(() => normalizeFilters([{ type: 'median', windowSize: 2.5 }]), /whole number/);
+    assert.throws(() => normalizeFilters({ type: 'median' }), RangeError);
+});
+
+test('chains are described in one line', () => {
+    assert.equal(describeFilters([]), 'None');
+    assert.equal(describeFilters(normalizeFilters([{ type: 'median' }, { type: 'exponential', alpha: 0.1 }])), 'Median(5) → Exponential(0.1)');
+});
+
+test('step response counts readings until the output settles', () => {
+    assert.equal(measureStepResponse([]), 1);
+    assert.equal(measureStepResponse([{ type: 'median', windowSize: 5 }]), 3);
+    assert.equal(measureStepResponse([{ type: 'movingAverage', windowSize: 10 }]), 9);
+    assert.equal(measureStepResponse([{ type: 'spike', threshold: 10, maxRejects: 3 }]), 4);
+    assert.ok(measureStepResponse([{ type: 'exponential', alpha: 0.05 }]) > measureStepResponse([{ type: 'exponential', alpha: 0.5 }]));
+    assert.equal(measureStepResponse([{ type: 'kalman', processNoise: 0 }], { maxSamples: 5 }), null);
+});
+
+test('a connection can swap its filter chain', () => {
+    const scale = new ScaleConnection({ windowSize: 3 });
+    assert.deepEqual(scale.filters, [{ type: 'median', windowSize: 3 }]);
+
+    scale.setFilters([{ type: 'exponential', alpha: 1 }]);
+    assert.deepEqual(scale.filters, [{ type: 'exponential', alpha: 1 }]);
+    assert.throws(() => scale.setFilters([{ type: 'median', windowSize: -1 }]), RangeError);
+    assert.deepEqual(scale.filters, [{ type: 'exponential', alpha: 1 }]);
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    FRAMERS,
+    CHECKSUMS,
+    normalizeFrameFormat,
+    formatFrameFormat,
+    encodeFrame,
+    FrameDecoder
+} from '../shared/framers.js';
+import { ScaleConnection } from '../shared/serial-core.js';
+import { SimulatedPortProvider } from '../shared/mock-serial.js';
+import { waitFor } from './helpers/fake-serial.js';
+
+const text = new TextEncoder();
+const bytes = (...values) => Uint8Array.from(values);
+
+function decodeAll(format, chunks) {
+    const decoder = new FrameDecoder(format);
+    return chunks.flatMap(chunk => decoder.push(chunk)).map(frame =>
+        frame.error ? { error: frame.error } : new TextDecoder().decode(frame.payload));
+}
+
+test('checksums match their published check values', () => {
+    const check = text.encode('123456789');
+    assert.equal(CHECKSUMS.crc16.compute(check), 0x4b37);
+    assert.equal(CHECKSUMS.crc32.compute(check), 0xcbf43926);
+    assert.equal(CHECKSUMS.sum8.compute(check), 0xdd);
+    assert.equal(CHECKSUMS.xor8.compute(check), 0x31);
+});
+
+test('COBS and SLIP escape their delimiters', () => {
+    const cobs = normalizeFrameFormat({ framer: 'cobs' });
+    assert.deepEqual(encodeFrame(bytes(0x11, 0x00, 0x22), cobs), bytes(0x02, 0x11, 0x02, 0x22, 0x00));
+    assert.deepEqual(encodeFrame(bytes(), cobs), bytes(0x01, 0x00));
+
+    const slip = normalizeFrameFormat({ framer: 'slip' });
+    assert.deepEqual(encodeFrame(bytes(0xc0, 0x01, 0xdb), slip), bytes(0xdb, 0xdc, 0x01, 0xdb, 0xdd, 0xc0));
+
+    const long = new Uint8Array(300).fill(7);
+    const [decoded] = new FrameDecoder(cobs).push(encodeFrame(long, cobs));
+    assert.deepEqual(decoded.payload, long);
+});
+
+test('every framer and checksum round-trips frames split across chunks', () => {
+    const lines = ['12.345', 'ST,GS,  100.000 g', '', 'I4 A "SIM-0001"'];
+    for (const framer of Object.keys(FRAMERS).filter(name => name !== 'line')) {
+        for (const checksum of Object.keys(CHECKSUMS)) {
+            const format = normalizeFrameFormat({ framer, checksum });
+            const wire = lines.flatMap(line => [...encodeFrame(text.encode(line), format)]);
+            // One byte at a time is the worst case for the decoder's state
+            const decoded = decodeAll(format, wire.map(byte => bytes(byte)));
+            const expected = framer === 'raw' ? lines.map(line => line.padEnd(format.frameSize - CHECKSUMS[checksum].size)) : lines;
+            assert.deepEqual(decoded, expected, `${framer}+${checksum}`);
+        }
+    }
+});
+
+test('corrupted, undecodable and oversized frames are reported and skipped', () => {
+    const crc = normalizeFrameFormat({ framer: 'lengthPrefix', checksum: 'crc16' });
+    const good = encodeFrame(text.encode('100.0'), crc);
+    const bad = good.slice();
+    bad[3] ^= 0x04;
+    assert.deepEqual(decodeAll(crc, [bad, good]), [{ error: 'checksum' }, '100.0']);
+
+    const hex = normalizeFrameFormat({ framer: 'delimiter', checksum: 'xor8' });
+    assert.deepEqual(decodeAll(hex, [text.encode('100.0XY\n'), encodeFrame(text.encode('1.5'), hex)]), [{ error: 'checksum' }, '1.5']);
+
+    const slip = normalizeFrameFormat({ framer: 'slip' });
+    assert.deepEqual(decodeAll(slip, [bytes(0x31, 0xdb, 0x31, 0xc0, 0x32, 0xc0)]), [{ error: 'encoding' }, '2']);
+
+    const cobs = normalizeFrameFormat({ framer: 'cobs', maxFrameSize: 4 });
+    assert.deepEqual(decodeAll(cobs, [bytes(0x09, 1, 2, 3, 4, 5, 6, 0x00), encodeFrame(text.encode('7'), cobs)]), [{ error: 'length' }, '7']);
+    assert.deepEqual(decodeAll(cobs, [bytes(0x05, 0x31, 0x00)]), [{ error: 'encoding' }]);
+
+    // A length prefix beyond the limit is skipped a byte at a time until a plausible one
+    const prefixed = normalizeFrameFormat({ framer: 'lengthPrefix', lengthBytes: 2, maxFrameSize: 64 });
+    assert.deepEqual(decodeAll(prefixed, [bytes(0xff), encodeFrame(text.encode('42'), prefixed)]), [{ error: 'length' }, '42']);
+});
+
+test('invalid frame formats are rejected', () => {
+    assert.throws(() => normalizeFrameFormat({ framer: 'hdlc' }), RangeError);
+    assert.throws(() => normalizeFrameFormat({ framer: 'cobs', checksum: 'md5' }), RangeError);
+    assert.throws(() => normalizeFrameFormat({ checksum: 'crc16' }), /delimiter framer/);
+    assert.throws(() => normalizeFrameFormat({ framer: 'raw', checksum: 'crc32', frameSize: 4 }), RangeError);
+    assert.throws(() => normalizeFrameFormat({ framer: 'lengthPrefix', lengthBytes: 3 }), RangeError);
+    assert.throws(() => encodeFrame(text.encode('a\nb'), normalizeFrameFormat({ framer: 'delimiter' })), RangeError);
+    assert.equal(normalizeFrameFormat({ framer: 'raw', frameSize: '16' }).frameSize, 16);
+    assert.equal(formatFrameFormat({ framer: 'slip', checksum: 'crc32' }), 'slip+crc32');
+    assert.equal(formatFrameFormat(), 'line');
+});
+
+test('a scale streams, answers commands and reports corrupted frames over COBS with CRC', async () => {
+    const frameFormat = { framer: 'cobs', checksum: 'crc16' };
+    const provider = new SimulatedPortProvider({ lineRate: 500, baseWeight: 250, frameFormat, fault: 'corrupt', faultRate: 20 });
+    const scale = new ScaleConnection({ portProvider: provider, baudRate: 115200, frameFormat, filters: [] });
+    const weights = [];
+    scale.addEventListener('reading', event => weights.push(event.detail.rawWeight));
+
+    await scale.connect();
+    assert.equal(scale.deviceInfo.id, 'SIM-0001');
+    await scale.startReading('onread');
+    await waitFor(() => scale.metrics.frames.corrupted >= 3 && weights.length >= 10);
+    await scale.stopReading();
+
+    // Whatever the bit flips hit, no corrupted weight gets through the CRC
+    assert.ok(weights.every(weight => weight === 250));
+    const { frames } = scale.getRunStats(1);
+    assert.equal(frames.corrupted, frames.checksum + frames.encoding + frames.length);
+    assert.ok(frames.received > frames.corrupted);
+    await scale.disconnect();
+});
+
+test('framed commands are sent without a line terminator', async () => {
+    const frameFormat = { framer: 'slip' };
+    const provider = new SimulatedPortProvider({ frameFormat });
+    const scale = new ScaleConnection({ portProvider: provider, baudRate: 115200, frameFormat });
+
+    // Every byte the scale is sent, decoded again on the way in
+    const port = await provider.requestPort();
+    const receive = port.device.receive.bind(port.device);
+    const decoder = new FrameDecoder(frameFormat);
+    const payloads = [];
+    port.device.receive = (chunk) => {
+        for (const frame of decoder.push(chunk)) {
+            payloads.push(new TextDecoder().decode(frame.payload));
+        }
+        receive(chunk);
+    };
+
+    await scale.connect(port);
+    assert.deepEqual(payloads, ['id', 'slc', 'units']);
+    assert.equal(scale.deviceInfo.units, 'g');
+    await scale.disconnect();
+});
+
+test('auto-detect is refused for framed devices', async () => {
+    const provider = new SimulatedPortProvider();
+    const scale = new ScaleConnection({ portProvider: provider, frameFormat: { framer: 'slip' } });
+    await assert.rejects(scale.connect(null, { autoDetect: true }), RangeError);
+    assert.equal(scale.state, 'disconnected');
+});
@@ -0,0 +1,239 @@
+// In-memory stand-ins for a Web Serial port and the device behind it, so the
+// serial stack can be driven deterministically under Node. Unlike the
+// simulator in shared/mock-serial.js nothing here runs on a timer: the test
+// decides exactly which bytes arrive, in which chunks, and when.
+
+export class ScriptedDevice {
+    constructor(script = {}, options = {}) {
+        // command -> reply text, array of lines, function(device, command), or null for no reply
+        this.script = { ...script };
+        this.lineEnding = options.lineEnding !== undefined ? options.lineEnding : '\r\n';
+        this.commands = [];
+        this.commandBuffer = '';
+        this.port = null;
+    }
+
+    attach(port) {
+        this.port = port;
+        this.commandBuffer = '';
+    }
+
+    detach() {
+        this.port = null;
+    }
+
+    receive(text) {
+        this.commandBuffer += text;
+        const parts = this.commandBuffer.split(/\r\n|\r|\n/);
+        this.commandBuffer = parts.pop();
+
+        for (const command of parts) {
+            this.handleCommand(command.trim());
+        }
+    }
+
+    handleCommand(command) {
+        this.commands.push(command);
+
+        const entry = this.script[command];
+        if (entry === undefined) {
+            this.sendLine('ERR');
+        } else if (typeof entry === 'function') {
+            entry(this, command);
+        } else if (Array.isArray(entry)) {
+            entry.forEach(line => this.sendLine(line));
+        } else if (entry !== null) {
+            this.sendLine(entry);
+        }
+    }
+
+    sendLine(text) {
+        this.send(text + this.lineEnding);
+    }
+
+    // Raw output, e.g. a partial line
+    send(text) {
+        if (this.port) {
+            this.port.push(text);
+        }
+    }
+}
+
+export class FakeSerialPort extends EventTarget {
+    constructor(device, info = {}) {
+        super();
+        this.device = device;
+        this.info = { usbVendorId: 0x2341, usbProductId: 0x8036, ...info };
+
+        this.connected = true;
+        this.readable = null;
+        this.writable = null;
+        this.openOptions = null;
+        this.openCount = 0;
+        this.readController = null;
+        this.textEncoder = new TextEncoder();
+        this.textDecoder = new TextDecoder();
+    }
+
+    getInfo() {
+        return { ...this.info };
+    }
+
+    async open(options) {
+        if (this.readable || this.writable) {
+            throw new DOMException('The port is already open.', 'InvalidStateError');
+        }
+        if (!this.connected) {
+            throw new DOMException('Failed to open serial port.', 'NetworkError');
+        }
+        if (!options || !options.baudRate) {
+            throw new TypeError("Failed to execute 'open' on 'SerialPort': Required member is undefined.");
+        }
+
+        this.openOptions = { ...options };
+        this.openCount++;
+
+        this.readable = new ReadableStream({
+            start: (controller) => {
+                this.readController = controller;
+            },
+            cancel: () => {
+                this.readController = null;
+            }
+        });
+
+        this.writable = new WritableStream({
+            write: (chunk) => {
+                if (this.device) {
+                    this.device.receive(this.textDecoder.decode(chunk, { stream: true }));
+                }
+            }
+        });
+
+        if (this.device) {
+            this.device.attach(this);
+        }
+    }
+
+    async close() {
+        if (!this.readable && !this.writable) {
+            throw new DOMException('The port is already closed.', 'InvalidStateError');
+        }
+
+        if (this.device) {
+            this.device.detach();
+        }
+        this.end();
+        this.readable = null;
+        this.writable = null;
+        this.openOptions = null;
+    }
+
+    // Device -> host bytes, delivered as exactly one chunk
+    push(text) {
+        if (this.readController) {
+            this.readController.enqueue(this.textEncoder.encode(text));
+        }
+    }
+
+    // The device side closes the stream cleanly
+    end() {
+        if (this.readController) {
+            try {
+                this.readController.close();
+            } catch (error) {
+                // Already closed or errored
+            }
+            this.readController = null;
+        }
+    }
+
+    // The device is lost, the way Chrome reports a pulled cable
+    unplug() {
+        this.connected = false;
+        if (this.readController) {
+            this.readController.error(new DOMException('The device has been lost.', 'NetworkError'));
+            this.readController = null;
+        }
+        if (this.device) {
+            this.device.detach();
+        }
+        this.readable = null;
+        this.writable = null;
+        this.dispatchEvent(new Event('disconnect'));
+    }
+
+    replug() {
+        this.connected = true;
+        this.dispatchEvent(new Event('connect'));
+    }
+}
+
+// Port provider that hands out the given fake ports in order and forwards
+// their hot-plug events like navigator.serial does
+export class FakePortProvider extends EventTarget {
+    constructor(ports = []) {
+        super();
+        this.name = 'fake';
+        this.ports = [];
+        this.requested = 0;
+        ports.forEach(port => this.addPort(port));
+    }
+
+    addPort(port) {
+        this.ports.push(port);
+        port.addEventListener('connect', () => this.forwardPortEvent('connect', port));
+        port.addEventListener('disconnect', () => this.forwardPortEvent('disconnect', port));
+    }
+
+    forwardPortEvent(type, port) {
+        this.dispatchEvent(new CustomEvent(type, { detail: { port } }));
+    }
+
+    isSupported() {
+        return true;
+    }
+
+    async requestPort() {
+        if (this.requested >= this.ports.length) {
+            throw new DOMException('No port selected by the user.', 'NotFoundError');
+        }
+        return this.ports[this.requested++];
+    }
+
+    async getPorts() {
+        return this.ports.slice(0, this.requested);
+    }
+}
+
+// Collect a readable stream into an array (the stream must end)
+export async function collect(readable) {
+    const values = [];
+    const reader = readable.getReader();
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return values;
+        values.push(value);
+    }
+}
+
+export function nextEvent(target, type) {
+    return new Promise(resolve => {
+        target.addEventListener(type, event => resolve(event.detail), { once: true });
+    });
+}
+
+// Resolve once predicate() holds, polling on the macrotask queue
+export async function waitFor(predicate, timeout = 1000) {
+    const deadline = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+}
+
+export function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
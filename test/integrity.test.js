@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    SequenceChecker,
+    normalizeIntegrityOptions,
+    splitSequence,
+    formatLoopbackRecord,
+    countBitErrors,
+    checkLoopbackRecord,
+    formatErrorRate
+} from '../shared/integrity.js';
+import { ScaleConnection } from '../shared/serial-core.js';
+import { SimulatedPortProvider } from '../shared/mock-serial.js';
+import { waitFor } from './helpers/fake-serial.js';
+
+const checkAll = (checker, sequences) => sequences.map(sequence =>
+    checker.check({ sequence, valid: sequence !== null, bytes: 10 }));
+
+test('gaps, repeats and late records are told apart', () => {
+    const checker = new SequenceChecker({ modulo: 1000 });
+    // Syncs on the first counter; 4 and 5 go missing, 5 turns up late, 2 twice
+    const results = checkAll(checker, [1, 2, 3, 6, 5, 2, 7, null, 9]);
+    assert.deepEqual(results, ['ok', 'ok', 'ok', 'ok', 'reordered', 'duplicated', 'ok', 'corrupted', 'ok']);
+
+    const summary = checker.getSummary();
+    assert.deepEqual(
+        { ok: summary.ok, lost: summary.lost, duplicated: summary.duplicated, reordered: summary.reordered, corrupted: summary.corrupted },
+        { ok: 6, lost: 1, duplicated: 1, reordered: 1, corrupted: 1 });
+    // The corrupted record took number 8, so 1..9 are all accounted for
+    assert.equal(summary.expected, 9);
+    assert.equal(summary.lineErrorRate, 2 / 9);
+    assert.equal(summary.bitErrors, 1);
+    assert.equal(summary.bitErrorsEstimated, true);
+    assert.equal(summary.bitsReceived, 90 * 8);
+});
+
+test('counters wrap at the modulo and the sender count closes the run', () => {
+    const checker = new SequenceChecker({ modulo: 100 });
+    assert.deepEqual(checkAll(checker, [98, 99, 0, 2]), ['ok', 'ok', 'ok', 'ok']);
+    assert.equal(checker.lost, 1);
+    assert.equal(checkAll(checker, [150])[0], 'corrupted');
+
+    const loopback = new SequenceChecker({ start: 0 });
+    checkAll(loopback, [1, 2]);
+    loopback.expectUpTo(5);
+    assert.equal(loopback.getSummary().lost, 3);
+});
+
+test('loopback records are verified bit by bit', () => {
+    const record = formatLoopbackRecord(42, 16);
+    assert.equal(record.length, 8 + 1 + 16);
+    assert.deepEqual(splitSequence(record), { sequence: 42, rest: record.slice(9) });
+    assert.notEqual(formatLoopbackRecord(43, 16).slice(9), record.slice(9));
+    assert.equal(splitSequence('S S 100.000 g'), null);
+    assert.deepEqual(splitSequence('17,  100.000'), { sequence: 17, rest: '100.000' });
+
+    assert.equal(countBitErrors('A', 'C'), 1);
+    assert.equal(countBitErrors('AB', 'A'), 8);
+
+    const checker = new SequenceChecker({ start: 42 });
+    assert.equal(checkLoopbackRecord(checker, record, 16), 'ok');
+
+    // One flipped bit in the pattern, and one in the counter
+    const next = formatLoopbackRecord(43, 16);
+    const flipped = next.slice(0, 12) + String.fromCharCode(next.charCodeAt(12) ^ 0x10) + next.slice(13);
+    assert.equal(checkLoopbackRecord(checker, flipped, 16), 'corrupted');
+    const third = formatLoopbackRecord(44, 16);
+    assert.equal(checkLoopbackRecord(checker, '00000045' + third.slice(8), 16), 'corrupted');
+    // Other lines on the port aren't records, corrupted or not
+    assert.equal(checkLoopbackRecord(checker, 'slc', 16), null);
+    assert.equal(checkLoopbackRecord(checker, 'SIM-0001', 16), null);
+
+    const summary = checker.getSummary();
+    assert.equal(summary.bitErrors, 2);
+    assert.equal(summary.bitErrorsEstimated, false);
+    assert.equal(summary.corrupted, 2);
+    assert.equal(formatErrorRate(summary.bitErrorRate), (2 / summary.bitsReceived).toExponential(1));
+    assert.equal(formatErrorRate(0), '0');
+});
+
+test('invalid integrity options are rejected', () => {
+    assert.throws(() => normalizeIntegrityOptions({ mode: 'echo' }), RangeError);
+    assert.throws(() => normalizeIntegrityOptions({ sequenceModulo: 1 }), RangeError);
+    assert.throws(() => normalizeIntegrityOptions({ rate: 0 }), RangeError);
+    assert.throws(() => normalizeIntegrityOptions({ recordLength: 2.5 }), RangeError);
+    assert.equal(normalizeIntegrityOptions({ mode: 'loopback', rate: '250' }).rate, 250);
+});
+
+test('a loopback check scores dropped, repeated and swapped records', async () => {
+    // Faults from the start: a connect query's echo may be held back into the check
+    const provider = new SimulatedPortProvider({ loopback: true, fault: 'reorder', faultRate: 10 });
+    // 500 records of 35 bytes a second need more than 115200 baud carries
+    const scale = new ScaleConnection({ portProvider: provider, baudRate: 460800 });
+    await scale.connect();
+
+    scale.startIntegrityCheck({ mode: 'loopback', rate: 500, recordLength: 24, settleTime: 200 });
+    assert.throws(() => scale.startIntegrityCheck({ mode: 'bogus' }), RangeError);
+    await waitFor(() => scale.integrity.checker.reordered >= 3);
+    provider.configure({ fault: 'duplicate' });
+    await waitFor(() => scale.integrity.checker.duplicated >= 3);
+    provider.configure({ fault: 'drop' });
+    await waitFor(() => scale.integrity.checker.lost >= 3);
+    provider.configure({ fault: 'none' });
+
+    const summary = await scale.stopIntegrityCheck();
+    // Everything sent is accounted for once the last records are back
+    assert.equal(summary.expected, scale.integrity.sent);
+    assert.equal(summary.ok + summary.reordered + summary.duplicated, summary.received);
+    assert.equal(summary.corrupted, 0);
+    assert.ok(summary.lineErrorRate > 0);
+    assert.equal(scale.getRunStats(1).integrity.mode, 'loopback');
+    await scale.disconnect();
+});
+
+test('corrupted loopback records count their bit errors', async () => {
+    const provider = new SimulatedPortProvider({ loopback: true });
+    const scale = new ScaleConnection({ portProvider: provider, baudRate: 460800 });
+    await scale.connect();
+    provider.configure({ fault: 'corrupt', faultRate: 20 });
+
+    scale.startIntegrityCheck({ mode: 'loopback', rate: 500, settleTime: 200 });
+    await waitFor(() => scale.integrity.checker.corrupted >= 5);
+    const summary = await scale.stopIntegrityCheck();
+    // A replaced character is wrong in at least one bit, at most eight
+    assert.ok(summary.bitErrors >= summary.corrupted && summary.bitErrors <= summary.corrupted * 8 + 8);
+    assert.equal(summary.bitErrorsEstimated, false);
+    assert.ok(summary.bitErrorRate > 0);
+    await scale.disconnect();
+});
+
+test('a sequence check scores the replies to weight polls', async () => {
+    const provider = new SimulatedPortProvider({ sequenceModulo: 100 });
+    const scale = new ScaleConnection({ portProvider: provider, baudRate: 115200, readInterval: 5, filters: [] });
+    const weights = [];
+    scale.addEventListener('reading', event => weights.push(event.detail.rawWeight));
+    await scale.connect();
+
+    scale.startIntegrityCheck({ mode: 'sequence', sequenceModulo: 100 });
+    await scale.startReading('interval');
+    await waitFor(() => weights.length >= 20, 3000);
+    await scale.stopReading();
+
+    assert.ok(weights.every(weight => weight === 100));
+    const summary = await scale.stopIntegrityCheck();
+    assert.equal(summary.ok, weights.length);
+    assert.equal(summary.lost + summary.corrupted, 0);
+    await scale.disconnect();
+});
+
+test('a sequence check reads weights behind the device counters', async () => {
+    const provider = new SimulatedPortProvider({ lineRate: 500, sequenceModulo: 100, fault: 'drop', faultRate: 10 });
+    const scale = new ScaleConnection({ portProvider: provider, baudRate: 115200, filters: [] });
+    const weights = [];
+    scale.addEventListener('reading', event => weights.push(event.detail.rawWeight));
+    await scale.connect();
+
+    scale.startIntegrityCheck({ mode: 'sequence', sequenceModulo: 100 });
+    assert.equal(scale.isCheckingSequence, true);
+    await scale.startReading('onread');
+    // Long enough for the counters to wrap
+    await waitFor(() => weights.length >= 150 && scale.integrity.checker.lost >= 3, 3000);
+    await scale.stopReading();
+
+    assert.ok(weights.every(weight => weight === 100));
+    const summary = await scale.stopIntegrityCheck();
+    assert.equal(summary.ok, weights.length);
+    assert.equal(summary.duplicated + summary.reordered + summary.corrupted, 0);
+    assert.equal(scale.isCheckingSequence, false);
+
+    // A loopback check needs the port to itself
+    await scale.startReading('onread');
+    assert.throws(() => scale.startIntegrityCheck({ mode: 'loopback' }), /Stop reading/);
+    await scale.disconnect();
+});
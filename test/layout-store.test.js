@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LayoutStore } from '../shared/layout-store.js';
+
+// localStorage stand-in
+function createStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+test('layouts round-trip through storage', () => {
+    const storage = createStorage();
+    const store = new LayoutStore('layout', storage);
+    const layout = { channels: [{ name: 'Left bin', baudRate: 57600, filterWindow: 9, port: null, deviceId: null }] };
+
+    assert.equal(store.load(), null);
+    store.save(layout);
+    assert.deepEqual(new LayoutStore('layout', storage).load(), layout);
+
+    store.clear();
+    assert.equal(store.load(), null);
+});
+
+test('unreadable layouts load as null', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const storage = createStorage();
+    storage.setItem('layout', '{not json');
+
+    assert.equal(new LayoutStore('layout', storage).load(), null);
+    assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('storage failures do not throw', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const storage = {
+        ...createStorage(),
+        setItem: () => { throw new Error('QuotaExceededError'); }
+    };
+
+    new LayoutStore('layout', storage).save({ channels: [] });
+    assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('without storage the store is a no-op', () => {
+    const store = new LayoutStore('layout', null);
+    store.save({ channels: [] });
+    assert.equal(store.load(), null);
+    store.clear();
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LinkMetrics, createByteCounter, formatByteRate } from '../shared/link-metrics.js';
+import { ScaleConnection } from '../shared/serial-core.js';
+import { SimulatedPortProvider } from '../shared/mock-serial.js';
+import { waitFor } from './helpers/fake-serial.js';
+
+test('rates cover the last second and utilization counts framing bits', () => {
+    const link = new LinkMetrics();
+    link.setLineSettings({ baudRate: 9600 });
+
+    link.addReceived(400, 0);
+    link.addReceived(200, 500);
+    link.addSent(10, 500);
+    let current = link.getCurrent(900);
+    assert.equal(current.rxBytesPerSecond, 600);
+    assert.equal(current.txBytesPerSecond, 10);
+    // 8N1 is 10 bits per byte: 600 B/s is 6000 of 9600 baud
+    assert.equal(current.rxUtilization, 62.5);
+    assert.equal(current.avgChunkSize, 300);
+
+    current = link.getCurrent(1200);
+    assert.equal(current.rxBytesPerSecond, 200);
+
+    // 7E2 adds a parity bit and a second stop bit
+    link.setLineSettings({ baudRate: 9600, dataBits: 7, parity: 'even', stopBits: 2 });
+    assert.equal(link.bitsPerCharacter, 11);
+    assert.equal(link.utilization(96), 11);
+});
+
+test('the run summary has averages, bytes per reading and chunk sizes', () => {
+    const link = new LinkMetrics();
+    link.setLineSettings({ baudRate: 19200 });
+    [1, 1, 4, 18, 18, 18, 32].forEach((size, index) => link.addReceived(size, index * 10));
+    link.addSent(46, 0);
+
+    const summary = link.getSummary(2, 5);
+    assert.equal(summary.bytesReceived, 92);
+    assert.equal(summary.rxBytesPerSecond, 46);
+    assert.equal(summary.txBytesPerSecond, 23);
+    assert.ok(Math.abs(summary.rxUtilization - 46 * 10 / 19200 * 100) < 1e-9);
+    assert.equal(summary.bytesPerReading, 18.4);
+    assert.deepEqual({ ...summary.chunks, avg: Math.round(summary.chunks.avg * 100) / 100 },
+        { count: 7, avg: 13.14, min: 1, max: 32, p50: 18, p95: 32 });
+
+    link.reset();
+    const empty = link.getSummary(0, 0);
+    assert.equal(empty.bytesPerReading, 0);
+    assert.equal(empty.chunks.count, 0);
+    assert.equal(new LinkMetrics().utilization(100), 0);
+});
+
+test('the byte counter passes chunks through unchanged', async () => {
+    const sizes = [];
+    const counter = createByteCounter(size => sizes.push(size));
+    const writer = counter.writable.getWriter();
+    const reader = counter.readable.getReader();
+    writer.write(Uint8Array.of(1, 2, 3));
+    assert.deepEqual((await reader.read()).value, Uint8Array.of(1, 2, 3));
+    assert.deepEqual(sizes, [3]);
+
+    assert.equal(formatByteRate(849.6), '850 B/s');
+    assert.equal(formatByteRate(11234), '11.2 KB/s');
+});
+
+test('a connection counts the bytes it receives and sends', async () => {
+    const provider = new SimulatedPortProvider({ lineRate: 200 });
+    const scale = new ScaleConnection({ portProvider: provider, baudRate: 115200 });
+    const readings = [];
+    scale.addEventListener('reading', event => readings.push(event.detail));
+
+    await scale.connect();
+    // The device info queries went out and their replies came back
+    assert.ok(scale.link.bytesSent > 0);
+    assert.ok(scale.link.bytesReceived > 0);
+
+    scale.resetMetrics();
+    await scale.startReading('onread');
+    await waitFor(() => readings.length >= 20);
+    await scale.stopReading();
+
+    const current = scale.link.getCurrent();
+    assert.ok(current.rxBytesPerSecond > 0);
+    assert.ok(current.rxUtilization > 0 && current.rxUtilization < 100);
+
+    const { link, totalReadings } = scale.getRunStats(1);
+    assert.equal(link.baudRate, 115200);
+    assert.ok(link.bytesPerReading >= 5);
+    assert.ok(Math.abs(link.bytesPerReading * totalReadings - link.bytesReceived) < 1e-6);
+    assert.ok(link.chunks.count > 0 && link.chunks.max >= link.chunks.p50);
+    await scale.disconnect();
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ReadingMetrics } from '../shared/metrics.js';
+
+function reading(latency, timestamp) {
+    return { weight: 0, rawWeight: 0, latency, timestamp };
+}
+
+test('readings per second counts a sliding one-second window', () => {
+    const metrics = new ReadingMetrics();
+    metrics.add(reading(1, 0));
+    metrics.add(reading(1, 200));
+    metrics.add(reading(1, 900));
+    assert.equal(metrics.readingsPerSecond, 3);
+
+    // The reading at t=0 is exactly one second old and leaves the window
+    metrics.add(reading(1, 1000));
+    assert.equal(metrics.readingsPerSecond, 3);
+
+    assert.equal(metrics.updateReadingsPerSecond(1950), 1);
+    assert.equal(metrics.updateReadingsPerSecond(2000), 0);
+});
+
+test('history is bounded but the total counts every reading', () => {
+    const metrics = new ReadingMetrics({ historySize: 3 });
+    for (let i = 1; i <= 5; i++) {
+        metrics.add(reading(i, i));
+    }
+    assert.equal(metrics.totalReadings, 5);
+    assert.deepEqual(metrics.latencies, [3, 4, 5]);
+    assert.equal(metrics.readings.length, 3);
+});
+
+test('latency stats cover the retained history', () => {
+    const metrics = new ReadingMetrics();
+    assert.deepEqual(metrics.getLatencyStats(), { avg: 0, min: 0, max: 0 });
+
+    [4, 2, 9].forEach((latency, i) => metrics.add(reading(latency, i)));
+    assert.deepEqual(metrics.getLatencyStats(), { avg: 5, min: 2, max: 9 });
+});
+
+test('incremental latency stats match the retained history as it slides', () => {
+    const metrics = new ReadingMetrics({ historySize: 7 });
+    let seed = 1;
+    for (let i = 0; i < 500; i++) {
+        seed = (seed * 16807) % 2147483647;
+        metrics.add(reading(seed % 100, i));
+
+        const retained = metrics.latencies;
+        const stats = metrics.getLatencyStats();
+        assert.equal(stats.min, Math.min(...retained));
+        assert.equal(stats.max, Math.max(...retained));
+        assert.ok(Math.abs(stats.avg - retained.reduce((sum, latency) => sum + latency, 0) / retained.length) < 1e-9);
+    }
+});
+
+test('percentile uses the nearest-rank index', () => {
+    const sorted = Array.from({ length: 100 }, (_, i) => i + 1);
+    assert.equal(ReadingMetrics.percentile(sorted, 0.5), 51);
+    assert.equal(ReadingMetrics.percentile(sorted, 0.95), 96);
+    assert.equal(ReadingMetrics.percentile(sorted, 0.99), 100);
+    assert.equal(ReadingMetrics.percentile(sorted, 1), 100);
+    assert.equal(ReadingMetrics.percentile([7], 0.99), 7);
+    assert.equal(ReadingMetrics.percentile([], 0.5), 0);
+});
+
+test('summary reports rate and percentiles', () => {
+    const metrics = new ReadingMetrics();
+    [5, 1, 4, 2, 3].forEach((latency, i) => metrics.add(reading(latency, i)));
+
+    const summary = metrics.getSummary(2);
+    assert.equal(summary.totalReadings, 5);
+    assert.equal(summary.avgReadingsPerSecond, 2.5);
+    assert.equal(summary.avgLatency, 3);
+    assert.equal(summary.minLatency, 1);
+    assert.equal(summary.maxLatency, 5);
+    assert.equal(summary.p50, 3);
+    assert.equal(summary.p95, 5);
+    assert.equal(summary.p99, 5);
+
+    assert.equal(metrics.getSummary(0).avgReadingsPerSecond, 0);
+});
+
+test('reset clears everything', () => {
+    const metrics = new ReadingMetrics();
+    metrics.add(reading(1, 0));
+    metrics.reset();
+    assert.equal(metrics.totalReadings, 0);
+    assert.equal(metrics.readingsPerSecond, 0);
+    assert.deepEqual(metrics.latencies, []);
+    assert.deepEqual(metrics.getLatencyStats(), { avg: 0, min: 0, max: 0 });
+
+    metrics.add(reading(3, 0));
+    assert.deepEqual(metrics.getLatencyStats(), { avg: 3, min: 3, max: 3 });
+});
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    checkReply,
+    detectionCandidates,
+    detectPortSettings,
+    DetectionError,
+    DETECT_BAUD_RATES,
+    DETECT_FRAMINGS
+} from '../shared/port-detection.js';
+import { ScaleConnection } from '../shared/serial-core.js';
+import { MockSerialPort, SimulatedScale } from '../shared/mock-serial.js';
+import { ScriptedDevice, FakeSerialPort, FakePortProvider } from './helpers/fake-serial.js';
+
+const bytes = (text) => Array.from(new TextEncoder().encode(text));
+
+// Answers only at the given rate and framing; anything else comes back as noise
+function createDevice(baudRate, parity = 'none', dataBits = 8) {
+    const answer = (reply) => (device) => {
+        const options = device.port.openOptions;
+        if (options.baudRate === baudRate && options.parity === parity && options.dataBits === dataBits) {
+            device.sendLine(reply);
+        } else {
+            device.send('þ\u0091Ã');
+        }
+    };
+    return new ScriptedDevice({ id: answer('SCALE-7'), slc: answer('5000'), units: answer('kg') });
+}
+
+test('only printable, terminated replies count', () => {
+    assert.deepEqual(checkReply(bytes('SCALE-7\r\n')), { ok: true, reply: 'SCALE-7', reason: null });
+    assert.equal(checkReply(bytes('\r\nOK\r')).reply, 'OK');
+    assert.equal(checkReply([]).reason, 'no reply');
+    assert.equal(checkReply(bytes('SCALE')).reason, 'no line terminator');
+    assert.equal(checkReply(bytes('  \r\n')).reason, 'empty reply');
+    assert.equal(checkReply([0x53, 0x80, 0x0d]).reason, 'unprintable bytes');
+    assert.equal(checkReply([0x53, 0x00, 0x0d]).reason, 'unprintable bytes');
+});
+
+test('the current setting is tried first and nothing is tried twice', () => {
+    const candidates = detectionCandidates({ baudRate: 19200, dataBits: 7, parity: 'even', stopBits: 1, bufferSize: 1024 });
+    assert.equal(candidates.length, DETECT_BAUD_RATES.length * DETECT_FRAMINGS.length);
+    assert.deepEqual(candidates[0], {
+        baudRate: 19200, dataBits: 7, parity: 'even', stopBits: 1, flowControl: 'none', bufferSize: 1024
+    });
+    assert.equal(candidates[1].baudRate, DETECT_BAUD_RATES[0]);
+    assert.ok(candidates.every(candidate => candidate.bufferSize === 1024));
+
+    const custom = detectionCandidates({}, { baudRates: [1200, 2400], framings: [DETECT_FRAMINGS[0]] });
+    assert.deepEqual(custom.map(candidate => candidate.baudRate), [1200, 2400]);
+});
+
+test('detection finds the working setting and leaves the port closed', async () => {
+    const port = new FakeSerialPort(createDevice(38400, 'even', 7));
+    const progress = [];
+
+    const result = await detectPortSettings(port, {
+        timeout: 20,
+        onAttempt: (attempt, index, total) => progress.push({ ok: attempt.ok, index, total })
+    });
+
+    assert.equal(result.settings.baudRate, 38400);
+    assert.equal(result.settings.dataBits, 7);
+    assert.equal(result.settings.parity, 'even');
+    assert.equal(result.reply, 'SCALE-7');
+    assert.equal(result.attempts.length, progress.length);
+    assert.ok(progress.slice(0, -1).every(step => !step.ok));
+    assert.equal(result.attempts[0].reason, 'unprintable bytes');
+    assert.equal(port.readable, null);
+    assert.equal(port.openCount, result.attempts.length);
+});
+
+test('silent settings time out and a device that never answers fails with every attempt listed', async () => {
+    const port = new FakeSerialPort(new ScriptedDevice({ id: null }));
+    const error = await detectPortSettings(port, {
+        timeout: 10,
+        baudRates: [9600, 19200],
+        framings: [DETECT_FRAMINGS[0]]
+    }).catch(e => e);
+
+    assert.ok(error instanceof DetectionError);
+    assert.deepEqual(error.attempts.map(attempt => attempt.reason), ['no reply', 'no reply']);
+    assert.equal(port.readable, null);
+});
+
+test('a port that cannot be opened stops detection at once', async () => {
+    const port = new FakeSerialPort(createDevice(9600));
+    port.connected = false;
+    await assert.rejects(detectPortSettings(port, { timeout: 10 }), { name: 'NetworkError' });
+    assert.equal(port.openCount, 0);
+});
+
+test('auto-detect connect adopts the detected settings', async () => {
+    const port = new FakeSerialPort(createDevice(57600, 'odd', 7));
+    const scale = new ScaleConnection({ portProvider: new FakePortProvider([port]), baudRate: 9600 });
+    const detectEvents = [];
+    scale.addEventListener('detect', (e) => detectEvents.push(e.detail));
+
+    await scale.connect(undefined, { autoDetect: true, timeout: 20 });
+
+    assert.equal(scale.state, 'connected');
+    assert.equal(scale.baudRate, 57600);
+    assert.deepEqual(scale.serialOptions, { dataBits: 7, parity: 'odd', stopBits: 1, flowControl: 'none', bufferSize: 255 });
+    assert.deepEqual(port.openOptions, scale.openOptions);
+    assert.equal(scale.deviceInfo.units, 'kg');
+    assert.equal(detectEvents.length, scale.detection.attempts.length);
+    assert.equal(detectEvents[detectEvents.length - 1].attempt.ok, true);
+
+    // A plain connect uses the stored settings and clears the detection result
+    await scale.disconnect();
+    await scale.connect(port);
+    assert.equal(scale.detection, null);
+    assert.equal(port.openOptions.baudRate, 57600);
+    await scale.disconnect();
+});
+
+test('a failed auto-detect leaves the connection disconnected with its settings unchanged', async () => {
+    const port = new FakeSerialPort(new ScriptedDevice({ id: null }));
+    const scale = new ScaleConnection({ portProvider: new FakePortProvider([port]), baudRate: 9600 });
+
+    await assert.rejects(
+        scale.connect(port, { autoDetect: true, timeout: 5, baudRates: [9600], framings: [DETECT_FRAMINGS[0]] }),
+        DetectionError
+    );
+    assert.equal(scale.state, 'disconnected');
+    assert.equal(scale.baudRate, 9600);
+    assert.equal(port.readable, null);
+});
+
+test('the simulated scale only answers at its own rate and framing', async () => {
+    const scale = new SimulatedScale({ baudRate: 19200, framing: '7E1' });
+    const port = new MockSerialPort(scale);
+
+    const result = await detectPortSettings(port, {
+        timeout: 50,
+        baudRates: [9600, 19200],
+        framings: DETECT_FRAMINGS.slice(0, 2)
+    });
+
+    assert.equal(result.settings.baudRate, 19200);
+    assert.equal(result.settings.parity, 'even');
+    assert.equal(result.reply, 'SIM-0001');
+    assert.deepEqual(result.attempts.map(attempt => attempt.ok), [false, false, false, true]);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getPortIdentity, matchIdentity, assignPorts, formatPortIdentity } from '../shared/port-registry.js';
+import { isSamePort } from '../shared/serial-core.js';
+import { FakeSerialPort } from './helpers/fake-serial.js';
+
+const port = (info) => new FakeSerialPort(null, info);
+
+test('identity keeps only what getInfo() reports', () => {
+    assert.deepEqual(getPortIdentity(port({ usbVendorId: 0x10c4, usbProductId: 0xea60 })),
+        { usbVendorId: 0x10c4, usbProductId: 0xea60 });
+    assert.deepEqual(getPortIdentity(port({ serialNumber: 'A1' })),
+        { usbVendorId: 0x2341, usbProductId: 0x8036, serialNumber: 'A1' });
+});
+
+test('serial numbers decide when both sides have one', () => {
+    const a = { usbVendorId: 1, usbProductId: 2, serialNumber: 'X' };
+    assert.equal(matchIdentity(a, { ...a }), 'serial');
+    assert.equal(matchIdentity(a, { ...a, serialNumber: 'Y' }), null);
+    assert.equal(matchIdentity(a, { usbVendorId: 1, usbProductId: 2 }), 'usb');
+    assert.equal(matchIdentity(a, { usbVendorId: 1, usbProductId: 3 }), null);
+});
+
+test('ports without USB IDs never match by identity', () => {
+    assert.equal(matchIdentity({}, {}), null);
+    assert.equal(isSamePort(port({ usbVendorId: undefined, usbProductId: undefined }),
+        port({ usbVendorId: undefined, usbProductId: undefined })), false);
+});
+
+test('serial number matches are assigned before USB ID matches', () => {
+    const plain = port({});
+    const serialB = port({ serialNumber: 'B' });
+    const serialA = port({ serialNumber: 'A' });
+
+    const assigned = assignPorts([
+        { usbVendorId: 0x2341, usbProductId: 0x8036 },
+        { usbVendorId: 0x2341, usbProductId: 0x8036, serialNumber: 'A' },
+        { usbVendorId: 0x2341, usbProductId: 0x8036, serialNumber: 'B' }
+    ], [plain, serialB, serialA]);
+
+    assert.equal(assigned[1], serialA);
+    assert.equal(assigned[2], serialB);
+    assert.equal(assigned[0], plain);
+});
+
+test('identical devices are handed out once each, in order', () => {
+    const first = port({});
+    const second = port({});
+    const identity = { usbVendorId: 0x2341, usbProductId: 0x8036 };
+
+    assert.deepEqual(assignPorts([identity, identity, identity], [first, second]), [first, second, null]);
+});
+
+test('unknown devices stay unassigned', () => {
+    const other = port({ usbVendorId: 0x0403, usbProductId: 0x6001 });
+    assert.deepEqual(assignPorts([{ usbVendorId: 0x2341, usbProductId: 0x8036 }], [other]), [null]);
+});
+
+test('identities format as vendor:product', () => {
+    assert.equal(formatPortIdentity({ usbVendorId: 0x2341, usbProductId: 0x8036 }), '2341:8036');
+    assert.equal(formatPortIdentity({ usbVendorId: 0x403, usbProductId: 0x6001, serialNumber: 'FT1' }), '0403:6001 (FT1)');
+    assert.equal(formatPortIdentity(null), 'Unknown port');
+});
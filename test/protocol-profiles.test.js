@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PROTOCOL_PROFILES, getProtocolProfile, UnsupportedCommandError } from '../shared/protocol-profiles.js';
+import { ScaleConnection, CommandRejectedError } from '../shared/serial-core.js';
+import { SimulatedPortProvider } from '../shared/mock-serial.js';
+import { waitFor } from './helpers/fake-serial.js';
+
+function createScale(protocol, device = {}) {
+    const provider = new SimulatedPortProvider({ lineRate: 200, protocol, ...device });
+    const scale = new ScaleConnection({ portProvider: provider, baudRate: 115200, protocol, filters: [] });
+    return { scale, provider };
+}
+
+async function readWeights(scale, count) {
+    const weights = [];
+    scale.addEventListener('reading', event => weights.push(event.detail.rawWeight));
+    await waitFor(() => weights.length >= count);
+    return weights;
+}
+
+test('profiles parse weights in their own line formats', () => {
+    const { scale, rawLine, mtSics } = PROTOCOL_PROFILES;
+    assert.equal(scale.parseLine('12.5').value, 12.5);
+    assert.equal(rawLine.parseLine('ST,GS,+0012.34kg').value, 12.34);
+    assert.equal(rawLine.parseLine('   -5 lb').value, -5);
+    assert.equal(mtSics.parseLine('S S      100.25 g').value, 100.25);
+    assert.equal(mtSics.parseLine('S D     -0.50 g').value, -0.5);
+    assert.equal(mtSics.parseLine('S +').status, 'overload');
+    assert.ok(mtSics.isErrorLine('ES'));
+    assert.ok(mtSics.isErrorLine('SI I'));
+    assert.ok(!mtSics.isErrorLine('S S 1.0 g'));
+    assert.throws(() => getProtocolProfile('modbus'), RangeError);
+});
+
+test('an MT-SICS scale reports its identity, streams, polls and tares', async () => {
+    const { scale } = createScale('mtSics', { baseWeight: 250 });
+    await scale.connect();
+    assert.deepEqual(scale.deviceInfo, { id: 'SIM-0001', capacity: '5000 g', units: 'g' });
+
+    await scale.startReading('onread');
+    const streamed = await readWeights(scale, 3);
+    assert.equal(streamed[0], 250);
+    await scale.stopReading();
+
+    await scale.startReading('interval');
+    await readWeights(scale, 2);
+    await scale.stopReading();
+
+    assert.match(await scale.tare(), /^T S\s+250\.000 g$/);
+    await assert.rejects(scale.sendCommand('XYZ'), CommandRejectedError);
+    await scale.disconnect();
+});
+
+test('a raw-line device is only listened to', async () => {
+    const { scale } = createScale('rawLine', { baseWeight: 42 });
+    await scale.connect();
+    assert.deepEqual(scale.deviceInfo, { id: null, capacity: null, units: null });
+
+    await scale.startReading('onread');
+    assert.deepEqual((await readWeights(scale, 2)).slice(0, 2), [42, 42]);
+    await scale.stopReading();
+
+    await assert.rejects(scale.tare(), UnsupportedCommandError);
+    await assert.rejects(scale.startReading('interval'), /no weigh command/);
+    assert.equal(scale.state, 'connected');
+    await scale.disconnect();
+});
+
+test('auto-detect listens to a raw-line device instead of probing it', async () => {
+    const { scale } = createScale('rawLine', { baudRate: 19200 });
+    scale.baudRate = 9600;
+    await scale.connect(null, { autoDetect: true, baudRates: [9600, 19200], framings: [{ dataBits: 8, parity: 'none', stopBits: 1 }] });
+
+    assert.equal(scale.baudRate, 19200);
+    assert.match(scale.detection.reply, /^ST,GS,/);
+    await scale.disconnect();
+});
+
+test('an unknown protocol fails before a port is requested', async () => {
+    const { scale, provider } = createScale('scale');
+    scale.protocol = 'modbus';
+    let requested = false;
+    provider.requestPort = async () => { requested = true; };
+
+    await assert.rejects(scale.connect(), /Unknown protocol 'modbus'/);
+    assert.equal(requested, false);
+    assert.equal(scale.state, 'disconnected');
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RenderLoop, LogBuffer, formatTiming } from '../shared/render-loop.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('many invalidations between frames cause a single render', async () => {
+    const loop = new RenderLoop({ fps: 60 });
+    let renders = 0;
+    loop.addView(() => renders++);
+
+    for (let i = 0; i < 100; i++) {
+        loop.invalidate();
+    }
+    await sleep(60);
+    assert.equal(renders, 1);
+
+    // Nothing changed, nothing drawn
+    await sleep(40);
+    assert.equal(renders, 1);
+});
+
+test('updates are held back to the frame rate', async () => {
+    const loop = new RenderLoop({ fps: 5 });
+    const times = [];
+    loop.addView(() => times.push(performance.now()));
+
+    const started = performance.now();
+    while (performance.now() - started < 500) {
+        loop.invalidate();
+        await sleep(5);
+    }
+    await sleep(250);
+
+    assert.ok(times.length >= 2 && times.length <= 4, `${times.length} renders`);
+    for (let i = 1; i < times.length; i++) {
+        assert.ok(times[i] - times[i - 1] >= 180);
+    }
+});
+
+test('measurement and render time are accounted separately', () => {
+    const loop = new RenderLoop();
+    const busy = (ms) => {
+        const end = performance.now() + ms;
+        while (performance.now() < end);
+    };
+    loop.addView(() => busy(4));
+    loop.addView(() => { throw new Error('broken view'); });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.equal(loop.measure(() => { busy(2); return 'value'; }), 'value');
+        loop.measure(() => busy(2));
+        loop.renderNow();
+    } finally {
+        console.error = originalError;
+    }
+
+    const timing = loop.getTiming();
+    assert.equal(timing.measureCount, 2);
+    assert.equal(timing.frames, 1);
+    assert.ok(timing.measureTime >= 4 && timing.measureTime < 20);
+    assert.ok(timing.renderTime >= 4 && timing.renderTime < 20);
+    assert.ok(timing.avgMeasureTime >= 2);
+    assert.ok(timing.measureShare > 0 && timing.measureShare <= 1);
+    assert.match(formatTiming(timing), /^measurement .*ms .*rendering .*1 frames/);
+
+    const load = loop.sampleLoad();
+    assert.ok(load.measure > 0 && load.render > 0);
+    assert.equal(loop.sampleLoad().measure, 0);
+
+    loop.resetTiming();
+    assert.equal(loop.getTiming().measureTime, 0);
+    assert.equal(loop.getTiming().frames, 0);
+});
+
+test('the log keeps the newest entries and only formats them on flush', () => {
+    let formatted = 0;
+    const log = new LogBuffer(3, (entry) => {
+        formatted++;
+        return `#${entry}`;
+    });
+    for (let i = 1; i <= 5; i++) {
+        log.push(i);
+    }
+    assert.equal(formatted, 0);
+
+    const element = { textContent: '', scrollTop: 0, clientHeight: 100, scrollHeight: 0 };
+    log.flush(element);
+    assert.equal(element.textContent, '#3\n#4\n#5\n');
+    assert.equal(formatted, 3);
+
+    // Unchanged since the last flush: the element is left alone
+    element.textContent = 'untouched';
+    log.flush(element);
+    assert.equal(element.textContent, 'untouched');
+
+    log.clear();
+    log.flush(element);
+    assert.equal(element.textContent, '');
+});
+
+test('flushing follows the end of the log only when already scrolled there', () => {
+    const log = new LogBuffer();
+    const element = { textContent: '', scrollTop: 0, clientHeight: 100, scrollHeight: 500 };
+
+    log.push('line');
+    log.flush(element);
+    assert.equal(element.scrollTop, 0);
+
+    element.scrollTop = 400;
+    log.push('line');
+    log.flush(element);
+    assert.equal(element.scrollTop, 500);
+});
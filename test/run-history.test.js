@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    LATENCY_BINS,
+    buildLatencyHistogram,
+    formatLatencyBin,
+    summarizeLatencies,
+    createHistoryRecord,
+    describeRecord,
+    percentChange,
+    compareRuns,
+    RunHistory
+} from '../shared/run-history.js';
+import { TestRun } from '../shared/test-run.js';
+
+function createRecord(summary) {
+    return {
+        page: 'speed-test',
+        config: { baudRate: 115200, method: 'onread' },
+        channels: [{ deviceId: 'SCALE-1', baudRate: 115200, method: 'onread' }],
+        summary: {
+            totalReadings: 100, readingsPerSecond: 100, avgLatency: 2,
+            p50: 2, p95: 4, p99: 8, maxLatency: 10,
+            ...summary
+        }
+    };
+}
+
+test('latencies fall into fixed doubling bins with an open-ended last bin', () => {
+    const histogram = buildLatencyHistogram([0, 0.2, 0.25, 0.9, 1, 3.9, 5000]);
+    assert.equal(histogram.length, LATENCY_BINS.length);
+    assert.equal(histogram[0], 2);
+    assert.equal(histogram[1], 1);
+    assert.equal(histogram[2], 1);
+    assert.equal(histogram[3], 1);
+    assert.equal(histogram[4], 1);
+    assert.equal(histogram[LATENCY_BINS.length - 1], 1);
+    assert.equal(histogram.reduce((sum, count) => sum + count, 0), 7);
+
+    assert.equal(formatLatencyBin(0), '0-0.25ms');
+    assert.equal(formatLatencyBin(LATENCY_BINS.length - 1), '≥1024ms');
+});
+
+test('summary is computed over every latency of the run', () => {
+    const latencies = Array.from({ length: 100 }, (_, i) => 100 - i);
+    const summary = summarizeLatencies(latencies, 4);
+
+    assert.equal(summary.totalReadings, 100);
+    assert.equal(summary.readingsPerSecond, 25);
+    assert.equal(summary.avgLatency, 50.5);
+    assert.equal(summary.maxLatency, 100);
+    assert.ok(summary.p50 <= summary.p95 && summary.p95 <= summary.p99);
+
+    const empty = summarizeLatencies([], 0);
+    assert.equal(empty.totalReadings, 0);
+    assert.equal(empty.readingsPerSecond, 0);
+    assert.equal(empty.avgLatency, 0);
+});
+
+test('history records keep metadata, summary and histogram but no readings', () => {
+    const run = new TestRun({ page: 'speed-test', config: { baudRate: 9600, method: 'polling' } });
+    run.addChannel({ name: 'Scale', deviceId: 'SCALE-7', baudRate: 9600, method: 'polling' });
+    [1, 2, 3].forEach((latency, i) => {
+        run.record(0, { timestamp: 1000 + i, rawWeight: i, weight: i, latency });
+    });
+    run.finish([{ totalReadings: 3 }]);
+
+    const record = createHistoryRecord(run);
+    assert.equal(record.page, 'speed-test');
+    assert.equal(record.startedAt, run.startedAt);
+    assert.equal(record.summary.totalReadings, 3);
+    assert.equal(record.summary.maxLatency, 3);
+    assert.equal(record.histogram.reduce((sum, count) => sum + count, 0), 3);
+    assert.deepEqual(record.channels[0].stats, { totalReadings: 3 });
+    assert.equal(record.readings, undefined);
+    assert.equal(describeRecord(record), 'polling @ 9600 baud - SCALE-7');
+    assert.equal(describeRecord({ ...record, channels: [{ ...record.channels[0], framing: '7E1' }] }),
+        'polling @ 9600 baud 7E1 - SCALE-7');
+    assert.equal(describeRecord({ ...record, channels: [{ ...record.channels[0], frameFormat: 'cobs+crc16' }] }),
+        'polling @ 9600 baud cobs+crc16 - SCALE-7');
+
+    // Must survive IndexedDB's structured clone
+    assert.deepEqual(structuredClone(record), record);
+});
+
+test('comparison reports change against the first run and whether it improved', () => {
+    const rows = compareRuns([
+        createRecord({}),
+        createRecord({ readingsPerSecond: 150, p95: 2 }),
+        createRecord({ readingsPerSecond: 50, p95: 8 })
+    ]);
+
+    const throughput = rows.find(row => row.metric.key === 'readingsPerSecond');
+    assert.deepEqual(throughput.values, [100, 150, 50]);
+    assert.deepEqual(throughput.changes, [null, 50, -50]);
+    assert.deepEqual(throughput.improved, [null, true, false]);
+
+    const p95 = rows.find(row => row.metric.key === 'p95');
+    assert.deepEqual(p95.changes, [null, -50, 100]);
+    assert.deepEqual(p95.improved, [null, true, false]);
+
+    const unchanged = rows.find(row => row.metric.key === 'avgLatency');
+    assert.deepEqual(unchanged.improved, [null, null, null]);
+});
+
+test('percent change has no baseline for zero', () => {
+    assert.equal(percentChange(0, 10), null);
+    assert.equal(percentChange(10, 15), 50);
+});
+
+test('history reports missing IndexedDB instead of throwing on construction', async () => {
+    const history = new RunHistory({ indexedDB: null });
+    assert.equal(history.isSupported(), false);
+    await assert.rejects(history.list(), /IndexedDB is not available/);
+});
@@ -0,0 +1,488 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScaleConnection, ChannelClosedError, WebSerialPortProvider, createPortProvider } from '../shared/serial-core.js';
+import {
+    ScriptedDevice,
+    FakeSerialPort,
+    FakePortProvider,
+    nextEvent,
+    waitFor,
+    delay
+} from './helpers/fake-serial.js';
+
+const INFO_SCRIPT = { id: 'SCALE-42', slc: '5000', units: 'g', ct0: 'OK', '': 'OK', wc: null };
+
+function createScale(device, options = {}) {
+    const port = new FakeSerialPort(device);
+    const scale = new ScaleConnection({
+        portProvider: new FakePortProvider([port]),
+        baudRate: 115200,
+        commandTimeout: 50,
+        ...options
+    });
+    return { scale, port };
+}
+
+function recordEvents(scale, type) {
+    const events = [];
+    scale.addEventListener(type, event => events.push(event.detail));
+    return events;
+}
+
+test('connect opens the port and reads device info', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale, port } = createScale(device);
+    const states = recordEvents(scale, 'state');
+    const infoEvent = nextEvent(scale, 'deviceInfo');
+
+    await scale.connect();
+
+    assert.deepEqual(port.openOptions, {
+        baudRate: 115200, dataBits: 8, parity: 'none', stopBits: 1, flowControl: 'none', bufferSize: 255
+    });
+    assert.deepEqual(states.map(event => event.state), ['connecting', 'connected']);
+    assert.deepEqual(await infoEvent, { id: 'SCALE-42', capacity: '5000', units: 'g' });
+    assert.deepEqual(device.commands, ['id', 'slc', 'units']);
+
+    await scale.disconnect();
+    assert.equal(scale.state, 'disconnected');
+    assert.equal(port.readable, null);
+});
+
+test('a failed open leaves the connection disconnected', async () => {
+    const scale = new ScaleConnection({ portProvider: new FakePortProvider([]) });
+    const states = recordEvents(scale, 'state');
+
+    await assert.rejects(scale.connect(), { name: 'NotFoundError' });
+    assert.equal(scale.state, 'disconnected');
+    assert.deepEqual(states.map(event => event.state), ['connecting', 'disconnected']);
+});
+
+test('framing, flow control and buffer size are passed to open', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale, port } = createScale(device, { baudRate: 9600, dataBits: 7, parity: 'even', stopBits: '2' });
+    scale.serialOptions = { ...scale.serialOptions, flowControl: 'hardware', bufferSize: 1024 };
+
+    await scale.connect();
+    assert.deepEqual(port.openOptions, {
+        baudRate: 9600, dataBits: 7, parity: 'even', stopBits: 2, flowControl: 'hardware', bufferSize: 1024
+    });
+    await scale.disconnect();
+});
+
+test('invalid port settings fail before the port chooser is shown', async () => {
+    const provider = new FakePortProvider([new FakeSerialPort(new ScriptedDevice(INFO_SCRIPT))]);
+    const scale = new ScaleConnection({ portProvider: provider });
+    scale.serialOptions = { ...scale.serialOptions, parity: 'mark' };
+
+    await assert.rejects(scale.connect(), RangeError);
+    assert.equal(provider.requested, 0);
+    assert.equal(scale.state, 'disconnected');
+
+    assert.throws(() => new ScaleConnection({ dataBits: 5 }), /Data bits must be 7 or 8/);
+});
+
+test('replies split across chunks are reassembled', async () => {
+    const device = new ScriptedDevice({
+        ...INFO_SCRIPT,
+        id: (device) => ['SCA', 'LE-4', '2\r', '\n'].forEach(chunk => device.send(chunk))
+    });
+    const { scale } = createScale(device);
+
+    await scale.connect();
+    assert.equal(scale.deviceInfo.id, 'SCALE-42');
+    await scale.disconnect();
+});
+
+test('streamed weights split across chunks become whole readings', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale } = createScale(device);
+    const readings = recordEvents(scale, 'reading');
+
+    await scale.connect();
+    await scale.startReading('onread');
+    assert.equal(scale.state, 'reading');
+    assert.equal(device.commands.at(-1), 'wc');
+
+    device.send('100.');
+    device.send('500\r\n101');
+    device.send('.250\r');
+    device.send('\n');
+    await waitFor(() => readings.length === 2);
+    assert.deepEqual(readings.map(reading => reading.rawWeight), [100.5, 101.25]);
+
+    await scale.stopReading();
+    assert.equal(scale.state, 'connected');
+    assert.equal(device.commands.at(-1), '');
+    await scale.disconnect();
+});
+
+for (const [name, lineEnding] of [['CRLF', '\r\n'], ['LF', '\n']]) {
+    test(`${name} line endings`, async () => {
+        const device = new ScriptedDevice({ ...INFO_SCRIPT, w: '12.500' }, { lineEnding });
+        const { scale } = createScale(device);
+        const readings = recordEvents(scale, 'reading');
+
+        await scale.connect();
+        assert.deepEqual(scale.deviceInfo, { id: 'SCALE-42', capacity: '5000', units: 'g' });
+        assert.equal(await scale.tare(), 'OK');
+
+        await scale.startReading('onread');
+        ['1.000', '2.000', '3.000'].forEach(line => device.sendLine(line));
+        await waitFor(() => readings.length === 3);
+        await scale.stopReading();
+
+        assert.deepEqual(readings.map(reading => reading.rawWeight), [1, 2, 3]);
+        assert.equal(await scale.sendCommand('w'), '12.500');
+        await scale.disconnect();
+    });
+}
+
+test('polling methods time each request', async () => {
+    const device = new ScriptedDevice({ ...INFO_SCRIPT, w: '7.000' });
+    const { scale } = createScale(device, { readInterval: 5 });
+    const readings = recordEvents(scale, 'reading');
+
+    await scale.connect();
+    for (const method of ['interval', 'continuous']) {
+        readings.length = 0;
+        await scale.startReading(method);
+        await waitFor(() => readings.length >= 3);
+        await scale.stopReading();
+
+        assert.ok(readings.every(reading => reading.rawWeight === 7 && reading.latency >= 0));
+    }
+    await scale.disconnect();
+});
+
+test('the device closing the stream mid-command rejects the command', async () => {
+    const device = new ScriptedDevice({ ...INFO_SCRIPT, w: null });
+    const { scale, port } = createScale(device, { commandTimeout: 1000, autoReconnect: false });
+    await scale.connect();
+
+    const errorEvent = nextEvent(scale, 'error');
+    const pending = scale.sendCommand('w');
+    await delay(5);
+    port.end();
+
+    await assert.rejects(pending, ChannelClosedError);
+    const { error, context } = await errorEvent;
+    assert.equal(context, 'stream');
+    assert.match(error.message, /ended/);
+    assert.equal(scale.state, 'lost');
+
+    await assert.rejects(scale.sendCommand('id'), ChannelClosedError);
+    await scale.disconnect();
+    assert.equal(scale.state, 'disconnected');
+});
+
+test('losing the device mid-command rejects the command', async () => {
+    const device = new ScriptedDevice({ ...INFO_SCRIPT, w: null });
+    const { scale, port } = createScale(device, { commandTimeout: 1000, autoReconnect: false });
+    await scale.connect();
+    await scale.startReading('onread');
+
+    const errorEvent = nextEvent(scale, 'error');
+    const pending = scale.sendCommand('w');
+    await delay(5);
+    port.unplug();
+
+    await assert.rejects(pending, ChannelClosedError);
+    const { error, context } = await errorEvent;
+    assert.equal(context, 'stream');
+    assert.equal(error.name, 'NetworkError');
+    assert.equal(scale.state, 'lost');
+    assert.equal(scale.isConnected, false);
+
+    // Disconnecting after the loss must not throw
+    await scale.disconnect();
+    assert.equal(scale.state, 'disconnected');
+});
+
+test('reconnecting to the same port starts a fresh session', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale, port } = createScale(device);
+    const readings = recordEvents(scale, 'reading');
+
+    await scale.connect();
+    await scale.disconnect();
+    assert.deepEqual(scale.deviceInfo, { id: null, capacity: null, units: null });
+
+    device.commands = [];
+    await scale.connect(port);
+    assert.equal(port.openCount, 2);
+    assert.deepEqual(device.commands, ['id', 'slc', 'units']);
+    assert.equal(scale.deviceInfo.id, 'SCALE-42');
+
+    await scale.startReading('onread');
+    device.sendLine('5.000');
+    await waitFor(() => readings.length === 1);
+    await scale.disconnect();
+});
+
+test('reconnecting after the device was lost', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale, port } = createScale(device);
+    scale.addEventListener('error', () => {});
+
+    await scale.connect();
+    port.unplug();
+    await scale.disconnect();
+
+    await assert.rejects(scale.connect(port), { name: 'NetworkError' });
+    port.replug();
+    assert.equal(scale.state, 'disconnected'); // No automatic reconnect after an explicit disconnect
+
+    await scale.connect(port);
+    assert.equal(scale.state, 'connected');
+    assert.equal(scale.deviceInfo.units, 'g');
+    assert.equal(await scale.tare(), 'OK');
+    await scale.disconnect();
+});
+
+test('an unplugged port is reopened and streaming resumes when it reappears', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale, port } = createScale(device);
+    const readings = recordEvents(scale, 'reading');
+    const states = recordEvents(scale, 'state');
+    scale.addEventListener('error', () => {});
+
+    await scale.connect();
+    await scale.startReading('onread');
+    device.sendLine('1.000');
+    await waitFor(() => readings.length === 1);
+
+    port.unplug();
+    await waitFor(() => scale.isLost);
+    assert.equal(scale.resumeMethod, 'onread');
+    assert.equal(scale.outages.length, 1);
+    assert.equal(scale.outages[0].end, null);
+
+    device.commands = [];
+    const outageEvent = nextEvent(scale, 'outage');
+    await delay(20);
+    port.replug();
+
+    const outage = await outageEvent;
+    assert.equal(outage.reconnected, true);
+    assert.ok(outage.duration >= 20);
+    assert.equal(outage.reason, 'The device has been lost.');
+
+    await waitFor(() => scale.isReading);
+    assert.deepEqual(port.openOptions, {
+        baudRate: 115200, dataBits: 8, parity: 'none', stopBits: 1, flowControl: 'none', bufferSize: 255
+    });
+    assert.deepEqual(device.commands, ['id', 'slc', 'units', 'wc']);
+    assert.deepEqual(
+        states.map(event => event.state),
+        ['connecting', 'connected', 'reading', 'lost', 'connected', 'reading']
+    );
+
+    device.sendLine('2.000');
+    await waitFor(() => readings.length === 2);
+    assert.equal(scale.metrics.totalReadings, 2);
+    await scale.disconnect();
+});
+
+test('a stream that ends while the port is still present is reopened at once', async () => {
+    const device = new ScriptedDevice({ ...INFO_SCRIPT, w: '3.000' });
+    const { scale, port } = createScale(device, { readInterval: 5 });
+    const readings = recordEvents(scale, 'reading');
+    scale.addEventListener('error', () => {});
+
+    await scale.connect();
+    await scale.startReading('interval');
+    await waitFor(() => readings.length >= 1);
+
+    const outageEvent = nextEvent(scale, 'outage');
+    port.end();
+    const outage = await outageEvent;
+    assert.equal(outage.reconnected, true);
+    assert.match(outage.reason, /ended/);
+
+    await waitFor(() => scale.isReading && scale.method === 'interval');
+    const before = readings.length;
+    await waitFor(() => readings.length > before);
+    await scale.disconnect();
+});
+
+test('a replugged device that comes back as a new port object is matched by USB IDs', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale, port } = createScale(device);
+    scale.addEventListener('error', () => {});
+
+    await scale.connect();
+    port.unplug();
+    await waitFor(() => scale.isLost);
+
+    // A different device must not be picked up
+    const other = new FakeSerialPort(new ScriptedDevice(INFO_SCRIPT), { usbProductId: 0x1234 });
+    scale.portProvider.addPort(other);
+    other.replug();
+    await delay(5);
+    assert.equal(scale.isLost, true);
+
+    const replugged = new FakeSerialPort(device);
+    scale.portProvider.addPort(replugged);
+    replugged.replug();
+    await waitFor(() => scale.isConnected);
+    assert.equal(scale.port, replugged);
+    await scale.disconnect();
+});
+
+test('disconnecting while lost abandons the outage', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale, port } = createScale(device);
+    scale.addEventListener('error', () => {});
+
+    await scale.connect();
+    await scale.startReading('onread');
+    port.unplug();
+    await waitFor(() => scale.isLost);
+
+    const outageEvent = nextEvent(scale, 'outage');
+    await scale.disconnect();
+    assert.equal((await outageEvent).reconnected, false);
+    assert.equal(scale.state, 'disconnected');
+
+    port.replug();
+    await delay(5);
+    assert.equal(scale.state, 'disconnected');
+    assert.equal(port.openCount, 1);
+});
+
+test('stopping while lost reconnects without resuming', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale, port } = createScale(device);
+    scale.addEventListener('error', () => {});
+
+    await scale.connect();
+    await scale.startReading('onread');
+    port.unplug();
+    await waitFor(() => scale.isLost);
+
+    await scale.stopReading();
+    assert.equal(scale.resumeMethod, null);
+
+    port.replug();
+    await waitFor(() => scale.isConnected);
+    await delay(5);
+    assert.equal(scale.state, 'connected');
+    assert.equal(device.commands.at(-1), 'units');
+    await scale.disconnect();
+});
+
+test('outages are kept for the report until metrics are reset', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale, port } = createScale(device);
+    scale.addEventListener('error', () => {});
+
+    await scale.connect();
+    for (let i = 0; i < 2; i++) {
+        port.unplug();
+        await waitFor(() => scale.isLost);
+        port.replug();
+        await waitFor(() => scale.isConnected);
+    }
+    assert.equal(scale.outages.length, 2);
+    assert.ok(scale.outages.every(outage => outage.reconnected));
+
+    scale.resetMetrics();
+    assert.deepEqual(scale.outages, []);
+    await scale.disconnect();
+});
+
+test('connections share one Web Serial provider and its hot-plug listeners', async () => {
+    assert.equal(createPortProvider('webserial'), createPortProvider('webserial'));
+    assert.equal(new ScaleConnection().portProvider, createPortProvider('webserial'));
+
+    const serial = new EventTarget();
+    const original = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', { value: { serial }, configurable: true });
+    try {
+        const provider = new WebSerialPortProvider();
+        const events = [];
+        provider.addEventListener('disconnect', event => events.push(event.detail.port));
+        // A port's event reaches navigator.serial with the port as its target
+        serial.dispatchEvent(new Event('disconnect'));
+        assert.deepEqual(events, [serial]);
+    } finally {
+        if (original) {
+            Object.defineProperty(globalThis, 'navigator', original);
+        } else {
+            delete globalThis.navigator;
+        }
+    }
+});
+
+test('a port that fails to reopen is retried with growing delays, then left for its connect event', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale, port } = createScale(device, { reconnectRetries: 2, reconnectDelay: 20 });
+    const errors = [];
+    scale.addEventListener('error', event => errors.push(event.detail.context));
+
+    const open = port.open.bind(port);
+    const attempts = [];
+    port.open = async (options) => {
+        attempts.push(performance.now());
+        if (attempts.length > 1 && attempts.length <= 5) {
+            throw new DOMException('Failed to open serial port.', 'NetworkError');
+        }
+        return open(options);
+    };
+
+    await scale.connect();
+    port.end();
+    await waitFor(() => attempts.length === 4);
+    await delay(100);
+    // One immediate attempt and two retries, 20ms and 40ms apart
+    assert.equal(attempts.length, 4);
+    assert.ok(attempts[2] - attempts[1] >= 19 && attempts[3] - attempts[2] >= 39);
+    assert.equal(errors.filter(context => context === 'reconnect').length, 3);
+    assert.equal(scale.isLost, true);
+
+    // The next connect event starts over; the port opens on its second try
+    const outageEvent = nextEvent(scale, 'outage');
+    port.replug();
+    assert.equal((await outageEvent).reconnected, true);
+    assert.equal(attempts.length, 6);
+    await scale.disconnect();
+});
+
+test('disconnecting stops pending reconnect retries', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale, port } = createScale(device, { reconnectDelay: 20 });
+    scale.addEventListener('error', () => {});
+
+    await scale.connect();
+    port.open = async () => {
+        throw new DOMException('Failed to open serial port.', 'NetworkError');
+    };
+    port.end();
+    await waitFor(() => scale.reconnectWait !== null);
+    await scale.disconnect();
+    // The retry loop has returned, not been left waiting
+    await delay(0);
+    assert.equal(scale.reconnectWait, null);
+    assert.equal(scale.state, 'disconnected');
+});
+
+test('reconnect retries can be turned off', async () => {
+    const device = new ScriptedDevice(INFO_SCRIPT);
+    const { scale, port } = createScale(device, { reconnectRetries: 0, reconnectDelay: 10 });
+    scale.addEventListener('error', () => {});
+
+    await scale.connect();
+    let opens = 0;
+    port.open = async () => {
+        opens++;
+        throw new DOMException('Failed to open serial port.', 'NetworkError');
+    };
+    port.end();
+    await waitFor(() => opens === 1);
+    await delay(50);
+    assert.equal(opens, 1);
+    assert.equal(scale.isLost, true);
+    await scale.disconnect();
+});
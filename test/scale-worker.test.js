@@ -0,0 +1,280 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScaleWorkerHost, resolveWorkerPort } from '../shared/scale-worker-host.js';
+import { WorkerScaleConnection, describeWorkerPort } from '../shared/worker-connection.js';
+import { packReadings, unpackReadings, serializeError, deserializeError } from '../shared/worker-protocol.js';
+import { SimulatedPortProvider, SimulatedScale, MockSerialPort } from '../shared/mock-serial.js';
+import { DetectionError } from '../shared/port-detection.js';
+import { FakeSerialPort, FakePortProvider, ScriptedDevice, nextEvent, waitFor } from './helpers/fake-serial.js';
+
+// Stands in for a dedicated worker: messages are cloned and delivered
+// asynchronously in both directions, as between threads
+class InProcessWorker extends EventTarget {
+    constructor(options) {
+        super();
+        this.terminated = false;
+        this.host = new ScaleWorkerHost((message) => {
+            if (this.terminated) return;
+            const copy = structuredClone(message);
+            setTimeout(() => {
+                const event = new Event('message');
+                event.data = copy;
+                this.dispatchEvent(event);
+            }, 0);
+        }, options);
+    }
+
+    postMessage(message) {
+        const copy = structuredClone(message);
+        setTimeout(() => this.host.handleMessage(copy), 0);
+    }
+
+    async terminate() {
+        this.terminated = true;
+        if (this.host.scale) await this.host.scale.disconnect();
+    }
+}
+
+// Provider for which every port has already been granted
+async function grantedProvider(ports) {
+    const provider = new FakePortProvider(ports);
+    for (let i = 0; i < ports.length; i++) await provider.requestPort();
+    return provider;
+}
+
+function createConnection(options = {}) {
+    const provider = new SimulatedPortProvider({ lineRate: 200 });
+    const worker = new InProcessWorker({ batchInterval: 20 });
+    const scale = new WorkerScaleConnection({ portProvider: provider, baudRate: 115200, worker, ...options });
+    return { scale, provider, worker };
+}
+
+test('readings survive packing into one transferable array', () => {
+    const readings = [
+        { timestamp: 1700000000000, rawWeight: 100.25, weight: 100.125, latency: 0.5, deviceStable: true, mode: 'net', unit: 'kg' },
+        { timestamp: 1700000000010, rawWeight: -3, weight: -2.5, latency: 12, deviceStable: null, mode: null, unit: null },
+        { timestamp: 1700000000020, rawWeight: 7, weight: 7, latency: 1, deviceStable: false, mode: 'gross', unit: 'lb' }
+    ];
+    const units = [];
+    const packed = packReadings(readings, units);
+
+    assert.ok(packed instanceof Float64Array);
+    assert.deepEqual(units, ['kg', 'lb']);
+    assert.deepEqual(unpackReadings(packed, structuredClone(units)), readings);
+    assert.deepEqual(unpackReadings(packReadings([])), []);
+});
+
+test('errors keep their name and detection attempts across the worker boundary', () => {
+    const error = deserializeError(structuredClone(serializeError(new DetectionError([{ ok: false }]))));
+
+    assert.equal(error.name, 'DetectionError');
+    assert.match(error.message, /1 setting tried/);
+    assert.deepEqual(error.attempts, [{ ok: false }]);
+});
+
+test('a simulated scale is recreated in the worker from its settings', async () => {
+    const page = new SimulatedPortProvider({ waveform: 'sine', noise: 0.5 });
+    const port = await page.requestPort();
+    const descriptor = structuredClone(await describeWorkerPort(port, page));
+
+    const providers = { simulated: new SimulatedPortProvider(), webserial: null };
+    const copy = await resolveWorkerPort(descriptor, providers);
+
+    assert.notEqual(copy, port);
+    assert.equal(copy.device.deviceId, port.device.deviceId);
+    assert.equal(copy.device.options.waveform, 'sine');
+    assert.equal(copy.device.options.noise, 0.5);
+    assert.deepEqual(copy.getInfo(), port.getInfo());
+    assert.equal(await resolveWorkerPort(descriptor, providers), copy);
+});
+
+test('a granted port is found by index, or by identity when the list changed', async () => {
+    const device = new ScriptedDevice({});
+    const a = new FakeSerialPort(device, { usbVendorId: 0x2341, usbProductId: 1, serialNumber: 'A' });
+    const b = new FakeSerialPort(device, { usbVendorId: 0x2341, usbProductId: 2, serialNumber: 'B' });
+    const descriptor = await describeWorkerPort(b, await grantedProvider([a, b]));
+    assert.equal(descriptor.index, 1);
+
+    const same = { webserial: await grantedProvider([a, b]) };
+    assert.equal(await resolveWorkerPort(descriptor, same), b);
+
+    const reordered = { webserial: await grantedProvider([b, a]) };
+    assert.equal(await resolveWorkerPort(descriptor, reordered), b);
+
+    const missing = { webserial: await grantedProvider([a]) };
+    await assert.rejects(resolveWorkerPort(descriptor, missing), /not available to the worker/);
+});
+
+test('a worker connection streams batched readings and reports run statistics', async () => {
+    const { scale, worker } = createConnection({ filters: [{ type: 'median', windowSize: 3 }] });
+    let batches = 0;
+    worker.addEventListener('message', (e) => {
+        if (e.data.type === 'readings') batches++;
+    });
+    const states = [];
+    scale.addEventListener('state', (e) => states.push(e.detail.state));
+    const readings = [];
+    scale.addEventListener('reading', (e) => readings.push(e.detail));
+
+    await scale.connect();
+    assert.equal(scale.state, 'connected');
+    assert.equal(scale.deviceInfo.id, 'SIM-0001');
+    assert.equal(scale.openOptions.baudRate, 115200);
+    assert.deepEqual(scale.filters, [{ type: 'median', windowSize: 3 }]);
+    assert.ok(scale.port instanceof MockSerialPort);
+
+    await scale.startReading('onread');
+    assert.equal(scale.state, 'reading');
+    await waitFor(() => readings.length >= 20, 3000);
+
+    // Several readings per message, not one message per reading
+    assert.ok(batches > 0 && batches < readings.length);
+    assert.equal(typeof readings[0].weight, 'number');
+    assert.ok(readings[0].timestamp > 0);
+
+    await scale.stopReading();
+    const stats = await scale.getRunStats(1);
+    assert.equal(stats.totalReadings, readings.length);
+    assert.equal(scale.metrics.totalReadings, readings.length);
+    assert.ok(scale.metrics.getLatencyStats().max >= 0);
+    assert.ok(Array.isArray(stats.outages));
+    assert.ok(stats.link.bytesReceived > 0);
+    assert.ok(scale.link.getCurrent().rxBytesPerSecond > 0);
+
+    await scale.disconnect();
+    assert.equal(scale.state, 'disconnected');
+    assert.equal(scale.port, null);
+    assert.deepEqual(states, ['connecting', 'connected', 'reading', 'connected', 'disconnected']);
+    await worker.terminate();
+});
+
+test('resetting metrics drops readings still in flight', async () => {
+    const { scale, worker } = createConnection();
+    await scale.connect();
+    await scale.startReading('onread');
+    await waitFor(() => scale.metrics.totalReadings > 5, 3000);
+
+    await scale.stopReading();
+    await scale.resetMetrics();
+    assert.equal(scale.metrics.totalReadings, 0);
+    assert.equal((await scale.getRunStats(1)).totalReadings, 0);
+
+    await scale.disconnect();
+    await worker.terminate();
+});
+
+test('worker errors reject the request with the original error name', async () => {
+    const { scale, worker } = createConnection();
+
+    await assert.rejects(scale.getRunStats(1), /Not connected/);
+
+    await scale.connect();
+    scale.setFilters([{ type: 'exponential', alpha: 0.5 }]);
+    await scale.refreshDeviceInfo();
+    assert.deepEqual(worker.host.scale.filters, [{ type: 'exponential', alpha: 0.5 }]);
+    assert.throws(() => scale.setFilters([{ type: 'lowpass' }]), RangeError);
+
+    await assert.rejects(scale.sendCommand('nope'), { name: 'CommandRejectedError', message: /ERR/ });
+
+    await scale.disconnect();
+    await worker.terminate();
+});
+
+test('simulator settings reach the worker copy of a scale', async () => {
+    const { scale, worker } = createConnection();
+    await scale.connect();
+
+    await scale.configureSimulator({ waveform: 'ramp' });
+    assert.equal(worker.host.scale.port.device.options.waveform, 'ramp');
+
+    await scale.disconnect();
+    await worker.terminate();
+});
+
+test('a failed connect in the worker leaves the page side disconnected', async () => {
+    const provider = new SimulatedPortProvider();
+    const worker = new InProcessWorker();
+    const scale = new WorkerScaleConnection({ portProvider: provider, worker });
+    const port = new MockSerialPort(new SimulatedScale({ deviceId: 'SIM-0009' }));
+    await port.open({ baudRate: 9600 });
+    worker.host.providers.simulated.addPort(port);
+
+    const error = nextEvent(scale, 'state');
+    await assert.rejects(scale.connect(port), { name: 'InvalidStateError' });
+    assert.equal((await error).state, 'connecting');
+    assert.equal(scale.state, 'disconnected');
+    await worker.terminate();
+});
+
+test('settled events and the stable flag come through from the worker', async () => {
+    const { scale, worker } = createConnection({ stability: { tolerance: 0.1, holdTime: 50 } });
+    const settled = nextEvent(scale, 'settled');
+    await scale.connect();
+    await scale.startReading('onread');
+
+    const { weight } = await settled;
+    assert.equal(weight, 100);
+    assert.equal(scale.isStable, true);
+    assert.equal(scale.settledWeight, 100);
+
+    await scale.disconnect();
+    await worker.terminate();
+});
+
+test('the worker talks to the device with the selected protocol', async () => {
+    const { scale, provider, worker } = createConnection({ protocol: 'mtSics' });
+    provider.configure({ protocol: 'mtSics' });
+    await scale.connect();
+    assert.equal(scale.deviceInfo.id, 'SIM-0001');
+    assert.equal(scale.protocol, 'mtSics');
+
+    assert.match(await scale.tare(), /^T S /);
+    await scale.disconnect();
+
+    scale.protocol = 'rawLine';
+    await scale.connect();
+    await assert.rejects(scale.tare(), { name: 'UnsupportedCommandError' });
+
+    await scale.disconnect();
+    await worker.terminate();
+});
+
+test('frames are decoded and counted in the worker', async () => {
+    const frameFormat = { framer: 'slip', checksum: 'crc32' };
+    const { scale, provider, worker } = createConnection({ frameFormat });
+    provider.configure({ frameFormat });
+    await scale.connect();
+    assert.equal(scale.deviceInfo.id, 'SIM-0001');
+    assert.equal(scale.frameFormat.framer, 'slip');
+
+    await scale.startReading('onread');
+    await waitFor(() => scale.metrics.totalReadings >= 5);
+    await scale.stopReading();
+    assert.ok(scale.metrics.frames.received >= 5);
+    assert.equal(scale.metrics.frames.corrupted, 0);
+
+    await scale.disconnect();
+    await worker.terminate();
+});
+
+test('raw writes and captured traffic cross the worker boundary', async () => {
+    const { scale, worker } = createConnection();
+    const traffic = [];
+    scale.addEventListener('traffic', event => traffic.push(event.detail));
+    // Set before connecting, applied to the connection the worker creates
+    scale.setTrafficCapture(true);
+    await scale.connect();
+    traffic.length = 0;
+
+    const text = direction => traffic.filter(entry => entry.direction === direction)
+        .map(entry => new TextDecoder().decode(entry.bytes)).join('');
+    await scale.writeLine('id\r', { terminator: '' });
+    await waitFor(() => text('rx').endsWith('\n'));
+    assert.equal(text('tx'), 'id\r');
+    assert.equal(text('rx'), 'SIM-0001\r\n');
+    assert.equal(scale.captureTraffic, true);
+
+    await scale.disconnect();
+    await worker.terminate();
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CommandHistory, formatHex, formatText, formatConsoleTime } from '../shared/serial-console.js';
+import { ScaleConnection } from '../shared/serial-core.js';
+import { SimulatedPortProvider } from '../shared/mock-serial.js';
+import { waitFor } from './helpers/fake-serial.js';
+
+const encode = text => new TextEncoder().encode(text);
+const decode = entries => entries.map(entry => new TextDecoder().decode(entry.bytes)).join('');
+
+test('bytes are shown as escaped text and as hex', () => {
+    assert.equal(formatText(encode('S S 1.0 g\r\n')), 'S S 1.0 g\\r\\n');
+    assert.equal(formatText(Uint8Array.of(0x02, 0x41, 0x09, 0x5c, 0xff)), '\\x02A\\t\\\\\\xFF');
+    assert.equal(formatHex(encode('w\r')), '77 0D');
+    assert.equal(formatHex(new Uint8Array(0)), '');
+    assert.equal(formatConsoleTime(new Date(2024, 0, 1, 9, 5, 7, 42).getTime()), '09:05:07.042');
+});
+
+test('the command history is browsed like a shell', () => {
+    const history = new CommandHistory(3);
+    ['id', 'w', 'w', '', 'units', 'slc'].forEach(command => history.add(command));
+    // Repeats and empty commands are not kept; the oldest goes past maxEntries
+    assert.deepEqual(history.entries, ['w', 'units', 'slc']);
+
+    assert.equal(history.previous('ct'), 'slc');
+    assert.equal(history.previous('slc'), 'units');
+    assert.equal(history.previous('units'), 'w');
+    assert.equal(history.previous('w'), 'w');
+    assert.equal(history.next(), 'units');
+    assert.equal(history.next(), 'slc');
+    // Past the newest entry the draft comes back
+    assert.equal(history.next(), 'ct');
+    assert.equal(history.next(), 'ct');
+
+    history.add('tare');
+    assert.equal(history.previous(''), 'tare');
+    assert.equal(new CommandHistory().previous('x'), 'x');
+});
+
+test('written lines and the traffic they cause are seen byte for byte', async () => {
+    const provider = new SimulatedPortProvider();
+    const scale = new ScaleConnection({ portProvider: provider, baudRate: 115200 });
+    const traffic = [];
+    scale.addEventListener('traffic', event => traffic.push(event.detail));
+    await scale.connect();
+    // Nothing is captured unless asked for
+    assert.equal(traffic.length, 0);
+    await assert.rejects(new ScaleConnection({ portProvider: provider }).writeLine('id'), { name: 'ChannelClosedError' });
+
+    scale.setTrafficCapture(true);
+    await scale.writeLine('id\r', { terminator: '' });
+    await waitFor(() => decode(traffic.filter(entry => entry.direction === 'rx')).includes('\n'));
+
+    const sent = traffic.filter(entry => entry.direction === 'tx');
+    assert.equal(decode(sent), 'id\r');
+    assert.equal(decode(traffic.filter(entry => entry.direction === 'rx')), 'SIM-0001\r\n');
+    assert.ok(traffic.every(entry => entry.bytes instanceof Uint8Array && entry.timestamp > 0));
+
+    // Commands the page queues show up too, with the protocol's terminator
+    traffic.length = 0;
+    await scale.sendCommand('units');
+    assert.equal(decode(traffic.filter(entry => entry.direction === 'tx')), 'units\r');
+    traffic.length = 0;
+    await scale.writeLine('slc', { terminator: '\r\n' });
+    await scale.writeLine('id');
+    await waitFor(() => decode(traffic.filter(entry => entry.direction === 'tx')) === 'slc\r\nid\r');
+
+    scale.setTrafficCapture(false);
+    traffic.length = 0;
+    await scale.sendCommand('id');
+    assert.equal(traffic.length, 0);
+    await scale.disconnect();
+});
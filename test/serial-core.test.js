@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLineTransformStream, MedianFilter } from '../shared/serial-core.js';
+import { collect } from './helpers/fake-serial.js';
+
+// Feed text chunks through a fresh line splitter and return the line texts
+async function split(chunks) {
+    const lineStream = createLineTransformStream();
+    const writer = lineStream.writable.getWriter();
+    const done = collect(lineStream.readable);
+
+    for (const chunk of chunks) {
+        await writer.write(chunk);
+    }
+    await writer.close();
+
+    return (await done).map(line => line.text);
+}
+
+test('line splitter joins lines split across chunks', async () => {
+    assert.deepEqual(await split(['12', '3.4', '5\r', '\n67', '8.9\r\n']), ['123.45', '678.9']);
+});
+
+test('line splitter emits several lines from one chunk', async () => {
+    assert.deepEqual(await split(['1.0\r\n2.0\r\n3.0\r\n']), ['1.0', '2.0', '3.0']);
+});
+
+test('line splitter accepts CRLF and LF endings', async () => {
+    assert.deepEqual(await split(['1.0\r\n2.0\n3.0\r\n']), ['1.0', '2.0', '3.0']);
+});
+
+test('line splitter drops blank lines', async () => {
+    assert.deepEqual(await split(['\r\n1.0\r\n  \r\n\n2.0\n']), ['1.0', '2.0']);
+});
+
+test('line splitter flushes an unterminated last line', async () => {
+    assert.deepEqual(await split(['1.0\r\n2.', '5']), ['1.0', '2.5']);
+});
+
+test('line splitter stamps each line with the arrival of its last chunk', async () => {
+    const lineStream = createLineTransformStream();
+    const writer = lineStream.writable.getWriter();
+    const done = collect(lineStream.readable);
+
+    const before = performance.now();
+    await writer.write('1.0');
+    await writer.write('\r\n');
+    await writer.close();
+
+    const [line] = await done;
+    assert.equal(line.text, '1.0');
+    assert.ok(line.receivedAt >= before);
+    assert.ok(line.receivedAt <= performance.now());
+});
+
+test('line splitter keeps the arrival stamped on byte chunks', async () => {
+    const lineStream = createLineTransformStream();
+    const writer = lineStream.writable.getWriter();
+    const done = collect(lineStream.readable);
+
+    // The two bytes of 'é' arrive in separate chunks
+    const bytes = new TextEncoder().encode('1.0 \u00e9\r\n2.0');
+    await writer.write({ bytes: bytes.slice(0, 5), receivedAt: 10 });
+    await writer.write({ bytes: bytes.slice(5), receivedAt: 20 });
+    await writer.close();
+
+    assert.deepEqual(await done, [
+        { text: '1.0 \u00e9', receivedAt: 20 },
+        { text: '2.0', receivedAt: 20 }
+    ]);
+});
+
+test('median filter returns the median of the window', () => {
+    const filter = new MedianFilter(3);
+    assert.equal(filter.push(5), 5);
+    assert.equal(filter.push(1), 5); // [5, 1] -> upper median
+    assert.equal(filter.push(3), 3);
+    assert.equal(filter.push(100), 3); // window is now [1, 3, 100]
+    assert.equal(filter.push(4), 4); // [3, 100, 4]
+});
+
+test('median filter rejects a single spike', () => {
+    const filter = new MedianFilter(5);
+    const output = [10, 10, 10, 500, 10, 10].map(value => filter.push(value));
+    assert.ok(output.every(value => value === 10));
+});
+
+test('median filter reset clears the window', () => {
+    const filter = new MedianFilter(3);
+    filter.push(1);
+    filter.push(2);
+    filter.reset();
+    assert.equal(filter.push(9), 9);
+});
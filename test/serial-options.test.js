@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_SERIAL_OPTIONS,
+    normalizeSerialOptions,
+    formatFraming,
+    describePortSettings,
+    bitsPerCharacter
+} from '../shared/serial-options.js';
+import { MockSerialPort, SimulatedScale } from '../shared/mock-serial.js';
+
+test('missing options fall back to the Web Serial defaults', () => {
+    assert.deepEqual(normalizeSerialOptions(), DEFAULT_SERIAL_OPTIONS);
+    assert.deepEqual(normalizeSerialOptions({ baudRate: 9600, parity: '', windowSize: 5 }), DEFAULT_SERIAL_OPTIONS);
+});
+
+test('form values are converted and unrelated keys dropped', () => {
+    assert.deepEqual(normalizeSerialOptions({ dataBits: '7', parity: 'even', stopBits: '2', bufferSize: '4096', name: 'x' }), {
+        dataBits: 7, parity: 'even', stopBits: 2, flowControl: 'none', bufferSize: 4096
+    });
+});
+
+test('values SerialPort.open() would refuse are rejected', () => {
+    assert.throws(() => normalizeSerialOptions({ dataBits: 6 }), RangeError);
+    assert.throws(() => normalizeSerialOptions({ parity: 'mark' }), RangeError);
+    assert.throws(() => normalizeSerialOptions({ stopBits: 1.5 }), RangeError);
+    assert.throws(() => normalizeSerialOptions({ flowControl: 'xon' }), RangeError);
+    assert.throws(() => normalizeSerialOptions({ bufferSize: 0 }), RangeError);
+    assert.throws(() => normalizeSerialOptions({ bufferSize: 16 * 1024 * 1024 + 1 }), RangeError);
+    assert.throws(() => normalizeSerialOptions({ bufferSize: 'abc' }), RangeError);
+});
+
+test('framing is shown in the usual short form', () => {
+    assert.equal(formatFraming(DEFAULT_SERIAL_OPTIONS), '8N1');
+    assert.equal(formatFraming({ dataBits: 7, parity: 'even', stopBits: 1 }), '7E1');
+    assert.equal(formatFraming({ dataBits: 8, parity: 'odd', stopBits: 2 }), '8O2');
+    assert.equal(describePortSettings({ baudRate: 9600, ...DEFAULT_SERIAL_OPTIONS }), '9600 8N1');
+    assert.equal(describePortSettings({ baudRate: 2400, dataBits: 7, parity: 'even', stopBits: 1, flowControl: 'hardware' }),
+        '2400 7E1, RTS/CTS');
+});
+
+test('bits per character include start, parity and stop bits', () => {
+    assert.equal(bitsPerCharacter(), 10);
+    assert.equal(bitsPerCharacter({ dataBits: 7, parity: 'even', stopBits: 1 }), 10);
+    assert.equal(bitsPerCharacter({ dataBits: 8, parity: 'odd', stopBits: 2 }), 12);
+});
+
+test('the mock port refuses invalid options like a real port', async () => {
+    const port = new MockSerialPort(new SimulatedScale());
+    await assert.rejects(port.open({ baudRate: 9600, dataBits: 5 }), TypeError);
+    assert.equal(port.readable, null);
+
+    await port.open({ baudRate: 9600, dataBits: 7, parity: 'even' });
+    assert.equal(port.openOptions.parity, 'even');
+    await port.close();
+});
+
+test('the simulated line rate is limited by the bits each character takes', () => {
+    const scale = new SimulatedScale({ lineRate: 10000, baseWeight: 100, amplitude: 0, decimals: 3 });
+    scale.attach({ baudRate: 9600, bitsPerCharacter: 10, send() {}, unplug() {} });
+    const eightN1 = scale.effectiveLineRate();
+    scale.attach({ baudRate: 9600, bitsPerCharacter: 12, send() {}, unplug() {} });
+
+    // '100.000\r\n' is 9 bytes
+    assert.equal(eightN1, 9600 / 10 / 9);
+    assert.equal(scale.effectiveLineRate(), 9600 / 12 / 9);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StabilityDetector, normalizeStabilityOptions } from '../shared/stability.js';
+import { ScaleConnection } from '../shared/serial-core.js';
+
+// Feed weights 100ms apart starting at time start; returns the stable flag after each
+function feed(detector, weights, start = 0) {
+    return weights.map((weight, i) => detector.push({ weight, timestamp: start + i * 100 }));
+}
+
+function recordEvents(target, type) {
+    const events = [];
+    target.addEventListener(type, event => events.push(event.detail));
+    return events;
+}
+
+test('the weight is stable once it stays within tolerance for the hold time', () => {
+    const detector = new StabilityDetector({ tolerance: 0.5, holdTime: 300 });
+    const settled = recordEvents(detector, 'settled');
+
+    assert.deepEqual(feed(detector, [100, 100.2, 99.9, 100.1, 100]), [false, false, false, true, true]);
+    assert.equal(settled.length, 1);
+    assert.ok(Math.abs(settled[0].weight - 100.05) < 1e-9);
+    assert.equal(settled[0].change, null);
+    assert.equal(settled[0].timeToStable, null);
+});
+
+test('a load change is timed from the start of motion to the new stable weight', () => {
+    const detector = new StabilityDetector({ tolerance: 0.5, holdTime: 200 });
+    const changes = recordEvents(detector, 'stability');
+    const settled = recordEvents(detector, 'settled');
+
+    feed(detector, [0, 0, 0]);
+    // Load placed at t=300, overshoots, settles at 250 from t=600
+    feed(detector, [120, 300, 240, 250, 250.2, 250.1], 300);
+
+    assert.deepEqual(changes.map(change => change.stable), [true, false, true]);
+    assert.equal(changes[1].timestamp, 300);
+    assert.equal(settled.length, 2);
+    assert.equal(settled[1].timeToStable, 500);
+    assert.ok(Math.abs(settled[1].change - 250.1) < 1e-9);
+
+    const summary = detector.getSummary();
+    assert.equal(summary.stable, true);
+    assert.equal(summary.loadChanges, 1);
+    assert.equal(summary.avgTimeToStable, 500);
+    assert.equal(summary.lastTimeToStable, 500);
+});
+
+test('the motion band lets a stable weight drift before motion is reported', () => {
+    const detector = new StabilityDetector({ tolerance: 0.2, holdTime: 100, motionBand: 1 });
+    feed(detector, [50, 50]);
+    assert.equal(detector.stable, true);
+
+    assert.deepEqual(feed(detector, [50.5, 50.9, 48.9], 200), [true, true, false]);
+});
+
+test('a bump that returns to the same weight is not counted as a load change', () => {
+    const detector = new StabilityDetector({ tolerance: 0.5, holdTime: 100 });
+    feed(detector, [10, 10]);
+    feed(detector, [14, 10, 10, 10], 200);
+
+    assert.equal(detector.stable, true);
+    assert.equal(detector.getSummary().loadChanges, 0);
+});
+
+test('stability settings are validated', () => {
+    assert.deepEqual(normalizeStabilityOptions({ tolerance: '2', holdTime: '' }), { tolerance: 2, holdTime: 500, motionBand: 0 });
+    assert.throws(() => normalizeStabilityOptions({ holdTime: -1 }), RangeError);
+    assert.throws(() => new StabilityDetector().configure({ tolerance: 'abc' }), /tolerance/);
+});
+
+test('a connection raises settled events and includes stability in its run stats', () => {
+    const scale = new ScaleConnection({ filters: [], stability: { tolerance: 0.1, holdTime: 0 } });
+    const settled = recordEvents(scale, 'settled');
+
+    scale.processReading(42, 1);
+    assert.equal(scale.isStable, true);
+    assert.equal(scale.settledWeight, 42);
+    assert.equal(settled.length, 1);
+    assert.equal(scale.getRunStats(1).stability.stable, true);
+
+    scale.resetMetrics();
+    assert.equal(scale.isStable, false);
+});
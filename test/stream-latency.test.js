@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StreamLatencyTracker } from '../shared/stream-latency.js';
+
+test('decode delay runs from the bytes arriving to the line being read', () => {
+    const tracker = new StreamLatencyTracker();
+    const first = tracker.measure(100, 102.5);
+    assert.equal(first.decodeDelay, 2.5);
+    assert.equal(first.interval, null);
+    // Nothing to compare the first line's timing with
+    assert.equal(first.periodDeviation, 0);
+    assert.equal(first.latency, 2.5);
+
+    // A reader can't take a line before it arrived
+    assert.equal(tracker.measure(110, 109).decodeDelay, 0);
+});
+
+test('intervals are scored against the expected device rate', () => {
+    const tracker = new StreamLatencyTracker({ expectedRate: 100 }); // 10ms period
+    tracker.measure(0, 1);
+
+    const late = tracker.measure(14, 15);
+    assert.equal(late.interval, 14);
+    assert.equal(late.periodDeviation, 4);
+    // Lateness adds to the latency, being early does not
+    assert.equal(late.latency, 1 + 4);
+
+    const early = tracker.measure(20, 21);
+    assert.equal(early.periodDeviation, -4);
+    assert.equal(early.jitter, 8);
+    assert.equal(early.latency, 1);
+
+    const summary = tracker.getSummary();
+    assert.equal(summary.expectedPeriod, 10);
+    assert.equal(summary.deviceRate, 100);
+    assert.deepEqual(summary.periodDeviation, { avg: 0, p95: 4, max: 4 });
+    assert.deepEqual(summary.decodeDelay, { avg: 1, p95: 1, max: 1 });
+    assert.equal(summary.smoothedJitter, 4 / 16 + (4 - 4 / 16) / 16);
+});
+
+test('without an expected rate the period is estimated from the intervals', () => {
+    const tracker = new StreamLatencyTracker();
+    for (let i = 0; i <= 10; i++) {
+        const result = tracker.measure(i * 20, i * 20);
+        // Fewer than 10 intervals: no estimate, so no deviation
+        if (i < 10) assert.equal(result.periodDeviation, 0);
+    }
+    assert.equal(tracker.getExpectedPeriod(), 20);
+    // The new interval counts toward the estimate it is scored against
+    assert.equal(tracker.measure(250, 250).periodDeviation, 50 - 250 / 11);
+
+    tracker.setExpectedRate(50);
+    assert.equal(tracker.getExpectedPeriod(), 20);
+    tracker.reset();
+    assert.equal(tracker.measure(0, 0).interval, null);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TestRun, describeScale, TEST_RUN_FORMAT } from '../shared/test-run.js';
+import { ScaleConnection } from '../shared/serial-core.js';
+import { ScriptedDevice, FakeSerialPort, FakePortProvider } from './helpers/fake-serial.js';
+
+function createRun() {
+    const run = new TestRun({ page: 'speed-test', config: { baudRate: 115200, method: 'onread', testDuration: 30 } });
+    run.addChannel({ id: 'a', name: 'Left, "bin"', deviceId: 'SCALE-1', capacity: '5000', units: 'g', baudRate: 115200, method: 'onread' });
+    run.addChannel({ id: 'b', name: 'Right', deviceId: 'SCALE-2', capacity: '5000', units: 'g', baudRate: 9600, method: 'onread' });
+    return run;
+}
+
+test('every reading is kept, beyond the display history', () => {
+    const run = createRun();
+    for (let i = 0; i < 5000; i++) {
+        run.record(i % 2, { timestamp: 1000 + i, rawWeight: i, weight: i, latency: 0.5 });
+    }
+    assert.equal(run.readingCount, 5000);
+    assert.deepEqual(run.getReading(4999), { timestamp: 5999, channel: 1, rawWeight: 4999, weight: 4999, latency: 0.5 });
+});
+
+test('readings after finish are ignored and stats are attached per channel', () => {
+    const run = createRun();
+    run.record(0, { timestamp: 1, rawWeight: 1, weight: 1, latency: 1 });
+    run.finish([{ totalReadings: 1, p95: 1 }, { totalReadings: 0, p95: 0 }]);
+    run.record(0, { timestamp: 2, rawWeight: 2, weight: 2, latency: 2 });
+
+    assert.equal(run.isFinished, true);
+    assert.equal(run.readingCount, 1);
+    assert.deepEqual(run.channels[0].stats, { totalReadings: 1, p95: 1 });
+    assert.deepEqual(run.channels[1].stats, { totalReadings: 0, p95: 0 });
+});
+
+test('JSON export carries metadata, stats and readings', () => {
+    const run = createRun();
+    run.record(1, { timestamp: 1700000000000, rawWeight: 10.5, weight: 10.25, latency: 1.5 });
+    run.finish([null, { totalReadings: 1 }]);
+
+    const exported = JSON.parse(JSON.stringify(run));
+    assert.equal(exported.format, TEST_RUN_FORMAT);
+    assert.equal(exported.page, 'speed-test');
+    assert.equal(exported.totalReadings, 1);
+    assert.deepEqual(exported.config, { baudRate: 115200, method: 'onread', testDuration: 30 });
+    assert.equal(exported.channels[1].deviceId, 'SCALE-2');
+    assert.deepEqual(exported.channels[1].stats, { totalReadings: 1 });
+    assert.deepEqual(exported.readings, [
+        { timestamp: 1700000000000, channel: 1, rawWeight: 10.5, weight: 10.25, latency: 1.5 }
+    ]);
+    assert.ok(exported.duration >= 0);
+});
+
+test('CSV export has metadata comments, a header and one row per reading', () => {
+    const run = createRun();
+    run.record(0, { timestamp: 1700000000000, rawWeight: 10.5, weight: 10.25, latency: 1.23456 });
+    run.record(1, { timestamp: 1700000000010, rawWeight: -2, weight: -2, latency: 0 });
+    run.finish([{ p95: 1.2, outages: [] }, { p95: 0 }]);
+
+    const lines = run.toCSV().trimEnd().split('\n');
+    const comments = lines.filter(line => line.startsWith('# '));
+    const rows = lines.filter(line => !line.startsWith('# '));
+
+    assert.ok(comments.includes('# page = speed-test'));
+    assert.ok(comments.includes('# config.baudRate = 115200'));
+    assert.ok(comments.includes('# channels.0.deviceId = SCALE-1'));
+    assert.ok(comments.includes('# channels.0.units = g'));
+    assert.ok(comments.includes('# channels.0.stats.p95 = 1.2'));
+    assert.ok(comments.includes('# channels.1.baudRate = 9600'));
+
+    assert.equal(rows[0], 'timestamp,time,channel,channel_name,raw_weight,filtered_weight,latency_ms');
+    assert.equal(rows[1], '1700000000000,2023-11-14T22:13:20.000Z,0,"Left, ""bin""",10.5,10.25,1.235');
+    assert.equal(rows[2], '1700000000010,2023-11-14T22:13:20.010Z,1,Right,-2,-2,0.000');
+    assert.equal(rows.length, 3);
+});
+
+test('filenames are page and start time', () => {
+    const run = createRun();
+    run.startedAt = Date.UTC(2024, 0, 2, 3, 4, 5);
+    assert.equal(run.getFilename('csv'), 'speed-test-2024-01-02T03-04-05.csv');
+});
+
+test('describeScale reports device info and the open port settings', async () => {
+    const device = new ScriptedDevice({ id: 'SCALE-42', slc: '5000', units: 'kg' });
+    const port = new FakeSerialPort(device, { serialNumber: 'SN1' });
+    const scale = new ScaleConnection({
+        portProvider: new FakePortProvider([port]),
+        baudRate: 57600,
+        dataBits: 7,
+        parity: 'even',
+        flowControl: 'hardware',
+        bufferSize: 4096
+    });
+
+    await scale.connect();
+    scale.baudRate = 9600; // Only applies to the next connect
+    scale.serialOptions = { ...scale.serialOptions, parity: 'odd' };
+    assert.deepEqual(describeScale(scale), {
+        deviceId: 'SCALE-42',
+        capacity: '5000',
+        units: 'kg',
+        baudRate: 57600,
+        framing: '7E1',
+        dataBits: 7,
+        parity: 'even',
+        stopBits: 1,
+        flowControl: 'hardware',
+        bufferSize: 4096,
+        method: 'onread',
+        protocol: 'scale',
+        frameFormat: 'line',
+        port: { usbVendorId: 0x2341, usbProductId: 0x8036, serialNumber: 'SN1' }
+    });
+    await scale.disconnect();
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SeriesBuffer, decimate, niceRange, WeightChart } from '../shared/weight-chart.js';
+
+// Canvas whose 2D context accepts every call and draws nothing
+function createCanvas() {
+    const context = new Proxy({}, {
+        get: (target, name) => name in target ? target[name] : (name === 'measureText' ? () => ({ width: 10 }) : () => {}),
+        set: (target, name, value) => { target[name] = value; return true; }
+    });
+    return {
+        width: 600,
+        height: 300,
+        clientWidth: 600,
+        clientHeight: 300,
+        listeners: {},
+        getContext: () => context,
+        addEventListener(type, listener) { this.listeners[type] = listener; }
+    };
+}
+
+test('the ring buffer keeps the newest points in time order', () => {
+    const buffer = new SeriesBuffer(4);
+    for (let i = 0; i < 6; i++) {
+        buffer.push(i * 10, i, i * 2);
+    }
+
+    assert.equal(buffer.length, 4);
+    assert.equal(buffer.firstTime, 20);
+    assert.equal(buffer.lastTime, 50);
+    assert.equal(buffer.valueAt('filtered', 3), 10);
+    assert.equal(buffer.lowerBound(25), 1);
+    assert.equal(buffer.lowerBound(100), 4);
+    assert.equal(buffer.nearest(34), 1);
+    assert.equal(buffer.nearest(36), 2);
+    assert.equal(buffer.nearest(0), 0);
+
+    buffer.clear();
+    assert.equal(buffer.nearest(10), -1);
+    assert.equal(buffer.lastTime, null);
+});
+
+test('decimation keeps spikes as the min and max of their pixel column', () => {
+    const buffer = new SeriesBuffer(1000);
+    for (let i = 0; i < 1000; i++) {
+        buffer.push(i, i === 500 ? 99 : 1, 1);
+    }
+
+    const buckets = decimate(buffer, 'raw', 0, 1000, 10);
+    assert.equal(buckets.length, 10);
+    assert.deepEqual(buckets[5], { min: 1, max: 99, first: 99, last: 1 });
+    assert.equal(buckets[4].max, 1);
+
+    // Gaps stay empty; the points either side of the view are pulled in
+    const sparse = new SeriesBuffer(10);
+    [0, 100, 300].forEach(time => sparse.push(time, time, time));
+    const view = decimate(sparse, 'raw', 50, 250, 4);
+    assert.equal(view[0].min, 0);
+    assert.equal(view[1].min, 100);
+    assert.equal(view[2], null);
+    assert.equal(view[3].min, 300);
+});
+
+test('value range pads the data and never collapses', () => {
+    assert.deepEqual(niceRange(0, 10), { min: -0.5, max: 10.5 });
+    const flat = niceRange(5, 5);
+    assert.ok(flat.min < 5 && flat.max > 5);
+    assert.deepEqual(niceRange(Infinity, -Infinity), { min: 0, max: 1 });
+});
+
+test('the live view follows the newest reading until paused', () => {
+    const chart = new WeightChart(createCanvas(), { timeWindow: 1000 });
+    const views = [];
+    chart.addEventListener('view', (e) => views.push(e.detail.paused));
+    chart.addSeries('a', { name: 'A' });
+    chart.addSeries('b', { name: 'B' });
+    chart.push('a', 5000, 1, 1);
+    chart.push('b', 5200, 2, 2);
+    chart.push('missing', 9000, 3, 3);
+
+    assert.deepEqual(chart.getTimeRange(), { start: 4200, end: 5200 });
+
+    chart.pause();
+    chart.push('a', 6000, 4, 4);
+    assert.equal(chart.getTimeRange().end, 5200);
+
+    chart.resume();
+    assert.equal(chart.getTimeRange().end, 6000);
+    assert.deepEqual(views, [true, false]);
+
+    const values = chart.getValuesAt(5100);
+    assert.deepEqual(values.map(value => [value.name, value.time, value.raw]), [['A', 5000, 1], ['B', 5200, 2]]);
+});
+
+test('zoom keeps the anchor in place and pan pauses the view', () => {
+    const chart = new WeightChart(createCanvas(), { timeWindow: 1000 });
+    chart.addSeries('a');
+    for (let t = 0; t <= 10000; t += 10) {
+        chart.push('a', t, t, t);
+    }
+
+    // Live zoom only changes the window
+    chart.zoom(0.5, 9000);
+    assert.deepEqual(chart.getTimeRange(), { start: 9500, end: 10000 });
+
+    chart.pan(-2000);
+    assert.equal(chart.paused, true);
+    assert.deepEqual(chart.getTimeRange(), { start: 7500, end: 8000 });
+
+    chart.zoom(2, 7750);
+    assert.deepEqual(chart.getTimeRange(), { start: 7250, end: 8250 });
+
+    chart.zoom(0.0001);
+    assert.equal(chart.timeWindow, 50);
+
+    chart.resetView();
+    assert.equal(chart.paused, false);
+    assert.deepEqual(chart.getTimeRange(), { start: 9000, end: 10000 });
+});
+
+test('drawing cost depends on the canvas width, not the number of readings', () => {
+    const canvas = createCanvas();
+    let lines = 0;
+    const context = canvas.getContext();
+    context.lineTo = () => { lines++; };
+
+    const chart = new WeightChart(canvas, { timeWindow: 60000, capacity: 30000 });
+    chart.addSeries('a');
+    chart.addSeries('b');
+    for (let i = 0; i < 30000; i++) {
+        chart.push('a', i * 2, Math.sin(i), Math.sin(i));
+        chart.push('b', i * 2, Math.cos(i), Math.cos(i));
+    }
+    chart.cursorX = 300;
+    chart.draw();
+
+    // 2 series x raw/filtered, at most 4 segments per pixel column, plus grid lines
+    assert.ok(lines > 0);
+    assert.ok(lines < 4 * 4 * 600 + 100);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseWeightLine, parseSicsLine, unitsMatch } from '../shared/weight-parser.js';
+import { ScaleConnection } from '../shared/serial-core.js';
+import { SimulatedPortProvider } from '../shared/mock-serial.js';
+import { waitFor } from './helpers/fake-serial.js';
+
+function reading(value, fields = {}) {
+    return { value, unit: null, mode: null, stable: null, status: 'ok', error: null, ...fields };
+}
+
+test('bare numbers, units and suffix flags are parsed', () => {
+    assert.deepEqual(parseWeightLine('12.5'), reading(12.5));
+    assert.deepEqual(parseWeightLine('  12.34 kg'), reading(12.34, { unit: 'kg' }));
+    assert.deepEqual(parseWeightLine('-  1.200lb N'), reading(-1.2, { unit: 'lb', mode: 'net' }));
+    assert.deepEqual(parseWeightLine('+.5 g ?'), reading(0.5, { unit: 'g', stable: false }));
+});
+
+test('indicator headers give stability and gross/net', () => {
+    assert.deepEqual(parseWeightLine('ST,GS,+0012.34kg'), reading(12.34, { unit: 'kg', mode: 'gross', stable: true }));
+    assert.deepEqual(parseWeightLine('US,NT,-  0.50 kg'), reading(-0.5, { unit: 'kg', mode: 'net', stable: false }));
+});
+
+test('overload, underload and error lines carry no value', () => {
+    assert.equal(parseWeightLine('OL').status, 'overload');
+    assert.equal(parseWeightLine('+OVER').status, 'overload');
+    assert.equal(parseWeightLine('OL,GS,+99999kg').status, 'overload');
+    assert.equal(parseWeightLine('OL,GS,-OL').status, 'underload');
+    assert.equal(parseWeightLine('UL').status, 'underload');
+    assert.deepEqual(parseWeightLine('ERR 3'), { ...reading(null), status: 'error', error: '3' });
+    assert.equal(parseWeightLine('E12').error, '12');
+    assert.equal(parseWeightLine('ERR').error, null);
+});
+
+test('lines that are no weight parse to null', () => {
+    ['', 'SIM-0001', '12.3#4', '1.2.3', '100.00p', '100.00T', 'ST,GS,', '12.3 kg banana', 'abc'].forEach(line => {
+        assert.equal(parseWeightLine(line), null, line);
+    });
+});
+
+test('MT-SICS replies are parsed with their status letter', () => {
+    assert.deepEqual(parseSicsLine('S S      100.25 g'), reading(100.25, { unit: 'g', mode: 'net', stable: true }));
+    assert.deepEqual(parseSicsLine('S D     -0.50 kg'), reading(-0.5, { unit: 'kg', mode: 'net', stable: false }));
+    assert.equal(parseSicsLine('T S    12.0 g').mode, 'tare');
+    assert.equal(parseSicsLine('S -').status, 'underload');
+    assert.deepEqual(parseSicsLine('S I'), { ...reading(null), mode: 'net', status: 'error', error: 'I' });
+    assert.equal(parseSicsLine('ES').error, 'ES');
+    assert.equal(parseSicsLine('I4 A "123"'), null);
+});
+
+test('units are compared case-insensitively and with common spellings', () => {
+    assert.ok(unitsMatch('KG', 'kg'));
+    assert.ok(unitsMatch('lbs', 'lb'));
+    assert.ok(!unitsMatch('g', 'kg'));
+});
+
+test('a connection counts lines without readings and reports status changes', () => {
+    const scale = new ScaleConnection({ filters: [] });
+    const statuses = [];
+    const readings = [];
+    scale.addEventListener('weightStatus', e => statuses.push(e.detail));
+    scale.addEventListener('reading', e => readings.push(e.detail));
+
+    ['12 g', 'garbage', 'OL', 'OL', 'ERR 7', '13 g'].forEach(line => scale.handleWeightLine(line, () => 1));
+
+    assert.deepEqual(readings.map(r => [r.rawWeight, r.unit]), [[12, 'g'], [13, 'g']]);
+    assert.deepEqual(statuses.map(s => s.status), ['overload', 'error', 'ok']);
+    assert.equal(statuses[1].error, '7');
+    assert.deepEqual(scale.metrics.lineIssues, { unparseable: 1, overload: 2, underload: 0, error: 1 });
+    assert.deepEqual(scale.getRunStats(1).lines, { unparseable: 1, overload: 2, underload: 0, error: 1, lastUnparseable: 'garbage' });
+
+    scale.resetMetrics();
+    assert.equal(scale.metrics.lineIssues.overload, 0);
+});
+
+test('weights in other units than the device reports are flagged once', async () => {
+    const provider = new SimulatedPortProvider({ protocol: 'rawLine', lineRate: 200 });
+    const scale = new ScaleConnection({ portProvider: provider, baudRate: 115200, protocol: 'rawLine' });
+    const errors = [];
+    scale.addEventListener('error', e => errors.push(e.detail));
+
+    await scale.connect();
+    scale.deviceInfo.units = 'kg'; // The raw-line device sends grams
+    await scale.startReading('onread');
+    await waitFor(() => scale.metrics.totalReadings >= 3);
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].context, 'units');
+    assert.equal(errors[0].error.name, 'UnitMismatchError');
+    assert.deepEqual(scale.getRunStats(1).unitMismatch, { expected: 'kg', actual: 'g' });
+    await scale.disconnect();
+});